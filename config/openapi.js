@@ -399,6 +399,29 @@ Error responses include detailed information for debugging:
             },
             description: 'Materials needed for the event'
           },
+          rrule: {
+            type: 'string',
+            nullable: true,
+            example: 'FREQ=WEEKLY;BYDAY=FR;UNTIL=20260605',
+            description: 'RFC 5545 recurrence rule (recurring series only)'
+          },
+          exdates: {
+            type: 'array',
+            items: { type: 'string', format: 'date' },
+            description: 'Cancelled occurrence dates of a recurring series'
+          },
+          recurrence_parent_id: {
+            type: 'string',
+            format: 'uuid',
+            nullable: true,
+            description: 'Series this row overrides a single occurrence of'
+          },
+          recurrence_id: {
+            type: 'string',
+            format: 'date',
+            nullable: true,
+            description: 'Original date of the overridden occurrence'
+          },
           created_by: {
             type: 'string',
             format: 'uuid',
@@ -882,9 +905,28 @@ Error responses include detailed information for debugging:
     '/api/event': {
       get: {
         tags: ['Events'],
-        summary: 'Get All Events',
-        description: 'Get all events for the user\'s organization',
+        summary: 'Search Events',
+        description: 'Search, filter and page through the user\'s organization events. Pass pagination.nextCursor back as cursor for the next page.',
         security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'q', in: 'query', required: false, description: 'Full-text search over title and description', schema: { type: 'string' } },
+          { name: 'from', in: 'query', required: false, description: 'Earliest event date', schema: { type: 'string', format: 'date' } },
+          { name: 'to', in: 'query', required: false, description: 'Latest event date', schema: { type: 'string', format: 'date' } },
+          { name: 'category', in: 'query', required: false, description: 'Comma-separated categories', schema: { type: 'string' } },
+          { name: 'school_level', in: 'query', required: false, description: 'Comma-separated school levels', schema: { type: 'string' } },
+          { name: 'status', in: 'query', required: false, description: 'Comma-separated statuses', schema: { type: 'string' } },
+          { name: 'created_by', in: 'query', required: false, description: 'Creator user ID, or "me"', schema: { type: 'string' } },
+          {
+            name: 'sort_by',
+            in: 'query',
+            required: false,
+            schema: { type: 'string', enum: ['event_date', 'created_at', 'title'], default: 'event_date' }
+          },
+          { $ref: '#/components/parameters/SortParam' },
+          { $ref: '#/components/parameters/LimitParam' },
+          { name: 'cursor', in: 'query', required: false, description: 'Opaque cursor from pagination.nextCursor', schema: { type: 'string' } },
+          { $ref: '#/components/parameters/PageParam' }
+        ],
         responses: {
           '200': {
             description: 'Events retrieved successfully',
@@ -948,7 +990,9 @@ Error responses include detailed information for debugging:
                     type: 'array', 
                     items: { $ref: '#/components/schemas/VolunteerRole' }
                   },
-                  materials_needed: { type: 'array', items: { type: 'string' } }
+                  materials_needed: { type: 'array', items: { type: 'string' } },
+                  rrule: { type: 'string', example: 'FREQ=MONTHLY;BYDAY=2TU' },
+                  exdates: { type: 'array', items: { type: 'string', format: 'date' } }
                 }
               }
             }
@@ -980,7 +1024,107 @@ Error responses include detailed information for debugging:
         }
       }
     },
+    '/api/event/occurrences': {
+      get: {
+        tags: ['Events'],
+        summary: 'Get Event Occurrences',
+        description: 'Get one-off events and expanded occurrences of recurring series within a date window',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'from', in: 'query', required: true, schema: { type: 'string', format: 'date' } },
+          { name: 'to', in: 'query', required: true, schema: { type: 'string', format: 'date' } }
+        ],
+        responses: {
+          '200': {
+            description: 'Occurrences retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/StandardResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'array',
+                          items: { $ref: '#/components/schemas/Event' }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          '400': { $ref: '#/components/responses/BadRequest' },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '403': { $ref: '#/components/responses/Forbidden' },
+          '500': { $ref: '#/components/responses/InternalServerError' }
+        }
+      }
+    },
     '/api/event/{id}': {
+      put: {
+        tags: ['Events'],
+        summary: 'Update Event',
+        description: 'Update an event, one occurrence, this and following occurrences, or a whole recurring series (requires committee lead or higher permissions)',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string', format: 'uuid' },
+            description: 'Event ID'
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  scope: { type: 'string', enum: ['this', 'following', 'all'], default: 'all' },
+                  occurrence_date: { type: 'string', format: 'date', example: '2025-10-17' },
+                  title: { type: 'string' },
+                  event_date: { type: 'string', format: 'date' },
+                  start_time: { type: 'string' },
+                  end_time: { type: 'string' },
+                  location: { type: 'string' },
+                  rrule: { type: 'string', nullable: true },
+                  exdates: { type: 'array', items: { type: 'string', format: 'date' } }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Event updated successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/StandardResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: { $ref: '#/components/schemas/Event' }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          '400': { $ref: '#/components/responses/BadRequest' },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '403': { $ref: '#/components/responses/Forbidden' },
+          '404': { $ref: '#/components/responses/NotFound' },
+          '500': { $ref: '#/components/responses/InternalServerError' }
+        }
+      },
       delete: {
         tags: ['Events'],
         summary: 'Delete Event',
@@ -993,7 +1137,9 @@ Error responses include detailed information for debugging:
             required: true,
             schema: { type: 'string', format: 'uuid' },
             description: 'Event ID'
-          }
+          },
+          { name: 'scope', in: 'query', schema: { type: 'string', enum: ['this', 'following', 'all'], default: 'all' } },
+          { name: 'occurrence_date', in: 'query', schema: { type: 'string', format: 'date' } }
         ],
         responses: {
           '204': {
@@ -0,0 +1,117 @@
+-- Migration for exports to accounting software
+--
+-- Deposits, expenses paid from the bank, transfers and paid reimbursements
+-- can be exported as QuickBooks Desktop IIF, QuickBooks Online journal CSV or
+-- Xero manual journal CSV. Each organization maps its budget categories and
+-- bank accounts to accounts in their own chart of accounts; anything
+-- unmapped uses the matching PTO Connect ledger account.
+--
+-- Every exported record is listed in accounting_export_items, once, so the
+-- next export only picks up what hasn't been exported yet.
+
+-- =====================================================
+-- 1. ACCOUNT MAPPINGS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS accounting_account_mappings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  budget_category_id UUID REFERENCES budget_categories(id) ON DELETE CASCADE,
+  bank_account_id UUID REFERENCES bank_accounts(id) ON DELETE CASCADE,
+  -- QuickBooks imports by account name (e.g. 'Program Expenses:Field Trips'), Xero by code
+  account_name VARCHAR(255) NOT NULL,
+  account_code VARCHAR(50),
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT accounting_account_mappings_one_source CHECK (
+    (budget_category_id IS NOT NULL AND bank_account_id IS NULL) OR
+    (budget_category_id IS NULL AND bank_account_id IS NOT NULL)
+  )
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_accounting_account_mappings_category
+  ON accounting_account_mappings(org_id, budget_category_id) WHERE budget_category_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_accounting_account_mappings_bank_account
+  ON accounting_account_mappings(org_id, bank_account_id) WHERE bank_account_id IS NOT NULL;
+
+-- =====================================================
+-- 2. EXPORTS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS accounting_exports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  export_format VARCHAR(30) NOT NULL CHECK (export_format IN ('quickbooks_iif', 'quickbooks_online_csv', 'xero_csv')),
+  period_start DATE NOT NULL,
+  period_end DATE NOT NULL,
+  item_count INTEGER NOT NULL DEFAULT 0,
+  money_in DECIMAL(12,2) NOT NULL DEFAULT 0,
+  money_out DECIMAL(12,2) NOT NULL DEFAULT 0,
+  exported_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT accounting_exports_valid_dates CHECK (period_end >= period_start)
+);
+
+-- The amount is kept so later edits to an exported record can be flagged
+CREATE TABLE IF NOT EXISTS accounting_export_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  export_id UUID NOT NULL REFERENCES accounting_exports(id) ON DELETE CASCADE,
+  source_type VARCHAR(30) NOT NULL CHECK (source_type IN ('transaction', 'donation', 'reimbursement_payout', 'account_transfer')),
+  source_id UUID NOT NULL,
+  amount DECIMAL(12,2) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT accounting_export_items_once UNIQUE (org_id, source_type, source_id)
+);
+
+-- =====================================================
+-- 3. INDEXES
+-- =====================================================
+CREATE INDEX IF NOT EXISTS idx_accounting_account_mappings_org_id ON accounting_account_mappings(org_id);
+CREATE INDEX IF NOT EXISTS idx_accounting_exports_org_id ON accounting_exports(org_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_accounting_export_items_export_id ON accounting_export_items(export_id);
+
+-- =====================================================
+-- 4. ROW LEVEL SECURITY
+-- =====================================================
+ALTER TABLE accounting_account_mappings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE accounting_exports ENABLE ROW LEVEL SECURITY;
+ALTER TABLE accounting_export_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Budget managers can view account mappings" ON accounting_account_mappings
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'committee_lead')
+    )
+  );
+
+CREATE POLICY "Budget managers can view accounting exports" ON accounting_exports
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'committee_lead')
+    )
+  );
+
+CREATE POLICY "Budget managers can view accounting export items" ON accounting_export_items
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'committee_lead')
+    )
+  );
+
+-- =====================================================
+-- 5. TRIGGERS
+-- =====================================================
+CREATE TRIGGER update_accounting_account_mappings_updated_at BEFORE UPDATE ON accounting_account_mappings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,126 @@
+-- Migration for multiple bank and payment accounts
+--
+-- An organization can hold money in several places: checking, savings, a
+-- PayPal balance, a cash box. Each account has its own asset account in the
+-- ledger. Transactions, donations, reimbursement payouts and reconciliations
+-- record which account they belong to; rows without one belong to the
+-- organization's default account.
+--
+-- A transfer between accounts is stored once in account_transfers and as two
+-- transactions (type 'transfer'), money out of one account and into the
+-- other, so each side can be matched on its own bank statement. Transfers are
+-- not income or expenses.
+
+-- =====================================================
+-- 1. BANK ACCOUNTS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS bank_accounts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  account_kind VARCHAR(20) NOT NULL DEFAULT 'checking' CHECK (account_kind IN ('checking', 'savings', 'paypal', 'cash', 'other')),
+  institution VARCHAR(255),
+  account_number_last4 VARCHAR(4),
+  opening_balance DECIMAL(12,2) NOT NULL DEFAULT 0,
+  opening_date DATE,
+  ledger_account_id UUID REFERENCES ledger_accounts(id),
+  is_default BOOLEAN DEFAULT false,
+  is_active BOOLEAN DEFAULT true,
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT bank_accounts_org_name_unique UNIQUE (org_id, name)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bank_accounts_default ON bank_accounts(org_id) WHERE is_default;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bank_accounts_ledger_account ON bank_accounts(ledger_account_id) WHERE ledger_account_id IS NOT NULL;
+
+-- =====================================================
+-- 2. TRANSFERS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS account_transfers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  from_account_id UUID NOT NULL REFERENCES bank_accounts(id),
+  to_account_id UUID NOT NULL REFERENCES bank_accounts(id),
+  amount DECIMAL(12,2) NOT NULL CHECK (amount > 0),
+  transfer_date DATE NOT NULL,
+  memo TEXT,
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT account_transfers_different_accounts CHECK (from_account_id != to_account_id)
+);
+
+-- =====================================================
+-- 3. ACCOUNT ON EXISTING RECORDS
+-- =====================================================
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS bank_account_id UUID REFERENCES bank_accounts(id),
+ADD COLUMN IF NOT EXISTS transfer_id UUID REFERENCES account_transfers(id) ON DELETE CASCADE;
+
+ALTER TABLE donations
+ADD COLUMN IF NOT EXISTS bank_account_id UUID REFERENCES bank_accounts(id);
+
+ALTER TABLE reimbursement_payouts
+ADD COLUMN IF NOT EXISTS bank_account_id UUID REFERENCES bank_accounts(id);
+
+ALTER TABLE reconciliations
+ADD COLUMN IF NOT EXISTS bank_account_id UUID REFERENCES bank_accounts(id);
+
+-- Year-end balances are recorded per account; transfers move money between
+-- accounts without being income or expenses
+ALTER TABLE fiscal_year_balances
+ADD COLUMN IF NOT EXISTS bank_account_id UUID REFERENCES bank_accounts(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS transfers_in DECIMAL(12,2) NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS transfers_out DECIMAL(12,2) NOT NULL DEFAULT 0;
+
+-- =====================================================
+-- 4. LEDGER POSTINGS
+-- =====================================================
+-- Transfers and account opening balances are posted to the ledger too
+ALTER TABLE journal_entries DROP CONSTRAINT IF EXISTS journal_entries_source_type_check;
+ALTER TABLE journal_entries ADD CONSTRAINT journal_entries_source_type_check
+  CHECK (source_type IN ('manual', 'expense', 'donation', 'transaction', 'reimbursement_payout', 'account_transfer', 'bank_account'));
+
+-- =====================================================
+-- 5. INDEXES
+-- =====================================================
+CREATE INDEX IF NOT EXISTS idx_bank_accounts_org_id ON bank_accounts(org_id);
+CREATE INDEX IF NOT EXISTS idx_account_transfers_org_date ON account_transfers(org_id, transfer_date);
+CREATE INDEX IF NOT EXISTS idx_transactions_bank_account_id ON transactions(bank_account_id);
+CREATE INDEX IF NOT EXISTS idx_transactions_transfer_id ON transactions(transfer_id) WHERE transfer_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_reconciliations_bank_account_id ON reconciliations(bank_account_id);
+
+-- =====================================================
+-- 6. ROW LEVEL SECURITY
+-- =====================================================
+ALTER TABLE bank_accounts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE account_transfers ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Budget managers can view bank accounts" ON bank_accounts
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'committee_lead')
+    )
+  );
+
+CREATE POLICY "Budget managers can view transfers" ON account_transfers
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'committee_lead')
+    )
+  );
+
+-- =====================================================
+-- 7. TRIGGERS
+-- =====================================================
+CREATE TRIGGER update_bank_accounts_updated_at BEFORE UPDATE ON bank_accounts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
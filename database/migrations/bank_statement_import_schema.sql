@@ -0,0 +1,103 @@
+-- Migration for bank statement file imports
+--
+-- Statements are uploaded as CSV (read with a saved per-bank column mapping),
+-- OFX or QFX. The original file is kept in the 'bank-statements' storage
+-- bucket (create it as a private bucket) and described by a
+-- bank_statement_imports row. Each imported line gets a dedupe_key (the
+-- bank's FITID when it has one, otherwise date, amount and description) so
+-- importing an overlapping statement twice only adds the lines that are new.
+
+CREATE TABLE IF NOT EXISTS bank_csv_mappings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  bank_name VARCHAR(255) NOT NULL,
+  -- Columns are header names (case-insensitive) or 1-based column numbers
+  date_column VARCHAR(100) NOT NULL,
+  description_column VARCHAR(100),
+  amount_column VARCHAR(100), -- signed amount; or use debit_column/credit_column
+  debit_column VARCHAR(100),
+  credit_column VARCHAR(100),
+  fitid_column VARCHAR(100),
+  check_number_column VARCHAR(100),
+  date_format VARCHAR(20) NOT NULL DEFAULT 'MM/DD/YYYY' CHECK (date_format IN ('YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY')),
+  delimiter VARCHAR(5) NOT NULL DEFAULT ',',
+  has_header BOOLEAN NOT NULL DEFAULT true,
+  skip_rows INTEGER NOT NULL DEFAULT 0 CHECK (skip_rows >= 0), -- preamble lines before the header
+  invert_amounts BOOLEAN NOT NULL DEFAULT false, -- banks that export withdrawals as positive numbers
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CHECK (amount_column IS NOT NULL OR debit_column IS NOT NULL OR credit_column IS NOT NULL),
+  UNIQUE(org_id, bank_name)
+);
+
+CREATE TABLE IF NOT EXISTS bank_statement_imports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  reconciliation_id UUID NOT NULL REFERENCES reconciliations(id) ON DELETE CASCADE,
+  file_name VARCHAR(255) NOT NULL,
+  file_format VARCHAR(10) NOT NULL CHECK (file_format IN ('csv', 'ofx', 'qfx', 'json')),
+  file_path TEXT, -- object in the 'bank-statements' bucket
+  file_size INTEGER,
+  file_sha256 VARCHAR(64),
+  mapping_id UUID REFERENCES bank_csv_mappings(id) ON DELETE SET NULL,
+  account_number_last4 VARCHAR(4),
+  statement_start DATE,
+  statement_end DATE,
+  ledger_balance DECIMAL(12,2),
+  rows_total INTEGER NOT NULL DEFAULT 0,
+  rows_imported INTEGER NOT NULL DEFAULT 0,
+  rows_duplicate INTEGER NOT NULL DEFAULT 0,
+  rows_rejected INTEGER NOT NULL DEFAULT 0,
+  errors JSONB NOT NULL DEFAULT '[]',
+  imported_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE bank_transactions
+ADD COLUMN IF NOT EXISTS org_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS import_id UUID REFERENCES bank_statement_imports(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS fitid VARCHAR(255),
+ADD COLUMN IF NOT EXISTS check_number VARCHAR(50),
+ADD COLUMN IF NOT EXISTS transaction_type VARCHAR(20),
+ADD COLUMN IF NOT EXISTS dedupe_key TEXT;
+
+UPDATE bank_transactions bt
+SET org_id = r.org_id
+FROM reconciliations r
+WHERE bt.reconciliation_id = r.id AND bt.org_id IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bank_transactions_dedupe ON bank_transactions(org_id, dedupe_key)
+  WHERE dedupe_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_bank_transactions_reconciliation_id ON bank_transactions(reconciliation_id);
+CREATE INDEX IF NOT EXISTS idx_bank_statement_imports_reconciliation_id ON bank_statement_imports(reconciliation_id);
+CREATE INDEX IF NOT EXISTS idx_bank_csv_mappings_org_id ON bank_csv_mappings(org_id);
+
+-- Add RLS policies
+ALTER TABLE bank_csv_mappings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bank_statement_imports ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Treasurers and above can manage bank CSV mappings" ON bank_csv_mappings
+  FOR ALL USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'treasurer', 'committee_lead')
+    )
+  );
+
+CREATE POLICY "Treasurers and above can manage bank statement imports" ON bank_statement_imports
+  FOR ALL USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'treasurer', 'committee_lead')
+    )
+  );
+
+CREATE TRIGGER update_bank_csv_mappings_updated_at
+  BEFORE UPDATE ON bank_csv_mappings
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
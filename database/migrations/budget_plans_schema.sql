@@ -0,0 +1,67 @@
+-- Migration for annual budget plans
+--
+-- A budget plan owns a set of budget_categories allocations for a fiscal year
+-- and moves draft -> proposed -> approved. A board member approves it and is
+-- recorded on the plan. Once approved the allocations are locked: changes go
+-- through amendments, which apply the change and keep a record of what was
+-- changed, by whom and why.
+
+ALTER TABLE budget_plans DROP CONSTRAINT IF EXISTS budget_plans_status_check;
+ALTER TABLE budget_plans
+ADD CONSTRAINT budget_plans_status_check CHECK (
+  status IN ('draft', 'proposed', 'approved', 'active', 'completed', 'archived')
+);
+
+ALTER TABLE budget_plans
+ADD COLUMN IF NOT EXISTS proposed_by UUID REFERENCES auth.users(id),
+ADD COLUMN IF NOT EXISTS proposed_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS review_notes TEXT;
+
+-- One approved (or active) plan per fiscal year
+CREATE UNIQUE INDEX IF NOT EXISTS idx_budget_plans_one_approved_per_year
+  ON budget_plans(org_id, fiscal_year)
+  WHERE status IN ('approved', 'active');
+
+ALTER TABLE budget_categories
+ADD COLUMN IF NOT EXISTS budget_plan_id UUID REFERENCES budget_plans(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_budget_categories_plan_id ON budget_categories(budget_plan_id);
+
+CREATE TABLE IF NOT EXISTS budget_plan_amendments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  plan_id UUID NOT NULL REFERENCES budget_plans(id) ON DELETE CASCADE,
+  category_id UUID REFERENCES budget_categories(id) ON DELETE SET NULL,
+  change_type VARCHAR(20) NOT NULL CHECK (change_type IN ('amount', 'details', 'added', 'deactivated')),
+  previous_values JSONB NOT NULL DEFAULT '{}',
+  new_values JSONB NOT NULL DEFAULT '{}',
+  amount_change DECIMAL(12,2) NOT NULL DEFAULT 0,
+  reason TEXT NOT NULL,
+  amended_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_budget_plan_amendments_plan_id ON budget_plan_amendments(plan_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_budget_plan_amendments_category_id ON budget_plan_amendments(category_id);
+
+-- Add RLS policies
+ALTER TABLE budget_plan_amendments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view budget plan amendments for their organization" ON budget_plan_amendments
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Board members and above can amend budget plans" ON budget_plan_amendments
+  FOR INSERT WITH CHECK (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member')
+    )
+  );
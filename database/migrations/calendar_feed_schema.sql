@@ -0,0 +1,63 @@
+-- Migration for subscribable iCalendar (.ics) event feeds
+--
+-- Feed URLs carry a random token instead of a bearer token so calendar
+-- clients (Google, Apple, Outlook) can poll them. Only a SHA-256 hash of the
+-- token is stored; revoking a feed sets revoked_at.
+
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+  scope VARCHAR(20) NOT NULL CHECK (scope IN ('org', 'user')),
+  name VARCHAR(255),
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  token_prefix VARCHAR(8) NOT NULL,
+  last_accessed_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  -- Personal feeds belong to a user, organization feeds do not
+  CONSTRAINT calendar_feeds_scope_owner CHECK (
+    (scope = 'user' AND user_id IS NOT NULL) OR (scope = 'org' AND user_id IS NULL)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_feeds_org_id ON calendar_feeds(org_id);
+CREATE INDEX IF NOT EXISTS idx_calendar_feeds_user_id ON calendar_feeds(user_id);
+CREATE INDEX IF NOT EXISTS idx_calendar_feeds_active ON calendar_feeds(token_hash) WHERE revoked_at IS NULL;
+
+-- iCalendar SEQUENCE and per-event audience for role-filtered feeds
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS sequence INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS audience_role VARCHAR(50) NOT NULL DEFAULT 'parent_member' CHECK (
+  audience_role IN ('parent_member', 'teacher', 'volunteer', 'committee_lead', 'board_member', 'admin')
+);
+
+-- Bump SEQUENCE on every change so subscribed clients pick up updates
+CREATE OR REPLACE FUNCTION increment_event_sequence()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.sequence = OLD.sequence + 1;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER increment_events_sequence BEFORE UPDATE ON events
+    FOR EACH ROW EXECUTE FUNCTION increment_event_sequence();
+
+-- Add RLS policies
+ALTER TABLE calendar_feeds ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own calendar feeds" ON calendar_feeds
+  FOR ALL USING (user_id = auth.uid());
+
+CREATE POLICY "Committee leads and above can manage organization calendar feeds" ON calendar_feeds
+  FOR ALL USING (
+    scope = 'org' AND org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'committee_lead')
+    )
+  );
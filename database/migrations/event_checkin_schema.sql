@@ -0,0 +1,61 @@
+-- Migration for QR code event check-in
+--
+-- Tickets and confirmed volunteer sign-ups are presented as Ed25519-signed QR
+-- codes. Door devices verify signatures locally, so they can keep scanning
+-- offline and upload their scans later. Each credential can be checked in
+-- once; a second scan (online or synced) is reported as a duplicate.
+
+CREATE TABLE IF NOT EXISTS event_checkins (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  credential_type VARCHAR(20) NOT NULL CHECK (credential_type IN ('ticket', 'volunteer')),
+  credential_id UUID NOT NULL, -- event_tickets.id or volunteer_signups.id
+  admits INTEGER NOT NULL DEFAULT 1 CHECK (admits > 0),
+  checked_in_at TIMESTAMP WITH TIME ZONE NOT NULL, -- when the code was scanned
+  synced_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(), -- when the server recorded it
+  checked_in_by UUID REFERENCES auth.users(id),
+  source VARCHAR(20) NOT NULL DEFAULT 'online' CHECK (source IN ('online', 'offline')),
+  device_id VARCHAR(100),
+  client_checkin_id VARCHAR(100), -- device-generated ID so retried syncs are idempotent
+
+  UNIQUE(credential_type, credential_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_checkins_event_id ON event_checkins(event_id, checked_in_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_event_checkins_client_id
+  ON event_checkins(device_id, client_checkin_id)
+  WHERE client_checkin_id IS NOT NULL;
+
+-- Add RLS policies
+ALTER TABLE event_checkins ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Volunteers and above can view check-ins in their organization" ON event_checkins
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'committee_lead', 'volunteer')
+    )
+  );
+
+CREATE POLICY "Volunteers and above can record check-ins" ON event_checkins
+  FOR INSERT WITH CHECK (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'committee_lead', 'volunteer')
+    )
+  );
+
+CREATE POLICY "Committee leads and above can undo check-ins" ON event_checkins
+  FOR DELETE USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'committee_lead')
+    )
+  );
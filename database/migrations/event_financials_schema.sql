@@ -0,0 +1,17 @@
+-- Migration for event post-mortem financials
+--
+-- Expenses and transactions already carry event_id. Donations and logged
+-- volunteer hours can now be attributed to an event too, so the event
+-- financial summary can roll everything up against the estimated budget.
+
+ALTER TABLE donations
+ADD COLUMN IF NOT EXISTS event_id UUID REFERENCES events(id) ON DELETE SET NULL;
+
+ALTER TABLE volunteer_hours
+ADD COLUMN IF NOT EXISTS event_id UUID REFERENCES events(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_donations_event_id ON donations(event_id);
+CREATE INDEX IF NOT EXISTS idx_volunteer_hours_event_id ON volunteer_hours(event_id);
+
+-- Finding "the same event last year" compares titles case-insensitively
+CREATE INDEX IF NOT EXISTS idx_events_org_title ON events(org_id, LOWER(title), event_date);
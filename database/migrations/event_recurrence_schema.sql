@@ -0,0 +1,28 @@
+-- Migration for recurring events (RFC 5545 RRULE / EXDATE / RECURRENCE-ID)
+--
+-- A recurring series is a single events row with an rrule. Occurrences are
+-- expanded on read. Cancelled occurrences are listed in exdates, and an
+-- occurrence edited on its own becomes an exception row pointing back at
+-- its series via recurrence_parent_id + recurrence_id (the original date).
+
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS rrule TEXT,
+ADD COLUMN IF NOT EXISTS exdates DATE[] NOT NULL DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS recurrence_parent_id UUID REFERENCES events(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS recurrence_id DATE,
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+ALTER TABLE events
+ADD CONSTRAINT events_exception_shape CHECK (
+  (recurrence_parent_id IS NULL AND recurrence_id IS NULL) OR
+  (recurrence_parent_id IS NOT NULL AND recurrence_id IS NOT NULL AND rrule IS NULL)
+);
+
+-- Each occurrence of a series can be overridden at most once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_events_recurrence_exception
+  ON events(recurrence_parent_id, recurrence_id)
+  WHERE recurrence_parent_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_events_recurring_series
+  ON events(org_id, event_date)
+  WHERE rrule IS NOT NULL;
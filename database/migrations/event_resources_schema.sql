@@ -0,0 +1,87 @@
+-- Migration for bookable locations and equipment
+--
+-- Each organization keeps a list of locations (gym, cafeteria) and equipment
+-- (popcorn machine) that events book. A booking holds the resource from the
+-- event's start minus setup_minutes to its end plus teardown_minutes. A
+-- booking on a recurring series covers every occurrence, including edited
+-- occurrences (which use their own date and times). Overlaps are checked by
+-- the API so organizers can choose to be warned instead of blocked.
+
+CREATE TABLE IF NOT EXISTS org_resources (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  kind VARCHAR(20) NOT NULL DEFAULT 'location' CHECK (kind IN ('location', 'equipment')),
+  description TEXT,
+  capacity INTEGER CHECK (capacity IS NULL OR capacity > 0), -- people, for locations
+  default_setup_minutes INTEGER NOT NULL DEFAULT 0 CHECK (default_setup_minutes >= 0),
+  default_teardown_minutes INTEGER NOT NULL DEFAULT 0 CHECK (default_teardown_minutes >= 0),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS event_resource_bookings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  resource_id UUID NOT NULL REFERENCES org_resources(id) ON DELETE CASCADE,
+  setup_minutes INTEGER NOT NULL DEFAULT 0 CHECK (setup_minutes BETWEEN 0 AND 1440),
+  teardown_minutes INTEGER NOT NULL DEFAULT 0 CHECK (teardown_minutes BETWEEN 0 AND 1440),
+  notes TEXT,
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(event_id, resource_id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_org_resources_org_name ON org_resources(org_id, LOWER(name));
+CREATE INDEX IF NOT EXISTS idx_event_resource_bookings_resource_id ON event_resource_bookings(resource_id);
+CREATE INDEX IF NOT EXISTS idx_event_resource_bookings_event_id ON event_resource_bookings(event_id);
+
+-- Add RLS policies
+ALTER TABLE org_resources ENABLE ROW LEVEL SECURITY;
+ALTER TABLE event_resource_bookings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view resources in their organization" ON org_resources
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Committee leads and above can manage resources" ON org_resources
+  FOR ALL USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'committee_lead')
+    )
+  );
+
+CREATE POLICY "Users can view resource bookings in their organization" ON event_resource_bookings
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Committee leads and above can manage resource bookings" ON event_resource_bookings
+  FOR ALL USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'committee_lead')
+    )
+  );
+
+-- Add triggers for updated_at
+CREATE TRIGGER update_org_resources_updated_at BEFORE UPDATE ON org_resources
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,16 @@
+-- Migration for event search and pagination
+--
+-- GET /api/event pages through events with a keyset cursor on
+-- (sort column, id) and searches title/description with full-text search.
+
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+  to_tsvector('english', COALESCE(title, '') || ' ' || COALESCE(description, ''))
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_events_search_vector ON events USING GIN (search_vector);
+
+-- Keyset pagination for each sortable column
+CREATE INDEX IF NOT EXISTS idx_events_org_date_id ON events(org_id, event_date, id);
+CREATE INDEX IF NOT EXISTS idx_events_org_created_id ON events(org_id, created_at, id);
+CREATE INDEX IF NOT EXISTS idx_events_org_title_id ON events(org_id, title, id);
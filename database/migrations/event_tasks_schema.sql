@@ -0,0 +1,91 @@
+-- Migration for the event task board
+--
+-- Replaces the free-form events.tasks / events.materials_needed arrays with
+-- task records (materials are tasks of kind 'material'). A task's due date is
+-- either fixed or an offset in days from the event date; offset tasks move
+-- when the event is rescheduled. reminder_sent_at makes the due-soon
+-- reminder job safe to run from several server instances.
+
+CREATE TABLE IF NOT EXISTS event_tasks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  kind VARCHAR(20) NOT NULL DEFAULT 'task' CHECK (kind IN ('task', 'material')),
+  status VARCHAR(20) NOT NULL DEFAULT 'todo' CHECK (status IN ('todo', 'in_progress', 'blocked', 'done')),
+  assignee_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  due_date DATE,
+  due_offset_days INTEGER, -- relative to the event date (negative = before)
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  completed_by UUID REFERENCES auth.users(id),
+  reminder_sent_at TIMESTAMP WITH TIME ZONE,
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS event_task_dependencies (
+  task_id UUID NOT NULL REFERENCES event_tasks(id) ON DELETE CASCADE,
+  depends_on_task_id UUID NOT NULL REFERENCES event_tasks(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  PRIMARY KEY (task_id, depends_on_task_id),
+  CONSTRAINT event_task_dependencies_not_self CHECK (task_id <> depends_on_task_id)
+);
+
+CREATE TABLE IF NOT EXISTS event_task_checklist_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  task_id UUID NOT NULL REFERENCES event_tasks(id) ON DELETE CASCADE,
+  label VARCHAR(255) NOT NULL,
+  is_done BOOLEAN NOT NULL DEFAULT false,
+  done_by UUID REFERENCES auth.users(id),
+  done_at TIMESTAMP WITH TIME ZONE,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_tasks_event_id ON event_tasks(event_id);
+CREATE INDEX IF NOT EXISTS idx_event_tasks_assignee ON event_tasks(assignee_id, status, due_date);
+CREATE INDEX IF NOT EXISTS idx_event_tasks_reminders ON event_tasks(due_date)
+  WHERE status <> 'done' AND reminder_sent_at IS NULL AND assignee_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_event_task_dependencies_depends_on ON event_task_dependencies(depends_on_task_id);
+CREATE INDEX IF NOT EXISTS idx_event_task_checklist_items_task_id ON event_task_checklist_items(task_id);
+
+-- Add RLS policies
+ALTER TABLE event_tasks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE event_task_dependencies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE event_task_checklist_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view event tasks in their organization" ON event_tasks
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Assignees can update their own tasks" ON event_tasks
+  FOR UPDATE USING (assignee_id = auth.uid());
+
+CREATE POLICY "Committee leads and above can manage event tasks" ON event_tasks
+  FOR ALL USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'committee_lead')
+    )
+  );
+
+CREATE POLICY "Users can view dependencies of visible tasks" ON event_task_dependencies
+  FOR SELECT USING (task_id IN (SELECT id FROM event_tasks));
+
+CREATE POLICY "Users can manage checklist items of visible tasks" ON event_task_checklist_items
+  FOR ALL USING (task_id IN (SELECT id FROM event_tasks));
+
+-- Add triggers for updated_at
+CREATE TRIGGER update_event_tasks_updated_at BEFORE UPDATE ON event_tasks
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,175 @@
+-- Migration for event RSVPs and ticket sales
+--
+-- Ticket types (family pass, adult, child, free RSVP) are sold through
+-- Stripe Checkout one-time payments; free orders complete immediately.
+-- Completed orders issue one event_tickets row per ticket and roll up into
+-- events.revenue / events.attendance, which the reports already read.
+-- Money is stored in cents except events.revenue, which matches the
+-- dollar amounts used by the reporting code.
+
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS revenue NUMERIC(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS attendance INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS ticket_capacity INTEGER CHECK (ticket_capacity IS NULL OR ticket_capacity > 0);
+
+CREATE TABLE IF NOT EXISTS event_ticket_types (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('family_pass', 'adult', 'child', 'rsvp', 'other')),
+  price_cents INTEGER NOT NULL DEFAULT 0 CHECK (price_cents >= 0),
+  admits INTEGER NOT NULL DEFAULT 1 CHECK (admits > 0), -- people admitted per ticket
+  quantity_available INTEGER CHECK (quantity_available IS NULL OR quantity_available >= 0),
+  max_per_order INTEGER CHECK (max_per_order IS NULL OR max_per_order > 0),
+  sales_start TIMESTAMP WITH TIME ZONE,
+  sales_end TIMESTAMP WITH TIME ZONE,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  -- Free RSVPs never go through checkout
+  CONSTRAINT event_ticket_types_rsvp_free CHECK (kind <> 'rsvp' OR price_cents = 0)
+);
+
+CREATE TABLE IF NOT EXISTS event_promo_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  code VARCHAR(50) NOT NULL,
+  discount_type VARCHAR(10) NOT NULL CHECK (discount_type IN ('percent', 'amount')),
+  discount_value INTEGER NOT NULL CHECK (discount_value > 0), -- percent, or cents off the order
+  ticket_type_ids UUID[], -- NULL applies to every paid ticket type
+  max_redemptions INTEGER CHECK (max_redemptions IS NULL OR max_redemptions > 0),
+  valid_from TIMESTAMP WITH TIME ZONE,
+  valid_until TIMESTAMP WITH TIME ZONE,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT event_promo_codes_percent_range CHECK (discount_type <> 'percent' OR discount_value <= 100)
+);
+
+CREATE TABLE IF NOT EXISTS event_orders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  purchaser_name VARCHAR(255),
+  purchaser_email VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'cancelled', 'expired', 'refunded')),
+  subtotal_cents INTEGER NOT NULL DEFAULT 0,
+  discount_cents INTEGER NOT NULL DEFAULT 0,
+  total_cents INTEGER NOT NULL DEFAULT 0,
+  admits INTEGER NOT NULL DEFAULT 0,
+  promo_code_id UUID REFERENCES event_promo_codes(id) ON DELETE SET NULL,
+  stripe_checkout_session_id VARCHAR(255) UNIQUE,
+  stripe_payment_intent_id VARCHAR(255),
+  expires_at TIMESTAMP WITH TIME ZONE, -- pending orders hold inventory until then
+  completed_at TIMESTAMP WITH TIME ZONE,
+  cancelled_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS event_order_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES event_orders(id) ON DELETE CASCADE,
+  ticket_type_id UUID NOT NULL REFERENCES event_ticket_types(id),
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  unit_price_cents INTEGER NOT NULL CHECK (unit_price_cents >= 0),
+  admits INTEGER NOT NULL CHECK (admits > 0)
+);
+
+CREATE TABLE IF NOT EXISTS event_tickets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  order_id UUID NOT NULL REFERENCES event_orders(id) ON DELETE CASCADE,
+  ticket_type_id UUID NOT NULL REFERENCES event_ticket_types(id),
+  admits INTEGER NOT NULL CHECK (admits > 0),
+  status VARCHAR(20) NOT NULL DEFAULT 'valid' CHECK (status IN ('valid', 'void')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_ticket_types_event_id ON event_ticket_types(event_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_event_promo_codes_code ON event_promo_codes(event_id, UPPER(code));
+CREATE INDEX IF NOT EXISTS idx_event_orders_event_id ON event_orders(event_id, status);
+CREATE INDEX IF NOT EXISTS idx_event_orders_user_id ON event_orders(user_id);
+CREATE INDEX IF NOT EXISTS idx_event_orders_payment_intent ON event_orders(stripe_payment_intent_id);
+CREATE INDEX IF NOT EXISTS idx_event_order_items_order_id ON event_order_items(order_id);
+CREATE INDEX IF NOT EXISTS idx_event_tickets_order_id ON event_tickets(order_id);
+CREATE INDEX IF NOT EXISTS idx_event_tickets_event_id ON event_tickets(event_id);
+
+-- Add RLS policies
+ALTER TABLE event_ticket_types ENABLE ROW LEVEL SECURITY;
+ALTER TABLE event_promo_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE event_orders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE event_order_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE event_tickets ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view ticket types in their organization" ON event_ticket_types
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Committee leads and above can manage ticket types" ON event_ticket_types
+  FOR ALL USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'committee_lead')
+    )
+  );
+
+CREATE POLICY "Committee leads and above can manage promo codes" ON event_promo_codes
+  FOR ALL USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'committee_lead')
+    )
+  );
+
+CREATE POLICY "Users can view their own orders" ON event_orders
+  FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Committee leads and above can view event orders" ON event_orders
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'committee_lead')
+    )
+  );
+
+CREATE POLICY "Users can view items on orders they can see" ON event_order_items
+  FOR SELECT USING (
+    order_id IN (SELECT id FROM event_orders)
+  );
+
+CREATE POLICY "Users can view tickets on orders they can see" ON event_tickets
+  FOR SELECT USING (
+    order_id IN (SELECT id FROM event_orders)
+  );
+
+-- Add triggers for updated_at
+CREATE TRIGGER update_event_ticket_types_updated_at BEFORE UPDATE ON event_ticket_types
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_event_promo_codes_updated_at BEFORE UPDATE ON event_promo_codes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_event_orders_updated_at BEFORE UPDATE ON event_orders
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,82 @@
+-- Migration for multi-step expense approval
+--
+-- An approval_workflows row of type 'expense_approval' applies to expenses
+-- matching its rules ({ min_amount, max_amount, category_ids }); the most
+-- specific match (highest min_amount) wins. Its approval_chain lists the
+-- steps: [{ name, approver_ids, min_role }]. Sequential workflows open one
+-- step at a time; parallel workflows open every step at once. A step that
+-- stays open longer than escalation_days can also be approved by escalate_to.
+--
+-- When an expense is submitted its chain is copied into
+-- expense_approval_steps, so later workflow edits don't change approvals that
+-- are already under way. Every action is logged in expense_approval_history.
+
+ALTER TABLE approval_workflows
+ADD COLUMN IF NOT EXISTS approval_mode VARCHAR(20) NOT NULL DEFAULT 'sequential'
+  CHECK (approval_mode IN ('sequential', 'parallel')),
+ADD COLUMN IF NOT EXISTS escalation_days INTEGER CHECK (escalation_days IS NULL OR escalation_days > 0),
+ADD COLUMN IF NOT EXISTS escalate_to JSONB NOT NULL DEFAULT '{"min_role": "admin"}';
+
+ALTER TABLE expense_submissions
+ADD COLUMN IF NOT EXISTS approval_workflow_id UUID REFERENCES approval_workflows(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS expense_approval_steps (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  expense_id UUID NOT NULL REFERENCES expense_submissions(id) ON DELETE CASCADE,
+  workflow_id UUID REFERENCES approval_workflows(id) ON DELETE SET NULL,
+  step_order INTEGER NOT NULL,
+  step_name VARCHAR(255) NOT NULL,
+  approver_ids JSONB NOT NULL DEFAULT '[]', -- specific users; empty = anyone with min_role
+  min_role VARCHAR(50),
+  status VARCHAR(20) NOT NULL DEFAULT 'waiting' CHECK (status IN ('waiting', 'pending', 'approved', 'rejected', 'skipped')),
+  opened_at TIMESTAMP WITH TIME ZONE,
+  escalate_at TIMESTAMP WITH TIME ZONE,
+  escalate_to JSONB,
+  escalated_at TIMESTAMP WITH TIME ZONE,
+  decided_by UUID REFERENCES auth.users(id),
+  decided_at TIMESTAMP WITH TIME ZONE,
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(expense_id, step_order)
+);
+
+CREATE TABLE IF NOT EXISTS expense_approval_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  expense_id UUID NOT NULL REFERENCES expense_submissions(id) ON DELETE CASCADE,
+  step_id UUID REFERENCES expense_approval_steps(id) ON DELETE CASCADE,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('submitted', 'opened', 'approved', 'rejected', 'escalated', 'skipped', 'completed')),
+  actor_id UUID REFERENCES auth.users(id),
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_expense_approval_steps_expense_id ON expense_approval_steps(expense_id);
+CREATE INDEX IF NOT EXISTS idx_expense_approval_steps_open ON expense_approval_steps(org_id, status) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_expense_approval_steps_escalation ON expense_approval_steps(escalate_at)
+  WHERE status = 'pending' AND escalated_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_expense_approval_history_expense_id ON expense_approval_history(expense_id, created_at);
+
+-- Add RLS policies
+ALTER TABLE expense_approval_steps ENABLE ROW LEVEL SECURITY;
+ALTER TABLE expense_approval_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view expense approval steps for their organization" ON expense_approval_steps
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can view expense approval history for their organization" ON expense_approval_history
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+    )
+  );
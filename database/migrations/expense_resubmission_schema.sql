@@ -0,0 +1,91 @@
+-- Migration for the "needs info" loop on expense submissions
+--
+-- An approver can send a pending expense back to its submitter with a
+-- question (status needs_info). The submitter edits it, optionally adding
+-- receipts, and resubmits; resubmission_count goes up and the approval chain
+-- starts over as a new round. Before each resubmission the expense as it was
+-- is saved to expense_submission_revisions, so the amounts and receipts of
+-- every version stay on record.
+
+-- =====================================================
+-- 1. COMMENT THREAD
+-- =====================================================
+CREATE TABLE IF NOT EXISTS expense_comments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  expense_id UUID NOT NULL REFERENCES expense_submissions(id) ON DELETE CASCADE,
+  author_id UUID NOT NULL REFERENCES auth.users(id),
+  comment_type VARCHAR(20) NOT NULL DEFAULT 'comment' CHECK (comment_type IN ('comment', 'info_request', 'resubmission')),
+  body TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- =====================================================
+-- 2. REVISION HISTORY
+-- =====================================================
+CREATE TABLE IF NOT EXISTS expense_submission_revisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  expense_id UUID NOT NULL REFERENCES expense_submissions(id) ON DELETE CASCADE,
+  revision_number INTEGER NOT NULL, -- the expense's resubmission_count while this version was live
+  vendor_name VARCHAR(255),
+  amount DECIMAL(10,2) NOT NULL,
+  expense_date DATE NOT NULL,
+  description TEXT,
+  category_id UUID REFERENCES budget_categories(id) ON DELETE SET NULL,
+  event_id UUID REFERENCES events(id) ON DELETE SET NULL,
+  line_items JSONB DEFAULT '[]',
+  receipt_images JSONB DEFAULT '[]',
+  receipt_total DECIMAL(10,2),
+  receipt_amount_mismatch BOOLEAN DEFAULT FALSE,
+  replaced_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(expense_id, revision_number)
+);
+
+-- =====================================================
+-- 3. APPROVAL ROUNDS
+-- =====================================================
+-- Each resubmission gets a fresh set of steps; approval_round matches the
+-- expense's resubmission_count when the steps were created
+ALTER TABLE expense_approval_steps
+ADD COLUMN IF NOT EXISTS approval_round INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE expense_approval_steps DROP CONSTRAINT IF EXISTS expense_approval_steps_expense_id_step_order_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_expense_approval_steps_round_order
+  ON expense_approval_steps(expense_id, approval_round, step_order);
+
+ALTER TABLE expense_approval_history DROP CONSTRAINT IF EXISTS expense_approval_history_action_check;
+ALTER TABLE expense_approval_history ADD CONSTRAINT expense_approval_history_action_check
+  CHECK (action IN ('submitted', 'opened', 'approved', 'rejected', 'escalated', 'skipped', 'completed', 'info_requested', 'resubmitted'));
+
+-- =====================================================
+-- 4. INDEXES
+-- =====================================================
+CREATE INDEX IF NOT EXISTS idx_expense_comments_expense_id ON expense_comments(expense_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_expense_submission_revisions_expense_id ON expense_submission_revisions(expense_id, revision_number);
+
+-- =====================================================
+-- 5. ROW LEVEL SECURITY
+-- =====================================================
+ALTER TABLE expense_comments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE expense_submission_revisions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view expense comments for their organization" ON expense_comments
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can view expense revisions for their organization" ON expense_submission_revisions
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+    )
+  );
@@ -0,0 +1,102 @@
+-- Migration for fiscal year close and rollover
+--
+-- Organizations choose the month their fiscal year starts (1 = January keeps
+-- the calendar year). A fiscal year is named for the calendar year it ends in,
+-- so with a July start FY 2026 runs 2025-07-01 to 2026-06-30.
+--
+-- Closing a year freezes its transactions and budget categories (the API
+-- rejects changes dated inside a closed year), records an ending balance per
+-- account and optionally creates next year's categories from this year's.
+
+ALTER TABLE organizations
+ADD COLUMN IF NOT EXISTS fiscal_year_start_month INTEGER NOT NULL DEFAULT 1
+  CHECK (fiscal_year_start_month BETWEEN 1 AND 12);
+
+CREATE TABLE IF NOT EXISTS fiscal_year_closes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  fiscal_year INTEGER NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'closed' CHECK (status IN ('closed', 'reopened')),
+  total_income DECIMAL(12,2) NOT NULL DEFAULT 0,
+  total_expenses DECIMAL(12,2) NOT NULL DEFAULT 0,
+  category_snapshot JSONB NOT NULL DEFAULT '[]', -- budget vs. actual per category at close
+  rollover_method VARCHAR(20) CHECK (rollover_method IN ('budget', 'actuals')),
+  rollover_adjustment_percent DECIMAL(6,2),
+  categories_created INTEGER NOT NULL DEFAULT 0,
+  notes TEXT,
+  closed_by UUID REFERENCES auth.users(id),
+  closed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  reopened_by UUID REFERENCES auth.users(id),
+  reopened_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(org_id, fiscal_year),
+  CONSTRAINT fiscal_year_closes_valid_dates CHECK (end_date > start_date)
+);
+
+CREATE TABLE IF NOT EXISTS fiscal_year_balances (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  close_id UUID NOT NULL REFERENCES fiscal_year_closes(id) ON DELETE CASCADE,
+  fiscal_year INTEGER NOT NULL,
+  account_name VARCHAR(255) NOT NULL,
+  opening_balance DECIMAL(12,2) NOT NULL DEFAULT 0,
+  total_income DECIMAL(12,2) NOT NULL DEFAULT 0,
+  total_expenses DECIMAL(12,2) NOT NULL DEFAULT 0,
+  ending_balance DECIMAL(12,2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(close_id, account_name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fiscal_year_closes_org_dates ON fiscal_year_closes(org_id, start_date, end_date) WHERE status = 'closed';
+CREATE INDEX IF NOT EXISTS idx_fiscal_year_balances_org_year ON fiscal_year_balances(org_id, fiscal_year);
+
+-- Add RLS policies
+ALTER TABLE fiscal_year_closes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE fiscal_year_balances ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view fiscal year closes for their organization" ON fiscal_year_closes
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Board members and above can close fiscal years" ON fiscal_year_closes
+  FOR ALL USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member')
+    )
+  );
+
+CREATE POLICY "Users can view fiscal year balances for their organization" ON fiscal_year_balances
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Board members and above can record fiscal year balances" ON fiscal_year_balances
+  FOR ALL USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member')
+    )
+  );
+
+-- Add triggers for updated_at
+CREATE TRIGGER update_fiscal_year_closes_updated_at BEFORE UPDATE ON fiscal_year_closes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,174 @@
+-- Migration for the double-entry ledger with restricted funds
+--
+-- Every journal entry has lines that debit or credit a ledger account, and
+-- its debits equal its credits. Each line also belongs to a fund: the
+-- unrestricted General Fund or a fund holding donor-restricted money (the
+-- playground fund), so restricted money is never mixed with general funds.
+--
+-- Approved expenses, completed donations, deposits and other transactions,
+-- and paid reimbursement payouts are posted to the ledger automatically.
+-- Posted entries carry their source; when a source changes, its entry is
+-- reversed and posted again rather than edited. Manual entries (opening
+-- balances, corrections) are posted by the treasurer.
+
+-- =====================================================
+-- 1. CHART OF ACCOUNTS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS ledger_accounts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  code VARCHAR(20) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  account_type VARCHAR(20) NOT NULL CHECK (account_type IN ('asset', 'liability', 'net_assets', 'income', 'expense')),
+  -- Accounts the automatic postings use; one of each per organization
+  system_role VARCHAR(50) CHECK (system_role IN (
+    'bank', 'reimbursements_payable', 'unrestricted_net_assets', 'restricted_net_assets',
+    'donation_income', 'other_income', 'general_expense'
+  )),
+  description TEXT,
+  is_active BOOLEAN DEFAULT true,
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT ledger_accounts_org_code_unique UNIQUE (org_id, code)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ledger_accounts_system_role ON ledger_accounts(org_id, system_role)
+  WHERE system_role IS NOT NULL;
+
+-- Income and expense postings use the account of the budget category, when set
+ALTER TABLE budget_categories
+ADD COLUMN IF NOT EXISTS ledger_account_id UUID REFERENCES ledger_accounts(id) ON DELETE SET NULL;
+
+-- =====================================================
+-- 2. FUNDS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS ledger_funds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  restriction VARCHAR(20) NOT NULL DEFAULT 'unrestricted' CHECK (restriction IN ('unrestricted', 'restricted')),
+  purpose TEXT,
+  -- Donations and income for this campaign go to the fund unless they name another
+  campaign_id UUID REFERENCES fundraising_campaigns(id) ON DELETE SET NULL,
+  is_default BOOLEAN DEFAULT false,
+  is_active BOOLEAN DEFAULT true,
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT ledger_funds_org_name_unique UNIQUE (org_id, name),
+  CONSTRAINT ledger_funds_default_unrestricted CHECK (NOT is_default OR restriction = 'unrestricted')
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ledger_funds_default ON ledger_funds(org_id) WHERE is_default;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ledger_funds_campaign ON ledger_funds(campaign_id) WHERE campaign_id IS NOT NULL;
+
+ALTER TABLE expense_submissions
+ADD COLUMN IF NOT EXISTS fund_id UUID REFERENCES ledger_funds(id) ON DELETE SET NULL;
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS fund_id UUID REFERENCES ledger_funds(id) ON DELETE SET NULL;
+
+ALTER TABLE donations
+ADD COLUMN IF NOT EXISTS fund_id UUID REFERENCES ledger_funds(id) ON DELETE SET NULL;
+
+-- =====================================================
+-- 3. JOURNAL ENTRIES
+-- =====================================================
+CREATE TABLE IF NOT EXISTS journal_entries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  entry_date DATE NOT NULL,
+  memo TEXT,
+  source_type VARCHAR(30) NOT NULL DEFAULT 'manual'
+    CHECK (source_type IN ('manual', 'expense', 'donation', 'transaction', 'reimbursement_payout')),
+  source_id UUID,
+  reversal_of UUID REFERENCES journal_entries(id),
+  reversed_by UUID REFERENCES journal_entries(id),
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- A source has one live (not reversed) entry at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_journal_entries_live_source ON journal_entries(org_id, source_type, source_id)
+  WHERE source_id IS NOT NULL AND reversal_of IS NULL AND reversed_by IS NULL;
+
+CREATE TABLE IF NOT EXISTS journal_lines (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  entry_id UUID NOT NULL REFERENCES journal_entries(id) ON DELETE CASCADE,
+  account_id UUID NOT NULL REFERENCES ledger_accounts(id),
+  fund_id UUID NOT NULL REFERENCES ledger_funds(id),
+  debit DECIMAL(12,2) NOT NULL DEFAULT 0,
+  credit DECIMAL(12,2) NOT NULL DEFAULT 0,
+  memo TEXT,
+
+  CONSTRAINT journal_lines_one_side CHECK (debit >= 0 AND credit >= 0 AND (debit = 0) != (credit = 0))
+);
+
+-- =====================================================
+-- 4. INDEXES
+-- =====================================================
+CREATE INDEX IF NOT EXISTS idx_ledger_accounts_org_id ON ledger_accounts(org_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_funds_org_id ON ledger_funds(org_id);
+CREATE INDEX IF NOT EXISTS idx_journal_entries_org_date ON journal_entries(org_id, entry_date);
+CREATE INDEX IF NOT EXISTS idx_journal_lines_entry_id ON journal_lines(entry_id);
+CREATE INDEX IF NOT EXISTS idx_journal_lines_account ON journal_lines(org_id, account_id);
+CREATE INDEX IF NOT EXISTS idx_journal_lines_fund ON journal_lines(org_id, fund_id);
+
+-- =====================================================
+-- 5. ROW LEVEL SECURITY
+-- =====================================================
+ALTER TABLE ledger_accounts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ledger_funds ENABLE ROW LEVEL SECURITY;
+ALTER TABLE journal_entries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE journal_lines ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view ledger accounts for their organization" ON ledger_accounts
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can view funds for their organization" ON ledger_funds
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Budget managers can view journal entries" ON journal_entries
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'committee_lead')
+    )
+  );
+
+CREATE POLICY "Budget managers can view journal lines" ON journal_lines
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'committee_lead')
+    )
+  );
+
+-- =====================================================
+-- 6. TRIGGERS
+-- =====================================================
+CREATE TRIGGER update_ledger_accounts_updated_at BEFORE UPDATE ON ledger_accounts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_ledger_funds_updated_at BEFORE UPDATE ON ledger_funds
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,103 @@
+-- Migration for scheduled treasurer reports to school officials
+--
+-- A report schedule generates a monthly or quarterly treasurer's report on a
+-- set day, stores the snapshot in financial_reports and emails it to the
+-- organization's school officials. Each official receives the report at
+-- their permission_level (basic, detailed or full). Every email attempt is
+-- recorded in financial_report_deliveries for audit.
+
+-- =====================================================
+-- 1. REPORT SCHEDULES
+-- =====================================================
+CREATE TABLE IF NOT EXISTS financial_report_schedules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('monthly', 'quarterly')),
+  -- Day of the month after the period ends that the report goes out
+  send_day INTEGER NOT NULL DEFAULT 5 CHECK (send_day BETWEEN 1 AND 28),
+  -- NULL sends to every active official
+  official_ids UUID[],
+  is_active BOOLEAN DEFAULT true,
+  next_send_date DATE NOT NULL,
+  last_run_at TIMESTAMP WITH TIME ZONE,
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- =====================================================
+-- 2. GENERATED REPORTS
+-- =====================================================
+ALTER TABLE financial_reports
+ADD COLUMN IF NOT EXISTS schedule_id UUID REFERENCES financial_report_schedules(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS period_type VARCHAR(20) CHECK (period_type IN ('monthly', 'quarterly', 'custom'));
+
+-- =====================================================
+-- 3. DELIVERIES
+-- =====================================================
+-- Email and permission level are copied so the record survives edits to the official
+CREATE TABLE IF NOT EXISTS financial_report_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  report_id UUID NOT NULL REFERENCES financial_reports(id) ON DELETE CASCADE,
+  official_id UUID REFERENCES school_officials(id) ON DELETE SET NULL,
+  official_name VARCHAR(255),
+  email VARCHAR(255) NOT NULL,
+  permission_level VARCHAR(50) NOT NULL CHECK (permission_level IN ('basic', 'detailed', 'full')),
+  status VARCHAR(20) NOT NULL CHECK (status IN ('sent', 'failed')),
+  error TEXT,
+  sent_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- =====================================================
+-- 4. INDEXES
+-- =====================================================
+CREATE INDEX IF NOT EXISTS idx_financial_report_schedules_due ON financial_report_schedules(next_send_date) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_financial_report_schedules_org_id ON financial_report_schedules(org_id);
+CREATE INDEX IF NOT EXISTS idx_financial_reports_schedule_id ON financial_reports(schedule_id);
+CREATE INDEX IF NOT EXISTS idx_financial_report_deliveries_report_id ON financial_report_deliveries(report_id);
+CREATE INDEX IF NOT EXISTS idx_financial_report_deliveries_official_id ON financial_report_deliveries(official_id);
+
+-- =====================================================
+-- 5. ROW LEVEL SECURITY
+-- =====================================================
+ALTER TABLE financial_report_schedules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE financial_report_deliveries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Budget managers can view report schedules" ON financial_report_schedules
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'committee_lead')
+    )
+  );
+
+CREATE POLICY "Admins and board members can manage report schedules" ON financial_report_schedules
+  FOR ALL USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member')
+    )
+  );
+
+CREATE POLICY "Budget managers can view report deliveries" ON financial_report_deliveries
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'committee_lead')
+    )
+  );
+
+-- =====================================================
+-- 6. TRIGGERS
+-- =====================================================
+CREATE TRIGGER update_financial_report_schedules_updated_at BEFORE UPDATE ON financial_report_schedules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
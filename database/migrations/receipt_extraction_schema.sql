@@ -0,0 +1,19 @@
+-- Migration for receipt data extraction
+--
+-- Receipts uploaded with an expense are read by the configured extractor
+-- (RECEIPT_EXTRACTOR, default the offline 'local' one). receipt_extraction
+-- keeps what was read from each receipt with per-field confidence scores and
+-- which fields were pre-filled from it. receipt_amount_mismatch flags a typed
+-- amount that doesn't match the receipt total, so approvers look twice.
+--
+-- Receipts can now be PDFs as well as images; the 'expense-receipts' storage
+-- bucket must allow application/pdf.
+
+ALTER TABLE expense_submissions
+ADD COLUMN IF NOT EXISTS line_items JSONB DEFAULT '[]',
+ADD COLUMN IF NOT EXISTS receipt_extraction JSONB,
+ADD COLUMN IF NOT EXISTS receipt_total DECIMAL(10,2),
+ADD COLUMN IF NOT EXISTS receipt_amount_mismatch BOOLEAN DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_expense_submissions_amount_mismatch ON expense_submissions(org_id)
+  WHERE receipt_amount_mismatch = TRUE;
@@ -0,0 +1,27 @@
+-- Migration for reconciliation matching
+--
+-- A bank line is matched to one or more book items: ledger transactions, or
+-- approved expense submissions that haven't been posted to the ledger. Each
+-- pairing is a matched_transactions row, so a deposit covering several
+-- donations has one row per donation. A book item can only be matched once.
+
+ALTER TABLE matched_transactions
+ADD COLUMN IF NOT EXISTS org_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS transaction_id UUID REFERENCES transactions(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS expense_submission_id UUID REFERENCES expense_submissions(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS amount DECIMAL(12,2),
+ADD COLUMN IF NOT EXISTS match_type VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (match_type IN ('manual', 'auto')),
+ADD COLUMN IF NOT EXISTS confidence DECIMAL(4,3) CHECK (confidence IS NULL OR (confidence >= 0 AND confidence <= 1)),
+ADD COLUMN IF NOT EXISTS matched_by UUID REFERENCES auth.users(id);
+
+UPDATE matched_transactions mt
+SET org_id = r.org_id
+FROM reconciliations r
+WHERE mt.reconciliation_id = r.id AND mt.org_id IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_matched_transactions_transaction ON matched_transactions(transaction_id)
+  WHERE transaction_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_matched_transactions_expense_submission ON matched_transactions(expense_submission_id)
+  WHERE expense_submission_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_matched_transactions_bank_transaction ON matched_transactions(bank_transaction_id);
+CREATE INDEX IF NOT EXISTS idx_matched_transactions_reconciliation_id ON matched_transactions(reconciliation_id);
@@ -0,0 +1,36 @@
+-- Migration for reconciliation sign-off
+--
+-- A reconciliation is prepared (in_progress), submitted for review once the
+-- adjusted bank balance equals the book balance (pending_review), and
+-- completed when a second officer signs off. The figures at submission are
+-- kept in report. Completed reconciliations lock their month: ledger
+-- transactions dated in it can't be added, changed or deleted until an admin
+-- reopens the reconciliation.
+
+ALTER TABLE reconciliations
+ADD COLUMN IF NOT EXISTS statement_opening_balance DECIMAL(12,2),
+ADD COLUMN IF NOT EXISTS statement_ending_balance DECIMAL(12,2),
+ADD COLUMN IF NOT EXISTS book_opening_balance DECIMAL(12,2),
+ADD COLUMN IF NOT EXISTS book_balance DECIMAL(12,2),
+ADD COLUMN IF NOT EXISTS adjusted_bank_balance DECIMAL(12,2),
+ADD COLUMN IF NOT EXISTS difference DECIMAL(12,2),
+ADD COLUMN IF NOT EXISTS report JSONB,
+ADD COLUMN IF NOT EXISTS prepared_by UUID REFERENCES auth.users(id),
+ADD COLUMN IF NOT EXISTS prepared_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES auth.users(id),
+ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS review_notes TEXT,
+ADD COLUMN IF NOT EXISTS reopened_by UUID REFERENCES auth.users(id),
+ADD COLUMN IF NOT EXISTS reopened_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE reconciliations DROP CONSTRAINT IF EXISTS reconciliations_status_check;
+ALTER TABLE reconciliations ADD CONSTRAINT reconciliations_status_check
+  CHECK (status IN ('in_progress', 'pending_review', 'completed'));
+
+-- Two-person review: whoever prepared a reconciliation can't sign it off
+ALTER TABLE reconciliations DROP CONSTRAINT IF EXISTS reconciliations_reviewer_check;
+ALTER TABLE reconciliations ADD CONSTRAINT reconciliations_reviewer_check
+  CHECK (reviewed_by IS NULL OR prepared_by IS NULL OR reviewed_by <> prepared_by);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliations_org_period ON reconciliations(org_id, year, month);
+CREATE INDEX IF NOT EXISTS idx_reconciliations_completed ON reconciliations(org_id) WHERE status = 'completed';
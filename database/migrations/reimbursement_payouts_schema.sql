@@ -0,0 +1,141 @@
+-- Migration for reimbursement payouts
+--
+-- Approved expenses are paid back in batches. A batch has one payout per
+-- payee (the volunteer who submitted the expenses) covering all of their
+-- expenses in it; reimbursement_payout_items records which expenses each
+-- payout covered, including payouts that were later voided. A paid payout is
+-- a book item for bank reconciliation and is linked to the bank transaction
+-- that cleared it.
+
+-- =====================================================
+-- 1. REIMBURSEMENT BATCHES
+-- =====================================================
+CREATE TABLE IF NOT EXISTS reimbursement_batches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  payment_date DATE,
+  notes TEXT,
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- =====================================================
+-- 2. PAYOUTS (one per payee per batch)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS reimbursement_payouts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  batch_id UUID NOT NULL REFERENCES reimbursement_batches(id) ON DELETE CASCADE,
+  payee_id UUID NOT NULL REFERENCES auth.users(id),
+  payee_name VARCHAR(255),
+  amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+  payment_method VARCHAR(20) NOT NULL DEFAULT 'check'
+    CHECK (payment_method IN ('check', 'cash', 'ach', 'zelle', 'venmo', 'paypal', 'other')),
+  check_number VARCHAR(50),
+  reference VARCHAR(255),
+  memo TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'voided')),
+  paid_date DATE,
+  paid_by UUID REFERENCES auth.users(id),
+  voided_at TIMESTAMP WITH TIME ZONE,
+  voided_by UUID REFERENCES auth.users(id),
+  void_reason TEXT,
+  bank_transaction_id UUID REFERENCES bank_transactions(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT reimbursement_payouts_paid_logic CHECK (status != 'paid' OR paid_date IS NOT NULL)
+);
+
+CREATE TABLE IF NOT EXISTS reimbursement_payout_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  payout_id UUID NOT NULL REFERENCES reimbursement_payouts(id) ON DELETE CASCADE,
+  expense_submission_id UUID NOT NULL REFERENCES expense_submissions(id) ON DELETE CASCADE,
+  amount DECIMAL(10,2) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(payout_id, expense_submission_id)
+);
+
+-- =====================================================
+-- 3. EXPENSE SUBMISSIONS
+-- =====================================================
+-- reimbursement_payout_id is the live (not voided) payout covering the expense
+ALTER TABLE expense_submissions
+ADD COLUMN IF NOT EXISTS reimbursement_payout_id UUID REFERENCES reimbursement_payouts(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS reimbursement_status VARCHAR(20) DEFAULT 'unpaid'
+  CHECK (reimbursement_status IN ('unpaid', 'scheduled', 'paid'));
+
+-- =====================================================
+-- 4. RECONCILIATION MATCHES
+-- =====================================================
+ALTER TABLE matched_transactions
+ADD COLUMN IF NOT EXISTS reimbursement_payout_id UUID REFERENCES reimbursement_payouts(id) ON DELETE CASCADE;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_matched_transactions_reimbursement_payout ON matched_transactions(reimbursement_payout_id)
+  WHERE reimbursement_payout_id IS NOT NULL;
+
+-- =====================================================
+-- 5. INDEXES
+-- =====================================================
+CREATE INDEX IF NOT EXISTS idx_reimbursement_batches_org_id ON reimbursement_batches(org_id);
+CREATE INDEX IF NOT EXISTS idx_reimbursement_payouts_batch_id ON reimbursement_payouts(batch_id);
+CREATE INDEX IF NOT EXISTS idx_reimbursement_payouts_payee ON reimbursement_payouts(org_id, payee_id);
+CREATE INDEX IF NOT EXISTS idx_reimbursement_payouts_paid_date ON reimbursement_payouts(org_id, paid_date) WHERE status = 'paid';
+CREATE INDEX IF NOT EXISTS idx_reimbursement_payout_items_expense ON reimbursement_payout_items(expense_submission_id);
+CREATE INDEX IF NOT EXISTS idx_expense_submissions_unpaid ON expense_submissions(org_id)
+  WHERE status = 'approved' AND reimbursement_payout_id IS NULL;
+
+-- A check number is used once, unless the check was voided
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reimbursement_payouts_check_number ON reimbursement_payouts(org_id, check_number)
+  WHERE payment_method = 'check' AND check_number IS NOT NULL AND status != 'voided';
+
+-- =====================================================
+-- 6. ROW LEVEL SECURITY
+-- =====================================================
+ALTER TABLE reimbursement_batches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reimbursement_payouts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reimbursement_payout_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Budget managers can view reimbursement batches" ON reimbursement_batches
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'committee_lead')
+    )
+  );
+
+CREATE POLICY "Payees and budget managers can view payouts" ON reimbursement_payouts
+  FOR SELECT USING (
+    payee_id = auth.uid() OR
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'committee_lead')
+    )
+  );
+
+CREATE POLICY "Payees and budget managers can view payout items" ON reimbursement_payout_items
+  FOR SELECT USING (
+    payout_id IN (SELECT id FROM reimbursement_payouts WHERE payee_id = auth.uid()) OR
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'committee_lead')
+    )
+  );
+
+-- =====================================================
+-- 7. TRIGGERS
+-- =====================================================
+CREATE TRIGGER update_reimbursement_batches_updated_at BEFORE UPDATE ON reimbursement_batches
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_reimbursement_payouts_updated_at BEFORE UPDATE ON reimbursement_payouts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
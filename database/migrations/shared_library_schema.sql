@@ -0,0 +1,74 @@
+-- Migration for adopting shared-library templates
+--
+-- Any share_public event or fundraiser can be adopted by another organization,
+-- which clones it into their workspace. Each adoption is recorded so the
+-- library can show usage counts, and only organizations that adopted an item
+-- may rate it. Copies keep a pointer to the item they came from for
+-- attribution.
+
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS adopted_from_id UUID REFERENCES events(id) ON DELETE SET NULL;
+
+ALTER TABLE fundraisers
+ADD COLUMN IF NOT EXISTS adopted_from_id UUID REFERENCES fundraisers(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS shared_template_adoptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  source_type VARCHAR(20) NOT NULL CHECK (source_type IN ('event', 'fundraiser')),
+  source_id UUID NOT NULL,
+  source_org_id UUID REFERENCES organizations(id) ON DELETE SET NULL,
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  copy_id UUID NOT NULL,
+  target_date DATE,
+  adopted_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS shared_template_ratings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  source_type VARCHAR(20) NOT NULL CHECK (source_type IN ('event', 'fundraiser')),
+  source_id UUID NOT NULL,
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  comment TEXT,
+  rated_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  -- One rating per adopting organization
+  UNIQUE(source_type, source_id, org_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shared_template_adoptions_source ON shared_template_adoptions(source_type, source_id);
+CREATE INDEX IF NOT EXISTS idx_shared_template_adoptions_org_id ON shared_template_adoptions(org_id);
+CREATE INDEX IF NOT EXISTS idx_shared_template_ratings_source ON shared_template_ratings(source_type, source_id);
+
+-- Add RLS policies
+ALTER TABLE shared_template_adoptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE shared_template_ratings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view adoptions by their organization" ON shared_template_adoptions
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Authenticated users can view template ratings" ON shared_template_ratings
+  FOR SELECT USING (auth.uid() IS NOT NULL);
+
+CREATE POLICY "Committee leads and above can rate templates" ON shared_template_ratings
+  FOR ALL USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'committee_lead')
+    )
+  );
+
+-- Add triggers for updated_at
+CREATE TRIGGER update_shared_template_ratings_updated_at BEFORE UPDATE ON shared_template_ratings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,135 @@
+-- Migration for volunteer shift sign-ups
+--
+-- events.volunteer_roles stays as the planning-time blob ({role, count,
+-- description}); it can be imported into real roles here. Each role has one
+-- or more time-slot shifts with a capacity. Sign-ups beyond capacity join a
+-- waitlist and are promoted in sign-up order when a confirmed slot opens.
+
+CREATE TABLE IF NOT EXISTS event_volunteer_roles (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(event_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS volunteer_shifts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  role_id UUID NOT NULL REFERENCES event_volunteer_roles(id) ON DELETE CASCADE,
+  shift_date DATE NOT NULL,
+  start_time TIME,
+  end_time TIME,
+  capacity INTEGER NOT NULL CHECK (capacity > 0),
+  notes TEXT,
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT volunteer_shifts_time_order CHECK (
+    start_time IS NULL OR end_time IS NULL OR end_time > start_time
+  )
+);
+
+CREATE TABLE IF NOT EXISTS volunteer_signups (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  shift_id UUID NOT NULL REFERENCES volunteer_shifts(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('confirmed', 'waitlisted', 'cancelled')),
+  assigned_by UUID REFERENCES auth.users(id),
+  note TEXT,
+  signed_up_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  confirmed_at TIMESTAMP WITH TIME ZONE,
+  promoted_at TIMESTAMP WITH TIME ZONE,
+  cancelled_at TIMESTAMP WITH TIME ZONE,
+  cancelled_by UUID REFERENCES auth.users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_volunteer_roles_event_id ON event_volunteer_roles(event_id);
+CREATE INDEX IF NOT EXISTS idx_volunteer_shifts_event_id ON volunteer_shifts(event_id);
+CREATE INDEX IF NOT EXISTS idx_volunteer_shifts_role_id ON volunteer_shifts(role_id);
+CREATE INDEX IF NOT EXISTS idx_volunteer_signups_shift_id ON volunteer_signups(shift_id, status, signed_up_at);
+CREATE INDEX IF NOT EXISTS idx_volunteer_signups_user_id ON volunteer_signups(user_id);
+
+-- One active (confirmed or waitlisted) sign-up per person per shift
+CREATE UNIQUE INDEX IF NOT EXISTS idx_volunteer_signups_active
+  ON volunteer_signups(shift_id, user_id)
+  WHERE status IN ('confirmed', 'waitlisted');
+
+-- In-app notifications (waitlist promotions, reminders) need a subject and body
+ALTER TABLE notifications
+ADD COLUMN IF NOT EXISTS type VARCHAR(50),
+ADD COLUMN IF NOT EXISTS title VARCHAR(255),
+ADD COLUMN IF NOT EXISTS message TEXT,
+ADD COLUMN IF NOT EXISTS link TEXT;
+
+-- Add RLS policies
+ALTER TABLE event_volunteer_roles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE volunteer_shifts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE volunteer_signups ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view volunteer roles in their organization" ON event_volunteer_roles
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Committee leads and above can manage volunteer roles" ON event_volunteer_roles
+  FOR ALL USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'committee_lead')
+    )
+  );
+
+CREATE POLICY "Users can view volunteer shifts in their organization" ON volunteer_shifts
+  FOR SELECT USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Committee leads and above can manage volunteer shifts" ON volunteer_shifts
+  FOR ALL USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'committee_lead')
+    )
+  );
+
+CREATE POLICY "Users can manage their own volunteer sign-ups" ON volunteer_signups
+  FOR ALL USING (user_id = auth.uid());
+
+CREATE POLICY "Committee leads and above can manage volunteer sign-ups" ON volunteer_signups
+  FOR ALL USING (
+    org_id IN (
+      SELECT ur.organization_id FROM user_roles ur
+      JOIN user_profiles up ON ur.user_id = up.user_id
+      WHERE up.user_id = auth.uid()
+      AND ur.role_type IN ('admin', 'board_member', 'committee_lead')
+    )
+  );
+
+-- Add triggers for updated_at
+CREATE TRIGGER update_event_volunteer_roles_updated_at BEFORE UPDATE ON event_volunteer_roles
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_volunteer_shifts_updated_at BEFORE UPDATE ON volunteer_shifts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
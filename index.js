@@ -41,6 +41,10 @@ import { apiCache } from './routes/middleware/apiCaching.js';
 
 // Global middleware
 app.use(cors(corsOptions))
+
+// Stripe webhook (must use raw body middleware, so it is registered before express.json)
+app.post('/api/stripe/webhook', express.raw({ type: 'application/json' }), stripeWebhookHandler)
+
 app.use(express.json())
 
 // Apply security and performance middleware to all routes
@@ -62,13 +66,33 @@ import getPricesRoute from './routes/stripe/getPrices.js' // ✅ NEW ROUTE
 
 import eventRoutes from './routes/event/event.js'
 import generateEventIdeaRoutes from './routes/event/generateEventIdea.js'
+import calendarFeedRoutes from './routes/event/calendarFeed.js'
+import volunteerShiftRoutes from './routes/event/volunteerShifts.js'
+import ticketingRoutes from './routes/event/ticketing.js'
+import checkinRoutes from './routes/event/checkin.js'
+import eventTaskRoutes from './routes/event/tasks.js'
+import resourceRoutes from './routes/event/resources.js'
 
 import fundraiserRoutes from './routes/fundraiser/fundraiser.js'
 import fundraiserAnalyticsRoutes from './routes/fundraiser/analytics.js'
 import budgetRoutes from './routes/budget/budget.js'
 import budgetCategoryRoutes from './routes/budget/categories.js'
+import budgetPlanRoutes from './routes/budget/plans.js'
+import fiscalYearRoutes from './routes/budget/fiscalYears.js'
 import expenseRoutes from './routes/expenses/expenses.js'
+import approvalWorkflowRoutes from './routes/expenses/approvalWorkflows.js'
+import reimbursementRoutes from './routes/expenses/reimbursements.js'
 import reconciliationRoutes from './routes/budget/reconciliation.js'
+import ledgerRoutes from './routes/budget/ledger.js'
+import bankAccountRoutes from './routes/budget/bankAccounts.js'
+import officialReportRoutes from './routes/budget/officialReports.js'
+import accountingExportRoutes from './routes/budget/accountingExports.js'
+
+// Scheduled jobs register themselves on import
+import { startScheduledJobs } from './routes/jobs/scheduler.js'
+import './routes/jobs/taskReminders.js'
+import './routes/jobs/approvalEscalations.js'
+import './routes/jobs/officialReports.js'
 
 import messageRoutes from './routes/communication/message.js'
 import communicationRoutes from './routes/communication/index.js'
@@ -97,18 +121,29 @@ app.use('/api', monitoringRoutes) // Performance monitoring routes
 app.use('/api/stripe', stripeRoutes)
 app.use('/api/stripe', getPricesRoute) // ✅ Mount getPrices under /api/stripe
 
-// Stripe webhook (must use raw body middleware)
-app.post('/api/stripe/webhook', express.raw({ type: 'application/json' }), stripeWebhookHandler)
-
 app.use('/api/event', eventRoutes)
 app.use('/api/event-ideas', generateEventIdeaRoutes)
+app.use('/api/calendar', calendarFeedRoutes)
+app.use('/api/volunteers', volunteerShiftRoutes)
+app.use('/api/tickets', ticketingRoutes)
+app.use('/api/checkin', checkinRoutes)
+app.use('/api/tasks', eventTaskRoutes)
+app.use('/api/resources', resourceRoutes)
 
 app.use('/api/fundraiser', fundraiserRoutes)
 app.use('/api/fundraiser', enhancedFundraiserRoutes)
 app.use('/api/fundraiser/analytics', fundraiserAnalyticsRoutes)
 app.use('/api/budget', budgetRoutes)
 app.use('/api/budget/categories', budgetCategoryRoutes)
+app.use('/api/budget/plans', budgetPlanRoutes)
+app.use('/api/budget/fiscal-years', fiscalYearRoutes)
 app.use('/api/budget/reconciliation', reconciliationRoutes)
+app.use('/api/budget/ledger', ledgerRoutes)
+app.use('/api/budget/bank-accounts', bankAccountRoutes)
+app.use('/api/budget/official-reports', officialReportRoutes)
+app.use('/api/budget/accounting-exports', accountingExportRoutes)
+app.use('/api/expenses/approval-workflows', approvalWorkflowRoutes)
+app.use('/api/expenses/reimbursements', reimbursementRoutes)
 app.use('/api/expenses', expenseRoutes)
 
 app.use('/api/messages', messageRoutes)
@@ -151,4 +186,5 @@ app.listen(PORT, () => {
   console.log(`🚀 Server is running on port ${PORT}`)
   console.log(`📚 API Documentation available at: http://localhost:${PORT}/api/docs`)
   console.log(`🔍 Health check available at: http://localhost:${PORT}/api/health`)
+  startScheduledJobs()
 })
@@ -0,0 +1,173 @@
+import express from 'express';
+import { supabase } from '../util/verifySupabaseToken.js';
+import { getUserOrgContext } from '../middleware/organizationalContext.js';
+import { canManageBudget } from '../middleware/roleBasedAccess.js';
+import { ValidationError, ConflictError } from '../middleware/errorHandler.js';
+import { fetchOrgRow } from '../util/orgRecords.js';
+import { sendExport } from '../util/reportExport.js';
+import {
+  EXPORT_FORMATS,
+  loadAccountMappings,
+  saveAccountMappings,
+  parseExportRange,
+  buildExportItems,
+  createAccountingExport,
+  renderAccountingExport
+} from '../util/accountingExport.js';
+
+const router = express.Router();
+
+// =====================================================
+// ACCOUNT MAPPING ENDPOINTS
+// =====================================================
+
+// GET /api/budget/accounting-exports/mappings - Budget categories and bank accounts with the account each exports to (committee lead+ required)
+router.get('/mappings', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const mappings = await loadAccountMappings(req.orgId);
+
+    res.json({
+      success: true,
+      data: mappings
+    });
+  } catch (err) {
+    console.error('[accountingExports.js] GET /mappings error:', err.message);
+    res.status(500).json({ error: 'Failed to load account mappings' });
+  }
+});
+
+// PUT /api/budget/accounting-exports/mappings - Map categories and bank accounts to the chart of accounts (committee lead+ required)
+// Body: mappings [{ budget_category_id | bank_account_id, account_name, account_code }]; an empty account_name removes the mapping
+router.put('/mappings', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const result = await saveAccountMappings(req.orgId, req.body.mappings, req.user.id);
+
+    console.log(`✅ Account mappings updated for org ${req.orgId} by user ${req.user.id} (${result.saved} saved, ${result.removed} removed)`);
+    res.json({
+      success: true,
+      data: await loadAccountMappings(req.orgId),
+      message: 'Account mappings saved successfully'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[accountingExports.js] PUT /mappings error:', err.message);
+    res.status(500).json({ error: 'Failed to save account mappings' });
+  }
+});
+
+// =====================================================
+// EXPORT ENDPOINTS
+// =====================================================
+
+// GET /api/budget/accounting-exports/preview - What an export of a period would contain (committee lead+ required)
+// Query: from, to (YYYY-MM-DD), include_exported (true to also list records already exported)
+router.get('/preview', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const range = parseExportRange(req.query);
+    const preview = await buildExportItems(req.orgId, range, { includeExported: req.query.include_exported === 'true' });
+
+    res.json({
+      success: true,
+      data: { ...range, ...preview }
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[accountingExports.js] GET /preview error:', err.message);
+    res.status(500).json({ error: 'Failed to preview accounting export' });
+  }
+});
+
+// GET /api/budget/accounting-exports - Past exports, newest first (committee lead+ required)
+router.get('/', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const { data: exports, error } = await supabase
+      .from('accounting_exports')
+      .select('*')
+      .eq('org_id', req.orgId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: exports,
+      formats: EXPORT_FORMATS
+    });
+  } catch (err) {
+    console.error('[accountingExports.js] GET / error:', err.message);
+    res.status(500).json({ error: 'Failed to load accounting exports' });
+  }
+});
+
+// POST /api/budget/accounting-exports - Export everything in a period not exported yet (committee lead+ required)
+// Body: format (quickbooks_iif|quickbooks_online_csv|xero_csv), from, to (YYYY-MM-DD)
+router.post('/', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const record = await createAccountingExport(req.orgId, req.body, req.user.id);
+
+    console.log(`✅ Accounting export ${record.id} (${record.export_format}, ${record.item_count} records) created for org ${req.orgId} by user ${req.user.id}`);
+    res.status(201).json({
+      success: true,
+      data: record,
+      message: 'Accounting export created successfully'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('[accountingExports.js] POST / error:', err.message);
+    res.status(500).json({ error: 'Failed to create accounting export' });
+  }
+});
+
+// GET /api/budget/accounting-exports/:id/download - Download an export's import file (committee lead+ required)
+router.get('/:id/download', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const { row: record, status, error: lookupError } = await fetchOrgRow('accounting_exports', req.params.id, req.orgId, 'Accounting export');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const file = await renderAccountingExport(record);
+    const { extension } = EXPORT_FORMATS[record.export_format];
+    sendExport(res, file, extension, `${record.export_format.replace(/_/g, '-')}-${record.period_start}-to-${record.period_end}`);
+  } catch (err) {
+    console.error('[accountingExports.js] GET /:id/download error:', err.message);
+    res.status(500).json({ error: 'Failed to download accounting export' });
+  }
+});
+
+// DELETE /api/budget/accounting-exports/:id - Delete an export so its records can be exported again (committee lead+ required)
+router.delete('/:id', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const { row: record, status, error: lookupError } = await fetchOrgRow('accounting_exports', req.params.id, req.orgId, 'Accounting export');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    // Its accounting_export_items go with it
+    const { error } = await supabase
+      .from('accounting_exports')
+      .delete()
+      .eq('id', record.id)
+      .eq('org_id', req.orgId);
+
+    if (error) throw error;
+
+    console.log(`✅ Accounting export ${record.id} deleted from org ${req.orgId} by user ${req.user.id}`);
+    res.status(204).send();
+  } catch (err) {
+    console.error('[accountingExports.js] DELETE /:id error:', err.message);
+    res.status(500).json({ error: 'Failed to delete accounting export' });
+  }
+});
+
+console.log('[accountingExports.js] Accounting export routes loaded successfully');
+export default router;
@@ -0,0 +1,226 @@
+import express from 'express';
+import { getUserOrgContext } from '../middleware/organizationalContext.js';
+import { canManageBudget } from '../middleware/roleBasedAccess.js';
+import { ValidationError, ConflictError } from '../middleware/errorHandler.js';
+import { fetchOrgRow } from '../util/orgRecords.js';
+import { EXPORT_CONTENT_TYPES, sendExport } from '../util/reportExport.js';
+import { syncLedger } from '../util/ledger.js';
+import {
+  ensureBankAccounts,
+  createBankAccount,
+  updateBankAccount,
+  createTransfer,
+  deleteTransfer,
+  listTransfers,
+  buildAccountBalances,
+  buildAccountRegister,
+  buildBalanceHistory,
+  renderAccountRegister
+} from '../util/bankAccounts.js';
+
+const router = express.Router();
+
+// =====================================================
+// BANK ACCOUNT ENDPOINTS
+// =====================================================
+
+// GET /api/budget/bank-accounts - Accounts with their current balances (committee lead+ required)
+// Query: as_of (YYYY-MM-DD, default today)
+router.get('/', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const asOf = req.query.as_of || undefined;
+    if (asOf && !/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+      return res.status(400).json({ error: 'as_of must be YYYY-MM-DD', field: 'as_of' });
+    }
+
+    await syncLedger(req.orgId);
+    const accounts = await buildAccountBalances(req.orgId, null, asOf);
+    const total = accounts.reduce((sum, account) => sum + Math.round(account.balance * 100), 0) / 100;
+
+    res.json({
+      success: true,
+      data: { accounts, total }
+    });
+  } catch (err) {
+    console.error('[bankAccounts.js] GET / error:', err.message);
+    res.status(500).json({ error: 'Failed to load bank accounts' });
+  }
+});
+
+// POST /api/budget/bank-accounts - Add a bank account (committee lead+ required)
+// Body: name, account_kind (checking|savings|paypal|cash|other), institution, account_number_last4,
+// opening_balance, opening_date (the balance on that date, e.g. from the first statement)
+router.post('/', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const account = await createBankAccount(req.orgId, req.body, req.user.id);
+
+    console.log(`✅ Bank account "${account.name}" created for org ${req.orgId} by user ${req.user.id}`);
+    res.status(201).json({
+      success: true,
+      data: account,
+      message: 'Bank account created successfully'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('[bankAccounts.js] POST / error:', err.message);
+    res.status(500).json({ error: 'Failed to create bank account' });
+  }
+});
+
+// GET /api/budget/bank-accounts/balance-history - Month-end balance of each account (committee lead+ required)
+// Query: from, to (YYYY-MM-DD, default the last 12 months)
+router.get('/balance-history', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    await syncLedger(req.orgId);
+    const history = await buildBalanceHistory(req.orgId, req.query);
+
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[bankAccounts.js] GET /balance-history error:', err.message);
+    res.status(500).json({ error: 'Failed to load balance history' });
+  }
+});
+
+// GET /api/budget/bank-accounts/transfers - Transfers between accounts, newest first (committee lead+ required)
+// Query: from, to (YYYY-MM-DD), bank_account_id
+router.get('/transfers', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const transfers = await listTransfers(req.orgId, req.query);
+
+    res.json({
+      success: true,
+      data: transfers
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[bankAccounts.js] GET /transfers error:', err.message);
+    res.status(500).json({ error: 'Failed to load transfers' });
+  }
+});
+
+// POST /api/budget/bank-accounts/transfers - Move money between two accounts (committee lead+ required)
+// Body: from_account_id, to_account_id, amount, transfer_date, memo
+router.post('/transfers', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const transfer = await createTransfer(req.orgId, req.body, req.user.id);
+
+    console.log(`✅ Transfer ${transfer.id} of ${transfer.amount} recorded for org ${req.orgId} by user ${req.user.id}`);
+    res.status(201).json({
+      success: true,
+      data: transfer,
+      message: `Transfer from ${transfer.from_account_name} to ${transfer.to_account_name} recorded`
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('[bankAccounts.js] POST /transfers error:', err.message);
+    res.status(500).json({ error: 'Failed to record transfer' });
+  }
+});
+
+// DELETE /api/budget/bank-accounts/transfers/:transferId - Delete a transfer and both its transactions (committee lead+ required)
+router.delete('/transfers/:transferId', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const { row: transfer, status, error: lookupError } = await fetchOrgRow('account_transfers', req.params.transferId, req.orgId, 'Transfer');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    await deleteTransfer(transfer);
+
+    console.log(`✅ Transfer ${transfer.id} deleted from org ${req.orgId} by user ${req.user.id}`);
+    res.status(204).send();
+  } catch (err) {
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('[bankAccounts.js] DELETE /transfers/:transferId error:', err.message);
+    res.status(500).json({ error: 'Failed to delete transfer' });
+  }
+});
+
+// PUT /api/budget/bank-accounts/:id - Update a bank account (committee lead+ required)
+// Body: name, account_kind, institution, account_number_last4, opening_balance, opening_date, is_active
+router.put('/:id', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const { row: account, status, error: lookupError } = await fetchOrgRow('bank_accounts', req.params.id, req.orgId, 'Bank account');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    await syncLedger(req.orgId);
+    const updated = await updateBankAccount(account, req.body);
+
+    console.log(`✅ Bank account ${account.id} updated in org ${req.orgId} by user ${req.user.id}`);
+    res.json({
+      success: true,
+      data: updated,
+      message: 'Bank account updated successfully'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('[bankAccounts.js] PUT /:id error:', err.message);
+    res.status(500).json({ error: 'Failed to update bank account' });
+  }
+});
+
+// GET /api/budget/bank-accounts/:id/register - Money in and out of an account with a running balance (committee lead+ required)
+// Query: from, to (YYYY-MM-DD), format (json|pdf|xlsx)
+router.get('/:id/register', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (format !== 'json' && !EXPORT_CONTENT_TYPES[format]) {
+      return res.status(400).json({ error: 'format must be one of: json, pdf, xlsx' });
+    }
+
+    await ensureBankAccounts(req.orgId);
+    const { row: account, status, error: lookupError } = await fetchOrgRow('bank_accounts', req.params.id, req.orgId, 'Bank account');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    await syncLedger(req.orgId);
+    const register = await buildAccountRegister(req.orgId, account, { from: req.query.from, to: req.query.to });
+
+    if (format !== 'json') {
+      const file = await renderAccountRegister(register, format);
+      return sendExport(res, file, format, `register-${account.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${new Date().toISOString().slice(0, 10)}`);
+    }
+
+    res.json({
+      success: true,
+      data: register
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[bankAccounts.js] GET /:id/register error:', err.message);
+    res.status(500).json({ error: 'Failed to build account register' });
+  }
+});
+
+console.log('[bankAccounts.js] Bank account routes loaded successfully');
+export default router;
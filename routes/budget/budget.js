@@ -2,6 +2,10 @@ import express from 'express';
 import { supabase } from '../util/verifySupabaseToken.js';
 import { getUserOrgContext, addUserOrgToBody } from '../middleware/organizationalContext.js';
 import { requireVolunteer, canManageBudget } from '../middleware/roleBasedAccess.js';
+import { ValidationError, ConflictError } from '../middleware/errorHandler.js';
+import { assertAccountDatesOpen } from '../util/fiscalYear.js';
+import { resolveFundId } from '../util/ledger.js';
+import { resolveBankAccount } from '../util/bankAccounts.js';
 
 const router = express.Router();
 
@@ -28,6 +32,7 @@ router.get('/', getUserOrgContext, requireVolunteer, async (req, res) => {
 });
 
 // POST /api/budget – Create a new transaction (committee lead+ required)
+// Body: description, amount, type, category, date, receipt_url, approved_by, fund_id, bank_account_id
 router.post('/', getUserOrgContext, addUserOrgToBody, canManageBudget, async (req, res) => {
   try {
     const {
@@ -37,9 +42,19 @@ router.post('/', getUserOrgContext, addUserOrgToBody, canManageBudget, async (re
       category,
       date,
       receipt_url,
-      approved_by
+      approved_by,
+      fund_id,
+      bank_account_id
     } = req.body;
 
+    if (type === 'transfer') {
+      return res.status(400).json({ error: 'Record transfers between accounts at /api/budget/bank-accounts/transfers', field: 'type' });
+    }
+
+    const bankAccount = await resolveBankAccount(req.orgId, bank_account_id);
+    await assertAccountDatesOpen(req.orgId, [bankAccount.id], date);
+    const fundId = await resolveFundId(req.orgId, fund_id);
+
     const { data, error } = await supabase
       .from('transactions')
       .insert([{
@@ -50,6 +65,8 @@ router.post('/', getUserOrgContext, addUserOrgToBody, canManageBudget, async (re
         date,
         receipt_url,
         approved_by,
+        fund_id: fundId,
+        bank_account_id: bankAccount.id,
         org_id: req.body.org_id, // Added by addUserOrgToBody middleware
         created_by: req.user.id
       }])
@@ -64,6 +81,12 @@ router.post('/', getUserOrgContext, addUserOrgToBody, canManageBudget, async (re
     console.log(`✅ Transaction created for org ${req.orgId} by user ${req.user.id}`);
     res.status(201).json(data);
   } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
     console.error('[budget.js] POST /budget error:', err.message);
     res.status(500).json({ error: 'Failed to create transaction' });
   }
@@ -80,13 +103,15 @@ router.put('/:id', getUserOrgContext, canManageBudget, async (req, res) => {
       category,
       date,
       receipt_url,
-      approved_by
+      approved_by,
+      fund_id,
+      bank_account_id
     } = req.body;
 
     // Verify transaction belongs to user's organization
     const { data: transaction, error: fetchError } = await supabase
       .from('transactions')
-      .select('org_id')
+      .select('org_id, date, type, transfer_id, bank_account_id')
       .eq('id', transactionId)
       .single();
 
@@ -104,6 +129,15 @@ router.put('/:id', getUserOrgContext, canManageBudget, async (req, res) => {
       return res.status(403).json({ error: 'Transaction not found in your organization' });
     }
 
+    if (transaction.transfer_id || transaction.type === 'transfer' || type === 'transfer') {
+      return res.status(409).json({ error: 'Transfers between accounts are changed at /api/budget/bank-accounts/transfers' });
+    }
+
+    // Transactions in a closed fiscal year are frozen, and can't be moved into one
+    const bankAccountId = bank_account_id === undefined ? undefined : (await resolveBankAccount(req.orgId, bank_account_id)).id;
+    await assertAccountDatesOpen(req.orgId, [transaction.bank_account_id, bankAccountId ?? transaction.bank_account_id], transaction.date, date);
+    const fundId = fund_id === undefined ? undefined : await resolveFundId(req.orgId, fund_id);
+
     const { data, error } = await supabase
       .from('transactions')
       .update({
@@ -114,6 +148,8 @@ router.put('/:id', getUserOrgContext, canManageBudget, async (req, res) => {
         date,
         receipt_url,
         approved_by,
+        fund_id: fundId,
+        bank_account_id: bankAccountId,
         updated_at: new Date().toISOString()
       })
       .eq('id', transactionId)
@@ -129,6 +165,12 @@ router.put('/:id', getUserOrgContext, canManageBudget, async (req, res) => {
     console.log(`✅ Transaction ${transactionId} updated in org ${req.orgId} by user ${req.user.id}`);
     res.json(data);
   } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
     console.error('[budget.js] PUT /budget/:id error:', err.message);
     res.status(500).json({ error: 'Failed to update transaction' });
   }
@@ -142,7 +184,7 @@ router.delete('/:id', getUserOrgContext, canManageBudget, async (req, res) => {
     // Verify transaction belongs to user's organization
     const { data: transaction, error: fetchError } = await supabase
       .from('transactions')
-      .select('org_id')
+      .select('org_id, date, type, transfer_id, bank_account_id')
       .eq('id', transactionId)
       .single();
 
@@ -160,6 +202,12 @@ router.delete('/:id', getUserOrgContext, canManageBudget, async (req, res) => {
       return res.status(403).json({ error: 'Transaction not found in your organization' });
     }
 
+    if (transaction.transfer_id || transaction.type === 'transfer') {
+      return res.status(409).json({ error: 'Delete the transfer at /api/budget/bank-accounts/transfers instead' });
+    }
+
+    await assertAccountDatesOpen(req.orgId, [transaction.bank_account_id], transaction.date);
+
     const { error } = await supabase
       .from('transactions')
       .delete()
@@ -174,6 +222,9 @@ router.delete('/:id', getUserOrgContext, canManageBudget, async (req, res) => {
     console.log(`✅ Transaction ${transactionId} deleted from org ${req.orgId} by user ${req.user.id}`);
     res.status(204).send();
   } catch (err) {
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
     console.error('[budget.js] DELETE /budget/:id error:', err.message);
     res.status(500).json({ error: 'Failed to delete transaction' });
   }
@@ -2,6 +2,11 @@ import express from 'express';
 import { supabase } from '../util/verifySupabaseToken.js';
 import { getUserOrgContext, addUserOrgToBody } from '../middleware/organizationalContext.js';
 import { requireVolunteer, canManageBudget } from '../middleware/roleBasedAccess.js';
+import { ConflictError } from '../middleware/errorHandler.js';
+import { assertCategoryUnlocked } from '../util/budgetPlans.js';
+import { buildBudgetVariance, renderBudgetVariance } from '../util/budgetVariance.js';
+import { currentFiscalYear, fiscalYearRange, assertFiscalYearOpen } from '../util/fiscalYear.js';
+import { EXPORT_CONTENT_TYPES, sendExport } from '../util/reportExport.js';
 
 const router = express.Router();
 
@@ -13,11 +18,11 @@ const router = express.Router();
 router.get('/', getUserOrgContext, requireVolunteer, async (req, res) => {
   try {
     const { 
-      fiscal_year = new Date().getFullYear(), 
       category_type, 
       include_inactive = false,
       include_spending = true 
     } = req.query;
+    const fiscal_year = req.query.fiscal_year || await currentFiscalYear(req.orgId);
 
     let query = supabase
       .from('budget_categories')
@@ -46,13 +51,14 @@ router.get('/', getUserOrgContext, requireVolunteer, async (req, res) => {
       const categoryIds = categories.map(cat => cat.id);
       
       // Get actual spending from transactions
+      const range = await fiscalYearRange(req.orgId, parseInt(fiscal_year));
       const { data: transactions, error: transactionError } = await supabase
         .from('transactions')
         .select('budget_category_id, amount, type')
         .eq('org_id', req.orgId)
         .in('budget_category_id', categoryIds)
-        .gte('date', `${fiscal_year}-01-01`)
-        .lte('date', `${fiscal_year}-12-31`);
+        .gte('date', range.start)
+        .lte('date', range.end);
 
       if (!transactionError && transactions) {
         // Calculate actual spending per category
@@ -114,6 +120,43 @@ router.get('/', getUserOrgContext, requireVolunteer, async (req, res) => {
   }
 });
 
+// GET /api/budget/categories/variance - Budget vs. actual by category for a fiscal year (committee lead+ required)
+// Query: fiscal_year, as_of (YYYY-MM-DD, defaults to today), format (json|pdf|xlsx)
+router.get('/variance', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (format !== 'json' && !EXPORT_CONTENT_TYPES[format]) {
+      return res.status(400).json({ error: 'format must be one of: json, pdf, xlsx' });
+    }
+
+    const fiscalYear = parseInt(req.query.fiscal_year || await currentFiscalYear(req.orgId));
+    if (isNaN(fiscalYear)) {
+      return res.status(400).json({ error: 'fiscal_year must be a year' });
+    }
+
+    const asOf = req.query.as_of;
+    if (asOf && !/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+      return res.status(400).json({ error: 'as_of must be YYYY-MM-DD' });
+    }
+
+    const report = await buildBudgetVariance(req.orgId, fiscalYear, { asOf });
+
+    if (format !== 'json') {
+      const file = await renderBudgetVariance(report, format);
+      return sendExport(res, file, format, `budget-variance-FY${fiscalYear}`);
+    }
+
+    console.log(`✅ Built FY${fiscalYear} variance report for org ${req.orgId} (${report.flagged.length} flagged)`);
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (err) {
+    console.error('[categories.js] GET /variance error:', err.message);
+    res.status(500).json({ error: 'Failed to build budget variance report' });
+  }
+});
+
 // POST /api/budget/categories - Create new budget category
 router.post('/', getUserOrgContext, addUserOrgToBody, canManageBudget, async (req, res) => {
   try {
@@ -122,9 +165,9 @@ router.post('/', getUserOrgContext, addUserOrgToBody, canManageBudget, async (re
       description,
       budget_amount,
       category_type,
-      parent_category_id,
-      fiscal_year = new Date().getFullYear()
+      parent_category_id
     } = req.body;
+    const fiscal_year = req.body.fiscal_year || await currentFiscalYear(req.orgId);
 
     // Validate required fields
     if (!name || !category_type || budget_amount === undefined) {
@@ -149,6 +192,8 @@ router.post('/', getUserOrgContext, addUserOrgToBody, canManageBudget, async (re
       return res.status(400).json({ error: 'Budget amount must be a non-negative number' });
     }
 
+    await assertFiscalYearOpen(req.orgId, fiscal_year);
+
     // Check for duplicate category name in the same fiscal year
     const { data: existingCategory, error: duplicateError } = await supabase
       .from('budget_categories')
@@ -208,6 +253,9 @@ router.post('/', getUserOrgContext, addUserOrgToBody, canManageBudget, async (re
       message: 'Budget category created successfully'
     });
   } catch (err) {
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
     console.error('[categories.js] POST / error:', err.message);
     res.status(500).json({ error: 'Failed to create budget category' });
   }
@@ -223,7 +271,8 @@ router.put('/:id', getUserOrgContext, canManageBudget, async (req, res) => {
       budget_amount,
       category_type,
       parent_category_id,
-      is_active
+      is_active,
+      ledger_account_id
     } = req.body;
 
     // Verify category belongs to organization
@@ -238,6 +287,10 @@ router.put('/:id', getUserOrgContext, canManageBudget, async (req, res) => {
       return res.status(404).json({ error: 'Budget category not found' });
     }
 
+    // Closed years are frozen; approved plans are changed through amendments
+    await assertFiscalYearOpen(req.orgId, existingCategory.fiscal_year);
+    await assertCategoryUnlocked(existingCategory);
+
     // Prepare update data
     const updateData = {};
     
@@ -305,6 +358,28 @@ router.put('/:id', getUserOrgContext, canManageBudget, async (req, res) => {
       updateData.parent_category_id = parent_category_id;
     }
 
+    // Ledger postings for this category go to the chosen income or expense account
+    if (ledger_account_id !== undefined) {
+      if (ledger_account_id) {
+        const { data: account, error: accountError } = await supabase
+          .from('ledger_accounts')
+          .select('id, account_type, is_active')
+          .eq('id', ledger_account_id)
+          .eq('org_id', req.orgId)
+          .maybeSingle();
+
+        if (accountError || !account || !account.is_active) {
+          return res.status(400).json({ error: 'Invalid ledger account' });
+        }
+
+        const expectedType = (category_type || existingCategory.category_type) === 'revenue' ? 'income' : 'expense';
+        if (account.account_type !== expectedType) {
+          return res.status(400).json({ error: `A ${category_type || existingCategory.category_type} category must map to an ${expectedType} account` });
+        }
+      }
+      updateData.ledger_account_id = ledger_account_id || null;
+    }
+
     // Update category
     const { data: updatedCategory, error: updateError } = await supabase
       .from('budget_categories')
@@ -326,6 +401,9 @@ router.put('/:id', getUserOrgContext, canManageBudget, async (req, res) => {
       message: 'Budget category updated successfully'
     });
   } catch (err) {
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
     console.error('[categories.js] PUT /:id error:', err.message);
     res.status(500).json({ error: 'Failed to update budget category' });
   }
@@ -339,7 +417,7 @@ router.delete('/:id', getUserOrgContext, canManageBudget, async (req, res) => {
     // Verify category belongs to organization
     const { data: category, error: fetchError } = await supabase
       .from('budget_categories')
-      .select('id, name')
+      .select('id, name, fiscal_year, budget_plan_id')
       .eq('id', categoryId)
       .eq('org_id', req.orgId)
       .single();
@@ -348,6 +426,9 @@ router.delete('/:id', getUserOrgContext, canManageBudget, async (req, res) => {
       return res.status(404).json({ error: 'Budget category not found' });
     }
 
+    await assertFiscalYearOpen(req.orgId, category.fiscal_year);
+    await assertCategoryUnlocked(category);
+
     // Check if category has child categories
     const { data: childCategories, error: childError } = await supabase
       .from('budget_categories')
@@ -425,6 +506,9 @@ router.delete('/:id', getUserOrgContext, canManageBudget, async (req, res) => {
       message: 'Budget category deleted successfully'
     });
   } catch (err) {
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
     console.error('[categories.js] DELETE /:id error:', err.message);
     res.status(500).json({ error: 'Failed to delete budget category' });
   }
@@ -551,12 +635,15 @@ router.get('/templates', getUserOrgContext, requireVolunteer, async (req, res) =
 // POST /api/budget/categories/bulk-create - Create multiple categories from templates
 router.post('/bulk-create', getUserOrgContext, addUserOrgToBody, canManageBudget, async (req, res) => {
   try {
-    const { categories, fiscal_year = new Date().getFullYear() } = req.body;
+    const { categories } = req.body;
+    const fiscal_year = req.body.fiscal_year || await currentFiscalYear(req.orgId);
 
     if (!categories || !Array.isArray(categories) || categories.length === 0) {
       return res.status(400).json({ error: 'Categories array is required' });
     }
 
+    await assertFiscalYearOpen(req.orgId, fiscal_year);
+
     const createdCategories = [];
     const errors = [];
 
@@ -650,6 +737,9 @@ router.post('/bulk-create', getUserOrgContext, addUserOrgToBody, canManageBudget
       message: `Successfully created ${createdCategories.length} budget categories${errors.length > 0 ? ` with ${errors.length} errors` : ''}`
     });
   } catch (err) {
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
     console.error('[categories.js] POST /bulk-create error:', err.message);
     res.status(500).json({ error: 'Failed to create budget categories' });
   }
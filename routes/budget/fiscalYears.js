@@ -0,0 +1,556 @@
+import express from 'express';
+import crypto from 'crypto';
+import { supabase } from '../util/verifySupabaseToken.js';
+import { getUserOrgContext } from '../middleware/organizationalContext.js';
+import { requireVolunteer, requireBoardMember, requireAdmin } from '../middleware/roleBasedAccess.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+import {
+  getFiscalYearStartMonth,
+  fiscalYearBounds,
+  fiscalYearForDate,
+  fiscalYearRange
+} from '../util/fiscalYear.js';
+import { buildBudgetVariance } from '../util/budgetVariance.js';
+import { syncLedger, loadAccountLines } from '../util/ledger.js';
+import { ensureBankAccounts, DEFAULT_ACCOUNT_NAME } from '../util/bankAccounts.js';
+
+const router = express.Router();
+
+const ROLLOVER_METHODS = ['budget', 'actuals'];
+
+// =====================================================
+// FISCAL YEAR ENDPOINTS
+// =====================================================
+
+// GET /api/budget/fiscal-years - Fiscal year settings, the current year and closed years
+router.get('/', getUserOrgContext, requireVolunteer, async (req, res) => {
+  try {
+    const startMonth = await getFiscalYearStartMonth(req.orgId);
+    const currentYear = fiscalYearForDate(today(), startMonth);
+
+    const { data: closes, error } = await supabase
+      .from('fiscal_year_closes')
+      .select('id, fiscal_year, start_date, end_date, status, total_income, total_expenses, categories_created, closed_by, closed_at, reopened_at')
+      .eq('org_id', req.orgId)
+      .order('fiscal_year', { ascending: false });
+
+    if (error) {
+      console.error(`❌ Error fetching fiscal year closes for org ${req.orgId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to load fiscal years' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        start_month: startMonth,
+        current_fiscal_year: currentYear,
+        current_period: fiscalYearBounds(currentYear, startMonth),
+        closes
+      }
+    });
+  } catch (err) {
+    console.error('[fiscalYears.js] GET / error:', err.message);
+    res.status(500).json({ error: 'Failed to load fiscal years' });
+  }
+});
+
+// PUT /api/budget/fiscal-years/settings - Set the month the fiscal year starts (admin only)
+// Body: start_month (1-12)
+router.put('/settings', getUserOrgContext, requireAdmin, async (req, res) => {
+  try {
+    const startMonth = Number(req.body.start_month);
+    if (!Number.isInteger(startMonth) || startMonth < 1 || startMonth > 12) {
+      throw new ValidationError('start_month must be a month number from 1 to 12', 'start_month');
+    }
+
+    // Closed years were closed against the old boundaries
+    const { count, error: countError } = await supabase
+      .from('fiscal_year_closes')
+      .select('id', { count: 'exact', head: true })
+      .eq('org_id', req.orgId)
+      .eq('status', 'closed');
+
+    if (countError) throw new Error(countError.message);
+
+    if (count > 0 && startMonth !== await getFiscalYearStartMonth(req.orgId)) {
+      return res.status(409).json({ error: 'The fiscal year start month cannot change once a fiscal year has been closed' });
+    }
+
+    const { error } = await supabase
+      .from('organizations')
+      .update({ fiscal_year_start_month: startMonth })
+      .eq('id', req.orgId);
+
+    if (error) {
+      console.error(`❌ Error updating fiscal year settings for org ${req.orgId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to update fiscal year settings' });
+    }
+
+    const currentYear = fiscalYearForDate(today(), startMonth);
+
+    console.log(`✅ Fiscal year for org ${req.orgId} now starts in month ${startMonth}`);
+    res.json({
+      success: true,
+      data: {
+        start_month: startMonth,
+        current_fiscal_year: currentYear,
+        current_period: fiscalYearBounds(currentYear, startMonth)
+      },
+      message: 'Fiscal year settings updated successfully'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[fiscalYears.js] PUT /settings error:', err.message);
+    res.status(500).json({ error: 'Failed to update fiscal year settings' });
+  }
+});
+
+// GET /api/budget/fiscal-years/:year - A fiscal year's period, status and closing balances
+router.get('/:year', getUserOrgContext, requireVolunteer, async (req, res) => {
+  try {
+    const fiscalYear = parseFiscalYear(req.params.year);
+    const range = await fiscalYearRange(req.orgId, fiscalYear);
+    const close = await fetchClose(req.orgId, fiscalYear);
+    const balances = close ? await fetchBalances(close.id) : [];
+
+    res.json({
+      success: true,
+      data: {
+        fiscal_year: fiscalYear,
+        period: range,
+        status: close?.status === 'closed' ? 'closed' : 'open',
+        close,
+        balances
+      }
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[fiscalYears.js] GET /:year error:', err.message);
+    res.status(500).json({ error: 'Failed to load fiscal year' });
+  }
+});
+
+// GET /api/budget/fiscal-years/:year/close-preview - What closing the year would record and create (board member+ required)
+// Query: rollover (false to skip), rollover_method (budget|actuals), adjustment_percent, include_inactive
+// Balances are per bank account; an account's opening balance is set on the account itself
+router.get('/:year/close-preview', getUserOrgContext, requireBoardMember, async (req, res) => {
+  try {
+    const fiscalYear = parseFiscalYear(req.params.year);
+    const preview = await buildClosePreview(req.orgId, fiscalYear, normalizeCloseOptions(req.query));
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[fiscalYears.js] GET /:year/close-preview error:', err.message);
+    res.status(500).json({ error: 'Failed to preview fiscal year close' });
+  }
+});
+
+// POST /api/budget/fiscal-years/:year/close - Close a fiscal year and roll its categories forward (board member+ required)
+// Body: rollover (false to skip), rollover_method (budget|actuals), adjustment_percent, include_inactive, notes
+router.post('/:year/close', getUserOrgContext, requireBoardMember, async (req, res) => {
+  try {
+    const fiscalYear = parseFiscalYear(req.params.year);
+    const options = normalizeCloseOptions(req.body);
+
+    const existing = await fetchClose(req.orgId, fiscalYear);
+    if (existing?.status === 'closed') {
+      return res.status(409).json({ error: `Fiscal year ${fiscalYear} is already closed` });
+    }
+
+    const preview = await buildClosePreview(req.orgId, fiscalYear, options);
+    if (!preview.period_ended) {
+      return res.status(409).json({ error: `Fiscal year ${fiscalYear} runs until ${preview.period.end} and can't be closed yet` });
+    }
+
+    const closeFields = {
+      org_id: req.orgId,
+      fiscal_year: fiscalYear,
+      start_date: preview.period.start,
+      end_date: preview.period.end,
+      status: 'closed',
+      total_income: preview.totals.income,
+      total_expenses: preview.totals.expenses,
+      category_snapshot: preview.category_snapshot,
+      rollover_method: options.rollover ? options.rollover_method : null,
+      rollover_adjustment_percent: options.rollover ? options.adjustment_percent : null,
+      categories_created: preview.rollover.filter(category => !category.skipped_reason).length,
+      notes: req.body.notes || null,
+      closed_by: req.user.id,
+      closed_at: new Date().toISOString(),
+      reopened_by: null,
+      reopened_at: null
+    };
+
+    // Claim the year first so two treasurers can't close it at once
+    const query = existing
+      ? supabase.from('fiscal_year_closes').update(closeFields).eq('id', existing.id).eq('status', 'reopened')
+      : supabase.from('fiscal_year_closes').insert([closeFields]);
+    const { data: close, error: closeError } = await query.select('*').maybeSingle();
+
+    if (closeError?.code === '23505' || (!closeError && !close)) {
+      return res.status(409).json({ error: `Fiscal year ${fiscalYear} is already closed` });
+    }
+    if (closeError) {
+      console.error(`❌ Error closing fiscal year ${fiscalYear} for org ${req.orgId}:`, closeError.message);
+      return res.status(500).json({ error: 'Failed to close fiscal year' });
+    }
+
+    let balances;
+    try {
+      balances = await saveBalances(close, preview.balances);
+      await createRolloverCategories(req.orgId, fiscalYear + 1, preview.rollover, req.user.id);
+    } catch (stepError) {
+      await undoClose(close, existing);
+      throw stepError;
+    }
+
+    // The year's plan is finished once the books are closed
+    const { error: planError } = await supabase
+      .from('budget_plans')
+      .update({ status: 'completed' })
+      .eq('org_id', req.orgId)
+      .eq('fiscal_year', fiscalYear)
+      .in('status', ['approved', 'active']);
+
+    if (planError) {
+      console.warn(`⚠️ Fiscal year ${fiscalYear} closed but its budget plan was not marked completed:`, planError.message);
+    }
+
+    console.log(`✅ Fiscal year ${fiscalYear} closed for org ${req.orgId} by user ${req.user.id} (${close.categories_created} categories rolled over)`);
+    res.status(201).json({
+      success: true,
+      data: {
+        close,
+        balances,
+        rollover: preview.rollover
+      },
+      message: `Fiscal year ${fiscalYear} closed`
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[fiscalYears.js] POST /:year/close error:', err.message);
+    res.status(500).json({ error: 'Failed to close fiscal year' });
+  }
+});
+
+// POST /api/budget/fiscal-years/:year/reopen - Reopen a closed fiscal year for corrections (admin only)
+// Categories already rolled into the next year are kept
+router.post('/:year/reopen', getUserOrgContext, requireAdmin, async (req, res) => {
+  try {
+    const fiscalYear = parseFiscalYear(req.params.year);
+
+    const close = await fetchClose(req.orgId, fiscalYear);
+    if (!close || close.status !== 'closed') {
+      return res.status(409).json({ error: `Fiscal year ${fiscalYear} is not closed` });
+    }
+
+    const nextClose = await fetchClose(req.orgId, fiscalYear + 1);
+    if (nextClose?.status === 'closed') {
+      return res.status(409).json({ error: `Reopen fiscal year ${fiscalYear + 1} first` });
+    }
+
+    const { data: reopened, error } = await supabase
+      .from('fiscal_year_closes')
+      .update({
+        status: 'reopened',
+        reopened_by: req.user.id,
+        reopened_at: new Date().toISOString()
+      })
+      .eq('id', close.id)
+      .select('*')
+      .single();
+
+    if (error) {
+      console.error(`❌ Error reopening fiscal year ${fiscalYear} for org ${req.orgId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to reopen fiscal year' });
+    }
+
+    console.log(`✅ Fiscal year ${fiscalYear} reopened for org ${req.orgId} by user ${req.user.id}`);
+    res.json({
+      success: true,
+      data: reopened,
+      message: `Fiscal year ${fiscalYear} reopened`
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[fiscalYears.js] POST /:year/reopen error:', err.message);
+    res.status(500).json({ error: 'Failed to reopen fiscal year' });
+  }
+});
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function parseFiscalYear(value) {
+  const fiscalYear = Number(value);
+  if (!Number.isInteger(fiscalYear) || fiscalYear < 2000 || fiscalYear > 2100) {
+    throw new ValidationError('Fiscal year must be a year', 'year');
+  }
+  return fiscalYear;
+}
+
+function normalizeCloseOptions(input) {
+  const rollover = input.rollover !== false && input.rollover !== 'false';
+
+  const method = input.rollover_method || 'budget';
+  if (!ROLLOVER_METHODS.includes(method)) {
+    throw new ValidationError(`rollover_method must be one of: ${ROLLOVER_METHODS.join(', ')}`, 'rollover_method');
+  }
+
+  const adjustment = Number(input.adjustment_percent ?? 0);
+  if (!Number.isFinite(adjustment) || adjustment < -100 || adjustment > 1000) {
+    throw new ValidationError('adjustment_percent must be between -100 and 1000', 'adjustment_percent');
+  }
+
+  return {
+    rollover,
+    rollover_method: method,
+    adjustment_percent: adjustment,
+    include_inactive: input.include_inactive === true || input.include_inactive === 'true'
+  };
+}
+
+async function fetchClose(orgId, fiscalYear) {
+  const { data, error } = await supabase
+    .from('fiscal_year_closes')
+    .select('*')
+    .eq('org_id', orgId)
+    .eq('fiscal_year', fiscalYear)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch fiscal year close: ${error.message}`);
+  }
+  return data;
+}
+
+async function fetchBalances(closeId) {
+  const { data, error } = await supabase
+    .from('fiscal_year_balances')
+    .select('*')
+    .eq('close_id', closeId)
+    .order('account_name');
+
+  if (error) {
+    throw new Error(`Failed to fetch fiscal year balances: ${error.message}`);
+  }
+  return data;
+}
+
+// Everything a close records, computed without writing anything
+async function buildClosePreview(orgId, fiscalYear, options) {
+  const report = await buildBudgetVariance(orgId, fiscalYear, { asOf: today() });
+  const period = { start: report.period.start, end: report.period.end, source: report.period.source };
+
+  const totals = {
+    income: roundMoney(report.totals.revenue.actual + report.totals.revenue.uncategorized_actual),
+    expenses: roundMoney(report.totals.expense.actual + report.totals.expense.uncategorized_actual)
+  };
+
+  const previousClose = await fetchClose(orgId, fiscalYear - 1);
+  const previousBalances = previousClose?.status === 'closed' ? await fetchBalances(previousClose.id) : [];
+  const balances = await buildAccountBalances(orgId, fiscalYear, period, previousBalances);
+
+  return {
+    fiscal_year: fiscalYear,
+    period,
+    period_ended: today() > period.end,
+    totals,
+    balances,
+    category_snapshot: report.categories.map(row => ({
+      id: row.id,
+      name: row.name,
+      category_type: row.category_type,
+      parent_category_id: row.parent_category_id,
+      budget: row.budget,
+      actual: row.actual,
+      remaining: row.remaining
+    })),
+    rollover: options.rollover ? await planRollover(orgId, fiscalYear, report.categories, options) : []
+  };
+}
+
+// Each bank account's money in and out over the year, from the ledger. The
+// opening balance carries over from last year's close when the account was in
+// it (closes from before accounts existed recorded only the default account),
+// otherwise it is the account's ledger balance when the year began.
+async function buildAccountBalances(orgId, fiscalYear, period, previousBalances) {
+  await syncLedger(orgId);
+  const accounts = await ensureBankAccounts(orgId);
+  const lines = await loadAccountLines(orgId, accounts.map(account => account.ledger_account_id).filter(Boolean));
+
+  return accounts
+    .map(account => {
+      const own = lines.filter(line => line.account_id === account.ledger_account_id && line.entry_date <= period.end);
+      const previous = previousBalances.find(balance => (balance.bank_account_id
+        ? balance.bank_account_id === account.id
+        : account.is_default && balance.account_name === DEFAULT_ACCOUNT_NAME));
+
+      const cents = { opening: 0, income: 0, expenses: 0, transfersIn: 0, transfersOut: 0 };
+      for (const line of own) {
+        const net = Math.round(line.debit * 100) - Math.round(line.credit * 100);
+        if (line.entry_date < period.start || line.source_type === 'bank_account') {
+          // Money already in the account, including an account opened during the year
+          cents.opening += net;
+        } else if (line.source_type === 'account_transfer') {
+          if (net > 0) cents.transfersIn += net;
+          else cents.transfersOut -= net;
+        } else if (net > 0) {
+          cents.income += net;
+        } else {
+          cents.expenses -= net;
+        }
+      }
+
+      const opening = previous ? Math.round(Number(previous.ending_balance) * 100) : cents.opening;
+      return {
+        bank_account_id: account.id,
+        account_name: account.name,
+        opening_balance: opening / 100,
+        opening_balance_source: previous ? `FY ${fiscalYear - 1} close` : 'ledger',
+        total_income: cents.income / 100,
+        total_expenses: cents.expenses / 100,
+        transfers_in: cents.transfersIn / 100,
+        transfers_out: cents.transfersOut / 100,
+        ending_balance: (opening + cents.income - cents.expenses + cents.transfersIn - cents.transfersOut) / 100
+      };
+    })
+    // Inactive accounts only matter in years they held or moved money
+    .filter((balance, index) => accounts[index].is_active || balance.opening_balance !== 0 || balance.ending_balance !== 0 ||
+      balance.total_income !== 0 || balance.total_expenses !== 0);
+}
+
+// Next year's categories: same names and hierarchy, amounts from this year's
+// budget or actuals with the percentage adjustment applied
+async function planRollover(orgId, fiscalYear, rows, options) {
+  const { data: existing, error } = await supabase
+    .from('budget_categories')
+    .select('id, name')
+    .eq('org_id', orgId)
+    .eq('fiscal_year', fiscalYear + 1);
+
+  if (error) {
+    throw new Error(`Failed to fetch next year's categories: ${error.message}`);
+  }
+
+  const taken = new Map(existing.map(category => [category.name, category.id]));
+  const newIds = new Map();
+  const factor = 1 + options.adjustment_percent / 100;
+
+  // Rows are in depth-first order, so parents are planned before their children
+  return rows
+    .filter(row => row.is_active || options.include_inactive)
+    .map(row => {
+      const base = options.rollover_method === 'actuals' ? row.actual : row.budget;
+      const planned = {
+        source_category_id: row.id,
+        name: row.name,
+        category_type: row.category_type,
+        prior_budget: row.budget,
+        prior_actual: row.actual,
+        budget_amount: Math.max(roundMoney(base * factor), 0)
+      };
+
+      if (taken.has(row.name)) {
+        // Subcategories still nest under the category that's already there
+        newIds.set(row.id, taken.get(row.name));
+        return { ...planned, skipped_reason: `"${row.name}" already exists in fiscal year ${fiscalYear + 1}` };
+      }
+
+      const id = crypto.randomUUID();
+      newIds.set(row.id, id);
+      return { ...planned, id, parent_category_id: newIds.get(row.parent_category_id) || null };
+    });
+}
+
+async function createRolloverCategories(orgId, nextFiscalYear, rollover, userId) {
+  const rows = rollover.filter(category => !category.skipped_reason);
+  if (rows.length === 0) return;
+
+  const { error } = await supabase
+    .from('budget_categories')
+    .insert(rows.map(category => ({
+      id: category.id,
+      org_id: orgId,
+      name: category.name,
+      category_type: category.category_type,
+      budget_amount: category.budget_amount,
+      parent_category_id: category.parent_category_id,
+      fiscal_year: nextFiscalYear,
+      created_by: userId
+    })));
+
+  if (error) {
+    throw new Error(`Failed to create next year's categories: ${error.message}`);
+  }
+}
+
+async function saveBalances(close, balances) {
+  const { error: deleteError } = await supabase
+    .from('fiscal_year_balances')
+    .delete()
+    .eq('close_id', close.id);
+
+  if (deleteError) {
+    throw new Error(`Failed to record ending balances: ${deleteError.message}`);
+  }
+
+  const { data, error } = await supabase
+    .from('fiscal_year_balances')
+    .insert(balances.map(balance => ({
+      org_id: close.org_id,
+      close_id: close.id,
+      fiscal_year: close.fiscal_year,
+      bank_account_id: balance.bank_account_id,
+      account_name: balance.account_name,
+      opening_balance: balance.opening_balance,
+      total_income: balance.total_income,
+      total_expenses: balance.total_expenses,
+      transfers_in: balance.transfers_in,
+      transfers_out: balance.transfers_out,
+      ending_balance: balance.ending_balance
+    })))
+    .select('*');
+
+  if (error) {
+    throw new Error(`Failed to record ending balances: ${error.message}`);
+  }
+  return data;
+}
+
+// Put the year back the way it was before a failed close
+async function undoClose(close, previous) {
+  const { error } = previous
+    ? await supabase.from('fiscal_year_closes').update({ status: 'reopened', reopened_by: previous.reopened_by, reopened_at: previous.reopened_at }).eq('id', close.id)
+    : await supabase.from('fiscal_year_closes').delete().eq('id', close.id);
+
+  if (error) {
+    console.error(`❌ Failed to undo close of fiscal year ${close.fiscal_year} for org ${close.org_id}:`, error.message);
+  }
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+console.log('[fiscalYears.js] Fiscal year routes loaded successfully');
+export default router;
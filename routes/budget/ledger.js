@@ -0,0 +1,327 @@
+import express from 'express';
+import { getUserOrgContext } from '../middleware/organizationalContext.js';
+import { requireVolunteer, canManageBudget } from '../middleware/roleBasedAccess.js';
+import { ValidationError, ConflictError } from '../middleware/errorHandler.js';
+import { fetchOrgRow } from '../util/orgRecords.js';
+import { EXPORT_CONTENT_TYPES, sendExport } from '../util/reportExport.js';
+import {
+  ensureLedger,
+  createAccount,
+  updateAccount,
+  createFund,
+  updateFund,
+  syncLedger,
+  createManualEntry,
+  reverseManualEntry,
+  listEntries,
+  buildTrialBalance,
+  buildFundBalances,
+  renderTrialBalance
+} from '../util/ledger.js';
+import { resolveAuditRange, buildAuditPackage } from '../util/auditPackage.js';
+
+const router = express.Router();
+
+// =====================================================
+// LEDGER ENDPOINTS
+// =====================================================
+
+// GET /api/budget/ledger/accounts - Chart of accounts
+router.get('/accounts', getUserOrgContext, requireVolunteer, async (req, res) => {
+  try {
+    const { accounts } = await ensureLedger(req.orgId);
+
+    res.json({
+      success: true,
+      data: accounts
+    });
+  } catch (err) {
+    console.error('[ledger.js] GET /accounts error:', err.message);
+    res.status(500).json({ error: 'Failed to load ledger accounts' });
+  }
+});
+
+// POST /api/budget/ledger/accounts - Add a ledger account (committee lead+ required)
+// Body: code, name, account_type (asset|liability|net_assets|income|expense), description
+router.post('/accounts', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    await ensureLedger(req.orgId);
+    const account = await createAccount(req.orgId, req.body, req.user.id);
+
+    console.log(`✅ Ledger account ${account.code} created for org ${req.orgId} by user ${req.user.id}`);
+    res.status(201).json({
+      success: true,
+      data: account,
+      message: 'Ledger account created successfully'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('[ledger.js] POST /accounts error:', err.message);
+    res.status(500).json({ error: 'Failed to create ledger account' });
+  }
+});
+
+// PUT /api/budget/ledger/accounts/:id - Update a ledger account (committee lead+ required)
+// Body: code, name, account_type, description, is_active
+router.put('/accounts/:id', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const { row: account, status, error: lookupError } = await fetchOrgRow('ledger_accounts', req.params.id, req.orgId, 'Ledger account');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const updated = await updateAccount(account, req.body);
+
+    console.log(`✅ Ledger account ${account.id} updated in org ${req.orgId} by user ${req.user.id}`);
+    res.json({
+      success: true,
+      data: updated,
+      message: 'Ledger account updated successfully'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('[ledger.js] PUT /accounts/:id error:', err.message);
+    res.status(500).json({ error: 'Failed to update ledger account' });
+  }
+});
+
+// GET /api/budget/ledger/funds - Funds expenses and income can be assigned to
+router.get('/funds', getUserOrgContext, requireVolunteer, async (req, res) => {
+  try {
+    const { funds } = await ensureLedger(req.orgId);
+
+    res.json({
+      success: true,
+      data: funds
+    });
+  } catch (err) {
+    console.error('[ledger.js] GET /funds error:', err.message);
+    res.status(500).json({ error: 'Failed to load funds' });
+  }
+});
+
+// POST /api/budget/ledger/funds - Add a fund, restricted unless stated otherwise (committee lead+ required)
+// Body: name, restriction (unrestricted|restricted), purpose, campaign_id
+router.post('/funds', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    await ensureLedger(req.orgId);
+    const fund = await createFund(req.orgId, req.body, req.user.id);
+
+    console.log(`✅ Fund "${fund.name}" created for org ${req.orgId} by user ${req.user.id}`);
+    res.status(201).json({
+      success: true,
+      data: fund,
+      message: 'Fund created successfully'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('[ledger.js] POST /funds error:', err.message);
+    res.status(500).json({ error: 'Failed to create fund' });
+  }
+});
+
+// PUT /api/budget/ledger/funds/:id - Update a fund (committee lead+ required)
+// Body: name, restriction, purpose, campaign_id, is_active
+router.put('/funds/:id', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const { row: fund, status, error: lookupError } = await fetchOrgRow('ledger_funds', req.params.id, req.orgId, 'Fund');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const updated = await updateFund(fund, req.body);
+
+    console.log(`✅ Fund ${fund.id} updated in org ${req.orgId} by user ${req.user.id}`);
+    res.json({
+      success: true,
+      data: updated,
+      message: 'Fund updated successfully'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('[ledger.js] PUT /funds/:id error:', err.message);
+    res.status(500).json({ error: 'Failed to update fund' });
+  }
+});
+
+// GET /api/budget/ledger/fund-balances - Balance of each fund, restricted and unrestricted (committee lead+ required)
+// Query: as_of (YYYY-MM-DD, default today)
+router.get('/fund-balances', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    await syncLedger(req.orgId);
+    const balances = await buildFundBalances(req.orgId, { as_of: req.query.as_of });
+
+    res.json({
+      success: true,
+      data: balances
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[ledger.js] GET /fund-balances error:', err.message);
+    res.status(500).json({ error: 'Failed to load fund balances' });
+  }
+});
+
+// GET /api/budget/ledger/trial-balance - Debit and credit balance of every account (committee lead+ required)
+// Query: as_of (YYYY-MM-DD, default today), fund_id, format (json|pdf|xlsx)
+router.get('/trial-balance', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (format !== 'json' && !EXPORT_CONTENT_TYPES[format]) {
+      return res.status(400).json({ error: 'format must be one of: json, pdf, xlsx' });
+    }
+
+    await syncLedger(req.orgId);
+    const trialBalance = await buildTrialBalance(req.orgId, { as_of: req.query.as_of, fund_id: req.query.fund_id });
+
+    if (format !== 'json') {
+      const file = await renderTrialBalance(trialBalance, format);
+      return sendExport(res, file, format, `trial-balance-${trialBalance.as_of}`);
+    }
+
+    res.json({
+      success: true,
+      data: trialBalance
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[ledger.js] GET /trial-balance error:', err.message);
+    res.status(500).json({ error: 'Failed to build trial balance' });
+  }
+});
+
+// GET /api/budget/ledger/entries - Journal entries with their lines (committee lead+ required)
+// Query: from, to (YYYY-MM-DD), source_type, account_id, fund_id
+router.get('/entries', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    await syncLedger(req.orgId);
+    const entries = await listEntries(req.orgId, req.query);
+
+    res.json({
+      success: true,
+      data: entries
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[ledger.js] GET /entries error:', err.message);
+    res.status(500).json({ error: 'Failed to load journal entries' });
+  }
+});
+
+// POST /api/budget/ledger/entries - Post a manual journal entry (committee lead+ required)
+// Body: entry_date, memo, lines: [{ account_id, fund_id, debit, credit, memo }]
+router.post('/entries', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const entry = await createManualEntry(req.orgId, req.body, req.user.id);
+
+    console.log(`✅ Journal entry ${entry.id} posted for org ${req.orgId} by user ${req.user.id}`);
+    res.status(201).json({
+      success: true,
+      data: entry,
+      message: 'Journal entry posted successfully'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('[ledger.js] POST /entries error:', err.message);
+    res.status(500).json({ error: 'Failed to post journal entry' });
+  }
+});
+
+// POST /api/budget/ledger/entries/:id/reverse - Reverse a manual journal entry (committee lead+ required)
+// Body: entry_date (default today), memo
+router.post('/entries/:id/reverse', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const { row: entry, status, error: lookupError } = await fetchOrgRow('journal_entries', req.params.id, req.orgId, 'Journal entry');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const reversal = await reverseManualEntry(entry, req.body, req.user.id);
+
+    console.log(`✅ Journal entry ${entry.id} reversed by ${reversal.id} (user ${req.user.id})`);
+    res.status(201).json({
+      success: true,
+      data: reversal,
+      message: 'Journal entry reversed'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('[ledger.js] POST /entries/:id/reverse error:', err.message);
+    res.status(500).json({ error: 'Failed to reverse journal entry' });
+  }
+});
+
+// POST /api/budget/ledger/sync - Post entries for new and changed expenses, donations and transactions (committee lead+ required)
+router.post('/sync', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const result = await syncLedger(req.orgId);
+
+    res.json({
+      success: true,
+      data: result,
+      message: `${result.posted} entr${result.posted === 1 ? 'y' : 'ies'} posted, ${result.reversed} reversed`
+    });
+  } catch (err) {
+    console.error('[ledger.js] POST /sync error:', err.message);
+    res.status(500).json({ error: 'Failed to update the ledger' });
+  }
+});
+
+// GET /api/budget/ledger/audit-package - ZIP of the ledger, receipts, approval trails and reconciliations for the audit committee (committee lead+ required)
+// Query: from, to (YYYY-MM-DD, at most a year apart) or fiscal_year
+router.get('/audit-package', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const range = await resolveAuditRange(req.orgId, req.query);
+
+    await syncLedger(req.orgId);
+    const { archive, manifest } = await buildAuditPackage(req.orgId, range, req.user.id);
+
+    console.log(`✅ Audit package ${range.from} to ${range.to} built for org ${req.orgId} by user ${req.user.id} (${manifest.files.length} files, ${manifest.counts.receipts_not_included} receipts missing)`);
+    sendExport(res, archive, 'zip', `audit-package-${range.from}-to-${range.to}`);
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[ledger.js] GET /audit-package error:', err.message);
+    res.status(500).json({ error: 'Failed to build audit package' });
+  }
+});
+
+console.log('[ledger.js] Ledger routes loaded successfully');
+export default router;
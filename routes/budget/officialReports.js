@@ -0,0 +1,369 @@
+import express from 'express';
+import { supabase } from '../util/verifySupabaseToken.js';
+import { getUserOrgContext } from '../middleware/organizationalContext.js';
+import { requireBoardMember, canManageBudget } from '../middleware/roleBasedAccess.js';
+import { ValidationError, ConflictError } from '../middleware/errorHandler.js';
+import { fetchOrgRow } from '../util/orgRecords.js';
+import { sendExport } from '../util/reportExport.js';
+import { getFiscalYearStartMonth } from '../util/fiscalYear.js';
+import {
+  REPORT_FREQUENCIES,
+  PERMISSION_LEVELS,
+  createOfficial,
+  updateOfficial,
+  createSchedule,
+  updateSchedule,
+  previousPeriod,
+  generateFinancialReport,
+  viewForLevel,
+  renderOfficialReport,
+  sendReportToOfficials
+} from '../util/officialReports.js';
+
+const router = express.Router();
+
+// =====================================================
+// SCHOOL OFFICIAL ENDPOINTS
+// =====================================================
+
+// GET /api/budget/official-reports/officials - School officials who receive reports (committee lead+ required)
+router.get('/officials', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const { data: officials, error } = await supabase
+      .from('school_officials')
+      .select('*')
+      .eq('org_id', req.orgId)
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: officials
+    });
+  } catch (err) {
+    console.error('[officialReports.js] GET /officials error:', err.message);
+    res.status(500).json({ error: 'Failed to load school officials' });
+  }
+});
+
+// POST /api/budget/official-reports/officials - Add a school official (board member+ required)
+// Body: name, title, email, phone, official_type, permission_level (basic|detailed|full)
+router.post('/officials', getUserOrgContext, requireBoardMember, async (req, res) => {
+  try {
+    const official = await createOfficial(req.orgId, req.body, req.user.id);
+
+    console.log(`✅ School official ${official.id} added to org ${req.orgId} by user ${req.user.id}`);
+    res.status(201).json({
+      success: true,
+      data: official,
+      message: 'School official added successfully'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('[officialReports.js] POST /officials error:', err.message);
+    res.status(500).json({ error: 'Failed to add school official' });
+  }
+});
+
+// PUT /api/budget/official-reports/officials/:id - Update a school official (board member+ required)
+// Body: name, title, email, phone, official_type, permission_level, is_active
+router.put('/officials/:id', getUserOrgContext, requireBoardMember, async (req, res) => {
+  try {
+    const { row: official, status, error: lookupError } = await fetchOrgRow('school_officials', req.params.id, req.orgId, 'School official');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const updated = await updateOfficial(official, req.body);
+
+    console.log(`✅ School official ${official.id} updated in org ${req.orgId} by user ${req.user.id}`);
+    res.json({
+      success: true,
+      data: updated,
+      message: 'School official updated successfully'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('[officialReports.js] PUT /officials/:id error:', err.message);
+    res.status(500).json({ error: 'Failed to update school official' });
+  }
+});
+
+// =====================================================
+// SCHEDULE ENDPOINTS
+// =====================================================
+
+// GET /api/budget/official-reports/schedules - Report schedules (committee lead+ required)
+router.get('/schedules', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const { data: schedules, error } = await supabase
+      .from('financial_report_schedules')
+      .select('*')
+      .eq('org_id', req.orgId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: schedules
+    });
+  } catch (err) {
+    console.error('[officialReports.js] GET /schedules error:', err.message);
+    res.status(500).json({ error: 'Failed to load report schedules' });
+  }
+});
+
+// POST /api/budget/official-reports/schedules - Send a report on a schedule (board member+ required)
+// Body: name, frequency (monthly|quarterly), send_day (1-28, default 5), official_ids (default every active official)
+router.post('/schedules', getUserOrgContext, requireBoardMember, async (req, res) => {
+  try {
+    const schedule = await createSchedule(req.orgId, req.body, req.user.id);
+
+    console.log(`✅ Report schedule ${schedule.id} created for org ${req.orgId} by user ${req.user.id}`);
+    res.status(201).json({
+      success: true,
+      data: schedule,
+      message: `Report schedule created; the first report goes out on ${schedule.next_send_date}`
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[officialReports.js] POST /schedules error:', err.message);
+    res.status(500).json({ error: 'Failed to create report schedule' });
+  }
+});
+
+// PUT /api/budget/official-reports/schedules/:id - Update or pause a report schedule (board member+ required)
+// Body: name, frequency, send_day, official_ids, is_active
+router.put('/schedules/:id', getUserOrgContext, requireBoardMember, async (req, res) => {
+  try {
+    const { row: schedule, status, error: lookupError } = await fetchOrgRow('financial_report_schedules', req.params.id, req.orgId, 'Report schedule');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const updated = await updateSchedule(schedule, req.body);
+
+    console.log(`✅ Report schedule ${schedule.id} updated in org ${req.orgId} by user ${req.user.id}`);
+    res.json({
+      success: true,
+      data: updated,
+      message: 'Report schedule updated successfully'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[officialReports.js] PUT /schedules/:id error:', err.message);
+    res.status(500).json({ error: 'Failed to update report schedule' });
+  }
+});
+
+// DELETE /api/budget/official-reports/schedules/:id - Delete a report schedule; its reports are kept (board member+ required)
+router.delete('/schedules/:id', getUserOrgContext, requireBoardMember, async (req, res) => {
+  try {
+    const { row: schedule, status, error: lookupError } = await fetchOrgRow('financial_report_schedules', req.params.id, req.orgId, 'Report schedule');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const { error } = await supabase
+      .from('financial_report_schedules')
+      .delete()
+      .eq('id', schedule.id)
+      .eq('org_id', req.orgId);
+
+    if (error) throw error;
+
+    console.log(`✅ Report schedule ${schedule.id} deleted from org ${req.orgId} by user ${req.user.id}`);
+    res.status(204).send();
+  } catch (err) {
+    console.error('[officialReports.js] DELETE /schedules/:id error:', err.message);
+    res.status(500).json({ error: 'Failed to delete report schedule' });
+  }
+});
+
+// =====================================================
+// REPORT ENDPOINTS
+// =====================================================
+
+// GET /api/budget/official-reports - Generated treasurer's reports, newest first (committee lead+ required)
+// Query: from, to (YYYY-MM-DD, by period end), submitted (true|false)
+router.get('/', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    let query = supabase
+      .from('financial_reports')
+      .select('id, report_type, report_name, report_period_start, report_period_end, period_type, schedule_id, report_summary, generated_by, submitted_to_officials, submission_date, created_at')
+      .eq('org_id', req.orgId)
+      .like('report_type', 'treasurer_%')
+      .order('report_period_end', { ascending: false })
+      .order('created_at', { ascending: false });
+
+    if (req.query.from) query = query.gte('report_period_end', req.query.from);
+    if (req.query.to) query = query.lte('report_period_end', req.query.to);
+    if (req.query.submitted !== undefined) query = query.eq('submitted_to_officials', req.query.submitted === 'true');
+
+    const { data: reports, error } = await query;
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: reports
+    });
+  } catch (err) {
+    console.error('[officialReports.js] GET / error:', err.message);
+    res.status(500).json({ error: 'Failed to load financial reports' });
+  }
+});
+
+// POST /api/budget/official-reports - Generate a treasurer's report now (committee lead+ required)
+// Body: period_type (monthly|quarterly|custom), period_start, period_end
+// (monthly and quarterly default to the last full month or fiscal quarter)
+router.post('/', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const periodType = req.body.period_type || 'monthly';
+    if (![...REPORT_FREQUENCIES, 'custom'].includes(periodType)) {
+      return res.status(400).json({ error: `period_type must be one of: ${REPORT_FREQUENCIES.join(', ')}, custom`, field: 'period_type' });
+    }
+    for (const field of ['period_start', 'period_end']) {
+      if (req.body[field] && !/^\d{4}-\d{2}-\d{2}$/.test(req.body[field])) {
+        return res.status(400).json({ error: `${field} must be YYYY-MM-DD`, field });
+      }
+    }
+
+    let period = { type: periodType, start: req.body.period_start, end: req.body.period_end };
+    if (periodType !== 'custom' && !period.start && !period.end) {
+      const startMonth = await getFiscalYearStartMonth(req.orgId);
+      period = previousPeriod(periodType, startMonth, new Date().toISOString().slice(0, 10));
+    }
+
+    const report = await generateFinancialReport(req.orgId, period, { userId: req.user.id });
+
+    console.log(`✅ Financial report ${report.id} (${period.start} to ${period.end}) generated for org ${req.orgId} by user ${req.user.id}`);
+    res.status(201).json({
+      success: true,
+      data: report,
+      message: `${report.report_name} generated`
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[officialReports.js] POST / error:', err.message);
+    res.status(500).json({ error: 'Failed to generate financial report' });
+  }
+});
+
+// GET /api/budget/official-reports/:id - A report as an official at a permission level sees it (committee lead+ required)
+// Query: permission_level (basic|detailed|full, default full), format (json|pdf)
+router.get('/:id', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const level = req.query.permission_level || 'full';
+    if (!PERMISSION_LEVELS.includes(level)) {
+      return res.status(400).json({ error: `permission_level must be one of: ${PERMISSION_LEVELS.join(', ')}`, field: 'permission_level' });
+    }
+    const format = req.query.format || 'json';
+    if (!['json', 'pdf'].includes(format)) {
+      return res.status(400).json({ error: 'format must be one of: json, pdf' });
+    }
+
+    const { row: report, status, error: lookupError } = await fetchOrgRow('financial_reports', req.params.id, req.orgId, 'Financial report');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const view = viewForLevel(report.report_data, level);
+    if (format === 'pdf') {
+      const file = await renderOfficialReport(view);
+      return sendExport(res, file, 'pdf', `treasurer-report-${report.report_period_start}-to-${report.report_period_end}-${level}`);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id: report.id,
+        report_name: report.report_name,
+        submitted_to_officials: report.submitted_to_officials,
+        submission_date: report.submission_date,
+        ...view
+      }
+    });
+  } catch (err) {
+    console.error('[officialReports.js] GET /:id error:', err.message);
+    res.status(500).json({ error: 'Failed to load financial report' });
+  }
+});
+
+// POST /api/budget/official-reports/:id/send - Email a report to school officials (board member+ required)
+// Body: official_ids (default every active official)
+router.post('/:id/send', getUserOrgContext, requireBoardMember, async (req, res) => {
+  try {
+    const { row: report, status, error: lookupError } = await fetchOrgRow('financial_reports', req.params.id, req.orgId, 'Financial report');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+    if (req.body.official_ids !== undefined && !Array.isArray(req.body.official_ids)) {
+      return res.status(400).json({ error: 'official_ids must be a list of official IDs', field: 'official_ids' });
+    }
+
+    const result = await sendReportToOfficials(report, { officialIds: req.body.official_ids, userId: req.user.id });
+
+    console.log(`✅ Financial report ${report.id} sent to ${result.sent} official(s) by user ${req.user.id} (${result.failed} failed)`);
+    // Nothing went out: most often email isn't configured or the mail server is down
+    res.status(result.sent > 0 ? 200 : 502).json({
+      success: result.sent > 0,
+      data: result,
+      message: result.failed === 0
+        ? `Report sent to ${result.sent} official(s)`
+        : `Report sent to ${result.sent} official(s); ${result.failed} could not be sent`
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[officialReports.js] POST /:id/send error:', err.message);
+    res.status(500).json({ error: 'Failed to send financial report' });
+  }
+});
+
+// GET /api/budget/official-reports/:id/deliveries - Who a report was emailed to, and when (committee lead+ required)
+router.get('/:id/deliveries', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const { row: report, status, error: lookupError } = await fetchOrgRow('financial_reports', req.params.id, req.orgId, 'Financial report');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const { data: deliveries, error } = await supabase
+      .from('financial_report_deliveries')
+      .select('*')
+      .eq('report_id', report.id)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: deliveries
+    });
+  } catch (err) {
+    console.error('[officialReports.js] GET /:id/deliveries error:', err.message);
+    res.status(500).json({ error: 'Failed to load report deliveries' });
+  }
+});
+
+console.log('[officialReports.js] Official report routes loaded successfully');
+export default router;
@@ -0,0 +1,799 @@
+import express from 'express';
+import { supabase } from '../util/verifySupabaseToken.js';
+import { getUserOrgContext } from '../middleware/organizationalContext.js';
+import { requireVolunteer, canManageBudget, requireBoardMember } from '../middleware/roleBasedAccess.js';
+import { ValidationError, ConflictError } from '../middleware/errorHandler.js';
+import { fetchOrgRow } from '../util/orgRecords.js';
+import { getFiscalYearStartMonth, fiscalYearBounds, fiscalYearForDate, assertFiscalYearOpen } from '../util/fiscalYear.js';
+import {
+  LOCKED_PLAN_STATUSES,
+  loadPlanCategories,
+  summarizeAllocations,
+  refreshPlanAllocation
+} from '../util/budgetPlans.js';
+
+const router = express.Router();
+
+const PLAN_STATUSES = ['draft', 'proposed', 'approved', 'active', 'completed', 'archived'];
+const AMENDABLE_STATUSES = ['approved', 'active'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// =====================================================
+// BUDGET PLAN ENDPOINTS
+// =====================================================
+
+// GET /api/budget/plans - List budget plans (optionally by fiscal_year/status)
+router.get('/', getUserOrgContext, requireVolunteer, async (req, res) => {
+  try {
+    let query = supabase
+      .from('budget_plans')
+      .select('*')
+      .eq('org_id', req.orgId)
+      .order('fiscal_year', { ascending: false })
+      .order('created_at', { ascending: false });
+
+    if (req.query.fiscal_year) {
+      query = query.eq('fiscal_year', parseInt(req.query.fiscal_year));
+    }
+    if (PLAN_STATUSES.includes(req.query.status)) {
+      query = query.eq('status', req.query.status);
+    }
+
+    const { data: plans, error } = await query;
+
+    if (error) {
+      console.error(`❌ Error fetching budget plans for org ${req.orgId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to load budget plans' });
+    }
+
+    res.json({
+      success: true,
+      data: plans
+    });
+  } catch (err) {
+    console.error('[plans.js] GET / error:', err.message);
+    res.status(500).json({ error: 'Failed to load budget plans' });
+  }
+});
+
+// GET /api/budget/plans/:id - Plan with its category allocations and amendments
+router.get('/:id', getUserOrgContext, requireVolunteer, async (req, res) => {
+  try {
+    const { row: plan, status, error: lookupError } = await fetchOrgRow('budget_plans', req.params.id, req.orgId, 'Budget plan');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const categories = await loadPlanCategories(plan.id);
+    const amendments = await loadAmendments(plan.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...plan,
+        is_locked: LOCKED_PLAN_STATUSES.includes(plan.status),
+        categories,
+        totals: summarizeAllocations(categories),
+        amendments
+      }
+    });
+  } catch (err) {
+    console.error('[plans.js] GET /:id error:', err.message);
+    res.status(500).json({ error: 'Failed to load budget plan' });
+  }
+});
+
+// POST /api/budget/plans - Create a draft plan, optionally claiming existing categories (committee lead+ required)
+// Body: name, description, fiscal_year, start_date, end_date, total_budget, category_ids
+router.post('/', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const fields = normalizePlan(req.body, await getFiscalYearStartMonth(req.orgId));
+    await assertFiscalYearOpen(req.orgId, fields.fiscal_year);
+
+    const { data: plan, error } = await supabase
+      .from('budget_plans')
+      .insert([{
+        ...fields,
+        org_id: req.orgId,
+        status: 'draft',
+        created_by: req.user.id
+      }])
+      .select('*')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: `A budget plan named "${fields.name}" already exists for ${fields.fiscal_year}` });
+      }
+      console.error(`❌ Error creating budget plan for org ${req.orgId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to create budget plan' });
+    }
+
+    if (Array.isArray(req.body.category_ids) && req.body.category_ids.length > 0) {
+      try {
+        await attachCategories(plan, req.body.category_ids);
+      } catch (attachError) {
+        await supabase.from('budget_plans').delete().eq('id', plan.id);
+        throw attachError;
+      }
+    }
+
+    const { categories, totals } = await refreshPlanAllocation(plan.id);
+
+    console.log(`✅ Budget plan ${plan.id} created for org ${req.orgId} by user ${req.user.id}`);
+    res.status(201).json({
+      success: true,
+      data: { ...plan, total_allocated: totals.total_allocated, categories, totals },
+      message: 'Budget plan created successfully'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('[plans.js] POST / error:', err.message);
+    res.status(500).json({ error: 'Failed to create budget plan' });
+  }
+});
+
+// PUT /api/budget/plans/:id - Update a draft plan (committee lead+ required)
+router.put('/:id', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const plan = await fetchPlanInStatus(req, res, ['draft']);
+    if (!plan) return;
+
+    const input = { ...plan, ...req.body };
+    // Moving the plan to another year moves its default dates with it
+    if (req.body.fiscal_year !== undefined && Number(req.body.fiscal_year) !== plan.fiscal_year) {
+      input.start_date = req.body.start_date;
+      input.end_date = req.body.end_date;
+    }
+    const fields = normalizePlan(input, await getFiscalYearStartMonth(req.orgId));
+    await assertFiscalYearOpen(req.orgId, fields.fiscal_year);
+
+    if (fields.fiscal_year !== plan.fiscal_year) {
+      const categories = await loadPlanCategories(plan.id);
+      if (categories.length > 0) {
+        return res.status(400).json({ error: 'Remove the plan\'s categories before changing its fiscal year' });
+      }
+    }
+
+    const { data: updatedPlan, error } = await supabase
+      .from('budget_plans')
+      .update(fields)
+      .eq('id', plan.id)
+      .eq('org_id', req.orgId)
+      .select('*')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: `A budget plan named "${fields.name}" already exists for ${fields.fiscal_year}` });
+      }
+      console.error(`❌ Error updating budget plan ${plan.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to update budget plan' });
+    }
+
+    console.log(`✅ Budget plan ${plan.id} updated in org ${req.orgId} by user ${req.user.id}`);
+    res.json({
+      success: true,
+      data: updatedPlan,
+      message: 'Budget plan updated successfully'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('[plans.js] PUT /:id error:', err.message);
+    res.status(500).json({ error: 'Failed to update budget plan' });
+  }
+});
+
+// DELETE /api/budget/plans/:id - Delete a draft plan; its categories are kept but released (committee lead+ required)
+router.delete('/:id', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const plan = await fetchPlanInStatus(req, res, ['draft']);
+    if (!plan) return;
+
+    const { error: releaseError } = await supabase
+      .from('budget_categories')
+      .update({ budget_plan_id: null })
+      .eq('budget_plan_id', plan.id);
+
+    if (releaseError) {
+      console.error(`❌ Error releasing categories of budget plan ${plan.id}:`, releaseError.message);
+      return res.status(500).json({ error: 'Failed to delete budget plan' });
+    }
+
+    const { error } = await supabase
+      .from('budget_plans')
+      .delete()
+      .eq('id', plan.id)
+      .eq('org_id', req.orgId);
+
+    if (error) {
+      console.error(`❌ Error deleting budget plan ${plan.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to delete budget plan' });
+    }
+
+    console.log(`✅ Budget plan ${plan.id} deleted from org ${req.orgId} by user ${req.user.id}`);
+    res.json({
+      success: true,
+      message: 'Budget plan deleted successfully'
+    });
+  } catch (err) {
+    console.error('[plans.js] DELETE /:id error:', err.message);
+    res.status(500).json({ error: 'Failed to delete budget plan' });
+  }
+});
+
+// POST /api/budget/plans/:id/categories - Add allocations to a draft plan (committee lead+ required)
+// Body: category_ids (existing categories of the same fiscal year) or a new category
+// (name, category_type, budget_amount, description, parent_category_id)
+router.post('/:id/categories', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const plan = await fetchPlanInStatus(req, res, ['draft']);
+    if (!plan) return;
+
+    await assertFiscalYearOpen(req.orgId, plan.fiscal_year);
+
+    if (Array.isArray(req.body.category_ids)) {
+      await attachCategories(plan, req.body.category_ids);
+    } else {
+      await createPlanCategory(plan, req.body, req.user.id);
+    }
+
+    const { categories, totals } = await refreshPlanAllocation(plan.id);
+
+    console.log(`✅ Budget plan ${plan.id} now has ${categories.length} categories`);
+    res.status(201).json({
+      success: true,
+      data: { categories, totals },
+      message: 'Budget plan categories updated successfully'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('[plans.js] POST /:id/categories error:', err.message);
+    res.status(500).json({ error: 'Failed to add budget plan categories' });
+  }
+});
+
+// DELETE /api/budget/plans/:id/categories/:categoryId - Release a category from a draft plan (committee lead+ required)
+router.delete('/:id/categories/:categoryId', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const plan = await fetchPlanInStatus(req, res, ['draft']);
+    if (!plan) return;
+
+    const { data: released, error } = await supabase
+      .from('budget_categories')
+      .update({ budget_plan_id: null })
+      .eq('id', req.params.categoryId)
+      .eq('budget_plan_id', plan.id)
+      .select('id');
+
+    if (error) {
+      console.error(`❌ Error releasing category ${req.params.categoryId} from plan ${plan.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to remove budget plan category' });
+    }
+
+    if (released.length === 0) {
+      return res.status(404).json({ error: 'Category is not part of this budget plan' });
+    }
+
+    const { categories, totals } = await refreshPlanAllocation(plan.id);
+
+    res.json({
+      success: true,
+      data: { categories, totals },
+      message: 'Category removed from budget plan'
+    });
+  } catch (err) {
+    console.error('[plans.js] DELETE /:id/categories/:categoryId error:', err.message);
+    res.status(500).json({ error: 'Failed to remove budget plan category' });
+  }
+});
+
+// POST /api/budget/plans/:id/propose - Submit a draft plan for board approval (committee lead+ required)
+router.post('/:id/propose', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const plan = await fetchPlanInStatus(req, res, ['draft']);
+    if (!plan) return;
+
+    const { categories, totals } = await refreshPlanAllocation(plan.id);
+
+    if (categories.length === 0) {
+      return res.status(400).json({ error: 'Add at least one budget category before proposing the plan' });
+    }
+
+    if (totals.total_allocated > Number(plan.total_budget)) {
+      return res.status(400).json({
+        error: 'Expense allocations exceed the plan\'s total budget',
+        details: { total_budget: Number(plan.total_budget), total_allocated: totals.total_allocated }
+      });
+    }
+
+    const updatedPlan = await setPlanStatus(plan, 'draft', {
+      status: 'proposed',
+      proposed_by: req.user.id,
+      proposed_at: new Date().toISOString()
+    });
+    if (!updatedPlan) {
+      return res.status(409).json({ error: 'Budget plan was changed by someone else; reload and try again' });
+    }
+
+    console.log(`✅ Budget plan ${plan.id} proposed by user ${req.user.id}`);
+    res.json({
+      success: true,
+      data: { ...updatedPlan, categories, totals },
+      message: 'Budget plan submitted for approval'
+    });
+  } catch (err) {
+    console.error('[plans.js] POST /:id/propose error:', err.message);
+    res.status(500).json({ error: 'Failed to propose budget plan' });
+  }
+});
+
+// POST /api/budget/plans/:id/return - Send a proposed plan back to draft with notes (board member+ required)
+router.post('/:id/return', getUserOrgContext, requireBoardMember, async (req, res) => {
+  try {
+    const plan = await fetchPlanInStatus(req, res, ['proposed']);
+    if (!plan) return;
+
+    const updatedPlan = await setPlanStatus(plan, 'proposed', {
+      status: 'draft',
+      review_notes: req.body.review_notes || null
+    });
+    if (!updatedPlan) {
+      return res.status(409).json({ error: 'Budget plan was changed by someone else; reload and try again' });
+    }
+
+    console.log(`✅ Budget plan ${plan.id} returned to draft by user ${req.user.id}`);
+    res.json({
+      success: true,
+      data: updatedPlan,
+      message: 'Budget plan returned for changes'
+    });
+  } catch (err) {
+    console.error('[plans.js] POST /:id/return error:', err.message);
+    res.status(500).json({ error: 'Failed to return budget plan' });
+  }
+});
+
+// POST /api/budget/plans/:id/approve - Approve a proposed plan and lock its allocations (board member+ required)
+router.post('/:id/approve', getUserOrgContext, requireBoardMember, async (req, res) => {
+  try {
+    const plan = await fetchPlanInStatus(req, res, ['proposed']);
+    if (!plan) return;
+
+    const { data: approvedPlans, error: approvedError } = await supabase
+      .from('budget_plans')
+      .select('id, name')
+      .eq('org_id', req.orgId)
+      .eq('fiscal_year', plan.fiscal_year)
+      .in('status', AMENDABLE_STATUSES)
+      .neq('id', plan.id);
+
+    if (approvedError) throw new Error(approvedError.message);
+
+    if (approvedPlans.length > 0) {
+      return res.status(409).json({
+        error: `"${approvedPlans[0].name}" is already the approved plan for ${plan.fiscal_year}`
+      });
+    }
+
+    const { totals } = await refreshPlanAllocation(plan.id);
+
+    let updatedPlan;
+    try {
+      updatedPlan = await setPlanStatus(plan, 'proposed', {
+        status: 'approved',
+        approved_by: req.user.id,
+        approved_at: new Date().toISOString(),
+        review_notes: req.body.review_notes || plan.review_notes || null
+      });
+    } catch (statusError) {
+      if (statusError.code === '23505') {
+        return res.status(409).json({ error: `Another plan was approved for ${plan.fiscal_year}` });
+      }
+      throw statusError;
+    }
+    if (!updatedPlan) {
+      return res.status(409).json({ error: 'Budget plan was changed by someone else; reload and try again' });
+    }
+
+    console.log(`✅ Budget plan ${plan.id} approved by user ${req.user.id}`);
+    res.json({
+      success: true,
+      data: { ...updatedPlan, totals },
+      message: 'Budget plan approved'
+    });
+  } catch (err) {
+    console.error('[plans.js] POST /:id/approve error:', err.message);
+    res.status(500).json({ error: 'Failed to approve budget plan' });
+  }
+});
+
+// GET /api/budget/plans/:id/amendments - Mid-year changes to an approved plan
+router.get('/:id/amendments', getUserOrgContext, requireVolunteer, async (req, res) => {
+  try {
+    const { row: plan, status, error: lookupError } = await fetchOrgRow('budget_plans', req.params.id, req.orgId, 'Budget plan');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    res.json({
+      success: true,
+      data: await loadAmendments(plan.id)
+    });
+  } catch (err) {
+    console.error('[plans.js] GET /:id/amendments error:', err.message);
+    res.status(500).json({ error: 'Failed to load budget plan amendments' });
+  }
+});
+
+// POST /api/budget/plans/:id/amendments - Change an approved plan's allocations (board member+ required)
+// Body: reason (required) and either category_id with budget_amount/name/description/is_active,
+// or category { name, category_type, budget_amount, description, parent_category_id } to add one
+router.post('/:id/amendments', getUserOrgContext, requireBoardMember, async (req, res) => {
+  try {
+    const plan = await fetchPlanInStatus(req, res, AMENDABLE_STATUSES);
+    if (!plan) return;
+
+    await assertFiscalYearOpen(req.orgId, plan.fiscal_year);
+
+    const reason = String(req.body.reason || '').trim();
+    if (!reason) {
+      throw new ValidationError('A reason is required for budget amendments', 'reason');
+    }
+
+    const amendment = req.body.category
+      ? await addAmendedCategory(plan, req.body.category, req.user.id)
+      : await changeAmendedCategory(plan, req.body);
+
+    const { data: record, error } = await supabase
+      .from('budget_plan_amendments')
+      .insert([{
+        ...amendment,
+        org_id: req.orgId,
+        plan_id: plan.id,
+        reason,
+        amended_by: req.user.id
+      }])
+      .select('*')
+      .single();
+
+    if (error) {
+      console.error(`❌ Error recording amendment for budget plan ${plan.id}:`, error.message);
+      return res.status(500).json({ error: 'Budget category was changed but the amendment could not be recorded' });
+    }
+
+    const { totals } = await refreshPlanAllocation(plan.id);
+
+    console.log(`✅ Budget plan ${plan.id} amended (${amendment.change_type}) by user ${req.user.id}`);
+    res.status(201).json({
+      success: true,
+      data: {
+        amendment: record,
+        totals,
+        over_allocated: totals.total_allocated > Number(plan.total_budget)
+      },
+      message: 'Budget amendment recorded'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('[plans.js] POST /:id/amendments error:', err.message);
+    res.status(500).json({ error: 'Failed to amend budget plan' });
+  }
+});
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+// Fetch the plan and make sure it is in one of the given statuses;
+// sends the error response and returns null otherwise
+async function fetchPlanInStatus(req, res, statuses) {
+  const { row: plan, status, error } = await fetchOrgRow('budget_plans', req.params.id, req.orgId, 'Budget plan');
+  if (error) {
+    res.status(status).json({ error });
+    return null;
+  }
+
+  if (!statuses.includes(plan.status)) {
+    res.status(409).json({
+      error: LOCKED_PLAN_STATUSES.includes(plan.status) && statuses.includes('draft')
+        ? `Budget plan is ${plan.status}; its allocations can only change through amendments`
+        : `Budget plan is ${plan.status}; expected ${statuses.join(' or ')}`
+    });
+    return null;
+  }
+
+  return plan;
+}
+
+// Move a plan out of expectedStatus; returns null if someone else moved it first
+async function setPlanStatus(plan, expectedStatus, fields) {
+  const { data, error } = await supabase
+    .from('budget_plans')
+    .update(fields)
+    .eq('id', plan.id)
+    .eq('status', expectedStatus)
+    .select('*')
+    .maybeSingle();
+
+  if (error) {
+    const statusError = new Error(`Failed to update budget plan: ${error.message}`);
+    statusError.code = error.code;
+    throw statusError;
+  }
+
+  return data;
+}
+
+async function loadAmendments(planId) {
+  const { data, error } = await supabase
+    .from('budget_plan_amendments')
+    .select('*, budget_categories(name)')
+    .eq('plan_id', planId)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to fetch budget plan amendments: ${error.message}`);
+  }
+
+  return data.map(({ budget_categories: category, ...amendment }) => ({
+    ...amendment,
+    category_name: category?.name || amendment.new_values?.name || amendment.previous_values?.name || null
+  }));
+}
+
+function normalizePlan(input, startMonth) {
+  const name = String(input.name || '').trim();
+  if (!name) {
+    throw new ValidationError('Plan name is required', 'name');
+  }
+
+  const fiscalYear = Number(input.fiscal_year ?? fiscalYearForDate(new Date().toISOString().slice(0, 10), startMonth));
+  if (!Number.isInteger(fiscalYear) || fiscalYear < 2000 || fiscalYear > 2100) {
+    throw new ValidationError('fiscal_year must be a year', 'fiscal_year');
+  }
+
+  const bounds = fiscalYearBounds(fiscalYear, startMonth);
+  const startDate = input.start_date || bounds.start;
+  const endDate = input.end_date || bounds.end;
+  if (!DATE_PATTERN.test(startDate)) {
+    throw new ValidationError('start_date must be YYYY-MM-DD', 'start_date');
+  }
+  if (!DATE_PATTERN.test(endDate)) {
+    throw new ValidationError('end_date must be YYYY-MM-DD', 'end_date');
+  }
+  if (endDate <= startDate) {
+    throw new ValidationError('end_date must be after start_date', 'end_date');
+  }
+
+  const totalBudget = parseFloat(input.total_budget);
+  if (isNaN(totalBudget) || totalBudget < 0) {
+    throw new ValidationError('total_budget must be a non-negative number', 'total_budget');
+  }
+
+  return {
+    name,
+    description: input.description || null,
+    fiscal_year: fiscalYear,
+    start_date: startDate,
+    end_date: endDate,
+    total_budget: totalBudget
+  };
+}
+
+// Claim existing categories for a plan; they must be unclaimed and from the plan's fiscal year
+async function attachCategories(plan, categoryIds) {
+  const ids = [...new Set(categoryIds.filter(Boolean))];
+  if (ids.length === 0) {
+    throw new ValidationError('category_ids must list at least one category', 'category_ids');
+  }
+
+  const { data: categories, error } = await supabase
+    .from('budget_categories')
+    .select('id, name, fiscal_year, budget_plan_id')
+    .eq('org_id', plan.org_id)
+    .in('id', ids);
+
+  if (error) {
+    throw new Error(`Failed to fetch budget categories: ${error.message}`);
+  }
+
+  if (categories.length !== ids.length) {
+    throw new ValidationError('Some categories were not found in your organization', 'category_ids');
+  }
+
+  for (const category of categories) {
+    if (category.fiscal_year !== plan.fiscal_year) {
+      throw new ValidationError(`"${category.name}" belongs to fiscal year ${category.fiscal_year}, not ${plan.fiscal_year}`, 'category_ids');
+    }
+    if (category.budget_plan_id && category.budget_plan_id !== plan.id) {
+      throw new ConflictError(`"${category.name}" already belongs to another budget plan`);
+    }
+  }
+
+  const { error: updateError } = await supabase
+    .from('budget_categories')
+    .update({ budget_plan_id: plan.id })
+    .in('id', ids);
+
+  if (updateError) {
+    throw new Error(`Failed to add categories to plan: ${updateError.message}`);
+  }
+}
+
+// Create a category inside a plan (draft plans, or approved plans via an amendment)
+async function createPlanCategory(plan, input, userId) {
+  const name = String(input.name || '').trim();
+  if (!name) {
+    throw new ValidationError('Category name is required', 'name');
+  }
+  if (!['expense', 'revenue'].includes(input.category_type)) {
+    throw new ValidationError('Category type must be either "expense" or "revenue"', 'category_type');
+  }
+
+  const budgetAmount = parseFloat(input.budget_amount);
+  if (isNaN(budgetAmount) || budgetAmount < 0) {
+    throw new ValidationError('Budget amount must be a non-negative number', 'budget_amount');
+  }
+
+  if (input.parent_category_id) {
+    const { data: parent, error: parentError } = await supabase
+      .from('budget_categories')
+      .select('id, category_type, budget_plan_id')
+      .eq('id', input.parent_category_id)
+      .eq('org_id', plan.org_id)
+      .maybeSingle();
+
+    if (parentError) throw new Error(parentError.message);
+    if (!parent || parent.budget_plan_id !== plan.id) {
+      throw new ValidationError('Parent category must be part of this budget plan', 'parent_category_id');
+    }
+    if (parent.category_type !== input.category_type) {
+      throw new ValidationError('Parent category must be the same type (expense/revenue)', 'parent_category_id');
+    }
+  }
+
+  const { data: category, error } = await supabase
+    .from('budget_categories')
+    .insert([{
+      org_id: plan.org_id,
+      budget_plan_id: plan.id,
+      name,
+      description: input.description || null,
+      budget_amount: budgetAmount,
+      category_type: input.category_type,
+      parent_category_id: input.parent_category_id || null,
+      fiscal_year: plan.fiscal_year,
+      created_by: userId
+    }])
+    .select('*')
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new ConflictError('A budget category with this name already exists for this fiscal year');
+    }
+    throw new Error(`Failed to create budget category: ${error.message}`);
+  }
+
+  return category;
+}
+
+async function addAmendedCategory(plan, input, userId) {
+  const category = await createPlanCategory(plan, input, userId);
+
+  return {
+    category_id: category.id,
+    change_type: 'added',
+    previous_values: {},
+    new_values: {
+      name: category.name,
+      category_type: category.category_type,
+      budget_amount: Number(category.budget_amount),
+      parent_category_id: category.parent_category_id
+    },
+    amount_change: Number(category.budget_amount)
+  };
+}
+
+// Apply a change to one of the plan's categories and describe it for the amendment record
+async function changeAmendedCategory(plan, input) {
+  if (!input.category_id) {
+    throw new ValidationError('category_id or category is required', 'category_id');
+  }
+
+  const { data: category, error: fetchError } = await supabase
+    .from('budget_categories')
+    .select('*')
+    .eq('id', input.category_id)
+    .eq('budget_plan_id', plan.id)
+    .maybeSingle();
+
+  if (fetchError) throw new Error(fetchError.message);
+  if (!category) {
+    throw new ValidationError('Category is not part of this budget plan', 'category_id');
+  }
+
+  const changes = {};
+  if (input.budget_amount !== undefined) {
+    const budgetAmount = parseFloat(input.budget_amount);
+    if (isNaN(budgetAmount) || budgetAmount < 0) {
+      throw new ValidationError('Budget amount must be a non-negative number', 'budget_amount');
+    }
+    changes.budget_amount = budgetAmount;
+  }
+  if (input.name !== undefined) {
+    const name = String(input.name).trim();
+    if (!name) {
+      throw new ValidationError('Category name cannot be empty', 'name');
+    }
+    changes.name = name;
+  }
+  if (input.description !== undefined) changes.description = input.description || null;
+  if (input.is_active !== undefined) changes.is_active = Boolean(input.is_active);
+
+  const changedFields = Object.keys(changes).filter(field =>
+    field === 'budget_amount'
+      ? changes[field] !== Number(category[field])
+      : changes[field] !== category[field]
+  );
+  if (changedFields.length === 0) {
+    throw new ValidationError('The amendment does not change anything', 'category_id');
+  }
+
+  const updateData = Object.fromEntries(changedFields.map(field => [field, changes[field]]));
+
+  const { error: updateError } = await supabase
+    .from('budget_categories')
+    .update(updateData)
+    .eq('id', category.id);
+
+  if (updateError) {
+    if (updateError.code === '23505') {
+      throw new ConflictError('A budget category with this name already exists for this fiscal year');
+    }
+    throw new Error(`Failed to amend budget category: ${updateError.message}`);
+  }
+
+  const previousAmount = category.is_active === false ? 0 : Number(category.budget_amount);
+  const isActive = updateData.is_active ?? category.is_active !== false;
+  const newAmount = isActive ? (updateData.budget_amount ?? Number(category.budget_amount)) : 0;
+
+  let changeType = 'details';
+  if (updateData.is_active === false) changeType = 'deactivated';
+  else if (updateData.budget_amount !== undefined) changeType = 'amount';
+
+  return {
+    category_id: category.id,
+    change_type: changeType,
+    previous_values: Object.fromEntries(changedFields.map(field => [
+      field,
+      field === 'budget_amount' ? Number(category[field]) : category[field]
+    ])),
+    new_values: updateData,
+    amount_change: Math.round((newAmount - previousAmount) * 100) / 100
+  };
+}
+
+console.log('[plans.js] Budget plan routes loaded successfully');
+export default router;
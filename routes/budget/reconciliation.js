@@ -1,9 +1,53 @@
 import express from 'express';
+import multer from 'multer';
+import crypto from 'crypto';
 const router = express.Router();
 import { supabase } from '../util/verifySupabaseToken.js';
 import { getUserOrgContext as authenticate } from '../middleware/organizationalContext.js';
+import { canManageBudget, requireBoardMember, requireAdmin, hasMinRole } from '../middleware/roleBasedAccess.js';
+import { ValidationError, ConflictError } from '../middleware/errorHandler.js';
+import { fetchOrgRow } from '../util/orgRecords.js';
+import {
+  matchingRange,
+  loadBookItems,
+  loadMatches,
+  suggestMatches,
+  confirmMatch,
+  removeMatch
+} from '../util/reconciliationMatching.js';
+import { assertReconciliationEditable, buildReconciliationReport, renderReconciliationReport } from '../util/reconciliationReport.js';
+import { createNotification } from '../util/notifications.js';
+import { sendExport } from '../util/reportExport.js';
+import { resolveBankAccount, findBankAccount, belongsToAccount } from '../util/bankAccounts.js';
+import {
+  detectStatementFormat,
+  normalizeCsvMapping,
+  guessCsvMapping,
+  parseCsvStatement,
+  parseOfxStatement,
+  assignDedupeKeys
+} from '../util/bankStatements.js';
+
+const STATEMENT_BUCKET = 'bank-statements';
+
+// Bank statements are small text files; keep them in memory until stored
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|ofx|qfx|txt)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV, OFX and QFX statements are allowed'), false);
+    }
+  }
+});
 
 // Get all reconciliations for the organization
+// Query: bank_account_id (only that account's reconciliations)
 router.get('/', authenticate, async (req, res) => {
   const { org_id } = req.profile;
 
@@ -16,6 +60,14 @@ router.get('/', authenticate, async (req, res) => {
       .order('month', { ascending: false });
 
     if (error) throw error;
+
+    if (req.query.bank_account_id) {
+      const account = await findBankAccount(org_id, req.query.bank_account_id);
+      if (!account) {
+        return res.status(400).json({ error: 'Bank account not found in your organization', field: 'bank_account_id' });
+      }
+      return res.status(200).json({ success: true, data: data.filter(reconciliation => belongsToAccount(account, reconciliation.bank_account_id)) });
+    }
     res.status(200).json({ success: true, data });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch reconciliations.', details: error.message });
@@ -23,6 +75,7 @@ router.get('/', authenticate, async (req, res) => {
 });
 
 // Start a new reconciliation
+// Body: month, year, bank_account_id (default: the default account)
 router.post('/start', authenticate, async (req, res) => {
   console.log('🔍 [DEBUG] Reconciliation /start endpoint hit');
   console.log('🔍 [DEBUG] Request body:', req.body);
@@ -68,9 +121,10 @@ router.post('/start', authenticate, async (req, res) => {
     }
 
     console.log('🔍 [DEBUG] Tables exist, creating reconciliation record...');
+    const account = await resolveBankAccount(org_id, req.body.bank_account_id);
     const { data, error } = await supabase
       .from('reconciliations')
-      .insert([{ org_id, month, year, status: 'in_progress' }])
+      .insert([{ org_id, month, year, bank_account_id: account.id, status: 'in_progress' }])
       .select();
 
     console.log('🔍 [DEBUG] Insert result:', { data, error });
@@ -83,6 +137,9 @@ router.post('/start', authenticate, async (req, res) => {
     console.log('✅ [DEBUG] Reconciliation created successfully:', data[0]);
     res.status(201).json({ success: true, data: data[0] });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, field: error.field });
+    }
     console.error('❌ [DEBUG] Failed to start reconciliation:', error);
     console.error('❌ [DEBUG] Error stack:', error.stack);
     res.status(500).json({ 
@@ -99,79 +156,301 @@ router.post('/start', authenticate, async (req, res) => {
   }
 });
 
-// Upload bank statement (placeholder for OCR integration)
-router.post('/:id/upload', authenticate, async (req, res) => {
-  const { id } = req.params;
-  // In a real implementation, this would handle file uploads and OCR processing.
-  // For now, we'll simulate the creation of bank transactions.
-  const { transactions } = req.body; // Expecting an array of transactions
+// GET /api/budget/reconciliation/mappings - Saved CSV column mappings, one per bank
+router.get('/mappings', authenticate, canManageBudget, async (req, res) => {
+  try {
+    const { data: mappings, error } = await supabase
+      .from('bank_csv_mappings')
+      .select('*')
+      .eq('org_id', req.orgId)
+      .order('bank_name', { ascending: true });
+
+    if (error) {
+      console.error(`❌ Error fetching bank CSV mappings for org ${req.orgId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to load CSV mappings' });
+    }
 
-  if (!transactions || !Array.isArray(transactions)) {
-    return res.status(400).json({ error: 'Transactions array is required.' });
+    res.json({ success: true, data: mappings });
+  } catch (err) {
+    console.error('[reconciliation.js] GET /mappings error:', err.message);
+    res.status(500).json({ error: 'Failed to load CSV mappings' });
   }
+});
 
+// POST /api/budget/reconciliation/mappings - Save a bank's CSV column mapping (committee lead+ required)
+// Body: bank_name, date_column, description_column, amount_column or debit_column/credit_column,
+// fitid_column, check_number_column, date_format, delimiter, has_header, skip_rows, invert_amounts
+router.post('/mappings', authenticate, canManageBudget, async (req, res) => {
   try {
-    const transactionsToInsert = transactions.map(t => ({
-      reconciliation_id: id,
-      transaction_date: t.date,
-      description: t.description,
-      amount: t.amount
-    }));
+    const fields = normalizeCsvMapping(req.body);
 
-    const { data, error } = await supabase
-      .from('bank_transactions')
-      .insert(transactionsToInsert)
-      .select();
+    const { data: mapping, error } = await supabase
+      .from('bank_csv_mappings')
+      .insert([{ ...fields, org_id: req.orgId, created_by: req.user.id }])
+      .select('*')
+      .single();
 
-    if (error) throw error;
-    res.status(201).json({ success: true, data });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to upload bank statement.', details: error.message });
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: `A CSV mapping for "${fields.bank_name}" already exists` });
+      }
+      console.error(`❌ Error creating bank CSV mapping for org ${req.orgId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to save CSV mapping' });
+    }
+
+    console.log(`✅ Bank CSV mapping ${mapping.id} created for org ${req.orgId}`);
+    res.status(201).json({ success: true, data: mapping, message: 'CSV mapping saved successfully' });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[reconciliation.js] POST /mappings error:', err.message);
+    res.status(500).json({ error: 'Failed to save CSV mapping' });
   }
 });
 
-// Get transactions for a reconciliation
-router.get('/:id/transactions', authenticate, async (req, res) => {
-  const { id } = req.params;
-
+// PUT /api/budget/reconciliation/mappings/:mappingId - Update a saved CSV mapping (committee lead+ required)
+router.put('/mappings/:mappingId', authenticate, canManageBudget, async (req, res) => {
   try {
-    const { data: reconciliation, error: recError } = await supabase
-      .from('reconciliations')
+    const { row: existing, status, error: lookupError } = await fetchOrgRow('bank_csv_mappings', req.params.mappingId, req.orgId, 'CSV mapping');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const fields = normalizeCsvMapping({ ...existing, ...req.body });
+
+    const { data: mapping, error } = await supabase
+      .from('bank_csv_mappings')
+      .update(fields)
+      .eq('id', existing.id)
+      .eq('org_id', req.orgId)
       .select('*')
-      .eq('id', id)
       .single();
 
-    if (recError) throw recError;
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: `A CSV mapping for "${fields.bank_name}" already exists` });
+      }
+      console.error(`❌ Error updating bank CSV mapping ${existing.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to update CSV mapping' });
+    }
+
+    res.json({ success: true, data: mapping, message: 'CSV mapping updated successfully' });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[reconciliation.js] PUT /mappings/:mappingId error:', err.message);
+    res.status(500).json({ error: 'Failed to update CSV mapping' });
+  }
+});
+
+// DELETE /api/budget/reconciliation/mappings/:mappingId - Delete a saved CSV mapping (committee lead+ required)
+router.delete('/mappings/:mappingId', authenticate, canManageBudget, async (req, res) => {
+  try {
+    const { row: mapping, status, error: lookupError } = await fetchOrgRow('bank_csv_mappings', req.params.mappingId, req.orgId, 'CSV mapping');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const { error } = await supabase
+      .from('bank_csv_mappings')
+      .delete()
+      .eq('id', mapping.id)
+      .eq('org_id', req.orgId);
+
+    if (error) {
+      console.error(`❌ Error deleting bank CSV mapping ${mapping.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to delete CSV mapping' });
+    }
+
+    res.json({ success: true, message: 'CSV mapping deleted successfully' });
+  } catch (err) {
+    console.error('[reconciliation.js] DELETE /mappings/:mappingId error:', err.message);
+    res.status(500).json({ error: 'Failed to delete CSV mapping' });
+  }
+});
+
+// POST /api/budget/reconciliation/:id/upload - Import a bank statement (committee lead+ required)
+// Multipart field "statement": a CSV, OFX or QFX file. CSVs are read with mapping_id, the saved
+// mapping for bank_name, or an inline mapping (JSON; save_mapping=true keeps it for that bank);
+// without any of these the columns are guessed from the header row. Lines already imported
+// (same FITID, or same date/amount/description) are skipped. ?dry_run=true parses without saving.
+// A JSON body of pre-parsed { transactions: [{ date, description, amount }] } is still accepted.
+router.post('/:id/upload', authenticate, canManageBudget, statementUpload.single('statement'), async (req, res) => {
+  try {
+    const { row: reconciliation, status, error: lookupError } = await fetchOrgRow('reconciliations', req.params.id, req.orgId, 'Reconciliation');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+    assertReconciliationEditable(reconciliation);
+
+    let format = 'json';
+    let parsed;
+    let mapping = null;
+    if (req.file) {
+      const text = req.file.buffer.toString('utf8');
+      format = detectStatementFormat(req.file.originalname, text);
+      if (format === 'csv') {
+        mapping = await resolveCsvMapping(req, text);
+        parsed = parseCsvStatement(text, mapping);
+      } else {
+        parsed = parseOfxStatement(text);
+      }
+    } else if (Array.isArray(req.body.transactions)) {
+      parsed = parseJsonTransactions(req.body.transactions);
+    } else {
+      return res.status(400).json({ error: 'Upload a statement file (CSV, OFX or QFX) in the "statement" field', field: 'statement' });
+    }
+
+    if (parsed.transactions.length === 0 && parsed.errors.length === 0) {
+      return res.status(400).json({ error: 'No transactions were found in the statement', field: 'statement' });
+    }
+
+    // A statement for another account is most likely the wrong file
+    const account = await findBankAccount(req.orgId, reconciliation.bank_account_id);
+    if (parsed.account_number_last4 && account.account_number_last4 && parsed.account_number_last4 !== account.account_number_last4) {
+      return res.status(400).json({
+        error: `This statement is for an account ending in ${parsed.account_number_last4}, but ${account.name} ends in ${account.account_number_last4}`,
+        field: 'statement'
+      });
+    }
+
+    const lines = assignDedupeKeys(parsed.transactions, account.is_default ? '' : `${account.id}|`);
+    const existingKeys = await findImportedKeys(req.orgId, lines.map(line => line.dedupe_key));
+    const fresh = lines.filter(line => !existingKeys.has(line.dedupe_key));
+    const duplicates = lines.filter(line => existingKeys.has(line.dedupe_key));
+
+    const summary = {
+      format,
+      mapping_id: mapping?.id || null,
+      mapping: format === 'csv' && !mapping?.id ? mapping : undefined,
+      statement_start: parsed.statement_start || null,
+      statement_end: parsed.statement_end || null,
+      ledger_balance: parsed.ledger_balance ?? null,
+      rows_total: lines.length + parsed.errors.length,
+      rows_imported: fresh.length,
+      rows_duplicate: duplicates.length,
+      rows_rejected: parsed.errors.length,
+      duplicates: duplicates.map(describeLine),
+      errors: parsed.errors
+    };
+
+    if (req.query.dry_run === 'true') {
+      return res.json({ success: true, data: { ...summary, transactions: fresh.map(describeLine) } });
+    }
+
+    const { statementImport, transactions } = await saveImport(req, reconciliation, parsed, fresh, summary);
+
+    console.log(`✅ Imported ${transactions.length} bank transactions (${duplicates.length} duplicates) into reconciliation ${reconciliation.id}`);
+    res.status(201).json({
+      success: true,
+      data: { ...summary, import: statementImport, transactions },
+      message: `Imported ${transactions.length} transaction${transactions.length === 1 ? '' : 's'}` +
+        (duplicates.length > 0 ? `, skipped ${duplicates.length} already imported` : '')
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'Some of these lines were imported by another upload just now; upload the statement again' });
+    }
+    console.error('[reconciliation.js] POST /:id/upload error:', err.message);
+    res.status(500).json({ error: 'Failed to upload bank statement.', details: err.message });
+  }
+});
+
+// GET /api/budget/reconciliation/:id/imports - Statement files imported into a reconciliation
+router.get('/:id/imports', authenticate, canManageBudget, async (req, res) => {
+  try {
+    const { row: reconciliation, status, error: lookupError } = await fetchOrgRow('reconciliations', req.params.id, req.orgId, 'Reconciliation');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const { data: imports, error } = await supabase
+      .from('bank_statement_imports')
+      .select('*')
+      .eq('reconciliation_id', reconciliation.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error(`❌ Error fetching statement imports for reconciliation ${reconciliation.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to load statement imports' });
+    }
+
+    res.json({ success: true, data: imports });
+  } catch (err) {
+    console.error('[reconciliation.js] GET /:id/imports error:', err.message);
+    res.status(500).json({ error: 'Failed to load statement imports' });
+  }
+});
+
+// GET /api/budget/reconciliation/imports/:importId/file - Short-lived download link for an imported statement
+router.get('/imports/:importId/file', authenticate, canManageBudget, async (req, res) => {
+  try {
+    const { row: statementImport, status, error: lookupError } = await fetchOrgRow('bank_statement_imports', req.params.importId, req.orgId, 'Statement import');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    if (!statementImport.file_path) {
+      return res.status(404).json({ error: 'This import was not made from a file' });
+    }
+
+    const { data, error } = await supabase.storage
+      .from(STATEMENT_BUCKET)
+      .createSignedUrl(statementImport.file_path, 300);
+
+    if (error) {
+      console.error(`❌ Error signing statement file for import ${statementImport.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to get statement file' });
+    }
+
+    res.json({
+      success: true,
+      data: { file_name: statementImport.file_name, url: data.signedUrl, expires_in: 300 }
+    });
+  } catch (err) {
+    console.error('[reconciliation.js] GET /imports/:importId/file error:', err.message);
+    res.status(500).json({ error: 'Failed to get statement file' });
+  }
+});
+
+// GET /api/budget/reconciliation/:id/transactions - Bank lines, book items and matches
+// systemExpenses holds the book items (ledger transactions and unposted approved
+// expense submissions) dated in or near the reconciliation month
+router.get('/:id/transactions', authenticate, async (req, res) => {
+  try {
+    const { row: reconciliation, status, error: lookupError } = await fetchOrgRow('reconciliations', req.params.id, req.orgId, 'Reconciliation');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
 
     const { data: bankTransactions, error: bankError } = await supabase
       .from('bank_transactions')
       .select('*')
-      .eq('reconciliation_id', id);
+      .eq('reconciliation_id', reconciliation.id)
+      .order('transaction_date', { ascending: true });
 
     if (bankError) throw bankError;
 
-    // Get actual expenses for the reconciliation period
-    const { data: systemExpenses, error: expenseError } = await supabase
-      .from('expenses')
-      .select('*')
-      .eq('org_id', reconciliation.org_id)
-      .gte('expense_date', `${reconciliation.year}-${String(reconciliation.month).padStart(2, '0')}-01`)
-      .lte('expense_date', `${reconciliation.year}-${String(reconciliation.month).padStart(2, '0')}-31`)
-      .eq('status', 'approved')
-      .order('expense_date', { ascending: true });
-
-    if (expenseError) {
-      console.error('Error fetching expenses:', expenseError);
-      // If expenses table doesn't exist yet, return empty array
-      const systemExpenses = [];
-    }
+    const range = matchingRange(reconciliation);
+    const account = await findBankAccount(req.orgId, reconciliation.bank_account_id);
+    const systemExpenses = await loadBookItems(req.orgId, range.start, range.end, account);
+    const matches = await loadMatches(reconciliation.id);
 
     res.status(200).json({
       success: true,
       data: {
         reconciliation,
         bankTransactions,
-        systemExpenses
+        systemExpenses,
+        matches
       }
     });
   } catch (error) {
@@ -179,37 +458,657 @@ router.get('/:id/transactions', authenticate, async (req, res) => {
   }
 });
 
-// Match a transaction
-router.post('/:id/match', authenticate, async (req, res) => {
-  const { id: reconciliation_id } = req.params;
-  const { bank_transaction_id, expense_id } = req.body;
+// POST /api/budget/reconciliation/:id/auto-match - Suggest matches for unmatched bank lines (committee lead+ required)
+// Body: date_window_days (default 7), min_confidence (0-1, default 0.6). Nothing is saved;
+// confirm suggestions by posting them to /:id/match.
+router.post('/:id/auto-match', authenticate, canManageBudget, async (req, res) => {
+  try {
+    const { row: reconciliation, status, error: lookupError } = await fetchOrgRow('reconciliations', req.params.id, req.orgId, 'Reconciliation');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const dateWindowDays = req.body.date_window_days === undefined ? undefined : Number(req.body.date_window_days);
+    if (dateWindowDays !== undefined && (!Number.isInteger(dateWindowDays) || dateWindowDays < 0 || dateWindowDays > 90)) {
+      return res.status(400).json({ error: 'date_window_days must be a whole number from 0 to 90', field: 'date_window_days' });
+    }
+    const minConfidence = req.body.min_confidence === undefined ? undefined : Number(req.body.min_confidence);
+    if (minConfidence !== undefined && (isNaN(minConfidence) || minConfidence < 0 || minConfidence > 1)) {
+      return res.status(400).json({ error: 'min_confidence must be between 0 and 1', field: 'min_confidence' });
+    }
+
+    const { data: bankTransactions, error: bankError } = await supabase
+      .from('bank_transactions')
+      .select('*')
+      .eq('reconciliation_id', reconciliation.id);
+
+    if (bankError) {
+      console.error(`❌ Error fetching bank transactions for reconciliation ${reconciliation.id}:`, bankError.message);
+      return res.status(500).json({ error: 'Failed to auto-match transactions' });
+    }
+
+    const range = matchingRange(reconciliation, dateWindowDays);
+    const account = await findBankAccount(req.orgId, reconciliation.bank_account_id);
+    const bookItems = await loadBookItems(req.orgId, range.start, range.end, account);
+    const suggestions = suggestMatches(bankTransactions, bookItems, { dateWindowDays, minConfidence });
+
+    const unmatched = bankTransactions.filter(line => !line.is_matched).length;
+    res.json({
+      success: true,
+      data: {
+        suggestions,
+        unmatched_bank_transactions: unmatched,
+        unsuggested_bank_transactions: unmatched - suggestions.length
+      },
+      message: `Found ${suggestions.length} suggested match${suggestions.length === 1 ? '' : 'es'} for ${unmatched} unmatched bank transaction${unmatched === 1 ? '' : 's'}`
+    });
+  } catch (err) {
+    console.error('[reconciliation.js] POST /:id/auto-match error:', err.message);
+    res.status(500).json({ error: 'Failed to auto-match transactions' });
+  }
+});
+
+// POST /api/budget/reconciliation/:id/match - Match a bank line to the book items it covers (committee lead+ required)
+// Body: { bank_transaction_id, items: [{ kind: 'transaction' | 'expense_submission' | 'reimbursement_payout', id }], confidence }
+// or { matches: [...] } to confirm several auto-match suggestions at once. Items must add up
+// to the bank amount; confidence is recorded when confirming a suggestion.
+router.post('/:id/match', authenticate, canManageBudget, async (req, res) => {
+  try {
+    const { row: reconciliation, status, error: lookupError } = await fetchOrgRow('reconciliations', req.params.id, req.orgId, 'Reconciliation');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+    assertReconciliationEditable(reconciliation);
+
+    if (!Array.isArray(req.body.matches)) {
+      const rows = await confirmMatch(reconciliation, req.body, req.user.id);
+      return res.status(201).json({ success: true, data: rows });
+    }
+
+    // Bulk confirmation keeps going past individual failures and reports them
+    const matched = [];
+    const failed = [];
+    for (const match of req.body.matches) {
+      try {
+        matched.push(...await confirmMatch(reconciliation, match, req.user.id));
+      } catch (matchError) {
+        if (!(matchError instanceof ValidationError) && !(matchError instanceof ConflictError)) throw matchError;
+        failed.push({ bank_transaction_id: match?.bank_transaction_id || null, error: matchError.message });
+      }
+    }
 
-  if (!bank_transaction_id || !expense_id) {
-    return res.status(400).json({ error: 'Bank transaction ID and expense ID are required.' });
+    console.log(`✅ Confirmed ${req.body.matches.length - failed.length} matches in reconciliation ${reconciliation.id}`);
+    res.status(201).json({
+      success: true,
+      data: { matched, failed },
+      message: `Matched ${req.body.matches.length - failed.length} of ${req.body.matches.length} bank transactions`
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('[reconciliation.js] POST /:id/match error:', err.message);
+    res.status(500).json({ error: 'Failed to match transaction.', details: err.message });
   }
+});
 
+// DELETE /api/budget/reconciliation/:id/match/:bankTransactionId - Unmatch a bank line (committee lead+ required)
+router.delete('/:id/match/:bankTransactionId', authenticate, canManageBudget, async (req, res) => {
   try {
-    // Create the match
-    const { data: match, error: matchError } = await supabase
-      .from('matched_transactions')
-      .insert([{ reconciliation_id, bank_transaction_id, expense_id }])
-      .select()
+    const { row: reconciliation, status, error: lookupError } = await fetchOrgRow('reconciliations', req.params.id, req.orgId, 'Reconciliation');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+    assertReconciliationEditable(reconciliation);
+
+    const removed = await removeMatch(reconciliation, req.params.bankTransactionId);
+    if (removed === 0) {
+      return res.status(404).json({ error: 'No match found for this bank transaction' });
+    }
+
+    res.json({ success: true, message: 'Match removed successfully' });
+  } catch (err) {
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('[reconciliation.js] DELETE /:id/match/:bankTransactionId error:', err.message);
+    res.status(500).json({ error: 'Failed to remove match' });
+  }
+});
+
+// GET /api/budget/reconciliation/:id/summary - Balances, unmatched items and outstanding items
+// Query: statement_opening_balance, statement_ending_balance, book_opening_balance to try figures before submitting
+router.get('/:id/summary', authenticate, canManageBudget, async (req, res) => {
+  try {
+    const { row: reconciliation, status, error: lookupError } = await fetchOrgRow('reconciliations', req.params.id, req.orgId, 'Reconciliation');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const balances = reconciliation.status === 'in_progress' ? parseBalances(req.query) : {};
+    const report = await buildReconciliationReport(reconciliation, balances);
+
+    res.json({ success: true, data: { reconciliation, report } });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[reconciliation.js] GET /:id/summary error:', err.message);
+    res.status(500).json({ error: 'Failed to build reconciliation summary' });
+  }
+});
+
+// POST /api/budget/reconciliation/:id/submit - Submit a balanced reconciliation for sign-off (committee lead+ required)
+// Body: statement_ending_balance, and statement_opening_balance / book_opening_balance for the first reconciliation
+// (later ones carry forward from the previous sign-off). Fails with the open issues unless everything balances.
+router.post('/:id/submit', authenticate, canManageBudget, async (req, res) => {
+  try {
+    const { row: reconciliation, status, error: lookupError } = await fetchOrgRow('reconciliations', req.params.id, req.orgId, 'Reconciliation');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+    assertReconciliationEditable(reconciliation);
+
+    const report = await buildReconciliationReport(reconciliation, parseBalances(req.body));
+    if (!report.balanced) {
+      return res.status(409).json({ error: 'The reconciliation does not balance yet', problems: report.problems, report });
+    }
+
+    const { data: submitted, error } = await supabase
+      .from('reconciliations')
+      .update({
+        status: 'pending_review',
+        ...reportBalances(report),
+        report,
+        prepared_by: req.user.id,
+        prepared_at: new Date().toISOString(),
+        reviewed_by: null,
+        reviewed_at: null
+      })
+      .eq('id', reconciliation.id)
+      .eq('status', 'in_progress')
+      .select('*');
+
+    if (error) {
+      console.error(`❌ Error submitting reconciliation ${reconciliation.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to submit reconciliation' });
+    }
+    if (!submitted || submitted.length === 0) {
+      return res.status(409).json({ error: 'This reconciliation was changed by someone else; reload and try again' });
+    }
+
+    await notifyReviewers(submitted[0], report, req.user.id);
+
+    console.log(`✅ Reconciliation ${reconciliation.id} submitted for sign-off by user ${req.user.id}`);
+    res.json({
+      success: true,
+      data: { reconciliation: submitted[0], report },
+      message: 'Reconciliation submitted for sign-off'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('[reconciliation.js] POST /:id/submit error:', err.message);
+    res.status(500).json({ error: 'Failed to submit reconciliation' });
+  }
+});
+
+// POST /api/budget/reconciliation/:id/sign-off - Second-officer sign-off; locks the month (board member+ required)
+// Body: notes. The preparer can't sign off their own reconciliation.
+router.post('/:id/sign-off', authenticate, requireBoardMember, async (req, res) => {
+  try {
+    const reconciliation = await fetchReconciliationInStatus(req, res, 'pending_review');
+    if (!reconciliation) return;
+
+    if (reconciliation.prepared_by === req.user.id) {
+      return res.status(403).json({ error: 'A second officer must sign off; you prepared this reconciliation' });
+    }
+
+    // Re-check against the books as they are now, not as they were at submission
+    const report = await buildReconciliationReport(reconciliation);
+    if (!report.balanced) {
+      return res.status(409).json({ error: 'The books changed since this reconciliation was submitted and it no longer balances', problems: report.problems, report });
+    }
+
+    const { data: completed, error } = await supabase
+      .from('reconciliations')
+      .update({
+        status: 'completed',
+        ...reportBalances(report),
+        report,
+        reviewed_by: req.user.id,
+        reviewed_at: new Date().toISOString(),
+        review_notes: req.body.notes || null
+      })
+      .eq('id', reconciliation.id)
+      .eq('status', 'pending_review')
+      .select('*');
+
+    if (error) {
+      console.error(`❌ Error signing off reconciliation ${reconciliation.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to sign off reconciliation' });
+    }
+    if (!completed || completed.length === 0) {
+      return res.status(409).json({ error: 'This reconciliation was changed by someone else; reload and try again' });
+    }
+
+    await createNotification({
+      orgId: req.orgId,
+      recipientId: reconciliation.prepared_by,
+      type: 'reconciliation_signed_off',
+      title: `${report.period.label} bank reconciliation signed off`,
+      message: req.body.notes || null,
+      link: `/budget/reconciliation/${reconciliation.id}`
+    });
+
+    console.log(`✅ Reconciliation ${reconciliation.id} signed off by user ${req.user.id}`);
+    res.json({
+      success: true,
+      data: { reconciliation: completed[0], report },
+      message: 'Reconciliation signed off and locked'
+    });
+  } catch (err) {
+    console.error('[reconciliation.js] POST /:id/sign-off error:', err.message);
+    res.status(500).json({ error: 'Failed to sign off reconciliation' });
+  }
+});
+
+// POST /api/budget/reconciliation/:id/return - Send a submitted reconciliation back to the preparer (board member+ required)
+// Body: notes (required)
+router.post('/:id/return', authenticate, requireBoardMember, async (req, res) => {
+  try {
+    if (!req.body.notes || !String(req.body.notes).trim()) {
+      return res.status(400).json({ error: 'Notes explaining what to fix are required', field: 'notes' });
+    }
+
+    const reconciliation = await fetchReconciliationInStatus(req, res, 'pending_review');
+    if (!reconciliation) return;
+
+    const updated = await setReconciliationStatus(reconciliation, 'pending_review', {
+      status: 'in_progress',
+      review_notes: String(req.body.notes).trim()
+    });
+    if (!updated) {
+      return res.status(409).json({ error: 'This reconciliation was changed by someone else; reload and try again' });
+    }
+
+    await createNotification({
+      orgId: req.orgId,
+      recipientId: reconciliation.prepared_by,
+      type: 'reconciliation_returned',
+      title: 'Bank reconciliation returned for changes',
+      message: updated.review_notes,
+      link: `/budget/reconciliation/${reconciliation.id}`
+    });
+
+    res.json({ success: true, data: updated, message: 'Reconciliation returned to the preparer' });
+  } catch (err) {
+    console.error('[reconciliation.js] POST /:id/return error:', err.message);
+    res.status(500).json({ error: 'Failed to return reconciliation' });
+  }
+});
+
+// POST /api/budget/reconciliation/:id/reopen - Unlock a signed-off reconciliation (admin required)
+// Only the account's latest signed-off month can be reopened, since later months carry its balances forward
+router.post('/:id/reopen', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const reconciliation = await fetchReconciliationInStatus(req, res, 'completed');
+    if (!reconciliation) return;
+
+    const account = await findBankAccount(req.orgId, reconciliation.bank_account_id);
+    const { data: later, error: laterError } = await supabase
+      .from('reconciliations')
+      .select('id, month, year, bank_account_id')
+      .eq('org_id', req.orgId)
+      .eq('status', 'completed')
+      .neq('id', reconciliation.id);
+
+    if (laterError) {
+      console.error(`❌ Error checking later reconciliations for ${reconciliation.id}:`, laterError.message);
+      return res.status(500).json({ error: 'Failed to reopen reconciliation' });
+    }
+
+    const periodKey = (r) => Number(r.year) * 12 + Number(r.month);
+    if (later.some(other => periodKey(other) > periodKey(reconciliation) && belongsToAccount(account, other.bank_account_id))) {
+      return res.status(409).json({ error: 'Reopen the later signed-off reconciliations first' });
+    }
+
+    const updated = await setReconciliationStatus(reconciliation, 'completed', {
+      status: 'in_progress',
+      reviewed_by: null,
+      reviewed_at: null,
+      reopened_by: req.user.id,
+      reopened_at: new Date().toISOString()
+    });
+    if (!updated) {
+      return res.status(409).json({ error: 'This reconciliation was changed by someone else; reload and try again' });
+    }
+
+    console.log(`⚠️ Reconciliation ${reconciliation.id} reopened by admin ${req.user.id}`);
+    res.json({ success: true, data: updated, message: 'Reconciliation reopened' });
+  } catch (err) {
+    console.error('[reconciliation.js] POST /:id/reopen error:', err.message);
+    res.status(500).json({ error: 'Failed to reopen reconciliation' });
+  }
+});
+
+// GET /api/budget/reconciliation/:id/report - PDF reconciliation report for the audit committee
+// Submitted and signed-off reconciliations use the figures recorded at that point
+router.get('/:id/report', authenticate, canManageBudget, async (req, res) => {
+  try {
+    const { row: reconciliation, status, error: lookupError } = await fetchOrgRow('reconciliations', req.params.id, req.orgId, 'Reconciliation');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const report = reconciliation.status !== 'in_progress' && reconciliation.report
+      ? reconciliation.report
+      : await buildReconciliationReport(reconciliation);
+    const names = await loadNames([reconciliation.prepared_by, reconciliation.reviewed_by]);
+    const buffer = await renderReconciliationReport(report, reconciliation, names);
+
+    sendExport(res, buffer, 'pdf', `bank-reconciliation-${reconciliation.year}-${String(reconciliation.month).padStart(2, '0')}`);
+  } catch (err) {
+    console.error('[reconciliation.js] GET /:id/report error:', err.message);
+    res.status(500).json({ error: 'Failed to generate reconciliation report' });
+  }
+});
+
+// =====================================================
+// HELPER FUNCTIONS
+// =====================================================
+
+async function fetchReconciliationInStatus(req, res, expectedStatus) {
+  const { row: reconciliation, status, error } = await fetchOrgRow('reconciliations', req.params.id, req.orgId, 'Reconciliation');
+  if (error) {
+    res.status(status).json({ error });
+    return null;
+  }
+
+  if (reconciliation.status !== expectedStatus) {
+    res.status(409).json({ error: `Reconciliation is ${reconciliation.status.replace('_', ' ')}, not ${expectedStatus.replace('_', ' ')}` });
+    return null;
+  }
+  return reconciliation;
+}
+
+// Update only if the status hasn't moved underneath us; returns the row or null
+async function setReconciliationStatus(reconciliation, fromStatus, values) {
+  const { data, error } = await supabase
+    .from('reconciliations')
+    .update(values)
+    .eq('id', reconciliation.id)
+    .eq('status', fromStatus)
+    .select('*');
+
+  if (error) {
+    throw new Error(`Failed to update reconciliation: ${error.message}`);
+  }
+  return data && data.length > 0 ? data[0] : null;
+}
+
+function parseBalances(input) {
+  const balances = {};
+  for (const field of ['statement_opening_balance', 'statement_ending_balance', 'book_opening_balance']) {
+    if (input[field] === undefined || input[field] === null || input[field] === '') continue;
+    const value = Number(input[field]);
+    if (isNaN(value)) {
+      throw new ValidationError(`${field} must be a number`, field);
+    }
+    balances[field] = value;
+  }
+  return balances;
+}
+
+function reportBalances(report) {
+  const { totals } = report;
+  return {
+    statement_opening_balance: totals.statement_opening_balance,
+    statement_ending_balance: totals.statement_ending_balance,
+    book_opening_balance: totals.book_opening_balance,
+    book_balance: totals.book_balance,
+    adjusted_bank_balance: totals.adjusted_bank_balance,
+    difference: totals.difference
+  };
+}
+
+// Board members and admins other than the preparer
+async function notifyReviewers(reconciliation, report, preparerId) {
+  const { data: profiles, error } = await supabase
+    .from('profiles')
+    .select('id, role')
+    .eq('org_id', reconciliation.org_id);
+
+  if (error) {
+    console.warn(`⚠️ Failed to look up reconciliation reviewers for org ${reconciliation.org_id}:`, error.message);
+    return;
+  }
+
+  for (const profile of profiles) {
+    if (profile.id === preparerId || !hasMinRole(profile.role, 'board_member')) continue;
+    await createNotification({
+      orgId: reconciliation.org_id,
+      recipientId: profile.id,
+      type: 'reconciliation_review_requested',
+      title: `${report.period.label} bank reconciliation needs sign-off`,
+      message: 'A second officer needs to review and sign off this reconciliation',
+      link: `/budget/reconciliation/${reconciliation.id}`
+    });
+  }
+}
+
+async function loadNames(userIds) {
+  const ids = userIds.filter(Boolean);
+  if (ids.length === 0) return {};
+
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('id, first_name, last_name, full_name')
+    .in('id', ids);
+
+  if (error) return {};
+  return Object.fromEntries(data.map(profile => [
+    profile.id,
+    profile.full_name || [profile.first_name, profile.last_name].filter(Boolean).join(' ') || profile.id
+  ]));
+}
+
+async function resolveCsvMapping(req, text) {
+  const { mapping_id, bank_name, mapping } = req.body;
+
+  if (mapping_id) {
+    const { row, error } = await fetchOrgRow('bank_csv_mappings', mapping_id, req.orgId, 'CSV mapping');
+    if (error) {
+      throw new ValidationError(error, 'mapping_id');
+    }
+    return row;
+  }
+
+  if (mapping) {
+    let input = mapping;
+    if (typeof mapping === 'string') {
+      try {
+        input = JSON.parse(mapping);
+      } catch {
+        throw new ValidationError('mapping must be valid JSON', 'mapping');
+      }
+    }
+
+    const fields = normalizeCsvMapping({ bank_name: bank_name || 'Imported statement', ...input });
+    if (req.body.save_mapping !== 'true' && req.body.save_mapping !== true) {
+      return fields;
+    }
+
+    const { data: saved, error } = await supabase
+      .from('bank_csv_mappings')
+      .upsert([{ ...fields, org_id: req.orgId, created_by: req.user.id }], { onConflict: 'org_id,bank_name' })
+      .select('*')
       .single();
 
-    if (matchError) throw matchError;
+    if (error) {
+      throw new Error(`Failed to save CSV mapping: ${error.message}`);
+    }
+    return saved;
+  }
+
+  if (bank_name) {
+    const { data: saved, error } = await supabase
+      .from('bank_csv_mappings')
+      .select('*')
+      .eq('org_id', req.orgId)
+      .eq('bank_name', bank_name)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch CSV mapping: ${error.message}`);
+    }
+    if (saved) return saved;
+  }
+
+  const guessed = guessCsvMapping(text);
+  if (!guessed) {
+    throw new ValidationError('Could not recognize the CSV columns; provide a column mapping', 'mapping');
+  }
+  return guessed;
+}
 
-    // Mark the bank transaction as matched
-    const { error: updateError } = await supabase
+function parseJsonTransactions(transactions) {
+  const parsed = { transactions: [], errors: [] };
+  transactions.forEach((t, index) => {
+    const line = index + 1;
+    const amount = Number(t.amount);
+    if (!t.date || !/^\d{4}-\d{2}-\d{2}/.test(t.date)) {
+      parsed.errors.push({ line, error: 'date must be YYYY-MM-DD' });
+    } else if (t.amount === undefined || t.amount === null || isNaN(amount)) {
+      parsed.errors.push({ line, error: 'amount must be a number' });
+    } else {
+      parsed.transactions.push({
+        line,
+        transaction_date: t.date.slice(0, 10),
+        description: t.description || null,
+        amount: Math.round(amount * 100) / 100,
+        fitid: t.fitid || null,
+        check_number: t.check_number || null,
+        transaction_type: amount < 0 ? 'debit' : 'credit'
+      });
+    }
+  });
+  return parsed;
+}
+
+// dedupe_keys among those given that the organization has already imported
+async function findImportedKeys(orgId, keys) {
+  const found = new Set();
+  for (let i = 0; i < keys.length; i += 100) {
+    const { data, error } = await supabase
       .from('bank_transactions')
-      .update({ is_matched: true })
-      .eq('id', bank_transaction_id);
+      .select('dedupe_key')
+      .eq('org_id', orgId)
+      .in('dedupe_key', keys.slice(i, i + 100));
 
-    if (updateError) throw updateError;
+    if (error) {
+      throw new Error(`Failed to check for duplicate bank transactions: ${error.message}`);
+    }
+    data.forEach(row => found.add(row.dedupe_key));
+  }
+  return found;
+}
 
-    res.status(201).json({ success: true, data: match });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to match transaction.', details: error.message });
+// Store the source file, record the import and insert its new lines.
+// Anything already written is removed again if a later step fails.
+async function saveImport(req, reconciliation, parsed, lines, summary) {
+  let filePath = null;
+  if (req.file) {
+    const safeName = req.file.originalname.replace(/[^\w.-]+/g, '_');
+    filePath = `${req.orgId}/${reconciliation.id}/${Date.now()}-${safeName}`;
+    const { error: uploadError } = await supabase.storage
+      .from(STATEMENT_BUCKET)
+      .upload(filePath, req.file.buffer, { contentType: req.file.mimetype || 'text/plain', upsert: false });
+
+    if (uploadError) {
+      throw new Error(`Failed to store statement file: ${uploadError.message}`);
+    }
   }
-});
+
+  const removeFile = async () => {
+    if (filePath) await supabase.storage.from(STATEMENT_BUCKET).remove([filePath]);
+  };
+
+  const { data: statementImport, error: importError } = await supabase
+    .from('bank_statement_imports')
+    .insert([{
+      org_id: req.orgId,
+      reconciliation_id: reconciliation.id,
+      file_name: req.file?.originalname || 'transactions.json',
+      file_format: summary.format,
+      file_path: filePath,
+      file_size: req.file?.size || null,
+      file_sha256: req.file ? crypto.createHash('sha256').update(req.file.buffer).digest('hex') : null,
+      mapping_id: summary.mapping_id,
+      account_number_last4: parsed.account_number_last4 || null,
+      statement_start: summary.statement_start,
+      statement_end: summary.statement_end,
+      ledger_balance: summary.ledger_balance,
+      rows_total: summary.rows_total,
+      rows_imported: summary.rows_imported,
+      rows_duplicate: summary.rows_duplicate,
+      rows_rejected: summary.rows_rejected,
+      errors: summary.errors,
+      imported_by: req.user.id
+    }])
+    .select('*')
+    .single();
+
+  if (importError) {
+    await removeFile();
+    throw new Error(`Failed to record statement import: ${importError.message}`);
+  }
+
+  if (lines.length === 0) {
+    return { statementImport, transactions: [] };
+  }
+
+  const { data: transactions, error: insertError } = await supabase
+    .from('bank_transactions')
+    .insert(lines.map(line => ({
+      org_id: req.orgId,
+      reconciliation_id: reconciliation.id,
+      import_id: statementImport.id,
+      transaction_date: line.transaction_date,
+      description: line.description,
+      amount: line.amount,
+      fitid: line.fitid,
+      check_number: line.check_number,
+      transaction_type: line.transaction_type,
+      dedupe_key: line.dedupe_key
+    })))
+    .select();
+
+  if (insertError) {
+    await supabase.from('bank_statement_imports').delete().eq('id', statementImport.id);
+    await removeFile();
+    if (insertError.code === '23505') throw insertError;
+    throw new Error(`Failed to insert bank transactions: ${insertError.message}`);
+  }
+
+  return { statementImport, transactions };
+}
+
+function describeLine(line) {
+  return {
+    line: line.line,
+    transaction_date: line.transaction_date,
+    description: line.description,
+    amount: line.amount,
+    fitid: line.fitid
+  };
+}
 
 export default router;
@@ -0,0 +1,210 @@
+import express from 'express';
+import crypto from 'crypto';
+import { supabase } from '../util/verifySupabaseToken.js';
+import { getUserOrgContext } from '../middleware/organizationalContext.js';
+import { hasMinRole } from '../middleware/roleBasedAccess.js';
+import { buildCalendar } from '../util/icalendar.js';
+
+const router = express.Router();
+
+// One-off events older than this drop out of feeds; recurring series always stay
+const FEED_HISTORY_DAYS = 90;
+
+// Organization-wide feeds only show events open to every member
+const ORG_FEED_ROLE = 'parent_member';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const feedUrls = (req, token) => {
+  const base = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+  const https = `${base}/api/calendar/feed/${token}.ics`;
+  return { url: https, webcal_url: https.replace(/^https?:/, 'webcal:') };
+};
+
+// GET /api/calendar/feeds – List the caller's feeds (plus org feeds for committee leads+)
+router.get('/feeds', getUserOrgContext, async (req, res) => {
+  try {
+    let query = supabase
+      .from('calendar_feeds')
+      .select('id, scope, name, token_prefix, user_id, last_accessed_at, revoked_at, created_at')
+      .eq('org_id', req.orgId)
+      .is('revoked_at', null)
+      .order('created_at', { ascending: false });
+
+    query = hasMinRole(req.userRole, 'committee_lead')
+      ? query.or(`user_id.eq.${req.user.id},scope.eq.org`)
+      : query.eq('user_id', req.user.id);
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error(`❌ Error fetching calendar feeds for org ${req.orgId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to fetch calendar feeds' });
+    }
+
+    res.json(data);
+  } catch (err) {
+    console.error('[calendarFeed.js] GET /feeds error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch calendar feeds' });
+  }
+});
+
+// POST /api/calendar/feeds – Create a subscription URL (the token is only returned once)
+router.post('/feeds', getUserOrgContext, async (req, res) => {
+  try {
+    const { scope = 'user', name } = req.body;
+
+    if (!['user', 'org'].includes(scope)) {
+      return res.status(400).json({ error: 'scope must be either "user" or "org"' });
+    }
+
+    if (scope === 'org' && !hasMinRole(req.userRole, 'committee_lead')) {
+      return res.status(403).json({ error: 'Only committee leads and above can create organization feeds' });
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+
+    const { data, error } = await supabase
+      .from('calendar_feeds')
+      .insert([{
+        org_id: req.orgId,
+        user_id: scope === 'user' ? req.user.id : null,
+        scope,
+        name: name || null,
+        token_hash: hashToken(token),
+        token_prefix: token.substring(0, 8),
+        created_by: req.user.id
+      }])
+      .select('id, scope, name, token_prefix, user_id, created_at')
+      .single();
+
+    if (error) {
+      console.error(`❌ Error creating calendar feed for org ${req.orgId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to create calendar feed' });
+    }
+
+    console.log(`✅ ${scope} calendar feed ${data.id} created in org ${req.orgId} by user ${req.user.id}`);
+    res.status(201).json({ ...data, ...feedUrls(req, token) });
+  } catch (err) {
+    console.error('[calendarFeed.js] POST /feeds error:', err.message);
+    res.status(500).json({ error: 'Failed to create calendar feed' });
+  }
+});
+
+// DELETE /api/calendar/feeds/:id – Revoke a feed URL
+router.delete('/feeds/:id', getUserOrgContext, async (req, res) => {
+  try {
+    const { data: feed, error: fetchError } = await supabase
+      .from('calendar_feeds')
+      .select('id, org_id, user_id, scope')
+      .eq('id', req.params.id)
+      .eq('org_id', req.orgId)
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error(`❌ Error fetching calendar feed ${req.params.id}:`, fetchError.message);
+      return res.status(500).json({ error: 'Failed to revoke calendar feed' });
+    }
+
+    if (!feed) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    const canRevoke = feed.user_id === req.user.id ||
+      (feed.scope === 'org' && hasMinRole(req.userRole, 'committee_lead')) ||
+      hasMinRole(req.userRole, 'admin');
+
+    if (!canRevoke) {
+      return res.status(403).json({ error: 'You cannot revoke this calendar feed' });
+    }
+
+    const { error } = await supabase
+      .from('calendar_feeds')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', feed.id);
+
+    if (error) {
+      console.error(`❌ Error revoking calendar feed ${feed.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to revoke calendar feed' });
+    }
+
+    console.log(`✅ Calendar feed ${feed.id} revoked in org ${req.orgId} by user ${req.user.id}`);
+    res.status(204).send();
+  } catch (err) {
+    console.error('[calendarFeed.js] DELETE /feeds/:id error:', err.message);
+    res.status(500).json({ error: 'Failed to revoke calendar feed' });
+  }
+});
+
+// GET /api/calendar/feed/:token.ics – Public iCalendar feed (token in URL, no bearer token)
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const { data: feed, error: feedError } = await supabase
+      .from('calendar_feeds')
+      .select('id, org_id, user_id, scope, name, organizations(name)')
+      .eq('token_hash', hashToken(req.params.token))
+      .is('revoked_at', null)
+      .maybeSingle();
+
+    if (feedError) {
+      console.error('❌ Error looking up calendar feed:', feedError.message);
+      return res.status(500).send('Failed to load calendar');
+    }
+
+    if (!feed) {
+      return res.status(404).send('Calendar not found');
+    }
+
+    // Personal feeds follow the user's current role and stop if they leave the org
+    let role = ORG_FEED_ROLE;
+    if (feed.scope === 'user') {
+      const { data: profile } = await supabase
+        .from('profiles')
+        .select('org_id, role')
+        .eq('id', feed.user_id)
+        .maybeSingle();
+
+      if (!profile || profile.org_id !== feed.org_id) {
+        return res.status(404).send('Calendar not found');
+      }
+      role = profile.role || ORG_FEED_ROLE;
+    }
+
+    const since = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    const { data: events, error: eventsError } = await supabase
+      .from('events')
+      .select('*')
+      .eq('org_id', feed.org_id)
+      .or(`event_date.gte.${since},rrule.not.is.null,recurrence_parent_id.not.is.null`)
+      .order('event_date', { ascending: true });
+
+    if (eventsError) {
+      console.error(`❌ Error fetching events for calendar feed ${feed.id}:`, eventsError.message);
+      return res.status(500).send('Failed to load calendar');
+    }
+
+    const visible = events.filter(event => hasMinRole(role, event.audience_role || ORG_FEED_ROLE));
+    const calendarName = feed.name || feed.organizations?.name || 'PTO Events';
+
+    // Fire-and-forget access tracking
+    supabase
+      .from('calendar_feeds')
+      .update({ last_accessed_at: new Date().toISOString() })
+      .eq('id', feed.id)
+      .then(({ error }) => {
+        if (error) console.warn('Failed to record calendar feed access:', error.message);
+      });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="events.ics"');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.send(buildCalendar({ name: calendarName, events: visible }));
+  } catch (err) {
+    console.error('[calendarFeed.js] GET /feed/:token.ics error:', err.message);
+    res.status(500).send('Failed to load calendar');
+  }
+});
+
+console.log('[calendarFeed.js] Routes loaded successfully');
+export default router;
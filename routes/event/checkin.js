@@ -0,0 +1,522 @@
+import express from 'express';
+import { supabase } from '../util/verifySupabaseToken.js';
+import { requireActiveSubscription } from '../requireSubscription.js';
+import { getUserOrgContext } from '../middleware/organizationalContext.js';
+import { requireVolunteer, canManageEvents, hasMinRole } from '../middleware/roleBasedAccess.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+import { fetchOrgRow } from '../util/orgRecords.js';
+import { signCredential, verifyCredential, getPublicKeyPem } from '../util/checkinCodes.js';
+
+const router = express.Router();
+
+// Largest batch an offline device may upload at once
+const MAX_SYNC_BATCH = 500;
+
+// Tolerated clock drift on device scan times
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// GET /api/checkin/public-key – Key door devices use to verify codes offline
+router.get('/public-key', getUserOrgContext, requireVolunteer, requireActiveSubscription, (req, res) => {
+  try {
+    res.json({ algorithm: 'Ed25519', format: 'spki-pem', public_key: getPublicKeyPem() });
+  } catch (err) {
+    console.error('[checkin.js] GET /public-key error:', err.message);
+    res.status(500).json({ error: 'Check-in signing is not configured' });
+  }
+});
+
+// GET /api/checkin/orders/:orderId/codes – QR payloads for each ticket on an order (purchaser or committee lead+)
+router.get('/orders/:orderId/codes', getUserOrgContext, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: order, status, error: lookupError } = await fetchOrgRow('event_orders', req.params.orderId, req.orgId, 'Order');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    if (order.user_id !== req.user.id && !hasMinRole(req.userRole, 'committee_lead')) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (order.status !== 'completed') {
+      return res.status(409).json({ error: `Order is ${order.status}; codes are issued once it is complete` });
+    }
+
+    const { data: tickets, error } = await supabase
+      .from('event_tickets')
+      .select('id, event_id, admits, status, event_ticket_types(name)')
+      .eq('order_id', order.id)
+      .eq('status', 'valid');
+
+    if (error) {
+      console.error(`❌ Error fetching tickets for order ${order.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to fetch check-in codes' });
+    }
+
+    res.json(tickets.map(ticket => ({
+      ticket_id: ticket.id,
+      ticket_type: ticket.event_ticket_types?.name,
+      admits: ticket.admits,
+      qr_payload: signCredential('ticket', ticket.id, ticket.event_id)
+    })));
+  } catch (err) {
+    console.error('[checkin.js] GET /orders/:orderId/codes error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch check-in codes' });
+  }
+});
+
+// GET /api/checkin/volunteer-signups/:signupId/code – QR payload for a confirmed volunteer shift
+router.get('/volunteer-signups/:signupId/code', getUserOrgContext, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: signup, status, error: lookupError } = await fetchOrgRow('volunteer_signups', req.params.signupId, req.orgId, 'Sign-up');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    if (signup.user_id !== req.user.id && !hasMinRole(req.userRole, 'committee_lead')) {
+      return res.status(404).json({ error: 'Sign-up not found' });
+    }
+
+    if (signup.status !== 'confirmed') {
+      return res.status(409).json({ error: 'Only confirmed shifts have a check-in code' });
+    }
+
+    const { row: shift } = await fetchOrgRow('volunteer_shifts', signup.shift_id, req.orgId, 'Volunteer shift');
+
+    res.json({
+      signup_id: signup.id,
+      shift_id: shift.id,
+      qr_payload: signCredential('volunteer', signup.id, shift.event_id)
+    });
+  } catch (err) {
+    console.error('[checkin.js] GET /volunteer-signups/:signupId/code error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch check-in code' });
+  }
+});
+
+// POST /api/checkin/scan – Check in a scanned code while online
+router.post('/scan', getUserOrgContext, requireVolunteer, requireActiveSubscription, async (req, res) => {
+  try {
+    const { payload, event_id: eventId, device_id: deviceId } = req.body;
+
+    const result = await recordCheckin(req, {
+      payload,
+      expectedEventId: eventId,
+      scannedAt: new Date(),
+      deviceId,
+      source: 'online'
+    });
+
+    if (result.status === 'rejected') {
+      return res.status(result.httpStatus || 400).json({ error: result.reason, result });
+    }
+
+    if (result.status === 'duplicate') {
+      return res.status(409).json({ error: 'Already checked in', result });
+    }
+
+    res.status(201).json({ ...result, headcount: await buildHeadcount(result.event_id) });
+  } catch (err) {
+    console.error('[checkin.js] POST /scan error:', err.message);
+    res.status(500).json({ error: 'Failed to check in' });
+  }
+});
+
+// POST /api/checkin/sync – Upload scans recorded while a device was offline
+router.post('/sync', getUserOrgContext, requireVolunteer, requireActiveSubscription, async (req, res) => {
+  try {
+    const { device_id: deviceId, event_id: eventId, checkins } = req.body;
+
+    if (!deviceId) {
+      return res.status(400).json({ error: 'device_id is required', field: 'device_id' });
+    }
+
+    if (!Array.isArray(checkins) || checkins.length === 0) {
+      return res.status(400).json({ error: 'checkins must be a non-empty array', field: 'checkins' });
+    }
+
+    if (checkins.length > MAX_SYNC_BATCH) {
+      return res.status(400).json({ error: `Upload at most ${MAX_SYNC_BATCH} check-ins per request`, field: 'checkins' });
+    }
+
+    // Oldest scans first so the earliest scan of a code is the one that counts
+    const ordered = [...checkins].sort((a, b) => (Date.parse(a.scanned_at) || 0) - (Date.parse(b.scanned_at) || 0));
+    const results = [];
+
+    for (const checkin of ordered) {
+      const scannedAt = new Date(checkin.scanned_at);
+      if (!checkin.client_checkin_id || Number.isNaN(scannedAt.getTime())) {
+        results.push({
+          client_checkin_id: checkin.client_checkin_id || null,
+          status: 'rejected',
+          reason: 'Each check-in needs client_checkin_id and a valid scanned_at'
+        });
+        continue;
+      }
+
+      const result = await recordCheckin(req, {
+        payload: checkin.payload,
+        expectedEventId: eventId,
+        scannedAt,
+        deviceId,
+        clientCheckinId: String(checkin.client_checkin_id),
+        source: 'offline'
+      });
+      results.push({ client_checkin_id: checkin.client_checkin_id, ...result });
+    }
+
+    const summary = results.reduce((acc, result) => {
+      acc[result.status] = (acc[result.status] || 0) + 1;
+      return acc;
+    }, {});
+
+    console.log(`✅ Device ${deviceId} synced ${results.length} check-ins for org ${req.orgId}:`, summary);
+    res.json({ summary, results });
+  } catch (err) {
+    console.error('[checkin.js] POST /sync error:', err.message);
+    res.status(500).json({ error: 'Failed to sync check-ins' });
+  }
+});
+
+// GET /api/checkin/events/:eventId/manifest – Everything a door device needs to scan offline
+router.get('/events/:eventId/manifest', getUserOrgContext, requireVolunteer, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: event, status, error: lookupError } = await fetchOrgRow('events', req.params.eventId, req.orgId, 'Event');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const [tickets, volunteers, checkins] = await Promise.all([
+      loadEventTickets(event.id),
+      loadEventVolunteers(event.id),
+      loadEventCheckins(event.id)
+    ]);
+
+    const names = await loadNames(volunteers.map(signup => signup.user_id));
+
+    res.json({
+      event: { id: event.id, title: event.title, event_date: event.event_date, start_time: event.start_time },
+      public_key: getPublicKeyPem(),
+      generated_at: new Date().toISOString(),
+      credentials: [
+        ...tickets.map(ticket => ({
+          type: 'ticket',
+          id: ticket.id,
+          status: ticket.status,
+          admits: ticket.admits,
+          label: ticket.event_ticket_types?.name || 'Ticket',
+          holder_name: ticket.event_orders?.purchaser_name || null
+        })),
+        ...volunteers.map(signup => ({
+          type: 'volunteer',
+          id: signup.id,
+          status: 'valid',
+          admits: 1,
+          label: signup.volunteer_shifts?.event_volunteer_roles?.name || 'Volunteer',
+          holder_name: names.get(signup.user_id) || null,
+          shift_date: signup.volunteer_shifts?.shift_date,
+          start_time: signup.volunteer_shifts?.start_time
+        }))
+      ],
+      checked_in: checkins.map(checkin => ({
+        type: checkin.credential_type,
+        id: checkin.credential_id,
+        checked_in_at: checkin.checked_in_at
+      }))
+    });
+  } catch (err) {
+    console.error('[checkin.js] GET /events/:eventId/manifest error:', err.message);
+    res.status(500).json({ error: 'Failed to build check-in manifest' });
+  }
+});
+
+// GET /api/checkin/events/:eventId/headcount – Live attendee and volunteer counts
+router.get('/events/:eventId/headcount', getUserOrgContext, requireVolunteer, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: event, status, error: lookupError } = await fetchOrgRow('events', req.params.eventId, req.orgId, 'Event');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.json(await buildHeadcount(event.id));
+  } catch (err) {
+    console.error('[checkin.js] GET /events/:eventId/headcount error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch headcount' });
+  }
+});
+
+// DELETE /api/checkin/checkins/:id – Undo a mistaken check-in
+router.delete('/checkins/:id', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: checkin, status, error: lookupError } = await fetchOrgRow('event_checkins', req.params.id, req.orgId, 'Check-in');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const { error } = await supabase
+      .from('event_checkins')
+      .delete()
+      .eq('id', checkin.id);
+
+    if (error) {
+      console.error(`❌ Error undoing check-in ${checkin.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to undo check-in' });
+    }
+
+    console.log(`✅ Check-in ${checkin.id} (${checkin.credential_type} ${checkin.credential_id}) undone by ${req.user.id}`);
+    res.status(204).send();
+  } catch (err) {
+    console.error('[checkin.js] DELETE /checkins/:id error:', err.message);
+    res.status(500).json({ error: 'Failed to undo check-in' });
+  }
+});
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Verify a code and record its check-in.
+ * Returns { status: 'checked_in' | 'duplicate' | 'already_synced' | 'rejected', ... }
+ * rather than throwing, so a sync batch can report on every scan.
+ */
+async function recordCheckin(req, { payload, expectedEventId, scannedAt, deviceId, clientCheckinId = null, source }) {
+  let code;
+  try {
+    code = verifyCredential(payload);
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return { status: 'rejected', reason: err.message };
+    }
+    throw err;
+  }
+
+  if (expectedEventId && code.eventId !== expectedEventId) {
+    return { status: 'rejected', reason: 'This code is for a different event', event_id: code.eventId };
+  }
+
+  if (scannedAt.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+    return { status: 'rejected', reason: 'Scan time is in the future; check the device clock' };
+  }
+
+  const credential = await resolveCredential(code);
+
+  if (!credential || credential.org_id !== req.orgId || credential.event_id !== code.eventId) {
+    return { status: 'rejected', reason: 'Ticket or sign-up not found', httpStatus: 404 };
+  }
+
+  if (!credential.valid) {
+    return { status: 'rejected', reason: credential.reason, credential: credential.summary };
+  }
+
+  const { data: checkin, error } = await supabase
+    .from('event_checkins')
+    .insert([{
+      org_id: req.orgId,
+      event_id: code.eventId,
+      credential_type: code.type,
+      credential_id: code.credentialId,
+      admits: credential.admits,
+      checked_in_at: scannedAt.toISOString(),
+      checked_in_by: req.user.id,
+      source,
+      device_id: deviceId || null,
+      client_checkin_id: clientCheckinId
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code !== '23505') {
+      throw new Error(`Failed to record check-in: ${error.message}`);
+    }
+
+    const existing = await findExistingCheckin(code, deviceId, clientCheckinId);
+
+    // The device retried an upload the server already accepted
+    if (existing && clientCheckinId && existing.device_id === deviceId && existing.client_checkin_id === clientCheckinId) {
+      return { status: 'already_synced', event_id: code.eventId, checkin_id: existing.id, credential: credential.summary };
+    }
+
+    return {
+      status: 'duplicate',
+      event_id: code.eventId,
+      credential: credential.summary,
+      first_checked_in_at: existing?.checked_in_at || null,
+      first_device_id: existing?.device_id || null
+    };
+  }
+
+  return { status: 'checked_in', event_id: code.eventId, checkin_id: checkin.id, credential: credential.summary };
+}
+
+async function findExistingCheckin(code, deviceId, clientCheckinId) {
+  const { data } = await supabase
+    .from('event_checkins')
+    .select('id, checked_in_at, device_id, client_checkin_id')
+    .eq('credential_type', code.type)
+    .eq('credential_id', code.credentialId)
+    .maybeSingle();
+
+  if (data || !clientCheckinId) return data;
+
+  // Same client ID reused for a different code on this device
+  const { data: byClientId } = await supabase
+    .from('event_checkins')
+    .select('id, checked_in_at, device_id, client_checkin_id')
+    .eq('device_id', deviceId)
+    .eq('client_checkin_id', clientCheckinId)
+    .maybeSingle();
+
+  return byClientId;
+}
+
+// Look up the ticket or volunteer sign-up behind a verified code
+async function resolveCredential(code) {
+  if (code.type === 'ticket') {
+    const { data: ticket, error } = await supabase
+      .from('event_tickets')
+      .select('id, org_id, event_id, admits, status, event_ticket_types(name), event_orders(purchaser_name)')
+      .eq('id', code.credentialId)
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to look up ticket: ${error.message}`);
+    if (!ticket) return null;
+
+    return {
+      org_id: ticket.org_id,
+      event_id: ticket.event_id,
+      admits: ticket.admits,
+      valid: ticket.status === 'valid',
+      reason: 'Ticket has been cancelled or refunded',
+      summary: {
+        type: 'ticket',
+        id: ticket.id,
+        label: ticket.event_ticket_types?.name || 'Ticket',
+        holder_name: ticket.event_orders?.purchaser_name || null,
+        admits: ticket.admits
+      }
+    };
+  }
+
+  const { data: signup, error } = await supabase
+    .from('volunteer_signups')
+    .select('id, org_id, user_id, status, volunteer_shifts(event_id, shift_date, start_time, end_time, event_volunteer_roles(name))')
+    .eq('id', code.credentialId)
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to look up volunteer sign-up: ${error.message}`);
+  if (!signup) return null;
+
+  const names = await loadNames([signup.user_id]);
+
+  return {
+    org_id: signup.org_id,
+    event_id: signup.volunteer_shifts?.event_id,
+    admits: 1,
+    valid: signup.status === 'confirmed',
+    reason: 'Volunteer sign-up is not confirmed',
+    summary: {
+      type: 'volunteer',
+      id: signup.id,
+      label: signup.volunteer_shifts?.event_volunteer_roles?.name || 'Volunteer',
+      holder_name: names.get(signup.user_id) || null,
+      shift_date: signup.volunteer_shifts?.shift_date,
+      start_time: signup.volunteer_shifts?.start_time,
+      end_time: signup.volunteer_shifts?.end_time
+    }
+  };
+}
+
+async function loadEventTickets(eventId) {
+  const { data, error } = await supabase
+    .from('event_tickets')
+    .select('id, ticket_type_id, admits, status, event_ticket_types(name), event_orders(purchaser_name)')
+    .eq('event_id', eventId);
+
+  if (error) throw new Error(`Failed to fetch tickets for event ${eventId}: ${error.message}`);
+  return data;
+}
+
+async function loadEventVolunteers(eventId) {
+  const { data, error } = await supabase
+    .from('volunteer_signups')
+    .select('id, user_id, volunteer_shifts!inner(event_id, shift_date, start_time, event_volunteer_roles(name))')
+    .eq('volunteer_shifts.event_id', eventId)
+    .eq('status', 'confirmed');
+
+  if (error) throw new Error(`Failed to fetch volunteers for event ${eventId}: ${error.message}`);
+  return data;
+}
+
+async function loadEventCheckins(eventId) {
+  const { data, error } = await supabase
+    .from('event_checkins')
+    .select('id, credential_type, credential_id, admits, checked_in_at')
+    .eq('event_id', eventId)
+    .order('checked_in_at', { ascending: true });
+
+  if (error) throw new Error(`Failed to fetch check-ins for event ${eventId}: ${error.message}`);
+  return data;
+}
+
+async function loadNames(userIds) {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (ids.length === 0) return new Map();
+
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('id, full_name, first_name, last_name')
+    .in('id', ids);
+
+  if (error) throw new Error(`Failed to fetch member names: ${error.message}`);
+
+  return new Map(data.map(profile => [
+    profile.id,
+    profile.full_name || [profile.first_name, profile.last_name].filter(Boolean).join(' ') || null
+  ]));
+}
+
+async function buildHeadcount(eventId) {
+  const [tickets, volunteers, checkins] = await Promise.all([
+    loadEventTickets(eventId),
+    loadEventVolunteers(eventId),
+    loadEventCheckins(eventId)
+  ]);
+
+  const ticketCheckins = checkins.filter(checkin => checkin.credential_type === 'ticket');
+  const checkedInTickets = new Set(ticketCheckins.map(checkin => checkin.credential_id));
+  const validTickets = tickets.filter(ticket => ticket.status === 'valid');
+
+  const byType = {};
+  for (const ticket of validTickets) {
+    const entry = byType[ticket.ticket_type_id] ||= {
+      ticket_type_id: ticket.ticket_type_id,
+      name: ticket.event_ticket_types?.name || 'Ticket',
+      issued: 0,
+      checked_in: 0
+    };
+    entry.issued += 1;
+    if (checkedInTickets.has(ticket.id)) entry.checked_in += 1;
+  }
+
+  return {
+    event_id: eventId,
+    attendees: {
+      checked_in: ticketCheckins.reduce((sum, checkin) => sum + checkin.admits, 0),
+      expected: validTickets.reduce((sum, ticket) => sum + ticket.admits, 0),
+      tickets_checked_in: ticketCheckins.length,
+      tickets_issued: validTickets.length
+    },
+    volunteers: {
+      checked_in: checkins.filter(checkin => checkin.credential_type === 'volunteer').length,
+      expected: volunteers.length
+    },
+    by_ticket_type: Object.values(byType),
+    last_checkin_at: checkins.length ? checkins[checkins.length - 1].checked_in_at : null,
+    as_of: new Date().toISOString()
+  };
+}
+
+console.log('[checkin.js] Routes loaded successfully');
+export default router;
@@ -2,32 +2,329 @@ import express from 'express';
 import { supabase } from '../util/verifySupabaseToken.js';
 import { requireActiveSubscription } from '../requireSubscription.js';
 import { getUserOrgContext, addUserOrgToBody } from '../middleware/organizationalContext.js';
-import { requireVolunteer, canManageEvents } from '../middleware/roleBasedAccess.js';
+import { requireVolunteer, canManageEvents, canManageBudget } from '../middleware/roleBasedAccess.js';
+import { ValidationError, ConflictError } from '../middleware/errorHandler.js';
+import {
+  parseRRule,
+  formatRRule,
+  parseDate,
+  expandRRule,
+  isOccurrence,
+  splitRRule
+} from '../util/recurrence.js';
+import { rescheduleEventTasks } from '../util/eventTasks.js';
+import {
+  buildEventFinancialSummary,
+  findPreviousYearEvent,
+  compareSummaries,
+  renderEventFinancialSummary
+} from '../util/eventFinancials.js';
+import { EXPORT_CONTENT_TYPES, sendExport } from '../util/reportExport.js';
+import {
+  normalizeResourceSelection,
+  loadEventResources,
+  replaceEventBookings,
+  findResourceConflicts,
+  enforceResourceConflicts
+} from '../util/resourceBookings.js';
 
 const router = express.Router();
 
-// GET /api/event – Get all events for user's organization
+// Event columns that can be set on create/update
+const EVENT_FIELDS = [
+  'title',
+  'description',
+  'event_date',
+  'category',
+  'school_level',
+  'location',
+  'estimated_budget',
+  'tasks',
+  'volunteer_roles',
+  'materials_needed',
+  'start_time',
+  'end_time',
+  'share_public',
+  'status',
+  'audience_role'
+];
+
+// Lowest role that can see an event in role-filtered calendar feeds
+const AUDIENCE_ROLES = ['parent_member', 'teacher', 'volunteer', 'committee_lead', 'board_member', 'admin'];
+
+// "Edit this occurrence / this and following / whole series"
+const EDIT_SCOPES = ['this', 'following', 'all'];
+
+// Columns GET /api/event can sort (and page) by
+const EVENT_SORT_COLUMNS = ['event_date', 'created_at', 'title'];
+
+// GET /api/event – Search and page through the organization's events
+// Query: q, from, to (event_date), category, school_level, status (comma lists allowed),
+// created_by (user ID or "me"), sort_by (event_date|created_at|title), sort (asc|desc),
+// limit (max 100), and either cursor (from pagination.nextCursor) or page.
+// Recurring series are matched on their first date; use /occurrences for calendar views.
 router.get('/', getUserOrgContext, requireVolunteer, requireActiveSubscription, async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('events')
-      .select('*')
-      .eq('org_id', req.orgId)
-      .order('event_date', { ascending: true });
+    const sortBy = req.query.sort_by || 'event_date';
+    if (!EVENT_SORT_COLUMNS.includes(sortBy)) {
+      return res.status(400).json({ error: `sort_by must be one of: ${EVENT_SORT_COLUMNS.join(', ')}`, field: 'sort_by' });
+    }
+
+    const sort = req.query.sort || 'asc';
+    if (!['asc', 'desc'].includes(sort)) {
+      return res.status(400).json({ error: 'sort must be asc or desc', field: 'sort' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const page = req.query.page ? Math.max(parseInt(req.query.page, 10) || 1, 1) : null;
+    const cursor = req.query.cursor ? decodeEventCursor(req.query.cursor, sortBy) : null;
+
+    if (page && cursor) {
+      return res.status(400).json({ error: 'Use either cursor or page, not both' });
+    }
+
+    const filters = parseEventFilters(req);
+    const ascending = sort === 'asc';
+
+    let query = applyEventFilters(supabase.from('events').select('*'), req.orgId, filters)
+      .order(sortBy, { ascending })
+      .order('id', { ascending });
+
+    if (cursor) {
+      const op = ascending ? 'gt' : 'lt';
+      const value = quoteFilterValue(cursor.value);
+      query = query.or(`${sortBy}.${op}.${value},and(${sortBy}.eq.${value},id.${op}.${cursor.id})`);
+    }
+
+    // One extra row tells us whether there is another page
+    const offset = page ? (page - 1) * limit : 0;
+    const { data, error } = await query.range(offset, offset + limit);
 
     if (error) {
       console.error(`❌ Error fetching events for org ${req.orgId}:`, error.message);
       return res.status(500).json({ error: 'Failed to fetch events' });
     }
 
-    console.log(`✅ Retrieved ${data.length} events for org ${req.orgId}`);
-    res.json(data);
+    const { count, error: countError } = await applyEventFilters(
+      supabase.from('events').select('id', { count: 'exact', head: true }),
+      req.orgId,
+      filters
+    );
+
+    if (countError) {
+      console.warn('Failed to get event count:', countError.message);
+    }
+
+    const hasMore = data.length > limit;
+    const events = hasMore ? data.slice(0, limit) : data;
+    const last = events[events.length - 1];
+
+    console.log(`✅ Retrieved ${events.length} events for org ${req.orgId}`);
+    res.json({
+      success: true,
+      data: events,
+      pagination: {
+        page,
+        limit,
+        total: count ?? events.length,
+        hasMore,
+        nextCursor: hasMore && last ? encodeEventCursor(last, sortBy) : null
+      }
+    });
   } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
     console.error('[event.js] GET /event error:', err.message);
     res.status(500).json({ error: 'Failed to fetch events' });
   }
 });
 
+// GET /api/event/occurrences?from=YYYY-MM-DD&to=YYYY-MM-DD – Expand recurring series for a date window
+router.get('/occurrences', getUserOrgContext, requireVolunteer, requireActiveSubscription, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    if (!from || !to) {
+      return res.status(400).json({ error: 'from and to dates are required' });
+    }
+
+    if (parseDate(from) > parseDate(to)) {
+      return res.status(400).json({ error: 'from must be on or before to' });
+    }
+
+    // One-off events and detached occurrences that land in the window
+    const { data: singles, error: singlesError } = await supabase
+      .from('events')
+      .select('*')
+      .eq('org_id', req.orgId)
+      .is('rrule', null)
+      .gte('event_date', from)
+      .lte('event_date', to);
+
+    if (singlesError) {
+      console.error(`❌ Error fetching events for org ${req.orgId}:`, singlesError.message);
+      return res.status(500).json({ error: 'Failed to fetch events' });
+    }
+
+    // Recurring series that start before the window ends
+    const { data: series, error: seriesError } = await supabase
+      .from('events')
+      .select('*')
+      .eq('org_id', req.orgId)
+      .not('rrule', 'is', null)
+      .lte('event_date', to);
+
+    if (seriesError) {
+      console.error(`❌ Error fetching recurring events for org ${req.orgId}:`, seriesError.message);
+      return res.status(500).json({ error: 'Failed to fetch events' });
+    }
+
+    // Occurrences in the window that have been replaced by exception rows
+    let overridden = [];
+    if (series.length > 0) {
+      const { data, error } = await supabase
+        .from('events')
+        .select('recurrence_parent_id, recurrence_id')
+        .in('recurrence_parent_id', series.map(s => s.id))
+        .gte('recurrence_id', from)
+        .lte('recurrence_id', to);
+
+      if (error) {
+        console.error(`❌ Error fetching event exceptions for org ${req.orgId}:`, error.message);
+        return res.status(500).json({ error: 'Failed to fetch events' });
+      }
+      overridden = data;
+    }
+
+    const occurrences = singles.map(event => ({
+      ...event,
+      occurrence_id: event.id,
+      occurrence_date: event.event_date,
+      series_id: event.recurrence_parent_id || null,
+      is_exception: !!event.recurrence_parent_id
+    }));
+
+    for (const master of series) {
+      const skip = new Set(
+        overridden
+          .filter(o => o.recurrence_parent_id === master.id)
+          .map(o => o.recurrence_id)
+      );
+
+      const dates = expandRRule(master.rrule, master.event_date, {
+        from,
+        to,
+        exdates: [...(master.exdates || []), ...skip]
+      });
+
+      for (const date of dates) {
+        occurrences.push({
+          ...master,
+          event_date: date,
+          occurrence_id: `${master.id}:${date}`,
+          occurrence_date: date,
+          series_id: master.id,
+          is_exception: false
+        });
+      }
+    }
+
+    occurrences.sort((a, b) =>
+      a.event_date.localeCompare(b.event_date) ||
+      (a.start_time || '').localeCompare(b.start_time || '')
+    );
+
+    console.log(`✅ Expanded ${occurrences.length} event occurrences for org ${req.orgId} (${from} → ${to})`);
+    res.json(occurrences);
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[event.js] GET /event/occurrences error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch event occurrences' });
+  }
+});
+
+// GET /api/event/:id – Get a single event (with exceptions if it is a recurring series)
+router.get('/:id', getUserOrgContext, requireVolunteer, requireActiveSubscription, async (req, res) => {
+  try {
+    const { event, status, error } = await fetchOrgEvent(req.params.id, req.orgId);
+    if (!event) {
+      return res.status(status).json({ error });
+    }
+
+    if (event.rrule) {
+      const { data: exceptions, error: exceptionsError } = await supabase
+        .from('events')
+        .select('*')
+        .eq('recurrence_parent_id', event.id)
+        .order('recurrence_id', { ascending: true });
+
+      if (exceptionsError) {
+        console.error(`❌ Error fetching exceptions for event ${event.id}:`, exceptionsError.message);
+        return res.status(500).json({ error: 'Failed to fetch event' });
+      }
+      event.exceptions = exceptions;
+    }
+
+    res.json({
+      success: true,
+      data: event
+    });
+  } catch (err) {
+    console.error('[event.js] GET /event/:id error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch event' });
+  }
+});
+
+// GET /api/event/:id/financial-summary – Budget vs. actual post-mortem (committee lead+ required)
+// Query: compare_to (event ID, defaults to the same event last year), format (json|pdf|xlsx)
+router.get('/:id/financial-summary', getUserOrgContext, canManageBudget, requireActiveSubscription, async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (format !== 'json' && !EXPORT_CONTENT_TYPES[format]) {
+      return res.status(400).json({ error: 'format must be one of: json, pdf, xlsx' });
+    }
+
+    const { event, status, error } = await fetchOrgEvent(req.params.id, req.orgId);
+    if (!event) {
+      return res.status(status).json({ error });
+    }
+
+    let previous = null;
+    if (req.query.compare_to) {
+      const lookup = await fetchOrgEvent(req.query.compare_to, req.orgId);
+      if (!lookup.event) {
+        return res.status(lookup.status).json({ error: lookup.error });
+      }
+      previous = lookup.event;
+    } else {
+      previous = await findPreviousYearEvent(event);
+    }
+
+    const summary = await buildEventFinancialSummary(event);
+    let comparison = null;
+    if (previous) {
+      const previousSummary = await buildEventFinancialSummary(previous);
+      comparison = {
+        previous_event: previousSummary.event,
+        metrics: compareSummaries(summary, previousSummary)
+      };
+    }
+
+    if (format !== 'json') {
+      const file = await renderEventFinancialSummary(summary, comparison, format);
+      return sendExport(res, file, format, `${event.title}-${event.event_date}-summary`);
+    }
+
+    res.json({ ...summary, year_over_year: comparison });
+  } catch (err) {
+    console.error('[event.js] GET /event/:id/financial-summary error:', err.message);
+    res.status(500).json({ error: 'Failed to build event financial summary' });
+  }
+});
+
 // POST /api/event – Create a new event (committee lead+ required)
 router.post('/', getUserOrgContext, addUserOrgToBody, canManageEvents, requireActiveSubscription, async (req, res) => {
   try {
@@ -44,9 +341,18 @@ router.post('/', getUserOrgContext, addUserOrgToBody, canManageEvents, requireAc
       materials_needed,
       start_time,
       end_time,
-      share_public
+      share_public,
+      audience_role
     } = req.body;
 
+    validateAudienceRole(audience_role);
+    const recurrence = normalizeRecurrence(req.body, event_date);
+
+    const resources = req.body.resources !== undefined
+      ? await normalizeResourceSelection(req.orgId, req.body.resources)
+      : [];
+    const conflicts = await checkEventResources(req, { event_date, start_time, end_time, ...recurrence }, resources, []);
+
     const { data, error } = await supabase
       .from('events')
       .insert([{
@@ -63,6 +369,8 @@ router.post('/', getUserOrgContext, addUserOrgToBody, canManageEvents, requireAc
         start_time,
         end_time,
         share_public,
+        audience_role,
+        ...recurrence,
         org_id: req.body.org_id, // Added by addUserOrgToBody middleware
         created_by: req.user.id
       }])
@@ -74,38 +382,254 @@ router.post('/', getUserOrgContext, addUserOrgToBody, canManageEvents, requireAc
       return res.status(500).json({ error: 'Failed to create event' });
     }
 
+    if (resources.length > 0) {
+      await replaceEventBookings(req.orgId, data.id, resources, req.user.id);
+    }
+
     console.log(`✅ Event created for org ${req.orgId} by user ${req.user.id}`);
-    res.status(201).json(data);
+    res.status(201).json(withConflictWarnings(data, conflicts));
   } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message, conflicts: err.conflicts });
+    }
     console.error('[event.js] POST /event error:', err.message);
     res.status(500).json({ error: 'Failed to create event' });
   }
 });
 
-// DELETE /api/event/:id – Delete an event by ID (committee lead+ required)
-router.delete('/:id', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
+// PUT /api/event/:id – Update an event or part of a recurring series (committee lead+ required)
+// Body: event fields, plus for recurring series `scope` (this|following|all) and `occurrence_date`
+router.put('/:id', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
   try {
     const eventId = req.params.id;
+    const { scope = 'all', occurrence_date } = req.body;
 
-    // Verify event belongs to user's organization before deletion
-    const { data: event, error: fetchError } = await supabase
+    if (!EDIT_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `scope must be one of: ${EDIT_SCOPES.join(', ')}` });
+    }
+
+    const { event, status, error: lookupError } = await fetchOrgEvent(eventId, req.orgId);
+    if (!event) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const updates = pickEventFields(req.body);
+    validateAudienceRole(updates.audience_role);
+    const recurrence = normalizeRecurrence(req.body, updates.event_date || event.event_date);
+
+    // Bookings live on the series, so single occurrences can't change them
+    const requestedResources = req.body.resources !== undefined
+      ? await normalizeResourceSelection(req.orgId, req.body.resources)
+      : undefined;
+    if (requestedResources && (event.recurrence_parent_id || (event.rrule && scope === 'this'))) {
+      return res.status(400).json({ error: 'Resources are booked on the whole series; update the series instead', field: 'resources' });
+    }
+    const timingChanged = Object.keys(recurrence).length > 0 ||
+      ['event_date', 'start_time', 'end_time'].some(field => updates[field] !== undefined && updates[field] !== event[field]);
+
+    // Plain events, detached occurrences and whole-series edits update the row in place
+    if (!event.rrule || scope === 'all' || (scope === 'following' && occurrence_date === event.event_date)) {
+      if (event.recurrence_parent_id && recurrence.rrule) {
+        return res.status(400).json({ error: 'A single occurrence cannot have its own recurrence rule' });
+      }
+
+      const conflicts = requestedResources || timingChanged
+        ? await checkEventResources(
+          req,
+          { ...event, ...updates, ...recurrence },
+          requestedResources || await loadEventResources(event),
+          [event.recurrence_parent_id || event.id]
+        )
+        : [];
+
+      const data = await updateEventRow(event.id, req.orgId, { ...updates, ...recurrence });
+
+      if (requestedResources) {
+        await replaceEventBookings(req.orgId, event.id, requestedResources, req.user.id);
+      }
+
+      // Dropping the rule turns the series back into a one-off event
+      if (event.rrule && recurrence.rrule === null) {
+        const { error: cleanupError } = await supabase
+          .from('events')
+          .delete()
+          .eq('recurrence_parent_id', event.id);
+        if (cleanupError) throw cleanupError;
+      }
+
+      // Tasks scheduled relative to the event follow it to the new date
+      if (data.event_date !== event.event_date) {
+        await rescheduleEventTasks(event.id, data.event_date);
+      }
+
+      console.log(`✅ Event ${eventId} updated in org ${req.orgId} by user ${req.user.id}`);
+      return res.json(withConflictWarnings(data, conflicts));
+    }
+
+    if (!occurrence_date) {
+      return res.status(400).json({ error: 'occurrence_date is required when editing part of a recurring series' });
+    }
+
+    if (!isOccurrence(event.rrule, event.event_date, occurrence_date, event.exdates)) {
+      return res.status(400).json({ error: `${occurrence_date} is not an occurrence of this series` });
+    }
+
+    if (scope === 'this') {
+      if (Object.keys(recurrence).length > 0) {
+        return res.status(400).json({ error: 'rrule and exdates can only be changed for the whole series or this and following' });
+      }
+
+      const { data: existing, error: existingError } = await supabase
+        .from('events')
+        .select('*')
+        .eq('recurrence_parent_id', event.id)
+        .eq('recurrence_id', occurrence_date)
+        .maybeSingle();
+
+      if (existingError) throw existingError;
+
+      const conflicts = timingChanged
+        ? await checkEventResources(
+          req,
+          { ...(existing || { ...event, event_date: occurrence_date }), ...updates, rrule: null },
+          await loadEventResources(event),
+          [event.id]
+        )
+        : [];
+
+      const data = existing
+        ? await updateEventRow(existing.id, req.orgId, updates)
+        : await insertEventRow({
+          ...pickEventFields(event),
+          event_date: occurrence_date,
+          ...updates,
+          org_id: req.orgId,
+          created_by: req.user.id,
+          recurrence_parent_id: event.id,
+          recurrence_id: occurrence_date
+        });
+
+      console.log(`✅ Occurrence ${occurrence_date} of event ${eventId} updated in org ${req.orgId} by user ${req.user.id}`);
+      return res.json(withConflictWarnings(data, conflicts));
+    }
+
+    // scope === 'following': end the current series the day before and start a new one
+    const rules = splitRRule(event.rrule, event.event_date, occurrence_date);
+
+    const exdates = event.exdates || [];
+    const seriesFields = {
+      ...pickEventFields(event),
+      event_date: occurrence_date,
+      ...updates,
+      rrule: recurrence.rrule !== undefined ? recurrence.rrule : rules.after,
+      exdates: recurrence.exdates || exdates.filter(date => date >= occurrence_date),
+      org_id: req.orgId,
+      created_by: req.user.id
+    };
+
+    // The new series keeps the old one's bookings unless new resources were sent
+    const seriesResources = requestedResources || await loadEventResources(event);
+    const conflicts = await checkEventResources(req, seriesFields, seriesResources, [event.id]);
+
+    const newSeries = await insertEventRow(seriesFields);
+
+    if (seriesResources.length > 0) {
+      await replaceEventBookings(req.orgId, newSeries.id, seriesResources, req.user.id);
+    }
+
+    await updateEventRow(event.id, req.orgId, {
+      rrule: rules.before,
+      exdates: exdates.filter(date => date < occurrence_date)
+    });
+
+    // Detached occurrences keep their own overrides but move to the new series
+    const { error: moveError } = await supabase
       .from('events')
-      .select('org_id')
-      .eq('id', eventId)
-      .single();
+      .update({ recurrence_parent_id: newSeries.id })
+      .eq('recurrence_parent_id', event.id)
+      .gte('recurrence_id', occurrence_date);
+
+    if (moveError) throw moveError;
+
+    console.log(`✅ Event ${eventId} split at ${occurrence_date} into series ${newSeries.id} by user ${req.user.id}`);
+    res.json(withConflictWarnings(newSeries, conflicts));
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message, conflicts: err.conflicts });
+    }
+    console.error('[event.js] PUT /event/:id error:', err.message);
+    res.status(500).json({ error: 'Failed to update event' });
+  }
+});
+
+// DELETE /api/event/:id – Delete an event by ID (committee lead+ required)
+// For recurring series pass ?scope=this|following&occurrence_date=YYYY-MM-DD to cancel part of it
+router.delete('/:id', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
+  try {
+    const eventId = req.params.id;
+    const { scope = 'all', occurrence_date } = req.query;
 
-    if (fetchError) {
-      console.error(`❌ Error fetching event ${eventId}:`, fetchError.message);
-      return res.status(500).json({ error: 'Error fetching event' });
+    if (!EDIT_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `scope must be one of: ${EDIT_SCOPES.join(', ')}` });
     }
 
+    // Verify event belongs to user's organization before deletion
+    const { event, status, error: lookupError } = await fetchOrgEvent(eventId, req.orgId);
     if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
+      return res.status(status).json({ error: lookupError });
     }
 
-    if (event.org_id !== req.orgId) {
-      console.warn(`🚫 Cross-org access denied: Event ${eventId} not in org ${req.orgId}`);
-      return res.status(403).json({ error: 'Event not found in your organization' });
+    // Deleting a detached occurrence cancels that date in its series
+    if (event.recurrence_parent_id) {
+      const { data: parent } = await supabase
+        .from('events')
+        .select('id, exdates')
+        .eq('id', event.recurrence_parent_id)
+        .maybeSingle();
+
+      if (parent) {
+        await updateEventRow(parent.id, req.orgId, {
+          exdates: [...new Set([...(parent.exdates || []), event.recurrence_id])]
+        });
+      }
+    } else if (event.rrule && (scope === 'this' || (scope === 'following' && occurrence_date !== event.event_date))) {
+      if (!occurrence_date) {
+        return res.status(400).json({ error: 'occurrence_date is required when deleting part of a recurring series' });
+      }
+
+      if (!isOccurrence(event.rrule, event.event_date, occurrence_date, event.exdates)) {
+        return res.status(400).json({ error: `${occurrence_date} is not an occurrence of this series` });
+      }
+
+      const exceptions = supabase
+        .from('events')
+        .delete()
+        .eq('recurrence_parent_id', event.id);
+
+      if (scope === 'this') {
+        await updateEventRow(event.id, req.orgId, {
+          exdates: [...new Set([...(event.exdates || []), occurrence_date])]
+        });
+        const { error: cleanupError } = await exceptions.eq('recurrence_id', occurrence_date);
+        if (cleanupError) throw cleanupError;
+      } else {
+        const { before } = splitRRule(event.rrule, event.event_date, occurrence_date);
+        await updateEventRow(event.id, req.orgId, {
+          rrule: before,
+          exdates: (event.exdates || []).filter(date => date < occurrence_date)
+        });
+        const { error: cleanupError } = await exceptions.gte('recurrence_id', occurrence_date);
+        if (cleanupError) throw cleanupError;
+      }
+
+      console.log(`✅ Event ${eventId} cancelled from ${occurrence_date} (${scope}) in org ${req.orgId} by user ${req.user.id}`);
+      return res.status(204).send();
     }
 
     const { error } = await supabase
@@ -122,10 +646,177 @@ router.delete('/:id', getUserOrgContext, canManageEvents, requireActiveSubscript
     console.log(`✅ Event ${eventId} deleted from org ${req.orgId} by user ${req.user.id}`);
     res.status(204).send();
   } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
     console.error('[event.js] DELETE /event/:id error:', err.message);
     res.status(500).json({ error: 'Failed to delete event' });
   }
 });
 
+// =====================================================
+// HELPER FUNCTIONS
+// =====================================================
+
+// Fetch an event and verify it belongs to the caller's organization
+async function fetchOrgEvent(eventId, orgId) {
+  const { data: event, error } = await supabase
+    .from('events')
+    .select('*')
+    .eq('id', eventId)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`❌ Error fetching event ${eventId}:`, error.message);
+    return { status: 500, error: 'Error fetching event' };
+  }
+
+  if (!event) {
+    return { status: 404, error: 'Event not found' };
+  }
+
+  if (event.org_id !== orgId) {
+    console.warn(`🚫 Cross-org access denied: Event ${eventId} not in org ${orgId}`);
+    return { status: 403, error: 'Event not found in your organization' };
+  }
+
+  return { event };
+}
+
+// Copy the editable event columns present on a source object
+function pickEventFields(source) {
+  return EVENT_FIELDS.reduce((acc, field) => {
+    if (source[field] !== undefined) acc[field] = source[field];
+    return acc;
+  }, {});
+}
+
+function validateAudienceRole(audienceRole) {
+  if (audienceRole !== undefined && !AUDIENCE_ROLES.includes(audienceRole)) {
+    throw new ValidationError(`audience_role must be one of: ${AUDIENCE_ROLES.join(', ')}`, 'audience_role');
+  }
+}
+
+// Validate and normalize rrule/exdates from a request body (only keys that were sent)
+function normalizeRecurrence(body, eventDate) {
+  const recurrence = {};
+
+  if (body.rrule !== undefined) {
+    if (body.rrule) {
+      parseDate(eventDate);
+      recurrence.rrule = formatRRule(parseRRule(body.rrule));
+    } else {
+      recurrence.rrule = null;
+    }
+  }
+
+  if (body.exdates !== undefined) {
+    if (!Array.isArray(body.exdates)) {
+      throw new ValidationError('exdates must be an array of dates', 'exdates');
+    }
+    recurrence.exdates = [...new Set(body.exdates.map(date => {
+      parseDate(date);
+      return String(date).slice(0, 10);
+    }))].sort();
+  }
+
+  return recurrence;
+}
+
+// Read list filters from the query string (comma-separated values match any)
+function parseEventFilters(req) {
+  const list = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+  const { from, to } = req.query;
+
+  if (from) parseDate(from);
+  if (to) parseDate(to);
+  if (from && to && from > to) {
+    throw new ValidationError('from must be on or before to', 'from');
+  }
+
+  return {
+    q: req.query.q ? String(req.query.q).trim() : '',
+    from,
+    to,
+    category: list(req.query.category),
+    school_level: list(req.query.school_level),
+    status: list(req.query.status),
+    created_by: req.query.created_by === 'me' ? req.user.id : req.query.created_by
+  };
+}
+
+function applyEventFilters(query, orgId, filters) {
+  query = query.eq('org_id', orgId);
+  if (filters.from) query = query.gte('event_date', filters.from);
+  if (filters.to) query = query.lte('event_date', filters.to);
+  for (const field of ['category', 'school_level', 'status']) {
+    if (filters[field].length > 0) query = query.in(field, filters[field]);
+  }
+  if (filters.created_by) query = query.eq('created_by', filters.created_by);
+  if (filters.q) query = query.textSearch('search_vector', filters.q, { type: 'websearch', config: 'english' });
+  return query;
+}
+
+// Opaque keyset cursor: the last row's sort value and id
+function encodeEventCursor(event, sortBy) {
+  return Buffer.from(JSON.stringify({ s: sortBy, v: event[sortBy], id: event.id })).toString('base64url');
+}
+
+function decodeEventCursor(cursor, sortBy) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new ValidationError('Invalid cursor', 'cursor');
+  }
+
+  if (!decoded || decoded.s !== sortBy || decoded.v === undefined || decoded.v === null ||
+    !/^[0-9a-f-]{36}$/i.test(String(decoded.id))) {
+    throw new ValidationError('Invalid cursor for this sort order', 'cursor');
+  }
+  return { value: decoded.v, id: decoded.id };
+}
+
+// Quote a value for a PostgREST or() filter so commas and parentheses are literal
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Check the resources an event will hold after a change; blocks with a
+// ConflictError unless the request sets allow_resource_conflicts
+async function checkEventResources(req, candidate, resources, excludeEventIds) {
+  const conflicts = await findResourceConflicts(req.orgId, candidate, resources, { excludeEventIds });
+  return enforceResourceConflicts(conflicts, req.body.allow_resource_conflicts === true);
+}
+
+// Accepted conflicts are returned alongside the event as warnings
+function withConflictWarnings(data, conflicts) {
+  return conflicts.length > 0 ? { ...data, resource_conflicts: conflicts } : data;
+}
+
+async function updateEventRow(eventId, orgId, fields) {
+  const { data, error } = await supabase
+    .from('events')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', eventId)
+    .eq('org_id', orgId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function insertEventRow(fields) {
+  const { data, error } = await supabase
+    .from('events')
+    .insert([fields])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
 console.log('[event.js] Routes loaded successfully');
 export default router;
@@ -0,0 +1,335 @@
+import express from 'express';
+import { supabase } from '../util/verifySupabaseToken.js';
+import { requireActiveSubscription } from '../requireSubscription.js';
+import { getUserOrgContext } from '../middleware/organizationalContext.js';
+import { requireVolunteer, canManageEvents } from '../middleware/roleBasedAccess.js';
+import { ValidationError, ConflictError } from '../middleware/errorHandler.js';
+import { parseDate } from '../util/recurrence.js';
+import { fetchOrgRow } from '../util/orgRecords.js';
+import {
+  normalizeResourceSelection,
+  loadEventResources,
+  replaceEventBookings,
+  loadBookedIntervals,
+  findResourceConflicts,
+  enforceResourceConflicts
+} from '../util/resourceBookings.js';
+
+const router = express.Router();
+
+const RESOURCE_KINDS = ['location', 'equipment'];
+const MAX_AVAILABILITY_DAYS = 366;
+
+// GET /api/resources – List the organization's locations and equipment
+router.get('/', getUserOrgContext, requireVolunteer, requireActiveSubscription, async (req, res) => {
+  try {
+    let query = supabase
+      .from('org_resources')
+      .select('*')
+      .eq('org_id', req.orgId)
+      .order('kind', { ascending: true })
+      .order('name', { ascending: true });
+
+    if (req.query.include_inactive !== 'true') {
+      query = query.eq('is_active', true);
+    }
+    if (RESOURCE_KINDS.includes(req.query.kind)) {
+      query = query.eq('kind', req.query.kind);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error(`❌ Error fetching resources for org ${req.orgId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to fetch resources' });
+    }
+
+    res.json(data);
+  } catch (err) {
+    console.error('[resources.js] GET / error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch resources' });
+  }
+});
+
+// GET /api/resources/availability?from=YYYY-MM-DD&to=YYYY-MM-DD&resource_ids=a,b – Bookings per resource in a date range
+router.get('/availability', getUserOrgContext, requireVolunteer, requireActiveSubscription, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!from || !to) {
+      return res.status(400).json({ error: 'from and to dates are required' });
+    }
+
+    const days = (parseDate(to) - parseDate(from)) / (24 * 60 * 60 * 1000);
+    if (days < 0) {
+      return res.status(400).json({ error: 'from must be on or before to' });
+    }
+    if (days >= MAX_AVAILABILITY_DAYS) {
+      return res.status(400).json({ error: `Date range cannot exceed ${MAX_AVAILABILITY_DAYS} days` });
+    }
+
+    let query = supabase
+      .from('org_resources')
+      .select('id, name, kind, capacity')
+      .eq('org_id', req.orgId)
+      .eq('is_active', true)
+      .order('name', { ascending: true });
+
+    if (req.query.resource_ids) {
+      query = query.in('id', String(req.query.resource_ids).split(',').map(id => id.trim()).filter(Boolean));
+    }
+
+    const { data: resources, error } = await query;
+
+    if (error) {
+      console.error(`❌ Error fetching resources for org ${req.orgId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to fetch availability' });
+    }
+
+    const intervals = await loadBookedIntervals(req.orgId, {
+      resourceIds: resources.map(resource => resource.id),
+      from,
+      to
+    });
+
+    res.json({
+      from,
+      to,
+      resources: resources.map(resource => {
+        const bookings = intervals
+          .filter(interval => interval.resource_id === resource.id)
+          .map(interval => ({
+            event_id: interval.occurrence_event_id,
+            title: interval.title,
+            date: interval.date,
+            starts_at: interval.starts_at,
+            ends_at: interval.ends_at,
+            setup_minutes: interval.setup_minutes,
+            teardown_minutes: interval.teardown_minutes
+          }));
+        return { ...resource, available: bookings.length === 0, bookings };
+      })
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[resources.js] GET /availability error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch availability' });
+  }
+});
+
+// POST /api/resources – Add a location or piece of equipment (committee lead+ required)
+router.post('/', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
+  try {
+    const fields = normalizeResource(req.body);
+
+    const { data, error } = await supabase
+      .from('org_resources')
+      .insert([{ ...fields, org_id: req.orgId, created_by: req.user.id }])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: `A resource named "${fields.name}" already exists` });
+      }
+      console.error(`❌ Error creating resource for org ${req.orgId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to create resource' });
+    }
+
+    console.log(`✅ Resource ${data.id} created in org ${req.orgId} by user ${req.user.id}`);
+    res.status(201).json(data);
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[resources.js] POST / error:', err.message);
+    res.status(500).json({ error: 'Failed to create resource' });
+  }
+});
+
+// PUT /api/resources/:resourceId – Update a resource (committee lead+ required)
+router.put('/:resourceId', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: resource, status, error: lookupError } = await fetchOrgRow('org_resources', req.params.resourceId, req.orgId, 'Resource');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const fields = normalizeResource({ ...resource, ...req.body });
+
+    const { data, error } = await supabase
+      .from('org_resources')
+      .update(fields)
+      .eq('id', resource.id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: `A resource named "${fields.name}" already exists` });
+      }
+      console.error(`❌ Error updating resource ${resource.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to update resource' });
+    }
+
+    res.json(data);
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[resources.js] PUT /:resourceId error:', err.message);
+    res.status(500).json({ error: 'Failed to update resource' });
+  }
+});
+
+// DELETE /api/resources/:resourceId – Remove a resource, or retire it if events have booked it
+router.delete('/:resourceId', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: resource, status, error: lookupError } = await fetchOrgRow('org_resources', req.params.resourceId, req.orgId, 'Resource');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const { count, error: countError } = await supabase
+      .from('event_resource_bookings')
+      .select('id', { count: 'exact', head: true })
+      .eq('resource_id', resource.id);
+
+    if (countError) throw new Error(countError.message);
+
+    // Keep booking history intact; retired resources just can't be booked again
+    if (count > 0) {
+      const { data, error } = await supabase
+        .from('org_resources')
+        .update({ is_active: false })
+        .eq('id', resource.id)
+        .select()
+        .single();
+
+      if (error) {
+        console.error(`❌ Error retiring resource ${resource.id}:`, error.message);
+        return res.status(500).json({ error: 'Failed to delete resource' });
+      }
+
+      console.log(`✅ Resource ${resource.id} retired (has ${count} bookings)`);
+      return res.json(data);
+    }
+
+    const { error } = await supabase
+      .from('org_resources')
+      .delete()
+      .eq('id', resource.id);
+
+    if (error) {
+      console.error(`❌ Error deleting resource ${resource.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to delete resource' });
+    }
+
+    console.log(`✅ Resource ${resource.id} deleted from org ${req.orgId}`);
+    res.status(204).send();
+  } catch (err) {
+    console.error('[resources.js] DELETE /:resourceId error:', err.message);
+    res.status(500).json({ error: 'Failed to delete resource' });
+  }
+});
+
+// GET /api/resources/events/:eventId – Resources booked by an event
+router.get('/events/:eventId', getUserOrgContext, requireVolunteer, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: event, status, error: lookupError } = await fetchOrgRow('events', req.params.eventId, req.orgId, 'Event');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const resources = await loadEventResources(event);
+    res.json({
+      event_id: event.id,
+      // Edited occurrences share their series' bookings
+      booked_on: event.recurrence_parent_id || event.id,
+      resources
+    });
+  } catch (err) {
+    console.error('[resources.js] GET /events/:eventId error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch event resources' });
+  }
+});
+
+// PUT /api/resources/events/:eventId – Replace an event's bookings (committee lead+ required)
+// Body: resources [{ resource_id, setup_minutes, teardown_minutes, notes }], allow_resource_conflicts
+router.put('/events/:eventId', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: event, status, error: lookupError } = await fetchOrgRow('events', req.params.eventId, req.orgId, 'Event');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    if (event.recurrence_parent_id) {
+      return res.status(400).json({ error: 'Resources are booked on the whole series; update the series instead' });
+    }
+
+    const resources = await normalizeResourceSelection(req.orgId, req.body.resources);
+    const conflicts = enforceResourceConflicts(
+      await findResourceConflicts(req.orgId, event, resources, { excludeEventIds: [event.id] }),
+      req.body.allow_resource_conflicts === true
+    );
+
+    await replaceEventBookings(req.orgId, event.id, resources, req.user.id);
+
+    console.log(`✅ Event ${event.id} now books ${resources.length} resources${conflicts.length ? ` (${conflicts.length} conflicts accepted)` : ''}`);
+    res.json({ event_id: event.id, resources, resource_conflicts: conflicts });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message, conflicts: err.conflicts });
+    }
+    console.error('[resources.js] PUT /events/:eventId error:', err.message);
+    res.status(500).json({ error: 'Failed to update event resources' });
+  }
+});
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+function normalizeResource(input) {
+  const name = String(input.name || '').trim();
+  if (!name) {
+    throw new ValidationError('Resource name is required', 'name');
+  }
+
+  const kind = input.kind || 'location';
+  if (!RESOURCE_KINDS.includes(kind)) {
+    throw new ValidationError(`kind must be one of: ${RESOURCE_KINDS.join(', ')}`, 'kind');
+  }
+
+  const capacity = input.capacity === null || input.capacity === undefined || input.capacity === ''
+    ? null
+    : Number(input.capacity);
+  if (capacity !== null && (!Number.isInteger(capacity) || capacity <= 0)) {
+    throw new ValidationError('capacity must be a positive whole number', 'capacity');
+  }
+
+  const minutes = (field) => {
+    const value = Number(input[field] ?? 0);
+    if (!Number.isInteger(value) || value < 0 || value > 1440) {
+      throw new ValidationError(`${field} must be between 0 and 1440`, field);
+    }
+    return value;
+  };
+
+  return {
+    name: name.slice(0, 100),
+    kind,
+    description: input.description || null,
+    capacity,
+    default_setup_minutes: minutes('default_setup_minutes'),
+    default_teardown_minutes: minutes('default_teardown_minutes'),
+    is_active: input.is_active === undefined ? true : Boolean(input.is_active)
+  };
+}
+
+console.log('[resources.js] Routes loaded successfully');
+export default router;
@@ -0,0 +1,645 @@
+import express from 'express';
+import { supabase } from '../util/verifySupabaseToken.js';
+import { requireActiveSubscription } from '../requireSubscription.js';
+import { getUserOrgContext } from '../middleware/organizationalContext.js';
+import { requireVolunteer, canManageEvents, hasMinRole } from '../middleware/roleBasedAccess.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+import { parseDate, formatDate } from '../util/recurrence.js';
+import { fetchOrgRow } from '../util/orgRecords.js';
+import { createNotification } from '../util/notifications.js';
+import { resolveDueDate, createsDependencyCycle } from '../util/eventTasks.js';
+
+const router = express.Router();
+
+const TASK_STATUSES = ['todo', 'in_progress', 'blocked', 'done'];
+const TASK_KINDS = ['task', 'material'];
+
+// GET /api/tasks/my – Tasks assigned to the current user across events
+router.get('/my', getUserOrgContext, requireActiveSubscription, async (req, res) => {
+  try {
+    let query = supabase
+      .from('event_tasks')
+      .select('*, events(title, event_date)')
+      .eq('org_id', req.orgId)
+      .eq('assignee_id', req.user.id)
+      .order('due_date', { ascending: true, nullsFirst: false });
+
+    if (req.query.include_done !== 'true') {
+      query = query.neq('status', 'done');
+    }
+
+    const { data: tasks, error } = await query;
+
+    if (error) {
+      console.error(`❌ Error fetching tasks for user ${req.user.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to fetch your tasks' });
+    }
+
+    const today = formatDate(new Date());
+    const detailed = await attachTaskDetails(tasks);
+
+    res.json(detailed.map(task => ({
+      ...task,
+      is_overdue: Boolean(task.due_date && task.due_date < today && task.status !== 'done')
+    })));
+  } catch (err) {
+    console.error('[tasks.js] GET /my error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch your tasks' });
+  }
+});
+
+// GET /api/tasks/events/:eventId – Task board for an event, grouped by status
+router.get('/events/:eventId', getUserOrgContext, requireVolunteer, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: event, status, error: lookupError } = await fetchOrgRow('events', req.params.eventId, req.orgId, 'Event');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    let query = supabase
+      .from('event_tasks')
+      .select('*')
+      .eq('event_id', event.id)
+      .order('sort_order', { ascending: true })
+      .order('due_date', { ascending: true, nullsFirst: false });
+
+    if (TASK_KINDS.includes(req.query.kind)) {
+      query = query.eq('kind', req.query.kind);
+    }
+
+    const { data: tasks, error } = await query;
+
+    if (error) {
+      console.error(`❌ Error fetching tasks for event ${event.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to fetch tasks' });
+    }
+
+    const detailed = await attachTaskDetails(tasks);
+    const columns = Object.fromEntries(TASK_STATUSES.map(taskStatus => [
+      taskStatus,
+      detailed.filter(task => task.status === taskStatus)
+    ]));
+
+    res.json({
+      event_id: event.id,
+      event_date: event.event_date,
+      total: detailed.length,
+      done: columns.done.length,
+      columns
+    });
+  } catch (err) {
+    console.error('[tasks.js] GET /events/:eventId error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch tasks' });
+  }
+});
+
+// POST /api/tasks/events/:eventId – Create a task or material item
+router.post('/events/:eventId', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: event, status, error: lookupError } = await fetchOrgRow('events', req.params.eventId, req.orgId, 'Event');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const fields = await normalizeTask(req.body, event, req.orgId);
+    const { depends_on: dependsOn = [], checklist = [] } = req.body;
+
+    if (!Array.isArray(checklist)) {
+      return res.status(400).json({ error: 'checklist must be an array of labels', field: 'checklist' });
+    }
+
+    const { data: task, error } = await supabase
+      .from('event_tasks')
+      .insert([{
+        ...fields,
+        org_id: req.orgId,
+        event_id: event.id,
+        created_by: req.user.id,
+        ...completionFields(fields.status, req.user.id)
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error(`❌ Error creating task for event ${event.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to create task' });
+    }
+
+    await replaceDependencies(task, dependsOn);
+
+    const labels = checklist.map(item => String(typeof item === 'string' ? item : item?.label || '').trim()).filter(Boolean);
+    if (labels.length > 0) {
+      const { error: checklistError } = await supabase
+        .from('event_task_checklist_items')
+        .insert(labels.map((label, index) => ({ task_id: task.id, label, sort_order: index })));
+
+      if (checklistError) throw new Error(`Failed to save checklist: ${checklistError.message}`);
+    }
+
+    if (task.assignee_id && task.assignee_id !== req.user.id) {
+      await notifyAssignee(task, event);
+    }
+
+    const [detailed] = await attachTaskDetails([task]);
+    console.log(`✅ Task ${task.id} created for event ${event.id} by user ${req.user.id}`);
+    res.status(201).json(detailed);
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[tasks.js] POST /events/:eventId error:', err.message);
+    res.status(500).json({ error: 'Failed to create task' });
+  }
+});
+
+// POST /api/tasks/events/:eventId/import – Create tasks from events.tasks and events.materials_needed
+router.post('/events/:eventId/import', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: event, status, error: lookupError } = await fetchOrgRow('events', req.params.eventId, req.orgId, 'Event');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const { data: existing, error: existingError } = await supabase
+      .from('event_tasks')
+      .select('title, kind')
+      .eq('event_id', event.id);
+
+    if (existingError) {
+      console.error(`❌ Error fetching tasks for event ${event.id}:`, existingError.message);
+      return res.status(500).json({ error: 'Failed to import tasks' });
+    }
+
+    const seen = new Set(existing.map(task => `${task.kind}:${task.title.toLowerCase()}`));
+    const rows = [];
+    let skipped = 0;
+
+    const planned = [
+      ...(Array.isArray(event.tasks) ? event.tasks : []).map(entry => ['task', entry]),
+      ...(Array.isArray(event.materials_needed) ? event.materials_needed : []).map(entry => ['material', entry])
+    ];
+
+    for (const [kind, entry] of planned) {
+      // Entries are plain strings; tolerate {title|task|name} objects too
+      const title = String(typeof entry === 'string' ? entry : entry?.title || entry?.task || entry?.name || '').trim();
+      if (!title) continue;
+
+      const key = `${kind}:${title.toLowerCase()}`;
+      if (seen.has(key)) {
+        skipped += 1;
+        continue;
+      }
+      seen.add(key);
+
+      rows.push({
+        org_id: req.orgId,
+        event_id: event.id,
+        title: title.slice(0, 255),
+        kind,
+        status: 'todo',
+        sort_order: rows.length,
+        created_by: req.user.id
+      });
+    }
+
+    let created = [];
+    if (rows.length > 0) {
+      const { data, error } = await supabase.from('event_tasks').insert(rows).select();
+      if (error) {
+        console.error(`❌ Error importing tasks for event ${event.id}:`, error.message);
+        return res.status(500).json({ error: 'Failed to import tasks' });
+      }
+      created = data;
+    }
+
+    console.log(`✅ Imported ${created.length} tasks for event ${event.id} (${skipped} already existed)`);
+    res.status(201).json({ created, skipped });
+  } catch (err) {
+    console.error('[tasks.js] POST /events/:eventId/import error:', err.message);
+    res.status(500).json({ error: 'Failed to import tasks' });
+  }
+});
+
+// PUT /api/tasks/:taskId – Update a task (assignees may only change its status)
+router.put('/:taskId', getUserOrgContext, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: task, status, error: lookupError } = await fetchOrgRow('event_tasks', req.params.taskId, req.orgId, 'Task');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const isManager = hasMinRole(req.userRole, 'committee_lead');
+    if (!isManager && task.assignee_id !== req.user.id) {
+      console.warn(`🚫 User ${req.user.id} cannot edit task ${task.id}`);
+      return res.status(403).json({ error: 'Only the assignee or a committee lead can update this task' });
+    }
+
+    if (!isManager) {
+      const extra = Object.keys(req.body).filter(key => key !== 'status');
+      if (extra.length > 0) {
+        return res.status(403).json({ error: 'Assignees can only change the task status', fields: extra });
+      }
+    }
+
+    const { row: event } = await fetchOrgRow('events', task.event_id, req.orgId, 'Event');
+    const input = { ...task, ...req.body };
+    if (req.body.due_date !== undefined && req.body.due_offset_days === undefined) {
+      input.due_offset_days = null; // a fixed date replaces an offset
+    }
+    const fields = await normalizeTask(input, event, req.orgId);
+
+    if (fields.status === 'done' && task.status !== 'done') {
+      const blockers = await openDependencies(task.id);
+      if (blockers.length > 0) {
+        return res.status(409).json({
+          error: 'Finish the tasks this one depends on first',
+          blocked_by: blockers
+        });
+      }
+    }
+
+    const updates = {
+      ...fields,
+      ...(fields.status !== task.status ? completionFields(fields.status, req.user.id) : {}),
+      // A new due date or assignee deserves a fresh reminder
+      ...(fields.due_date !== task.due_date || fields.assignee_id !== task.assignee_id ? { reminder_sent_at: null } : {})
+    };
+
+    const { data: updated, error } = await supabase
+      .from('event_tasks')
+      .update(updates)
+      .eq('id', task.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error(`❌ Error updating task ${task.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to update task' });
+    }
+
+    if (req.body.depends_on !== undefined) {
+      await replaceDependencies(updated, req.body.depends_on);
+    }
+
+    if (updated.assignee_id && updated.assignee_id !== task.assignee_id && updated.assignee_id !== req.user.id) {
+      await notifyAssignee(updated, event);
+    }
+
+    const [detailed] = await attachTaskDetails([updated]);
+    res.json(detailed);
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[tasks.js] PUT /:taskId error:', err.message);
+    res.status(500).json({ error: 'Failed to update task' });
+  }
+});
+
+// DELETE /api/tasks/:taskId – Delete a task
+router.delete('/:taskId', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: task, status, error: lookupError } = await fetchOrgRow('event_tasks', req.params.taskId, req.orgId, 'Task');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const { error } = await supabase
+      .from('event_tasks')
+      .delete()
+      .eq('id', task.id);
+
+    if (error) {
+      console.error(`❌ Error deleting task ${task.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to delete task' });
+    }
+
+    console.log(`✅ Task ${task.id} deleted from event ${task.event_id}`);
+    res.status(204).send();
+  } catch (err) {
+    console.error('[tasks.js] DELETE /:taskId error:', err.message);
+    res.status(500).json({ error: 'Failed to delete task' });
+  }
+});
+
+// POST /api/tasks/:taskId/checklist – Add a checklist item (assignee or committee lead+)
+router.post('/:taskId/checklist', getUserOrgContext, requireActiveSubscription, async (req, res) => {
+  try {
+    const { task, status, error: accessError } = await fetchEditableTask(req, req.params.taskId);
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    const label = String(req.body.label || '').trim();
+    if (!label) {
+      return res.status(400).json({ error: 'label is required', field: 'label' });
+    }
+
+    const { count } = await supabase
+      .from('event_task_checklist_items')
+      .select('id', { count: 'exact', head: true })
+      .eq('task_id', task.id);
+
+    const { data, error } = await supabase
+      .from('event_task_checklist_items')
+      .insert([{ task_id: task.id, label: label.slice(0, 255), sort_order: count || 0 }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error(`❌ Error adding checklist item to task ${task.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to add checklist item' });
+    }
+
+    res.status(201).json(data);
+  } catch (err) {
+    console.error('[tasks.js] POST /:taskId/checklist error:', err.message);
+    res.status(500).json({ error: 'Failed to add checklist item' });
+  }
+});
+
+// PUT /api/tasks/:taskId/checklist/:itemId – Tick, untick or rename a checklist item
+router.put('/:taskId/checklist/:itemId', getUserOrgContext, requireActiveSubscription, async (req, res) => {
+  try {
+    const { task, status, error: accessError } = await fetchEditableTask(req, req.params.taskId);
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    const updates = {};
+    if (req.body.label !== undefined) {
+      const label = String(req.body.label).trim();
+      if (!label) {
+        return res.status(400).json({ error: 'label cannot be empty', field: 'label' });
+      }
+      updates.label = label.slice(0, 255);
+    }
+    if (req.body.is_done !== undefined) {
+      updates.is_done = Boolean(req.body.is_done);
+      updates.done_by = updates.is_done ? req.user.id : null;
+      updates.done_at = updates.is_done ? new Date().toISOString() : null;
+    }
+
+    const { data, error } = await supabase
+      .from('event_task_checklist_items')
+      .update(updates)
+      .eq('id', req.params.itemId)
+      .eq('task_id', task.id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error(`❌ Error updating checklist item ${req.params.itemId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to update checklist item' });
+    }
+
+    if (!data) {
+      return res.status(404).json({ error: 'Checklist item not found' });
+    }
+
+    res.json(data);
+  } catch (err) {
+    console.error('[tasks.js] PUT /:taskId/checklist/:itemId error:', err.message);
+    res.status(500).json({ error: 'Failed to update checklist item' });
+  }
+});
+
+// DELETE /api/tasks/:taskId/checklist/:itemId – Remove a checklist item
+router.delete('/:taskId/checklist/:itemId', getUserOrgContext, requireActiveSubscription, async (req, res) => {
+  try {
+    const { task, status, error: accessError } = await fetchEditableTask(req, req.params.taskId);
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    const { error } = await supabase
+      .from('event_task_checklist_items')
+      .delete()
+      .eq('id', req.params.itemId)
+      .eq('task_id', task.id);
+
+    if (error) {
+      console.error(`❌ Error deleting checklist item ${req.params.itemId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to delete checklist item' });
+    }
+
+    res.status(204).send();
+  } catch (err) {
+    console.error('[tasks.js] DELETE /:taskId/checklist/:itemId error:', err.message);
+    res.status(500).json({ error: 'Failed to delete checklist item' });
+  }
+});
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+// Task the caller may edit: assignee or committee lead+
+async function fetchEditableTask(req, taskId) {
+  const { row: task, status, error } = await fetchOrgRow('event_tasks', taskId, req.orgId, 'Task');
+  if (error) return { status, error };
+
+  if (task.assignee_id !== req.user.id && !hasMinRole(req.userRole, 'committee_lead')) {
+    return { status: 403, error: 'Only the assignee or a committee lead can change this task' };
+  }
+
+  return { task };
+}
+
+// Validate and normalize task input against its event
+async function normalizeTask(input, event, orgId) {
+  const title = String(input.title || '').trim();
+  if (!title) {
+    throw new ValidationError('Task title is required', 'title');
+  }
+
+  const kind = input.kind || 'task';
+  if (!TASK_KINDS.includes(kind)) {
+    throw new ValidationError(`kind must be one of: ${TASK_KINDS.join(', ')}`, 'kind');
+  }
+
+  const status = input.status || 'todo';
+  if (!TASK_STATUSES.includes(status)) {
+    throw new ValidationError(`status must be one of: ${TASK_STATUSES.join(', ')}`, 'status');
+  }
+
+  let dueOffset = input.due_offset_days;
+  let dueDate = input.due_date;
+
+  if (dueOffset !== undefined && dueOffset !== null && dueOffset !== '') {
+    dueOffset = Number(dueOffset);
+    if (!Number.isInteger(dueOffset)) {
+      throw new ValidationError('due_offset_days must be a whole number of days', 'due_offset_days');
+    }
+  } else {
+    dueOffset = null;
+  }
+
+  if (dueOffset === null && dueDate) {
+    try {
+      dueDate = formatDate(parseDate(dueDate));
+    } catch {
+      throw new ValidationError(`Invalid due_date: ${dueDate}`, 'due_date');
+    }
+  }
+
+  if (input.assignee_id) {
+    const { data: member } = await supabase
+      .from('profiles')
+      .select('id, org_id')
+      .eq('id', input.assignee_id)
+      .maybeSingle();
+
+    if (!member || member.org_id !== orgId) {
+      throw new ValidationError('Assignee must be a member of your organization', 'assignee_id');
+    }
+  }
+
+  return {
+    title: title.slice(0, 255),
+    description: input.description || null,
+    kind,
+    status,
+    assignee_id: input.assignee_id || null,
+    due_offset_days: dueOffset,
+    due_date: resolveDueDate({ due_offset_days: dueOffset, due_date: dueDate }, event.event_date),
+    sort_order: Number.isInteger(input.sort_order) ? input.sort_order : 0
+  };
+}
+
+function completionFields(status, userId) {
+  return status === 'done'
+    ? { completed_at: new Date().toISOString(), completed_by: userId }
+    : { completed_at: null, completed_by: null };
+}
+
+// Replace a task's dependencies after checking they are on the same event and acyclic
+async function replaceDependencies(task, dependsOn) {
+  if (!Array.isArray(dependsOn)) {
+    throw new ValidationError('depends_on must be an array of task IDs', 'depends_on');
+  }
+
+  const ids = [...new Set(dependsOn)];
+  if (ids.includes(task.id)) {
+    throw new ValidationError('A task cannot depend on itself', 'depends_on');
+  }
+
+  const { data: eventTasks, error } = await supabase
+    .from('event_tasks')
+    .select('id')
+    .eq('event_id', task.event_id);
+
+  if (error) throw new Error(`Failed to fetch event tasks: ${error.message}`);
+
+  const eventTaskIds = new Set(eventTasks.map(row => row.id));
+  if (ids.some(id => !eventTaskIds.has(id))) {
+    throw new ValidationError('Dependencies must be tasks on the same event', 'depends_on');
+  }
+
+  const { data: edges, error: edgesError } = await supabase
+    .from('event_task_dependencies')
+    .select('task_id, depends_on_task_id')
+    .in('task_id', [...eventTaskIds]);
+
+  if (edgesError) throw new Error(`Failed to fetch task dependencies: ${edgesError.message}`);
+
+  if (createsDependencyCycle(task.id, ids, edges)) {
+    throw new ValidationError('These dependencies would create a cycle', 'depends_on');
+  }
+
+  const { error: deleteError } = await supabase
+    .from('event_task_dependencies')
+    .delete()
+    .eq('task_id', task.id);
+
+  if (deleteError) throw new Error(`Failed to update task dependencies: ${deleteError.message}`);
+
+  if (ids.length > 0) {
+    const { error: insertError } = await supabase
+      .from('event_task_dependencies')
+      .insert(ids.map(id => ({ task_id: task.id, depends_on_task_id: id })));
+
+    if (insertError) throw new Error(`Failed to update task dependencies: ${insertError.message}`);
+  }
+}
+
+async function openDependencies(taskId) {
+  const { data: edges, error } = await supabase
+    .from('event_task_dependencies')
+    .select('depends_on_task_id')
+    .eq('task_id', taskId);
+
+  if (error) throw new Error(`Failed to fetch task dependencies: ${error.message}`);
+  if (edges.length === 0) return [];
+
+  const { data: dependencies, error: tasksError } = await supabase
+    .from('event_tasks')
+    .select('id, title')
+    .in('id', edges.map(edge => edge.depends_on_task_id))
+    .neq('status', 'done');
+
+  if (tasksError) throw new Error(`Failed to fetch task dependencies: ${tasksError.message}`);
+  return dependencies;
+}
+
+// Add dependencies, open blockers, checklist and assignee name to task rows
+async function attachTaskDetails(tasks) {
+  if (tasks.length === 0) return [];
+
+  const ids = tasks.map(task => task.id);
+  const assigneeIds = [...new Set(tasks.map(task => task.assignee_id).filter(Boolean))];
+
+  const [dependencies, checklist, profiles] = await Promise.all([
+    supabase.from('event_task_dependencies').select('task_id, depends_on_task_id').in('task_id', ids),
+    supabase.from('event_task_checklist_items').select('*').in('task_id', ids).order('sort_order', { ascending: true }),
+    assigneeIds.length
+      ? supabase.from('profiles').select('id, full_name, first_name, last_name').in('id', assigneeIds)
+      : Promise.resolve({ data: [] })
+  ]);
+
+  for (const result of [dependencies, checklist, profiles]) {
+    if (result.error) throw new Error(`Failed to load task details: ${result.error.message}`);
+  }
+
+  // Dependencies may point at tasks outside this list (e.g. "my tasks"), so look up their status
+  const dependencyIds = [...new Set(dependencies.data.map(edge => edge.depends_on_task_id))];
+  const statusById = new Map(tasks.map(task => [task.id, task.status]));
+  const missing = dependencyIds.filter(id => !statusById.has(id));
+  if (missing.length > 0) {
+    const { data, error } = await supabase.from('event_tasks').select('id, status').in('id', missing);
+    if (error) throw new Error(`Failed to load task details: ${error.message}`);
+    for (const row of data) statusById.set(row.id, row.status);
+  }
+
+  const names = new Map(profiles.data.map(profile => [
+    profile.id,
+    profile.full_name || [profile.first_name, profile.last_name].filter(Boolean).join(' ') || null
+  ]));
+
+  return tasks.map(task => {
+    const dependsOn = dependencies.data.filter(edge => edge.task_id === task.id).map(edge => edge.depends_on_task_id);
+    const items = checklist.data.filter(item => item.task_id === task.id);
+    return {
+      ...task,
+      assignee_name: task.assignee_id ? names.get(task.assignee_id) || null : null,
+      depends_on: dependsOn,
+      blocked_by: dependsOn.filter(id => statusById.get(id) !== 'done'),
+      checklist: items,
+      checklist_progress: { done: items.filter(item => item.is_done).length, total: items.length }
+    };
+  });
+}
+
+async function notifyAssignee(task, event) {
+  await createNotification({
+    orgId: task.org_id,
+    recipientId: task.assignee_id,
+    type: 'task_assigned',
+    title: `New task: ${task.title}`,
+    message: `${event?.title || 'Event'}${task.due_date ? ` – due ${task.due_date}` : ''}`,
+    link: `/events/${task.event_id}/tasks`
+  });
+}
+
+console.log('[tasks.js] Routes loaded successfully');
+export default router;
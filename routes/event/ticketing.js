@@ -0,0 +1,830 @@
+import express from 'express';
+import Stripe from 'stripe';
+import { supabase } from '../util/verifySupabaseToken.js';
+import { requireActiveSubscription } from '../requireSubscription.js';
+import { getUserOrgContext } from '../middleware/organizationalContext.js';
+import { canManageEvents, hasMinRole } from '../middleware/roleBasedAccess.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+import { STRIPE_SECRET_KEY } from '../stripe/stripeConfig.js';
+import { formatDate } from '../util/recurrence.js';
+import { fetchOrgRow, fetchVisibleEvent } from '../util/orgRecords.js';
+import {
+  HOLDING_STATUSES,
+  TICKET_ORDER_METADATA_TYPE,
+  priceOrder,
+  promoCodeProblem,
+  countHeldTickets,
+  capacityProblem,
+  completeOrder,
+  releaseOrder
+} from '../util/eventTickets.js';
+
+const router = express.Router();
+const stripe = new Stripe(STRIPE_SECRET_KEY);
+
+const TICKET_KINDS = ['family_pass', 'adult', 'child', 'rsvp', 'other'];
+
+// Stripe's minimum Checkout Session lifetime; the order's hold runs a little
+// longer so a payment finished at the last second still has its tickets
+const CHECKOUT_HOLD_MINUTES = 30;
+const HOLD_GRACE_MINUTES = 5;
+
+// GET /api/tickets/events/:eventId/ticket-types – Ticket types with remaining inventory
+router.get('/events/:eventId/ticket-types', getUserOrgContext, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: event, status, error: lookupError } = await fetchVisibleEvent(req, req.params.eventId);
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const isManager = hasMinRole(req.userRole, 'committee_lead');
+    let query = supabase
+      .from('event_ticket_types')
+      .select('*')
+      .eq('event_id', event.id)
+      .order('sort_order', { ascending: true })
+      .order('price_cents', { ascending: false });
+
+    if (!isManager) {
+      query = query.eq('is_active', true);
+    }
+
+    const { data: ticketTypes, error } = await query;
+
+    if (error) {
+      console.error(`❌ Error fetching ticket types for event ${event.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to fetch ticket types' });
+    }
+
+    const held = await countHeldTickets(event.id);
+    const peopleLeft = event.ticket_capacity ? Math.max(event.ticket_capacity - held.admits, 0) : null;
+
+    res.json({
+      event_id: event.id,
+      ticket_capacity: event.ticket_capacity,
+      people_remaining: peopleLeft,
+      ticket_types: ticketTypes.map(type => {
+        const sold = held.byType.get(type.id) || 0;
+        const remainingByType = type.quantity_available ?? null;
+        const limits = [
+          remainingByType === null ? null : Math.max(remainingByType - sold, 0),
+          peopleLeft === null ? null : Math.floor(peopleLeft / type.admits)
+        ].filter(limit => limit !== null);
+
+        return {
+          ...type,
+          ...(isManager ? { sold } : {}),
+          remaining: limits.length ? Math.min(...limits) : null,
+          on_sale: isOnSale(type)
+        };
+      })
+    });
+  } catch (err) {
+    console.error('[ticketing.js] GET /events/:eventId/ticket-types error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch ticket types' });
+  }
+});
+
+// POST /api/tickets/events/:eventId/ticket-types – Create a ticket type
+router.post('/events/:eventId/ticket-types', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: event, status, error: lookupError } = await fetchOrgRow('events', req.params.eventId, req.orgId, 'Event');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const { data, error } = await supabase
+      .from('event_ticket_types')
+      .insert([{
+        ...normalizeTicketType(req.body),
+        org_id: req.orgId,
+        event_id: event.id,
+        created_by: req.user.id
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error(`❌ Error creating ticket type for event ${event.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to create ticket type' });
+    }
+
+    console.log(`✅ Ticket type ${data.id} (${data.kind}) created for event ${event.id}`);
+    res.status(201).json(data);
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[ticketing.js] POST /events/:eventId/ticket-types error:', err.message);
+    res.status(500).json({ error: 'Failed to create ticket type' });
+  }
+});
+
+// PUT /api/tickets/ticket-types/:id – Update a ticket type
+router.put('/ticket-types/:id', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: ticketType, status, error: lookupError } = await fetchOrgRow('event_ticket_types', req.params.id, req.orgId, 'Ticket type');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const updates = normalizeTicketType({ ...ticketType, ...req.body });
+
+    // Price and admits are locked in on sold tickets; changing them mid-sale would skew totals
+    const held = await countHeldTickets(ticketType.event_id);
+    const sold = held.byType.get(ticketType.id) || 0;
+    if (sold > 0 && (updates.price_cents !== ticketType.price_cents || updates.admits !== ticketType.admits)) {
+      return res.status(409).json({ error: 'Price and admits cannot change after tickets have been sold; create a new ticket type instead' });
+    }
+
+    if (updates.quantity_available !== null && updates.quantity_available < sold) {
+      return res.status(409).json({ error: `${sold} tickets are already sold or held`, field: 'quantity_available' });
+    }
+
+    const { data, error } = await supabase
+      .from('event_ticket_types')
+      .update(updates)
+      .eq('id', ticketType.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error(`❌ Error updating ticket type ${ticketType.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to update ticket type' });
+    }
+
+    res.json(data);
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[ticketing.js] PUT /ticket-types/:id error:', err.message);
+    res.status(500).json({ error: 'Failed to update ticket type' });
+  }
+});
+
+// DELETE /api/tickets/ticket-types/:id – Delete an unsold ticket type (sold types are deactivated)
+router.delete('/ticket-types/:id', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: ticketType, status, error: lookupError } = await fetchOrgRow('event_ticket_types', req.params.id, req.orgId, 'Ticket type');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const { count, error: countError } = await supabase
+      .from('event_order_items')
+      .select('id', { count: 'exact', head: true })
+      .eq('ticket_type_id', ticketType.id);
+
+    if (countError) {
+      console.error(`❌ Error checking orders for ticket type ${ticketType.id}:`, countError.message);
+      return res.status(500).json({ error: 'Failed to delete ticket type' });
+    }
+
+    if (count > 0) {
+      const { error } = await supabase
+        .from('event_ticket_types')
+        .update({ is_active: false })
+        .eq('id', ticketType.id);
+
+      if (error) {
+        console.error(`❌ Error deactivating ticket type ${ticketType.id}:`, error.message);
+        return res.status(500).json({ error: 'Failed to delete ticket type' });
+      }
+
+      return res.json({ message: 'Ticket type has orders and was deactivated instead of deleted' });
+    }
+
+    const { error } = await supabase
+      .from('event_ticket_types')
+      .delete()
+      .eq('id', ticketType.id);
+
+    if (error) {
+      console.error(`❌ Error deleting ticket type ${ticketType.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to delete ticket type' });
+    }
+
+    res.status(204).send();
+  } catch (err) {
+    console.error('[ticketing.js] DELETE /ticket-types/:id error:', err.message);
+    res.status(500).json({ error: 'Failed to delete ticket type' });
+  }
+});
+
+// GET /api/tickets/events/:eventId/promo-codes – Promo codes with redemption counts
+router.get('/events/:eventId/promo-codes', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: event, status, error: lookupError } = await fetchOrgRow('events', req.params.eventId, req.orgId, 'Event');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const { data: codes, error } = await supabase
+      .from('event_promo_codes')
+      .select('*')
+      .eq('event_id', event.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error(`❌ Error fetching promo codes for event ${event.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to fetch promo codes' });
+    }
+
+    const { data: orders, error: ordersError } = await supabase
+      .from('event_orders')
+      .select('promo_code_id, discount_cents')
+      .eq('event_id', event.id)
+      .eq('status', 'completed')
+      .not('promo_code_id', 'is', null);
+
+    if (ordersError) {
+      console.error(`❌ Error fetching promo redemptions for event ${event.id}:`, ordersError.message);
+      return res.status(500).json({ error: 'Failed to fetch promo codes' });
+    }
+
+    res.json(codes.map(code => {
+      const used = orders.filter(order => order.promo_code_id === code.id);
+      return {
+        ...code,
+        redemptions: used.length,
+        discount_given_cents: used.reduce((sum, order) => sum + order.discount_cents, 0)
+      };
+    }));
+  } catch (err) {
+    console.error('[ticketing.js] GET /events/:eventId/promo-codes error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch promo codes' });
+  }
+});
+
+// POST /api/tickets/events/:eventId/promo-codes – Create a promo code
+router.post('/events/:eventId/promo-codes', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: event, status, error: lookupError } = await fetchOrgRow('events', req.params.eventId, req.orgId, 'Event');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const { data, error } = await supabase
+      .from('event_promo_codes')
+      .insert([{
+        ...normalizePromoCode(req.body),
+        org_id: req.orgId,
+        event_id: event.id,
+        created_by: req.user.id
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'This promo code already exists for the event', field: 'code' });
+      }
+      console.error(`❌ Error creating promo code for event ${event.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to create promo code' });
+    }
+
+    console.log(`✅ Promo code ${data.code} created for event ${event.id}`);
+    res.status(201).json(data);
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[ticketing.js] POST /events/:eventId/promo-codes error:', err.message);
+    res.status(500).json({ error: 'Failed to create promo code' });
+  }
+});
+
+// PUT /api/tickets/promo-codes/:id – Update or deactivate a promo code
+router.put('/promo-codes/:id', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: promo, status, error: lookupError } = await fetchOrgRow('event_promo_codes', req.params.id, req.orgId, 'Promo code');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const { data, error } = await supabase
+      .from('event_promo_codes')
+      .update(normalizePromoCode({ ...promo, ...req.body }))
+      .eq('id', promo.id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'This promo code already exists for the event', field: 'code' });
+      }
+      console.error(`❌ Error updating promo code ${promo.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to update promo code' });
+    }
+
+    res.json(data);
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[ticketing.js] PUT /promo-codes/:id error:', err.message);
+    res.status(500).json({ error: 'Failed to update promo code' });
+  }
+});
+
+// POST /api/tickets/events/:eventId/quote – Price a cart (and check a promo code) without holding tickets
+router.post('/events/:eventId/quote', getUserOrgContext, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: event, status, error: lookupError } = await fetchVisibleEvent(req, req.params.eventId);
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const { ticketTypes, promo, problem } = await loadCart(event, req.body);
+    if (problem) {
+      return res.status(problem.status).json({ error: problem.error, field: problem.field });
+    }
+
+    const pricing = priceOrder({ ticketTypes, items: req.body.items, promo });
+    res.json({ ...pricing, promo_code: promo?.code || null });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[ticketing.js] POST /events/:eventId/quote error:', err.message);
+    res.status(500).json({ error: 'Failed to price order' });
+  }
+});
+
+// POST /api/tickets/events/:eventId/checkout – Place an order (free RSVPs complete immediately, paid orders go to Stripe Checkout)
+router.post('/events/:eventId/checkout', getUserOrgContext, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: event, status, error: lookupError } = await fetchVisibleEvent(req, req.params.eventId);
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    if (event.status === 'cancelled') {
+      return res.status(409).json({ error: 'This event has been cancelled' });
+    }
+
+    if (!event.rrule && event.event_date < formatDate(new Date())) {
+      return res.status(409).json({ error: 'This event has already taken place' });
+    }
+
+    const { ticketTypes, promo, problem } = await loadCart(event, req.body);
+    if (problem) {
+      return res.status(problem.status).json({ error: problem.error, field: problem.field });
+    }
+
+    const pricing = priceOrder({ ticketTypes, items: req.body.items, promo });
+
+    const held = await countHeldTickets(event.id);
+    const capacityError = capacityProblem(event, ticketTypes, withOrder(held, pricing));
+    if (capacityError) {
+      return res.status(409).json({ error: capacityError });
+    }
+
+    const isFree = pricing.total_cents === 0;
+    const purchaserName = req.profile.full_name ||
+      [req.profile.first_name, req.profile.last_name].filter(Boolean).join(' ') || null;
+
+    const { data: order, error: orderError } = await supabase
+      .from('event_orders')
+      .insert([{
+        org_id: req.orgId,
+        event_id: event.id,
+        user_id: req.user.id,
+        purchaser_name: purchaserName,
+        purchaser_email: req.user.email || req.profile.email || null,
+        status: 'pending',
+        subtotal_cents: pricing.subtotal_cents,
+        discount_cents: pricing.discount_cents,
+        total_cents: pricing.total_cents,
+        admits: pricing.admits,
+        promo_code_id: promo?.id || null,
+        expires_at: isFree
+          ? null
+          : new Date(Date.now() + (CHECKOUT_HOLD_MINUTES + HOLD_GRACE_MINUTES) * 60 * 1000).toISOString()
+      }])
+      .select()
+      .single();
+
+    if (orderError) {
+      console.error(`❌ Error creating order for event ${event.id}:`, orderError.message);
+      return res.status(500).json({ error: 'Failed to create order' });
+    }
+
+    const { error: itemsError } = await supabase
+      .from('event_order_items')
+      .insert(pricing.lines.map(line => ({
+        order_id: order.id,
+        ticket_type_id: line.ticket_type_id,
+        quantity: line.quantity,
+        unit_price_cents: line.unit_price_cents,
+        admits: line.admits
+      })));
+
+    if (itemsError) {
+      console.error(`❌ Error saving items for order ${order.id}:`, itemsError.message);
+      await releaseOrder({ id: order.id }, 'cancelled');
+      return res.status(500).json({ error: 'Failed to create order' });
+    }
+
+    // Another buyer may have taken the last tickets between the check above and our insert
+    const recheck = capacityProblem(event, ticketTypes, await countHeldTickets(event.id));
+    if (recheck) {
+      await releaseOrder({ id: order.id }, 'cancelled');
+      return res.status(409).json({ error: recheck });
+    }
+
+    if (isFree) {
+      const completed = await completeOrder(order.id);
+      console.log(`✅ Free order ${order.id} placed for event ${event.id} by user ${req.user.id}`);
+      return res.status(201).json({ order: completed, checkout_url: null });
+    }
+
+    let session;
+    try {
+      session = await createCheckoutSession(event, order, pricing);
+    } catch (stripeError) {
+      console.error(`❌ Stripe checkout failed for order ${order.id}:`, stripeError.message);
+      await releaseOrder({ id: order.id }, 'cancelled');
+      return res.status(502).json({ error: 'Payment provider is unavailable, please try again' });
+    }
+
+    await supabase
+      .from('event_orders')
+      .update({ stripe_checkout_session_id: session.id })
+      .eq('id', order.id);
+
+    console.log(`✅ Checkout session ${session.id} created for order ${order.id} (event ${event.id})`);
+    res.status(201).json({ order: { ...order, stripe_checkout_session_id: session.id }, checkout_url: session.url });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[ticketing.js] POST /events/:eventId/checkout error:', err.message);
+    res.status(500).json({ error: 'Failed to place order' });
+  }
+});
+
+// GET /api/tickets/orders/mine – Current user's ticket orders
+router.get('/orders/mine', getUserOrgContext, requireActiveSubscription, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('event_orders')
+      .select('*, events(title, event_date, start_time, location), event_order_items(quantity, unit_price_cents, admits, event_ticket_types(name, kind))')
+      .eq('org_id', req.orgId)
+      .eq('user_id', req.user.id)
+      .in('status', ['pending', 'completed', 'refunded'])
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error(`❌ Error fetching orders for user ${req.user.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to fetch orders' });
+    }
+
+    res.json(data);
+  } catch (err) {
+    console.error('[ticketing.js] GET /orders/mine error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch orders' });
+  }
+});
+
+// GET /api/tickets/orders/:orderId – Order with items and tickets (purchaser or committee lead+)
+router.get('/orders/:orderId', getUserOrgContext, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: order, status, error: lookupError } = await fetchOrgRow('event_orders', req.params.orderId, req.orgId, 'Order');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    if (order.user_id !== req.user.id && !hasMinRole(req.userRole, 'committee_lead')) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const [{ data: items, error: itemsError }, { data: tickets, error: ticketsError }] = await Promise.all([
+      supabase
+        .from('event_order_items')
+        .select('*, event_ticket_types(name, kind)')
+        .eq('order_id', order.id),
+      supabase
+        .from('event_tickets')
+        .select('id, ticket_type_id, admits, status, created_at')
+        .eq('order_id', order.id)
+    ]);
+
+    if (itemsError || ticketsError) {
+      console.error(`❌ Error fetching details for order ${order.id}:`, (itemsError || ticketsError).message);
+      return res.status(500).json({ error: 'Failed to fetch order' });
+    }
+
+    res.json({ ...order, items, tickets });
+  } catch (err) {
+    console.error('[ticketing.js] GET /orders/:orderId error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch order' });
+  }
+});
+
+// POST /api/tickets/orders/:orderId/cancel – Cancel a free RSVP or an unpaid checkout (paid orders are refunded in Stripe)
+router.post('/orders/:orderId/cancel', getUserOrgContext, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: order, status, error: lookupError } = await fetchOrgRow('event_orders', req.params.orderId, req.orgId, 'Order');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    if (order.user_id !== req.user.id && !hasMinRole(req.userRole, 'committee_lead')) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (!HOLDING_STATUSES.includes(order.status)) {
+      return res.status(409).json({ error: `Order is already ${order.status}` });
+    }
+
+    if (order.status === 'completed' && order.total_cents > 0) {
+      return res.status(409).json({ error: 'Paid orders must be refunded through Stripe' });
+    }
+
+    if (order.status === 'pending' && order.stripe_checkout_session_id) {
+      try {
+        await stripe.checkout.sessions.expire(order.stripe_checkout_session_id);
+      } catch (stripeError) {
+        // The session may already be complete; the webhook will settle the order
+        console.warn(`⚠️ Could not expire checkout session for order ${order.id}:`, stripeError.message);
+        return res.status(409).json({ error: 'Checkout could not be cancelled; it may already be paid' });
+      }
+    }
+
+    await releaseOrder({ id: order.id }, 'cancelled');
+
+    console.log(`✅ Order ${order.id} cancelled by user ${req.user.id}`);
+    res.json({ message: 'Order cancelled' });
+  } catch (err) {
+    console.error('[ticketing.js] POST /orders/:orderId/cancel error:', err.message);
+    res.status(500).json({ error: 'Failed to cancel order' });
+  }
+});
+
+// GET /api/tickets/events/:eventId/orders – All orders for an event with sales totals
+router.get('/events/:eventId/orders', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: event, status, error: lookupError } = await fetchOrgRow('events', req.params.eventId, req.orgId, 'Event');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const { data: orders, error } = await supabase
+      .from('event_orders')
+      .select('*, event_order_items(ticket_type_id, quantity, unit_price_cents, admits)')
+      .eq('event_id', event.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error(`❌ Error fetching orders for event ${event.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to fetch orders' });
+    }
+
+    const completed = orders.filter(order => order.status === 'completed');
+    const ticketsByType = {};
+    for (const item of completed.flatMap(order => order.event_order_items)) {
+      ticketsByType[item.ticket_type_id] = (ticketsByType[item.ticket_type_id] || 0) + item.quantity;
+    }
+
+    res.json({
+      orders,
+      summary: {
+        completed_orders: completed.length,
+        revenue: event.revenue,
+        attendance: event.attendance,
+        gross_cents: completed.reduce((sum, order) => sum + order.subtotal_cents, 0),
+        discount_cents: completed.reduce((sum, order) => sum + order.discount_cents, 0),
+        net_cents: completed.reduce((sum, order) => sum + order.total_cents, 0),
+        tickets_by_type: ticketsByType
+      }
+    });
+  } catch (err) {
+    console.error('[ticketing.js] GET /events/:eventId/orders error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch orders' });
+  }
+});
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+function isOnSale(type, now = new Date()) {
+  return type.is_active &&
+    (!type.sales_start || new Date(type.sales_start) <= now) &&
+    (!type.sales_end || new Date(type.sales_end) >= now);
+}
+
+function optionalCount(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new ValidationError(`${field} must be a whole number`, field);
+  }
+  return number;
+}
+
+function optionalTimestamp(value, field) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`${field} must be a valid date`, field);
+  }
+  return date.toISOString();
+}
+
+// Validate and normalize ticket type input
+function normalizeTicketType(input) {
+  if (!input.name || !String(input.name).trim()) {
+    throw new ValidationError('Ticket type name is required', 'name');
+  }
+
+  if (!TICKET_KINDS.includes(input.kind)) {
+    throw new ValidationError(`kind must be one of: ${TICKET_KINDS.join(', ')}`, 'kind');
+  }
+
+  const priceCents = input.kind === 'rsvp' ? 0 : optionalCount(input.price_cents, 'price_cents') ?? 0;
+
+  // A family pass covers several people; attendance is wrong if we guess
+  if (input.kind === 'family_pass' && !input.admits) {
+    throw new ValidationError('admits is required for family passes', 'admits');
+  }
+  const admits = optionalCount(input.admits, 'admits') ?? 1;
+  if (admits < 1) {
+    throw new ValidationError('admits must be at least 1', 'admits');
+  }
+
+  const maxPerOrder = optionalCount(input.max_per_order, 'max_per_order');
+  if (maxPerOrder === 0) {
+    throw new ValidationError('max_per_order must be at least 1', 'max_per_order');
+  }
+
+  const salesStart = optionalTimestamp(input.sales_start, 'sales_start');
+  const salesEnd = optionalTimestamp(input.sales_end, 'sales_end');
+  if (salesStart && salesEnd && salesEnd <= salesStart) {
+    throw new ValidationError('sales_end must be after sales_start', 'sales_end');
+  }
+
+  return {
+    name: String(input.name).trim(),
+    description: input.description || null,
+    kind: input.kind,
+    price_cents: priceCents,
+    admits,
+    quantity_available: optionalCount(input.quantity_available, 'quantity_available'),
+    max_per_order: maxPerOrder,
+    sales_start: salesStart,
+    sales_end: salesEnd,
+    is_active: input.is_active !== false,
+    sort_order: Number.isInteger(input.sort_order) ? input.sort_order : 0
+  };
+}
+
+// Validate and normalize promo code input (codes are stored upper-case)
+function normalizePromoCode(input) {
+  const code = String(input.code || '').trim().toUpperCase();
+  if (!/^[A-Z0-9_-]{3,50}$/.test(code)) {
+    throw new ValidationError('code must be 3-50 letters, numbers, dashes or underscores', 'code');
+  }
+
+  if (!['percent', 'amount'].includes(input.discount_type)) {
+    throw new ValidationError('discount_type must be "percent" or "amount"', 'discount_type');
+  }
+
+  const value = optionalCount(input.discount_value, 'discount_value');
+  if (!value || (input.discount_type === 'percent' && value > 100)) {
+    throw new ValidationError('discount_value must be 1-100 for percent, or a positive number of cents', 'discount_value');
+  }
+
+  const maxRedemptions = optionalCount(input.max_redemptions, 'max_redemptions');
+  if (maxRedemptions === 0) {
+    throw new ValidationError('max_redemptions must be at least 1', 'max_redemptions');
+  }
+
+  if (input.ticket_type_ids !== undefined && input.ticket_type_ids !== null && !Array.isArray(input.ticket_type_ids)) {
+    throw new ValidationError('ticket_type_ids must be an array', 'ticket_type_ids');
+  }
+
+  return {
+    code,
+    discount_type: input.discount_type,
+    discount_value: value,
+    ticket_type_ids: input.ticket_type_ids?.length ? input.ticket_type_ids : null,
+    max_redemptions: maxRedemptions,
+    valid_from: optionalTimestamp(input.valid_from, 'valid_from'),
+    valid_until: optionalTimestamp(input.valid_until, 'valid_until'),
+    is_active: input.is_active !== false
+  };
+}
+
+// Load on-sale ticket types for the requested items and resolve the promo code
+async function loadCart(event, body) {
+  const { data: ticketTypes, error } = await supabase
+    .from('event_ticket_types')
+    .select('*')
+    .eq('event_id', event.id);
+
+  if (error) {
+    throw new Error(`Failed to fetch ticket types for event ${event.id}: ${error.message}`);
+  }
+
+  const requested = new Set((Array.isArray(body.items) ? body.items : []).map(item => item?.ticket_type_id));
+  const unavailable = ticketTypes.find(type => requested.has(type.id) && !isOnSale(type));
+  if (unavailable) {
+    return { problem: { status: 409, error: `"${unavailable.name}" is not on sale`, field: 'items' } };
+  }
+
+  if (!body.promo_code) {
+    return { ticketTypes };
+  }
+
+  const { data: promo, error: promoError } = await supabase
+    .from('event_promo_codes')
+    .select('*')
+    .eq('event_id', event.id)
+    .eq('code', String(body.promo_code).trim().toUpperCase())
+    .maybeSingle();
+
+  if (promoError) {
+    throw new Error(`Failed to look up promo code: ${promoError.message}`);
+  }
+
+  if (!promo) {
+    return { problem: { status: 400, error: 'Promo code not found', field: 'promo_code' } };
+  }
+
+  const { count, error: countError } = await supabase
+    .from('event_orders')
+    .select('id', { count: 'exact', head: true })
+    .eq('promo_code_id', promo.id)
+    .in('status', HOLDING_STATUSES);
+
+  if (countError) {
+    throw new Error(`Failed to count promo code redemptions: ${countError.message}`);
+  }
+
+  const unusable = promoCodeProblem(promo, count);
+  if (unusable) {
+    return { problem: { status: 400, error: unusable, field: 'promo_code' } };
+  }
+
+  return { ticketTypes, promo };
+}
+
+// Held inventory as it would be with this order added
+function withOrder(held, pricing) {
+  const byType = new Map(held.byType);
+  for (const line of pricing.lines) {
+    byType.set(line.ticket_type_id, (byType.get(line.ticket_type_id) || 0) + line.quantity);
+  }
+  return { byType, admits: held.admits + pricing.admits };
+}
+
+async function createCheckoutSession(event, order, pricing) {
+  const metadata = {
+    type: TICKET_ORDER_METADATA_TYPE,
+    order_id: order.id,
+    org_id: order.org_id,
+    event_id: event.id
+  };
+
+  // Promo discounts are applied as a single-use coupon so Stripe receipts show them
+  let discounts;
+  if (pricing.discount_cents > 0) {
+    const coupon = await stripe.coupons.create({
+      amount_off: pricing.discount_cents,
+      currency: 'usd',
+      duration: 'once',
+      max_redemptions: 1,
+      name: 'Promo code'
+    });
+    discounts = [{ coupon: coupon.id }];
+  }
+
+  return stripe.checkout.sessions.create({
+    mode: 'payment',
+    payment_method_types: ['card'],
+    customer_email: order.purchaser_email || undefined,
+    client_reference_id: order.id,
+    line_items: pricing.lines
+      .filter(line => line.unit_price_cents > 0)
+      .map(line => ({
+        quantity: line.quantity,
+        price_data: {
+          currency: 'usd',
+          unit_amount: line.unit_price_cents,
+          product_data: { name: `${event.title} – ${line.name}` }
+        }
+      })),
+    discounts,
+    metadata,
+    payment_intent_data: { metadata },
+    expires_at: Math.floor(Date.now() / 1000) + CHECKOUT_HOLD_MINUTES * 60,
+    success_url: `${process.env.CLIENT_URL}/events/${event.id}/tickets/success?order_id=${order.id}`,
+    cancel_url: `${process.env.CLIENT_URL}/events/${event.id}/tickets?cancelled_order=${order.id}`
+  });
+}
+
+console.log('[ticketing.js] Routes loaded successfully');
+export default router;
@@ -0,0 +1,942 @@
+import express from 'express';
+import { supabase } from '../util/verifySupabaseToken.js';
+import { requireActiveSubscription } from '../requireSubscription.js';
+import { getUserOrgContext } from '../middleware/organizationalContext.js';
+import { canManageEvents, hasMinRole } from '../middleware/roleBasedAccess.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+import { parseDate, formatDate, isOccurrence } from '../util/recurrence.js';
+import { createNotification } from '../util/notifications.js';
+import { fetchOrgRow, fetchVisibleEvent } from '../util/orgRecords.js';
+
+const router = express.Router();
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/;
+
+const ACTIVE_STATUSES = ['confirmed', 'waitlisted'];
+
+const SHIFT_COLUMNS = 'id, org_id, event_id, role_id, shift_date, start_time, end_time, capacity, notes';
+
+// GET /api/volunteers/my-shifts – Current user's upcoming confirmed and waitlisted shifts
+router.get('/my-shifts', getUserOrgContext, requireActiveSubscription, async (req, res) => {
+  try {
+    const today = formatDate(new Date());
+
+    const { data, error } = await supabase
+      .from('volunteer_signups')
+      .select(`id, status, signed_up_at, confirmed_at,
+        volunteer_shifts!inner(${SHIFT_COLUMNS}, event_volunteer_roles(name), events(title, location))`)
+      .eq('org_id', req.orgId)
+      .eq('user_id', req.user.id)
+      .in('status', ACTIVE_STATUSES)
+      .gte('volunteer_shifts.shift_date', today);
+
+    if (error) {
+      console.error(`❌ Error fetching shifts for user ${req.user.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to fetch your shifts' });
+    }
+
+    const shifts = data
+      .map(({ volunteer_shifts: shift, ...signup }) => ({
+        signup_id: signup.id,
+        status: signup.status,
+        signed_up_at: signup.signed_up_at,
+        confirmed_at: signup.confirmed_at,
+        shift_id: shift.id,
+        event_id: shift.event_id,
+        event_title: shift.events?.title,
+        location: shift.events?.location,
+        role_name: shift.event_volunteer_roles?.name,
+        shift_date: shift.shift_date,
+        start_time: shift.start_time,
+        end_time: shift.end_time
+      }))
+      .sort((a, b) => `${a.shift_date} ${a.start_time || ''}`.localeCompare(`${b.shift_date} ${b.start_time || ''}`));
+
+    res.json(shifts);
+  } catch (err) {
+    console.error('[volunteerShifts.js] GET /my-shifts error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch your shifts' });
+  }
+});
+
+// GET /api/volunteers/events/:eventId – Roles and shifts for an event with open slots and the caller's sign-ups
+router.get('/events/:eventId', getUserOrgContext, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: event, status, error: lookupError } = await fetchVisibleEvent(req, req.params.eventId);
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const { roles, signups } = await loadEventShifts(event.id);
+
+    const result = roles.map(role => ({
+      ...role,
+      shifts: role.shifts.map(shift => {
+        const summary = summarizeShift(shift, signups);
+        const mine = summary.active.find(signup => signup.user_id === req.user.id);
+        return {
+          ...shift,
+          confirmed_count: summary.confirmed.length,
+          waitlist_count: summary.waitlisted.length,
+          open_slots: Math.max(shift.capacity - summary.confirmed.length, 0),
+          my_signup: mine
+            ? { id: mine.id, status: mine.status, waitlist_position: waitlistPosition(summary, mine.id) }
+            : null
+        };
+      })
+    }));
+
+    res.json(result);
+  } catch (err) {
+    console.error('[volunteerShifts.js] GET /events/:eventId error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch volunteer shifts' });
+  }
+});
+
+// GET /api/volunteers/events/:eventId/roster – Who's coming, grouped by role and shift
+router.get('/events/:eventId/roster', getUserOrgContext, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: event, status, error: lookupError } = await fetchVisibleEvent(req, req.params.eventId);
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const { roles, signups } = await loadEventShifts(event.id);
+    const profiles = await loadProfiles(signups.map(signup => signup.user_id));
+
+    // Contact details are only shown to the people coordinating the event
+    const showContact = hasMinRole(req.userRole, 'committee_lead');
+    const person = (signup) => {
+      const profile = profiles.get(signup.user_id) || {};
+      return {
+        signup_id: signup.id,
+        user_id: signup.user_id,
+        name: displayName(profile),
+        ...(showContact ? { email: profile.email || null, note: signup.note } : {}),
+        assigned: Boolean(signup.assigned_by),
+        signed_up_at: signup.signed_up_at
+      };
+    };
+
+    let totalConfirmed = 0;
+    let totalCapacity = 0;
+
+    const roster = roles.map(role => ({
+      id: role.id,
+      name: role.name,
+      description: role.description,
+      shifts: role.shifts.map(shift => {
+        const summary = summarizeShift(shift, signups);
+        totalConfirmed += summary.confirmed.length;
+        totalCapacity += shift.capacity;
+        return {
+          id: shift.id,
+          shift_date: shift.shift_date,
+          start_time: shift.start_time,
+          end_time: shift.end_time,
+          capacity: shift.capacity,
+          confirmed: summary.confirmed.map(person),
+          waitlisted: summary.waitlisted.map(person)
+        };
+      })
+    }));
+
+    res.json({
+      event_id: event.id,
+      event_title: event.title,
+      event_date: event.event_date,
+      total_capacity: totalCapacity,
+      total_confirmed: totalConfirmed,
+      unique_volunteers: new Set(signups.filter(s => s.status === 'confirmed').map(s => s.user_id)).size,
+      roles: roster
+    });
+  } catch (err) {
+    console.error('[volunteerShifts.js] GET /events/:eventId/roster error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch volunteer roster' });
+  }
+});
+
+// POST /api/volunteers/events/:eventId/roles – Create a volunteer role, optionally with shifts
+router.post('/events/:eventId/roles', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: event, status, error: lookupError } = await fetchOrgRow('events', req.params.eventId, req.orgId, 'Event');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const { name, description, sort_order, shifts = [] } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'Role name is required', field: 'name' });
+    }
+
+    if (!Array.isArray(shifts)) {
+      return res.status(400).json({ error: 'shifts must be an array', field: 'shifts' });
+    }
+
+    const shiftRows = shifts.map(shift => normalizeShift(shift, event));
+
+    const { data: role, error } = await supabase
+      .from('event_volunteer_roles')
+      .insert([{
+        org_id: req.orgId,
+        event_id: event.id,
+        name: String(name).trim(),
+        description: description || null,
+        sort_order: Number.isInteger(sort_order) ? sort_order : 0,
+        created_by: req.user.id
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A role with this name already exists for the event' });
+      }
+      console.error(`❌ Error creating volunteer role for event ${event.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to create volunteer role' });
+    }
+
+    role.shifts = await insertShifts(role, shiftRows, req.user.id);
+
+    console.log(`✅ Volunteer role ${role.id} created for event ${event.id} with ${role.shifts.length} shifts`);
+    res.status(201).json(role);
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[volunteerShifts.js] POST /events/:eventId/roles error:', err.message);
+    res.status(500).json({ error: 'Failed to create volunteer role' });
+  }
+});
+
+// POST /api/volunteers/events/:eventId/roles/import – Turn events.volunteer_roles into roles with one shift each
+router.post('/events/:eventId/roles/import', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: event, status, error: lookupError } = await fetchOrgRow('events', req.params.eventId, req.orgId, 'Event');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    // Entries are {role, count, description}; AI-generated events store plain strings
+    const planned = (Array.isArray(event.volunteer_roles) ? event.volunteer_roles : [])
+      .map(entry => (typeof entry === 'string' ? { role: entry } : entry))
+      .filter(entry => entry && entry.role && String(entry.role).trim());
+
+    const { data: existing, error: existingError } = await supabase
+      .from('event_volunteer_roles')
+      .select('name')
+      .eq('event_id', event.id);
+
+    if (existingError) {
+      console.error(`❌ Error fetching volunteer roles for event ${event.id}:`, existingError.message);
+      return res.status(500).json({ error: 'Failed to import volunteer roles' });
+    }
+
+    const existingNames = new Set(existing.map(role => role.name.toLowerCase()));
+    const created = [];
+    const skipped = [];
+
+    for (const [index, entry] of planned.entries()) {
+      const name = String(entry.role).trim();
+      if (existingNames.has(name.toLowerCase())) {
+        skipped.push(name);
+        continue;
+      }
+      existingNames.add(name.toLowerCase());
+
+      const { data: role, error } = await supabase
+        .from('event_volunteer_roles')
+        .insert([{
+          org_id: req.orgId,
+          event_id: event.id,
+          name,
+          description: entry.description || null,
+          sort_order: index,
+          created_by: req.user.id
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        console.error(`❌ Error importing volunteer role "${name}" for event ${event.id}:`, error.message);
+        return res.status(500).json({ error: 'Failed to import volunteer roles', created });
+      }
+
+      const capacity = Number.parseInt(entry.count, 10) > 0 ? Number.parseInt(entry.count, 10) : 1;
+      role.shifts = await insertShifts(role, [normalizeShift({ capacity }, event)], req.user.id);
+      created.push(role);
+    }
+
+    console.log(`✅ Imported ${created.length} volunteer roles for event ${event.id} (${skipped.length} already existed)`);
+    res.status(201).json({ created, skipped });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[volunteerShifts.js] POST /events/:eventId/roles/import error:', err.message);
+    res.status(500).json({ error: 'Failed to import volunteer roles' });
+  }
+});
+
+// PUT /api/volunteers/roles/:roleId – Update a volunteer role
+router.put('/roles/:roleId', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
+  try {
+    const { status, error: lookupError } = await fetchOrgRow('event_volunteer_roles', req.params.roleId, req.orgId, 'Volunteer role');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const updates = {};
+    if (req.body.name !== undefined) {
+      if (!String(req.body.name).trim()) {
+        return res.status(400).json({ error: 'Role name cannot be empty', field: 'name' });
+      }
+      updates.name = String(req.body.name).trim();
+    }
+    if (req.body.description !== undefined) updates.description = req.body.description || null;
+    if (Number.isInteger(req.body.sort_order)) updates.sort_order = req.body.sort_order;
+
+    const { data, error } = await supabase
+      .from('event_volunteer_roles')
+      .update(updates)
+      .eq('id', req.params.roleId)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A role with this name already exists for the event' });
+      }
+      console.error(`❌ Error updating volunteer role ${req.params.roleId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to update volunteer role' });
+    }
+
+    res.json(data);
+  } catch (err) {
+    console.error('[volunteerShifts.js] PUT /roles/:roleId error:', err.message);
+    res.status(500).json({ error: 'Failed to update volunteer role' });
+  }
+});
+
+// DELETE /api/volunteers/roles/:roleId – Delete a role, its shifts and sign-ups
+router.delete('/roles/:roleId', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: role, status, error: lookupError } = await fetchOrgRow('event_volunteer_roles', req.params.roleId, req.orgId, 'Volunteer role');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const { data: shifts } = await supabase
+      .from('volunteer_shifts')
+      .select(SHIFT_COLUMNS)
+      .eq('role_id', role.id);
+
+    for (const shift of shifts || []) {
+      await notifyShiftRemoved(shift, role.name);
+    }
+
+    const { error } = await supabase
+      .from('event_volunteer_roles')
+      .delete()
+      .eq('id', role.id);
+
+    if (error) {
+      console.error(`❌ Error deleting volunteer role ${role.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to delete volunteer role' });
+    }
+
+    console.log(`✅ Volunteer role ${role.id} deleted from event ${role.event_id}`);
+    res.status(204).send();
+  } catch (err) {
+    console.error('[volunteerShifts.js] DELETE /roles/:roleId error:', err.message);
+    res.status(500).json({ error: 'Failed to delete volunteer role' });
+  }
+});
+
+// POST /api/volunteers/roles/:roleId/shifts – Add a time slot to a role
+router.post('/roles/:roleId/shifts', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: role, status, error: lookupError } = await fetchOrgRow('event_volunteer_roles', req.params.roleId, req.orgId, 'Volunteer role');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const { row: event } = await fetchOrgRow('events', role.event_id, req.orgId, 'Event');
+    const [shift] = await insertShifts(role, [normalizeShift(req.body, event)], req.user.id);
+
+    console.log(`✅ Volunteer shift ${shift.id} added to role ${role.id}`);
+    res.status(201).json(shift);
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[volunteerShifts.js] POST /roles/:roleId/shifts error:', err.message);
+    res.status(500).json({ error: 'Failed to create volunteer shift' });
+  }
+});
+
+// PUT /api/volunteers/shifts/:shiftId – Update a shift's time slot or capacity
+router.put('/shifts/:shiftId', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: shift, status, error: lookupError } = await fetchOrgRow('volunteer_shifts', req.params.shiftId, req.orgId, 'Volunteer shift');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const { row: event } = await fetchOrgRow('events', shift.event_id, req.orgId, 'Event');
+    const updates = normalizeShift({ ...shift, ...req.body }, event);
+
+    const confirmedCount = await countConfirmed(shift.id);
+    if (updates.capacity < confirmedCount) {
+      return res.status(409).json({
+        error: `${confirmedCount} volunteers are confirmed for this shift; remove sign-ups before lowering capacity below that`,
+        field: 'capacity'
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('volunteer_shifts')
+      .update(updates)
+      .eq('id', shift.id)
+      .select(SHIFT_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error(`❌ Error updating volunteer shift ${shift.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to update volunteer shift' });
+    }
+
+    const promoted = data.capacity > shift.capacity ? await promoteWaitlist(data) : [];
+
+    console.log(`✅ Volunteer shift ${shift.id} updated (${promoted.length} promoted from waitlist)`);
+    res.json({ ...data, promoted: promoted.map(signup => signup.user_id) });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[volunteerShifts.js] PUT /shifts/:shiftId error:', err.message);
+    res.status(500).json({ error: 'Failed to update volunteer shift' });
+  }
+});
+
+// DELETE /api/volunteers/shifts/:shiftId – Delete a shift and its sign-ups
+router.delete('/shifts/:shiftId', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: shift, status, error: lookupError } = await fetchOrgRow('volunteer_shifts', req.params.shiftId, req.orgId, 'Volunteer shift');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const { row: role } = await fetchOrgRow('event_volunteer_roles', shift.role_id, req.orgId, 'Volunteer role');
+    await notifyShiftRemoved(shift, role?.name);
+
+    const { error } = await supabase
+      .from('volunteer_shifts')
+      .delete()
+      .eq('id', shift.id);
+
+    if (error) {
+      console.error(`❌ Error deleting volunteer shift ${shift.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to delete volunteer shift' });
+    }
+
+    console.log(`✅ Volunteer shift ${shift.id} deleted`);
+    res.status(204).send();
+  } catch (err) {
+    console.error('[volunteerShifts.js] DELETE /shifts/:shiftId error:', err.message);
+    res.status(500).json({ error: 'Failed to delete volunteer shift' });
+  }
+});
+
+// POST /api/volunteers/shifts/:shiftId/signup – Sign yourself up (joins the waitlist when full)
+router.post('/shifts/:shiftId/signup', getUserOrgContext, requireActiveSubscription, async (req, res) => {
+  try {
+    const { shift, status, error: lookupError } = await fetchOpenShift(req, req.params.shiftId);
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const { signup, error: signupError, status: signupStatus } = await claimSlot(shift, req.user.id, {
+      orgId: req.orgId,
+      note: req.body.note,
+      allowWaitlist: req.body.waitlist !== false
+    });
+
+    if (signupError) {
+      return res.status(signupStatus).json({ error: signupError });
+    }
+
+    console.log(`✅ User ${req.user.id} ${signup.status} for volunteer shift ${shift.id}`);
+    res.status(201).json(signup);
+  } catch (err) {
+    console.error('[volunteerShifts.js] POST /shifts/:shiftId/signup error:', err.message);
+    res.status(500).json({ error: 'Failed to sign up for shift' });
+  }
+});
+
+// DELETE /api/volunteers/shifts/:shiftId/signup – Cancel your own sign-up (promotes the next waitlisted volunteer)
+router.delete('/shifts/:shiftId/signup', getUserOrgContext, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: shift, status, error: lookupError } = await fetchOrgRow('volunteer_shifts', req.params.shiftId, req.orgId, 'Volunteer shift');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    if (shift.shift_date < formatDate(new Date())) {
+      return res.status(409).json({ error: 'This shift has already taken place' });
+    }
+
+    const { data: signup, error: fetchError } = await supabase
+      .from('volunteer_signups')
+      .select('*')
+      .eq('shift_id', shift.id)
+      .eq('user_id', req.user.id)
+      .in('status', ACTIVE_STATUSES)
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error(`❌ Error fetching sign-up for shift ${shift.id}:`, fetchError.message);
+      return res.status(500).json({ error: 'Failed to cancel sign-up' });
+    }
+
+    if (!signup) {
+      return res.status(404).json({ error: 'You are not signed up for this shift' });
+    }
+
+    const promoted = await cancelSignup(signup, shift, req.user.id);
+
+    console.log(`✅ User ${req.user.id} cancelled volunteer shift ${shift.id} (${promoted.length} promoted)`);
+    res.json({ message: 'Sign-up cancelled' });
+  } catch (err) {
+    console.error('[volunteerShifts.js] DELETE /shifts/:shiftId/signup error:', err.message);
+    res.status(500).json({ error: 'Failed to cancel sign-up' });
+  }
+});
+
+// POST /api/volunteers/shifts/:shiftId/assignments – Lead assigns a member to a shift
+router.post('/shifts/:shiftId/assignments', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
+  try {
+    const { user_id: userId, note } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'user_id is required', field: 'user_id' });
+    }
+
+    const { row: shift, status, error: lookupError } = await fetchOrgRow('volunteer_shifts', req.params.shiftId, req.orgId, 'Volunteer shift');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const { data: member } = await supabase
+      .from('profiles')
+      .select('id, org_id')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (!member || member.org_id !== req.orgId) {
+      return res.status(404).json({ error: 'Member not found in your organization' });
+    }
+
+    const { signup, error: signupError, status: signupStatus } = await claimSlot(shift, userId, {
+      orgId: req.orgId,
+      note,
+      assignedBy: req.user.id,
+      allowWaitlist: false
+    });
+
+    if (signupError) {
+      return res.status(signupStatus).json({ error: signupError });
+    }
+
+    const { row: role } = await fetchOrgRow('event_volunteer_roles', shift.role_id, req.orgId, 'Volunteer role');
+    await createNotification({
+      orgId: req.orgId,
+      recipientId: userId,
+      type: 'volunteer_assigned',
+      title: `You've been assigned to ${role?.name || 'a volunteer shift'}`,
+      message: `Shift on ${describeShift(shift)}.`,
+      link: `/events/${shift.event_id}`
+    });
+
+    console.log(`✅ User ${userId} assigned to volunteer shift ${shift.id} by ${req.user.id}`);
+    res.status(201).json(signup);
+  } catch (err) {
+    console.error('[volunteerShifts.js] POST /shifts/:shiftId/assignments error:', err.message);
+    res.status(500).json({ error: 'Failed to assign volunteer' });
+  }
+});
+
+// DELETE /api/volunteers/signups/:signupId – Remove a sign-up (the volunteer themself or a committee lead+)
+router.delete('/signups/:signupId', getUserOrgContext, requireActiveSubscription, async (req, res) => {
+  try {
+    const { row: signup, status, error: lookupError } = await fetchOrgRow('volunteer_signups', req.params.signupId, req.orgId, 'Sign-up');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    if (signup.user_id !== req.user.id && !hasMinRole(req.userRole, 'committee_lead')) {
+      console.warn(`🚫 User ${req.user.id} cannot remove sign-up ${signup.id}`);
+      return res.status(403).json({ error: 'You can only cancel your own sign-ups' });
+    }
+
+    if (!ACTIVE_STATUSES.includes(signup.status)) {
+      return res.status(409).json({ error: 'Sign-up is already cancelled' });
+    }
+
+    const { row: shift } = await fetchOrgRow('volunteer_shifts', signup.shift_id, req.orgId, 'Volunteer shift');
+    const promoted = await cancelSignup(signup, shift, req.user.id);
+
+    console.log(`✅ Sign-up ${signup.id} removed by ${req.user.id} (${promoted.length} promoted)`);
+    res.json({ message: 'Sign-up cancelled' });
+  } catch (err) {
+    console.error('[volunteerShifts.js] DELETE /signups/:signupId error:', err.message);
+    res.status(500).json({ error: 'Failed to cancel sign-up' });
+  }
+});
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+// A shift the caller may sign up for: visible event, not cancelled, not in the past
+async function fetchOpenShift(req, shiftId) {
+  const { row: shift, status, error } = await fetchOrgRow('volunteer_shifts', shiftId, req.orgId, 'Volunteer shift');
+  if (error) return { status, error };
+
+  const { row: event, status: eventStatus, error: eventError } = await fetchVisibleEvent(req, shift.event_id);
+  if (eventError) return { status: eventStatus, error: eventError };
+
+  if (event.status === 'cancelled') {
+    return { status: 409, error: 'This event has been cancelled' };
+  }
+
+  if (shift.shift_date < formatDate(new Date())) {
+    return { status: 409, error: 'This shift has already taken place' };
+  }
+
+  return { shift };
+}
+
+// Validate and normalize shift input against its event
+function normalizeShift(input, event) {
+  const shiftDate = formatDate(parseDate(input.shift_date || event.event_date));
+  const startTime = input.start_time ?? event.start_time ?? null;
+  const endTime = input.end_time ?? event.end_time ?? null;
+  const capacity = Number(input.capacity);
+
+  if (!Number.isInteger(capacity) || capacity < 1) {
+    throw new ValidationError('capacity must be a positive whole number', 'capacity');
+  }
+
+  for (const [field, value] of [['start_time', startTime], ['end_time', endTime]]) {
+    if (value && !TIME_PATTERN.test(value)) {
+      throw new ValidationError(`${field} must be in HH:MM format`, field);
+    }
+  }
+
+  if (startTime && endTime && clockTime(endTime) <= clockTime(startTime)) {
+    throw new ValidationError('end_time must be after start_time', 'end_time');
+  }
+
+  // Shifts on a recurring series must land on one of its occurrences
+  if (event.rrule && !isOccurrence(event.rrule, event.event_date, shiftDate, event.exdates || [])) {
+    throw new ValidationError(`${shiftDate} is not an occurrence of this recurring event`, 'shift_date');
+  }
+
+  return {
+    shift_date: shiftDate,
+    start_time: startTime || null,
+    end_time: endTime || null,
+    capacity,
+    notes: input.notes ?? null
+  };
+}
+
+// "9:00" / "09:00:00" -> "09:00" so times compare as strings
+function clockTime(value) {
+  return String(value).split(':').slice(0, 2).map(part => part.padStart(2, '0')).join(':');
+}
+
+async function insertShifts(role, shiftRows, userId) {
+  if (shiftRows.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('volunteer_shifts')
+    .insert(shiftRows.map(shift => ({
+      ...shift,
+      org_id: role.org_id,
+      event_id: role.event_id,
+      role_id: role.id,
+      created_by: userId
+    })))
+    .select(SHIFT_COLUMNS);
+
+  if (error) {
+    throw new Error(`Failed to create shifts for role ${role.id}: ${error.message}`);
+  }
+
+  return data;
+}
+
+// Roles (in display order) with their shifts, plus every active sign-up for the event
+async function loadEventShifts(eventId) {
+  const { data: roles, error: rolesError } = await supabase
+    .from('event_volunteer_roles')
+    .select(`id, name, description, sort_order, volunteer_shifts(${SHIFT_COLUMNS})`)
+    .eq('event_id', eventId)
+    .order('sort_order', { ascending: true })
+    .order('name', { ascending: true });
+
+  if (rolesError) {
+    throw new Error(`Failed to fetch volunteer roles: ${rolesError.message}`);
+  }
+
+  const shiftIds = roles.flatMap(role => role.volunteer_shifts.map(shift => shift.id));
+  let signups = [];
+
+  if (shiftIds.length > 0) {
+    const { data, error } = await supabase
+      .from('volunteer_signups')
+      .select('id, shift_id, user_id, status, assigned_by, note, signed_up_at, confirmed_at')
+      .in('shift_id', shiftIds)
+      .in('status', ACTIVE_STATUSES)
+      .order('signed_up_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch volunteer sign-ups: ${error.message}`);
+    }
+    signups = data;
+  }
+
+  const byTime = (a, b) => `${a.shift_date} ${a.start_time || ''}`.localeCompare(`${b.shift_date} ${b.start_time || ''}`);
+
+  return {
+    roles: roles.map(({ volunteer_shifts: shifts, ...role }) => ({ ...role, shifts: [...shifts].sort(byTime) })),
+    signups
+  };
+}
+
+function summarizeShift(shift, signups) {
+  const active = signups.filter(signup => signup.shift_id === shift.id);
+  return {
+    active,
+    confirmed: active.filter(signup => signup.status === 'confirmed'),
+    waitlisted: active.filter(signup => signup.status === 'waitlisted')
+  };
+}
+
+function waitlistPosition(summary, signupId) {
+  const index = summary.waitlisted.findIndex(signup => signup.id === signupId);
+  return index === -1 ? null : index + 1;
+}
+
+async function countConfirmed(shiftId) {
+  const { count, error } = await supabase
+    .from('volunteer_signups')
+    .select('id', { count: 'exact', head: true })
+    .eq('shift_id', shiftId)
+    .eq('status', 'confirmed');
+
+  if (error) {
+    throw new Error(`Failed to count sign-ups for shift ${shiftId}: ${error.message}`);
+  }
+
+  return count;
+}
+
+/**
+ * Take a slot on a shift, or a waitlist place when it is full.
+ * Two people can both see the last open slot; after inserting, confirmed rows are
+ * re-read in (confirmed_at, id) order and anyone past capacity is moved back.
+ */
+async function claimSlot(shift, userId, { orgId, note, assignedBy = null, allowWaitlist }) {
+  const full = (await countConfirmed(shift.id)) >= shift.capacity;
+
+  if (full && !allowWaitlist) {
+    return { status: 409, error: 'This shift is full' };
+  }
+
+  const now = new Date().toISOString();
+  const { data: signup, error } = await supabase
+    .from('volunteer_signups')
+    .insert([{
+      org_id: orgId,
+      shift_id: shift.id,
+      user_id: userId,
+      status: full ? 'waitlisted' : 'confirmed',
+      assigned_by: assignedBy,
+      note: note || null,
+      signed_up_at: now,
+      confirmed_at: full ? null : now
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      return { status: 409, error: 'Already signed up for this shift' };
+    }
+    throw new Error(`Failed to create sign-up for shift ${shift.id}: ${error.message}`);
+  }
+
+  if (signup.status === 'confirmed') {
+    const { data: confirmed } = await supabase
+      .from('volunteer_signups')
+      .select('id')
+      .eq('shift_id', shift.id)
+      .eq('status', 'confirmed')
+      .order('confirmed_at', { ascending: true })
+      .order('id', { ascending: true });
+
+    const position = (confirmed || []).findIndex(row => row.id === signup.id);
+
+    if (position >= shift.capacity) {
+      if (!allowWaitlist) {
+        await supabase.from('volunteer_signups').delete().eq('id', signup.id);
+        return { status: 409, error: 'This shift is full' };
+      }
+
+      const { data: waitlisted } = await supabase
+        .from('volunteer_signups')
+        .update({ status: 'waitlisted', confirmed_at: null })
+        .eq('id', signup.id)
+        .select()
+        .single();
+      return { signup: { ...waitlisted, waitlist_position: await waitlistRank(waitlisted) } };
+    }
+  }
+
+  return {
+    signup: {
+      ...signup,
+      waitlist_position: signup.status === 'waitlisted' ? await waitlistRank(signup) : null
+    }
+  };
+}
+
+async function waitlistRank(signup) {
+  const { count } = await supabase
+    .from('volunteer_signups')
+    .select('id', { count: 'exact', head: true })
+    .eq('shift_id', signup.shift_id)
+    .eq('status', 'waitlisted')
+    .lte('signed_up_at', signup.signed_up_at);
+
+  return count;
+}
+
+async function cancelSignup(signup, shift, cancelledBy) {
+  const { error } = await supabase
+    .from('volunteer_signups')
+    .update({
+      status: 'cancelled',
+      cancelled_at: new Date().toISOString(),
+      cancelled_by: cancelledBy
+    })
+    .eq('id', signup.id);
+
+  if (error) {
+    throw new Error(`Failed to cancel sign-up ${signup.id}: ${error.message}`);
+  }
+
+  return signup.status === 'confirmed' ? promoteWaitlist(shift) : [];
+}
+
+// Fill open slots from the waitlist in sign-up order and notify whoever moved up
+async function promoteWaitlist(shift) {
+  const openSlots = shift.capacity - await countConfirmed(shift.id);
+  if (openSlots <= 0) return [];
+
+  const { data: waitlisted, error } = await supabase
+    .from('volunteer_signups')
+    .select('id, user_id, org_id')
+    .eq('shift_id', shift.id)
+    .eq('status', 'waitlisted')
+    .order('signed_up_at', { ascending: true })
+    .limit(openSlots);
+
+  if (error) {
+    throw new Error(`Failed to fetch waitlist for shift ${shift.id}: ${error.message}`);
+  }
+
+  const promoted = [];
+  const { row: role } = await fetchOrgRow('event_volunteer_roles', shift.role_id, shift.org_id, 'Volunteer role');
+
+  for (const candidate of waitlisted) {
+    const now = new Date().toISOString();
+
+    // Guard on status so a concurrent promotion of the same row is a no-op
+    const { data: updated } = await supabase
+      .from('volunteer_signups')
+      .update({ status: 'confirmed', confirmed_at: now, promoted_at: now })
+      .eq('id', candidate.id)
+      .eq('status', 'waitlisted')
+      .select('id, user_id');
+
+    if (!updated || updated.length === 0) continue;
+
+    promoted.push(candidate);
+    await createNotification({
+      orgId: shift.org_id,
+      recipientId: candidate.user_id,
+      type: 'volunteer_promoted',
+      title: `You're off the waitlist for ${role?.name || 'a volunteer shift'}`,
+      message: `A spot opened up and you are now confirmed for ${describeShift(shift)}.`,
+      link: `/events/${shift.event_id}`
+    });
+  }
+
+  return promoted;
+}
+
+async function notifyShiftRemoved(shift, roleName) {
+  const { data: signups } = await supabase
+    .from('volunteer_signups')
+    .select('user_id')
+    .eq('shift_id', shift.id)
+    .in('status', ACTIVE_STATUSES);
+
+  for (const signup of signups || []) {
+    await createNotification({
+      orgId: shift.org_id,
+      recipientId: signup.user_id,
+      type: 'volunteer_shift_removed',
+      title: `${roleName || 'A volunteer shift'} was removed`,
+      message: `The shift on ${describeShift(shift)} you signed up for is no longer needed.`,
+      link: `/events/${shift.event_id}`
+    });
+  }
+}
+
+async function loadProfiles(userIds) {
+  const ids = [...new Set(userIds)];
+  if (ids.length === 0) return new Map();
+
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('id, first_name, last_name, full_name, email')
+    .in('id', ids);
+
+  if (error) {
+    throw new Error(`Failed to fetch volunteer profiles: ${error.message}`);
+  }
+
+  return new Map(data.map(profile => [profile.id, profile]));
+}
+
+function displayName(profile) {
+  return profile.full_name ||
+    [profile.first_name, profile.last_name].filter(Boolean).join(' ') ||
+    'Member';
+}
+
+function describeShift(shift) {
+  const time = shift.start_time
+    ? ` ${String(shift.start_time).slice(0, 5)}${shift.end_time ? `–${String(shift.end_time).slice(0, 5)}` : ''}`
+    : '';
+  return `${shift.shift_date}${time}`;
+}
+
+console.log('[volunteerShifts.js] Routes loaded successfully');
+export default router;
@@ -0,0 +1,178 @@
+import express from 'express';
+import { supabase } from '../util/verifySupabaseToken.js';
+import { getUserOrgContext } from '../middleware/organizationalContext.js';
+import { canManageBudget, requireBoardMember } from '../middleware/roleBasedAccess.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+import { fetchOrgRow } from '../util/orgRecords.js';
+import { normalizeWorkflow, selectWorkflow } from '../util/expenseApprovals.js';
+
+const router = express.Router();
+
+// =====================================================
+// EXPENSE APPROVAL WORKFLOW ENDPOINTS
+// =====================================================
+
+// GET /api/expenses/approval-workflows - List expense approval workflows
+router.get('/', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const { data: workflows, error } = await supabase
+      .from('approval_workflows')
+      .select('*')
+      .eq('org_id', req.orgId)
+      .eq('workflow_type', 'expense_approval')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error(`❌ Error fetching approval workflows for org ${req.orgId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to load approval workflows' });
+    }
+
+    res.json({
+      success: true,
+      data: workflows
+    });
+  } catch (err) {
+    console.error('[approvalWorkflows.js] GET / error:', err.message);
+    res.status(500).json({ error: 'Failed to load approval workflows' });
+  }
+});
+
+// GET /api/expenses/approval-workflows/preview - Which workflow an expense would be routed to
+// Query: amount, category_id
+router.get('/preview', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const amount = parseFloat(req.query.amount);
+    if (isNaN(amount) || amount <= 0) {
+      return res.status(400).json({ error: 'Amount must be a positive number', field: 'amount' });
+    }
+
+    const workflow = await selectWorkflow(req.orgId, { amount, category_id: req.query.category_id || null });
+
+    res.json({
+      success: true,
+      data: {
+        workflow,
+        uses_default: !workflow
+      }
+    });
+  } catch (err) {
+    console.error('[approvalWorkflows.js] GET /preview error:', err.message);
+    res.status(500).json({ error: 'Failed to preview approval workflow' });
+  }
+});
+
+// POST /api/expenses/approval-workflows - Create a workflow (board member+ required)
+// Body: workflow_name, rules { min_amount, max_amount, category_ids },
+// approval_chain [{ name, approver_ids, min_role }], approval_mode, escalation_days, escalate_to
+router.post('/', getUserOrgContext, requireBoardMember, async (req, res) => {
+  try {
+    const fields = normalizeWorkflow(req.body);
+
+    const { data: workflow, error } = await supabase
+      .from('approval_workflows')
+      .insert([{
+        ...fields,
+        org_id: req.orgId,
+        created_by: req.user.id
+      }])
+      .select('*')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: `An approval workflow named "${fields.workflow_name}" already exists` });
+      }
+      console.error(`❌ Error creating approval workflow for org ${req.orgId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to create approval workflow' });
+    }
+
+    console.log(`✅ Approval workflow ${workflow.id} created for org ${req.orgId} by user ${req.user.id}`);
+    res.status(201).json({
+      success: true,
+      data: workflow,
+      message: 'Approval workflow created successfully'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[approvalWorkflows.js] POST / error:', err.message);
+    res.status(500).json({ error: 'Failed to create approval workflow' });
+  }
+});
+
+// PUT /api/expenses/approval-workflows/:id - Update a workflow (board member+ required)
+// Expenses already in approval keep the steps they were routed with
+router.put('/:id', getUserOrgContext, requireBoardMember, async (req, res) => {
+  try {
+    const { row: existing, status, error: lookupError } = await fetchOrgRow('approval_workflows', req.params.id, req.orgId, 'Approval workflow');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const fields = normalizeWorkflow(req.body, existing);
+
+    const { data: workflow, error } = await supabase
+      .from('approval_workflows')
+      .update(fields)
+      .eq('id', existing.id)
+      .eq('org_id', req.orgId)
+      .select('*')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: `An approval workflow named "${fields.workflow_name}" already exists` });
+      }
+      console.error(`❌ Error updating approval workflow ${existing.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to update approval workflow' });
+    }
+
+    console.log(`✅ Approval workflow ${workflow.id} updated in org ${req.orgId} by user ${req.user.id}`);
+    res.json({
+      success: true,
+      data: workflow,
+      message: 'Approval workflow updated successfully'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[approvalWorkflows.js] PUT /:id error:', err.message);
+    res.status(500).json({ error: 'Failed to update approval workflow' });
+  }
+});
+
+// DELETE /api/expenses/approval-workflows/:id - Delete a workflow (board member+ required)
+// Steps already created from it stay in place
+router.delete('/:id', getUserOrgContext, requireBoardMember, async (req, res) => {
+  try {
+    const { row: workflow, status, error: lookupError } = await fetchOrgRow('approval_workflows', req.params.id, req.orgId, 'Approval workflow');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const { error } = await supabase
+      .from('approval_workflows')
+      .delete()
+      .eq('id', workflow.id)
+      .eq('org_id', req.orgId);
+
+    if (error) {
+      console.error(`❌ Error deleting approval workflow ${workflow.id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to delete approval workflow' });
+    }
+
+    console.log(`✅ Approval workflow ${workflow.id} deleted from org ${req.orgId} by user ${req.user.id}`);
+    res.json({
+      success: true,
+      message: 'Approval workflow deleted successfully'
+    });
+  } catch (err) {
+    console.error('[approvalWorkflows.js] DELETE /:id error:', err.message);
+    res.status(500).json({ error: 'Failed to delete approval workflow' });
+  }
+});
+
+console.log('[approvalWorkflows.js] Expense approval workflow routes loaded successfully');
+export default router;
@@ -2,11 +2,25 @@ import express from 'express';
 import multer from 'multer';
 import { supabase } from '../util/verifySupabaseToken.js';
 import { getUserOrgContext, addUserOrgToBody } from '../middleware/organizationalContext.js';
-import { requireVolunteer, canManageBudget } from '../middleware/roleBasedAccess.js';
+import { requireVolunteer, canManageBudget, hasMinRole } from '../middleware/roleBasedAccess.js';
+import { ValidationError, ConflictError, ForbiddenError } from '../middleware/errorHandler.js';
+import { assertAccountDatesOpen } from '../util/fiscalYear.js';
+import {
+  startApproval,
+  recordDecision,
+  requestInfo,
+  restartApproval,
+  actionableSteps,
+  loadApprovalTrail
+} from '../util/expenseApprovals.js';
+import { extractReceipts, applyExtraction, findAmountMismatch, mergeExtractions } from '../util/receiptExtraction.js';
+import { addComment, loadComments, notifyCommentRecipients, saveRevision, loadRevisions } from '../util/expenseRevisions.js';
+import { createNotification } from '../util/notifications.js';
+import { resolveFundId } from '../util/ledger.js';
 
 const router = express.Router();
 
-// Configure multer for receipt image uploads
+// Configure multer for receipt uploads (photos or PDFs)
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
@@ -14,11 +28,11 @@ const upload = multer({
     files: 5 // Maximum 5 files per upload
   },
   fileFilter: (req, file, cb) => {
-    // Accept only image files
-    if (file.mimetype.startsWith('image/')) {
+    // Accept only image and PDF files
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
       cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed'), false);
+      cb(new Error('Only image or PDF files are allowed'), false);
     }
   }
 });
@@ -27,23 +41,32 @@ const upload = multer({
 // EXPENSE SUBMISSION ENDPOINTS (Mobile PWA)
 // =====================================================
 
-// POST /api/expenses/submit - Submit expense with receipt images
+// POST /api/expenses/submit - Submit expense with receipt images or PDFs
+// Vendor, amount, date and line_items left blank are filled in from the receipts where they can be read
 router.post('/submit', getUserOrgContext, addUserOrgToBody, requireVolunteer, upload.array('receipts', 5), async (req, res) => {
   try {
     const {
       event_id,
       category_id,
-      vendor_name,
-      amount,
-      expense_date,
       description,
       submission_method = 'mobile_pwa'
     } = req.body;
 
+    const extraction = req.files && req.files.length > 0 ? await extractReceipts(req.files) : null;
+    const { values, prefilled } = applyExtraction({
+      vendor_name: req.body.vendor_name,
+      amount: req.body.amount,
+      expense_date: req.body.expense_date,
+      line_items: parseLineItems(req.body.line_items)
+    }, extraction);
+    const { vendor_name, amount, expense_date, line_items } = values;
+
     // Validate required fields
     if (!amount || !expense_date) {
       return res.status(400).json({ 
-        error: 'Amount and expense date are required',
+        error: extraction
+          ? 'Amount and expense date are required (they could not be read from the receipt)'
+          : 'Amount and expense date are required',
         details: { amount: !amount, expense_date: !expense_date }
       });
     }
@@ -61,44 +84,14 @@ router.post('/submit', getUserOrgContext, addUserOrgToBody, requireVolunteer, up
       return res.status(400).json({ error: 'Expense date cannot be in the future' });
     }
 
+    // Flag a typed amount that disagrees with the receipt for approvers
+    const amountMismatch = prefilled.includes('amount') ? null : findAmountMismatch(expenseAmount, extraction);
+
+    // Spending from a restricted fund (the playground fund) rather than the General Fund
+    const fundId = await resolveFundId(req.orgId, req.body.fund_id);
+
     // Handle receipt image uploads
-    let receiptImages = [];
-    if (req.files && req.files.length > 0) {
-      for (const file of req.files) {
-        try {
-          // Generate unique filename
-          const fileName = `receipts/${req.orgId}/${Date.now()}-${Math.random().toString(36).substring(7)}.${file.originalname.split('.').pop()}`;
-          
-          // Upload to Supabase Storage
-          const { data: uploadData, error: uploadError } = await supabase.storage
-            .from('expense-receipts')
-            .upload(fileName, file.buffer, {
-              contentType: file.mimetype,
-              upsert: false
-            });
-
-          if (uploadError) {
-            console.error('Receipt upload error:', uploadError);
-            continue; // Skip this file but continue with others
-          }
-
-          // Get public URL
-          const { data: urlData } = supabase.storage
-            .from('expense-receipts')
-            .getPublicUrl(fileName);
-
-          receiptImages.push({
-            filename: file.originalname,
-            url: urlData.publicUrl,
-            size: file.size,
-            uploaded_at: new Date().toISOString()
-          });
-        } catch (uploadErr) {
-          console.error('Individual file upload error:', uploadErr);
-          // Continue with other files
-        }
-      }
-    }
+    const receiptImages = await uploadReceipts(req.files, req.orgId);
 
     // Create expense submission
     const { data: expenseSubmission, error: submissionError } = await supabase
@@ -108,11 +101,16 @@ router.post('/submit', getUserOrgContext, addUserOrgToBody, requireVolunteer, up
         submitted_by: req.user.id,
         event_id: event_id || null,
         category_id: category_id || null,
+        fund_id: fundId,
         vendor_name: vendor_name || null,
         amount: expenseAmount,
         expense_date: expense_date,
         description: description || null,
         receipt_images: receiptImages,
+        line_items: line_items || [],
+        receipt_extraction: extraction ? { ...extraction, prefilled, amount_mismatch: amountMismatch } : null,
+        receipt_total: extraction ? extraction.fields.amount : null,
+        receipt_amount_mismatch: Boolean(amountMismatch),
         submission_method,
         status: 'pending'
       }])
@@ -129,21 +127,26 @@ router.post('/submit', getUserOrgContext, addUserOrgToBody, requireVolunteer, up
       return res.status(500).json({ error: 'Failed to submit expense' });
     }
 
-    // Send notification to treasurers/committee leads
+    // Route to the matching approval workflow and notify its first approvers.
+    // If this fails the steps are created the first time someone approves.
     try {
-      await sendExpenseSubmissionNotification(req.orgId, expenseSubmission);
-    } catch (notificationError) {
-      console.warn('Failed to send notification:', notificationError.message);
-      // Don't fail the request for notification errors
+      expenseSubmission.approval_steps = await startApproval(expenseSubmission, req.user.id);
+    } catch (approvalError) {
+      console.warn('Failed to start expense approval:', approvalError.message);
     }
 
     console.log(`✅ Expense submission created for org ${req.orgId} by user ${req.user.id}`);
     res.status(201).json({
       success: true,
       data: expenseSubmission,
-      message: 'Expense submitted successfully'
+      message: amountMismatch
+        ? `Expense submitted, but the amount doesn't match the receipt total of $${amountMismatch.receipt_total.toFixed(2)}`
+        : 'Expense submitted successfully'
     });
   } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
     console.error('[expenses.js] POST /submit error:', err.message);
     res.status(500).json({ error: 'Failed to submit expense' });
   }
@@ -201,8 +204,111 @@ router.get('/pending', getUserOrgContext, canManageBudget, async (req, res) => {
   }
 });
 
-// PUT /api/expenses/:id/approve - Approve expense submission
-router.put('/:id/approve', getUserOrgContext, canManageBudget, async (req, res) => {
+// GET /api/expenses/awaiting-approval - Pending expenses with an open step the current user can sign
+router.get('/awaiting-approval', getUserOrgContext, requireVolunteer, async (req, res) => {
+  try {
+    const { data: steps, error } = await supabase
+      .from('expense_approval_steps')
+      .select(`
+        *,
+        expense_submissions(
+          *,
+          budget_categories(name, category_type),
+          events(title),
+          profiles!expense_submissions_submitted_by_fkey(first_name, last_name, email)
+        )
+      `)
+      .eq('org_id', req.orgId)
+      .eq('status', 'pending')
+      .order('opened_at', { ascending: true });
+
+    if (error) {
+      console.error(`❌ Error fetching open approval steps for org ${req.orgId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to load expenses awaiting approval' });
+    }
+
+    const user = { id: req.user.id, role: req.userRole };
+    const { data: signed, error: signedError } = await supabase
+      .from('expense_approval_steps')
+      .select('expense_id')
+      .eq('org_id', req.orgId)
+      .eq('status', 'approved')
+      .eq('decided_by', req.user.id);
+
+    if (signedError) {
+      console.error(`❌ Error fetching approval steps signed by user ${req.user.id}:`, signedError.message);
+      return res.status(500).json({ error: 'Failed to load expenses awaiting approval' });
+    }
+
+    const alreadySigned = new Set(signed.map(step => step.expense_id));
+    const awaiting = new Map();
+    for (const step of actionableSteps(steps, user)) {
+      const expense = step.expense_submissions;
+      if (!expense || expense.status !== 'pending' || expense.submitted_by === req.user.id || alreadySigned.has(expense.id)) continue;
+      if (!awaiting.has(expense.id)) {
+        awaiting.set(expense.id, {
+          ...expense,
+          open_step: { id: step.id, step_order: step.step_order, step_name: step.step_name, opened_at: step.opened_at, escalated_at: step.escalated_at }
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: [...awaiting.values()]
+    });
+  } catch (err) {
+    console.error('[expenses.js] GET /awaiting-approval error:', err.message);
+    res.status(500).json({ error: 'Failed to load expenses awaiting approval' });
+  }
+});
+
+// GET /api/expenses/:id/approvals - Approval steps and history of an expense
+router.get('/:id/approvals', getUserOrgContext, requireVolunteer, async (req, res) => {
+  try {
+    const { data: expense, error: fetchError } = await supabase
+      .from('expense_submissions')
+      .select('id, org_id, submitted_by, status, approval_workflow_id, resubmission_count')
+      .eq('id', req.params.id)
+      .eq('org_id', req.orgId)
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error(`❌ Error fetching expense ${req.params.id}:`, fetchError.message);
+      return res.status(500).json({ error: 'Failed to load approval history' });
+    }
+    if (!expense) {
+      return res.status(404).json({ error: 'Expense submission not found' });
+    }
+
+    const { steps, history } = await loadApprovalTrail(expense.id);
+
+    if (!isExpenseParticipant(expense, steps, req)) {
+      return res.status(403).json({ error: 'You do not have access to this expense\'s approvals' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        expense_id: expense.id,
+        status: expense.status,
+        approval_workflow_id: expense.approval_workflow_id,
+        approval_round: expense.resubmission_count || 0,
+        steps,
+        history,
+        can_act: expense.status === 'pending' && expense.submitted_by !== req.user.id &&
+          actionableSteps(steps, { id: req.user.id, role: req.userRole }).length > 0
+      }
+    });
+  } catch (err) {
+    console.error('[expenses.js] GET /:id/approvals error:', err.message);
+    res.status(500).json({ error: 'Failed to load approval history' });
+  }
+});
+
+// PUT /api/expenses/:id/approve - Sign the current user's step of the expense's approval chain
+// The expense is approved (and its transaction created) once every step is signed
+router.put('/:id/approve', getUserOrgContext, requireVolunteer, async (req, res) => {
   try {
     const expenseId = req.params.id;
     const { approval_notes, create_transaction = true } = req.body;
@@ -223,6 +329,21 @@ router.put('/:id/approve', getUserOrgContext, canManageBudget, async (req, res)
       return res.status(400).json({ error: 'Expense has already been processed' });
     }
 
+    // Approving adds to that year's actuals, so the year must still be open;
+    // the transaction it creates goes in the default bank account
+    await assertAccountDatesOpen(req.orgId, [null], expense.expense_date);
+
+    const approval = await recordDecision(expense, { id: req.user.id, role: req.userRole }, 'approved', approval_notes);
+    if (!approval.complete) {
+      const waitingOn = approval.steps.filter(step => step.status !== 'approved').length;
+      console.log(`✅ Expense ${expenseId} step approved by user ${req.user.id}; ${waitingOn} step(s) remaining`);
+      return res.json({
+        success: true,
+        data: { ...expense, approval_steps: approval.steps },
+        message: `Approval recorded; waiting on ${waitingOn} more step${waitingOn === 1 ? '' : 's'}`
+      });
+    }
+
     // Update expense submission status
     const { data: updatedExpense, error: updateError } = await supabase
       .from('expense_submissions')
@@ -234,6 +355,7 @@ router.put('/:id/approve', getUserOrgContext, canManageBudget, async (req, res)
       })
       .eq('id', expenseId)
       .eq('org_id', req.orgId)
+      .eq('status', 'pending')
       .select(`
         *,
         budget_categories(name, category_type),
@@ -289,17 +411,23 @@ router.put('/:id/approve', getUserOrgContext, canManageBudget, async (req, res)
     console.log(`✅ Expense ${expenseId} approved by user ${req.user.id} in org ${req.orgId}`);
     res.json({
       success: true,
-      data: updatedExpense,
+      data: { ...updatedExpense, approval_steps: approval.steps },
       message: 'Expense approved successfully'
     });
   } catch (err) {
+    if (err instanceof ForbiddenError) {
+      return res.status(403).json({ error: err.message });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
     console.error('[expenses.js] PUT /:id/approve error:', err.message);
     res.status(500).json({ error: 'Failed to approve expense' });
   }
 });
 
-// PUT /api/expenses/:id/reject - Reject expense submission
-router.put('/:id/reject', getUserOrgContext, canManageBudget, async (req, res) => {
+// PUT /api/expenses/:id/reject - Reject expense submission (any approver of an open step)
+router.put('/:id/reject', getUserOrgContext, requireVolunteer, async (req, res) => {
   try {
     const expenseId = req.params.id;
     const { rejection_reason, approval_notes } = req.body;
@@ -324,6 +452,8 @@ router.put('/:id/reject', getUserOrgContext, canManageBudget, async (req, res) =
       return res.status(400).json({ error: 'Expense has already been processed' });
     }
 
+    const approval = await recordDecision(expense, { id: req.user.id, role: req.userRole }, 'rejected', rejection_reason);
+
     // Update expense submission status
     const { data: updatedExpense, error: updateError } = await supabase
       .from('expense_submissions')
@@ -336,6 +466,7 @@ router.put('/:id/reject', getUserOrgContext, canManageBudget, async (req, res) =
       })
       .eq('id', expenseId)
       .eq('org_id', req.orgId)
+      .eq('status', 'pending')
       .select(`
         *,
         budget_categories(name, category_type),
@@ -359,15 +490,261 @@ router.put('/:id/reject', getUserOrgContext, canManageBudget, async (req, res) =
     console.log(`✅ Expense ${expenseId} rejected by user ${req.user.id} in org ${req.orgId}`);
     res.json({
       success: true,
-      data: updatedExpense,
+      data: { ...updatedExpense, approval_steps: approval.steps },
       message: 'Expense rejected successfully'
     });
   } catch (err) {
+    if (err instanceof ForbiddenError) {
+      return res.status(403).json({ error: err.message });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
     console.error('[expenses.js] PUT /:id/reject error:', err.message);
     res.status(500).json({ error: 'Failed to reject expense' });
   }
 });
 
+// PUT /api/expenses/:id/request-info - Send the expense back to its submitter with a question (any approver of an open step)
+// Body: message
+router.put('/:id/request-info', getUserOrgContext, requireVolunteer, async (req, res) => {
+  try {
+    const { message } = req.body;
+    if (!message || !String(message).trim()) {
+      return res.status(400).json({ error: 'A message telling the submitter what is needed is required', field: 'message' });
+    }
+
+    const expense = await fetchExpense(req.params.id, req.orgId);
+    if (!expense) {
+      return res.status(404).json({ error: 'Expense submission not found' });
+    }
+
+    if (expense.status !== 'pending') {
+      return res.status(400).json({ error: 'Expense has already been processed' });
+    }
+
+    const step = await requestInfo(expense, { id: req.user.id, role: req.userRole }, String(message).trim());
+
+    const { data: updated, error: updateError } = await supabase
+      .from('expense_submissions')
+      .update({ status: 'needs_info' })
+      .eq('id', expense.id)
+      .eq('org_id', req.orgId)
+      .eq('status', 'pending')
+      .select('*');
+
+    if (updateError) {
+      console.error(`❌ Error requesting info on expense ${expense.id}:`, updateError.message);
+      return res.status(500).json({ error: 'Failed to request more information' });
+    }
+    if (!updated || updated.length === 0) {
+      return res.status(409).json({ error: 'This expense was just decided by someone else' });
+    }
+
+    const comment = await addComment(expense, req.user.id, message, 'info_request');
+
+    await createNotification({
+      orgId: req.orgId,
+      recipientId: expense.submitted_by,
+      type: 'expense_info_requested',
+      title: 'More information needed on your expense',
+      message: comment.body.slice(0, 200),
+      link: `/budget/expenses/${expense.id}`
+    });
+
+    console.log(`✅ Info requested on expense ${expense.id} (step "${step.step_name}") by user ${req.user.id}`);
+    res.json({
+      success: true,
+      data: { ...updated[0], comment },
+      message: 'Expense sent back to the submitter for more information'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ForbiddenError) {
+      return res.status(403).json({ error: err.message });
+    }
+    console.error('[expenses.js] PUT /:id/request-info error:', err.message);
+    res.status(500).json({ error: 'Failed to request more information' });
+  }
+});
+
+// PUT /api/expenses/:id/resubmit - Edit an expense sent back for more information and resubmit it (submitter only)
+// Multipart: vendor_name, amount, expense_date, description, category_id, event_id, fund_id, line_items, comment, receipts (added to the existing ones)
+router.put('/:id/resubmit', getUserOrgContext, requireVolunteer, upload.array('receipts', 5), async (req, res) => {
+  try {
+    const expense = await fetchExpense(req.params.id, req.orgId);
+    if (!expense) {
+      return res.status(404).json({ error: 'Expense submission not found' });
+    }
+
+    if (expense.submitted_by !== req.user.id) {
+      return res.status(403).json({ error: 'Only the submitter can resubmit an expense' });
+    }
+    if (expense.status !== 'needs_info') {
+      return res.status(409).json({ error: 'Only expenses sent back for more information can be resubmitted' });
+    }
+
+    const changes = {};
+    for (const field of ['vendor_name', 'description', 'category_id', 'event_id']) {
+      if (req.body[field] !== undefined) changes[field] = req.body[field] || null;
+    }
+    if (req.body.amount !== undefined) {
+      changes.amount = parseFloat(req.body.amount);
+      if (isNaN(changes.amount) || changes.amount <= 0) {
+        return res.status(400).json({ error: 'Amount must be a positive number', field: 'amount' });
+      }
+    }
+    if (req.body.expense_date !== undefined) {
+      if (!req.body.expense_date || new Date(req.body.expense_date) > new Date()) {
+        return res.status(400).json({ error: 'Expense date is required and cannot be in the future', field: 'expense_date' });
+      }
+      changes.expense_date = req.body.expense_date;
+    }
+    const lineItems = parseLineItems(req.body.line_items);
+    if (lineItems) changes.line_items = lineItems;
+    if (req.body.fund_id !== undefined) changes.fund_id = await resolveFundId(req.orgId, req.body.fund_id);
+
+    // New receipts are added to the ones already on file and read like at submission
+    const added = req.files && req.files.length > 0 ? await extractReceipts(req.files) : null;
+    const newReceipts = await uploadReceipts(req.files, req.orgId);
+    const extraction = mergeExtractions(expense.receipt_extraction, added);
+    const unreadReceipts = (expense.receipt_images || []).length > 0 && !expense.receipt_extraction?.receipts;
+    const receiptTotal = unreadReceipts ? null : extraction?.fields.amount ?? null;
+    const amount = changes.amount ?? Number(expense.amount);
+    const amountMismatch = findAmountMismatch(amount, { fields: { amount: receiptTotal } });
+
+    await saveRevision(expense, req.user.id);
+
+    const { data: updated, error: updateError } = await supabase
+      .from('expense_submissions')
+      .update({
+        ...changes,
+        receipt_images: [...(expense.receipt_images || []), ...newReceipts],
+        receipt_extraction: extraction ? { ...extraction, amount_mismatch: amountMismatch } : null,
+        receipt_total: receiptTotal,
+        receipt_amount_mismatch: Boolean(amountMismatch),
+        resubmission_count: (expense.resubmission_count || 0) + 1,
+        status: 'pending'
+      })
+      .eq('id', expense.id)
+      .eq('org_id', req.orgId)
+      .eq('status', 'needs_info')
+      .select('*');
+
+    if (updateError) {
+      console.error(`❌ Error resubmitting expense ${expense.id}:`, updateError.message);
+      return res.status(500).json({ error: 'Failed to resubmit expense' });
+    }
+    if (!updated || updated.length === 0) {
+      return res.status(409).json({ error: 'This expense was already resubmitted' });
+    }
+
+    const note = String(req.body.comment || '').trim() || 'Resubmitted with changes';
+    const comment = await addComment(expense, req.user.id, note, 'resubmission');
+    await notifyCommentRecipients(expense, comment);
+
+    const approvalSteps = await restartApproval(expense, updated[0], req.user.id, note);
+
+    console.log(`✅ Expense ${expense.id} resubmitted (revision ${updated[0].resubmission_count}) by user ${req.user.id}`);
+    res.json({
+      success: true,
+      data: { ...updated[0], approval_steps: approvalSteps },
+      message: amountMismatch
+        ? `Expense resubmitted, but the amount doesn't match the receipt total of $${amountMismatch.receipt_total.toFixed(2)}`
+        : 'Expense resubmitted successfully'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[expenses.js] PUT /:id/resubmit error:', err.message);
+    res.status(500).json({ error: 'Failed to resubmit expense' });
+  }
+});
+
+// GET /api/expenses/:id/comments - Comment thread between approvers and the submitter
+router.get('/:id/comments', getUserOrgContext, requireVolunteer, async (req, res) => {
+  try {
+    const expense = await fetchExpense(req.params.id, req.orgId);
+    if (!expense) {
+      return res.status(404).json({ error: 'Expense submission not found' });
+    }
+
+    const { steps } = await loadApprovalTrail(expense.id);
+    if (!isExpenseParticipant(expense, steps, req)) {
+      return res.status(403).json({ error: 'You do not have access to this expense\'s comments' });
+    }
+
+    res.json({
+      success: true,
+      data: await loadComments(expense.id)
+    });
+  } catch (err) {
+    console.error('[expenses.js] GET /:id/comments error:', err.message);
+    res.status(500).json({ error: 'Failed to load comments' });
+  }
+});
+
+// POST /api/expenses/:id/comments - Add to the comment thread
+// Body: body
+router.post('/:id/comments', getUserOrgContext, requireVolunteer, async (req, res) => {
+  try {
+    const expense = await fetchExpense(req.params.id, req.orgId);
+    if (!expense) {
+      return res.status(404).json({ error: 'Expense submission not found' });
+    }
+
+    const { steps } = await loadApprovalTrail(expense.id);
+    if (!isExpenseParticipant(expense, steps, req)) {
+      return res.status(403).json({ error: 'You do not have access to this expense\'s comments' });
+    }
+
+    const comment = await addComment(expense, req.user.id, req.body.body);
+    await notifyCommentRecipients(expense, comment);
+
+    res.status(201).json({
+      success: true,
+      data: comment,
+      message: 'Comment added'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[expenses.js] POST /:id/comments error:', err.message);
+    res.status(500).json({ error: 'Failed to add comment' });
+  }
+});
+
+// GET /api/expenses/:id/revisions - Every version of the expense with what changed between them
+router.get('/:id/revisions', getUserOrgContext, requireVolunteer, async (req, res) => {
+  try {
+    const expense = await fetchExpense(req.params.id, req.orgId);
+    if (!expense) {
+      return res.status(404).json({ error: 'Expense submission not found' });
+    }
+
+    const { steps } = await loadApprovalTrail(expense.id);
+    if (!isExpenseParticipant(expense, steps, req)) {
+      return res.status(403).json({ error: 'You do not have access to this expense\'s history' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        expense_id: expense.id,
+        resubmission_count: expense.resubmission_count || 0,
+        revisions: await loadRevisions(expense)
+      }
+    });
+  } catch (err) {
+    console.error('[expenses.js] GET /:id/revisions error:', err.message);
+    res.status(500).json({ error: 'Failed to load expense history' });
+  }
+});
+
 // GET /api/expenses/user/:userId - Get user's expense submissions
 router.get('/user/:userId?', getUserOrgContext, requireVolunteer, async (req, res) => {
   try {
@@ -421,6 +798,25 @@ router.get('/user/:userId?', getUserOrgContext, requireVolunteer, async (req, re
   }
 });
 
+// POST /api/expenses/extract-receipt - Read receipts without submitting, to pre-fill the expense form
+router.post('/extract-receipt', getUserOrgContext, requireVolunteer, upload.array('receipts', 5), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No receipt provided' });
+    }
+
+    const extraction = await extractReceipts(req.files);
+
+    res.json({
+      success: true,
+      data: extraction
+    });
+  } catch (err) {
+    console.error('[expenses.js] POST /extract-receipt error:', err.message);
+    res.status(500).json({ error: 'Failed to read receipt' });
+  }
+});
+
 // POST /api/expenses/upload-receipt - Upload receipt image separately
 router.post('/upload-receipt', getUserOrgContext, requireVolunteer, upload.single('receipt'), async (req, res) => {
   try {
@@ -453,7 +849,8 @@ router.post('/upload-receipt', getUserOrgContext, requireVolunteer, upload.singl
       filename: req.file.originalname,
       url: urlData.publicUrl,
       size: req.file.size,
-      uploaded_at: new Date().toISOString()
+      uploaded_at: new Date().toISOString(),
+      extraction: await extractReceipts([req.file])
     };
 
     console.log(`✅ Receipt uploaded for org ${req.orgId} by user ${req.user.id}`);
@@ -472,6 +869,95 @@ router.post('/upload-receipt', getUserOrgContext, requireVolunteer, upload.singl
 // HELPER FUNCTIONS
 // =====================================================
 
+async function fetchExpense(expenseId, orgId) {
+  const { data: expense, error } = await supabase
+    .from('expense_submissions')
+    .select('*')
+    .eq('id', expenseId)
+    .eq('org_id', orgId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch expense submission: ${error.message}`);
+  }
+  return expense;
+}
+
+// Submitters, budget managers and anyone named on the chain can see an expense's approvals and thread
+function isExpenseParticipant(expense, steps, req) {
+  if (expense.submitted_by === req.user.id || hasMinRole(req.userRole, 'committee_lead')) return true;
+  return steps.some(step => (step.approver_ids || []).includes(req.user.id) || step.decided_by === req.user.id);
+}
+
+// Upload receipt files to storage; files that fail are skipped
+async function uploadReceipts(files, orgId) {
+  const receiptImages = [];
+  for (const file of files || []) {
+    try {
+      // Generate unique filename
+      const fileName = `receipts/${orgId}/${Date.now()}-${Math.random().toString(36).substring(7)}.${file.originalname.split('.').pop()}`;
+
+      // Upload to Supabase Storage
+      const { error: uploadError } = await supabase.storage
+        .from('expense-receipts')
+        .upload(fileName, file.buffer, {
+          contentType: file.mimetype,
+          upsert: false
+        });
+
+      if (uploadError) {
+        console.error('Receipt upload error:', uploadError);
+        continue; // Skip this file but continue with others
+      }
+
+      // Get public URL
+      const { data: urlData } = supabase.storage
+        .from('expense-receipts')
+        .getPublicUrl(fileName);
+
+      receiptImages.push({
+        filename: file.originalname,
+        url: urlData.publicUrl,
+        size: file.size,
+        uploaded_at: new Date().toISOString()
+      });
+    } catch (uploadErr) {
+      console.error('Individual file upload error:', uploadErr);
+      // Continue with other files
+    }
+  }
+  return receiptImages;
+}
+
+// line_items arrive as a JSON string from multipart forms
+function parseLineItems(input) {
+  if (input === undefined || input === null || input === '') return null;
+
+  let items = input;
+  if (typeof input === 'string') {
+    try {
+      items = JSON.parse(input);
+    } catch {
+      throw new ValidationError('line_items must be a JSON array', 'line_items');
+    }
+  }
+  if (!Array.isArray(items)) {
+    throw new ValidationError('line_items must be an array', 'line_items');
+  }
+
+  return items.map((item, index) => {
+    const amount = Number(item?.amount);
+    if (!item?.description || isNaN(amount)) {
+      throw new ValidationError(`Line item ${index + 1} needs a description and amount`, 'line_items');
+    }
+    return {
+      description: String(item.description).slice(0, 255),
+      quantity: item.quantity === undefined ? 1 : Number(item.quantity) || 1,
+      amount: Math.round(amount * 100) / 100
+    };
+  });
+}
+
 async function checkCanManageBudget(userId, orgId) {
   try {
     const { data, error } = await supabase
@@ -488,29 +974,6 @@ async function checkCanManageBudget(userId, orgId) {
   }
 }
 
-async function sendExpenseSubmissionNotification(orgId, expense) {
-  // Get treasurers and committee leads for notification
-  const { data: notificationUsers, error } = await supabase
-    .from('user_roles')
-    .select(`
-      user_id,
-      role_type,
-      profiles(first_name, last_name, email)
-    `)
-    .eq('organization_id', orgId)
-    .in('role_type', ['admin', 'board_member', 'committee_lead'])
-    .eq('is_active', true);
-
-  if (error || !notificationUsers?.length) {
-    console.warn('No notification recipients found for expense submission');
-    return;
-  }
-
-  // Here you would integrate with your notification system
-  // For now, just log the notification
-  console.log(`📧 Expense submission notification sent to ${notificationUsers.length} users for expense ${expense.id}`);
-}
-
 async function sendExpenseApprovalNotification(expense, action) {
   // Send notification to the expense submitter
   console.log(`📧 Expense ${action} notification sent to user ${expense.submitted_by} for expense ${expense.id}`);
@@ -0,0 +1,311 @@
+import express from 'express';
+import { supabase } from '../util/verifySupabaseToken.js';
+import { getUserOrgContext } from '../middleware/organizationalContext.js';
+import { canManageBudget, requireVolunteer, hasMinRole } from '../middleware/roleBasedAccess.js';
+import { ValidationError, ConflictError } from '../middleware/errorHandler.js';
+import { fetchOrgRow } from '../util/orgRecords.js';
+import { EXPORT_CONTENT_TYPES, sendExport } from '../util/reportExport.js';
+import {
+  loadUnpaidExpenses,
+  loadPayeeNames,
+  groupByPayee,
+  createBatch,
+  loadBatch,
+  batchTotals,
+  loadPayoutItems,
+  updatePayoutDetails,
+  markPayoutPaid,
+  voidPayout,
+  buildCheckRegister,
+  renderCheckRegister,
+  renderRemittance
+} from '../util/reimbursements.js';
+
+const router = express.Router();
+
+// =====================================================
+// REIMBURSEMENT PAYOUT ENDPOINTS
+// =====================================================
+
+// GET /api/expenses/reimbursements/unpaid - Approved expenses waiting to be paid, by payee (committee lead+ required)
+router.get('/unpaid', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const expenses = await loadUnpaidExpenses(req.orgId);
+    const payees = groupByPayee(expenses, await loadPayeeNames(expenses.map(expense => expense.submitted_by)));
+
+    res.json({
+      success: true,
+      data: {
+        payees,
+        total: payees.reduce((sum, payee) => sum + Math.round(payee.amount * 100), 0) / 100
+      }
+    });
+  } catch (err) {
+    console.error('[reimbursements.js] GET /unpaid error:', err.message);
+    res.status(500).json({ error: 'Failed to load unpaid expenses' });
+  }
+});
+
+// GET /api/expenses/reimbursements/batches - List reimbursement batches with totals (committee lead+ required)
+router.get('/batches', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const { data: batches, error } = await supabase
+      .from('reimbursement_batches')
+      .select('*')
+      .eq('org_id', req.orgId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error(`❌ Error fetching reimbursement batches for org ${req.orgId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to load reimbursement batches' });
+    }
+
+    const { data: payouts, error: payoutError } = await supabase
+      .from('reimbursement_payouts')
+      .select('batch_id, amount, status')
+      .eq('org_id', req.orgId);
+
+    if (payoutError) {
+      console.error(`❌ Error fetching payouts for org ${req.orgId}:`, payoutError.message);
+      return res.status(500).json({ error: 'Failed to load reimbursement batches' });
+    }
+
+    res.json({
+      success: true,
+      data: batches.map(batch => ({
+        ...batch,
+        totals: batchTotals(payouts.filter(payout => payout.batch_id === batch.id))
+      }))
+    });
+  } catch (err) {
+    console.error('[reimbursements.js] GET /batches error:', err.message);
+    res.status(500).json({ error: 'Failed to load reimbursement batches' });
+  }
+});
+
+// POST /api/expenses/reimbursements/batches - Create a batch with one payout per payee (committee lead+ required)
+// Body: name, expense_ids (default: every approved, unpaid expense), payment_method, starting_check_number, payment_date,
+// bank_account_id (the account the money comes out of; default account if omitted), notes
+router.post('/batches', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const batch = await createBatch(req.orgId, req.body, req.user.id);
+
+    console.log(`✅ Reimbursement batch ${batch.id} created for org ${req.orgId} with ${batch.payouts.length} payouts`);
+    res.status(201).json({
+      success: true,
+      data: batch,
+      message: 'Reimbursement batch created successfully'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('[reimbursements.js] POST /batches error:', err.message);
+    res.status(500).json({ error: 'Failed to create reimbursement batch' });
+  }
+});
+
+// GET /api/expenses/reimbursements/batches/:id - Batch with its payouts and the expenses each covers
+router.get('/batches/:id', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const { row: batch, status, error: lookupError } = await fetchOrgRow('reimbursement_batches', req.params.id, req.orgId, 'Reimbursement batch');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    res.json({
+      success: true,
+      data: await loadBatch(batch)
+    });
+  } catch (err) {
+    console.error('[reimbursements.js] GET /batches/:id error:', err.message);
+    res.status(500).json({ error: 'Failed to load reimbursement batch' });
+  }
+});
+
+// POST /api/expenses/reimbursements/batches/:id/paid - Mark every pending payout in a batch paid (committee lead+ required)
+// Body: paid_date (default the batch payment date, then today). Checks need their check numbers first.
+router.post('/batches/:id/paid', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const { row: batch, status, error: lookupError } = await fetchOrgRow('reimbursement_batches', req.params.id, req.orgId, 'Reimbursement batch');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const { payouts } = await loadBatch(batch);
+    const pending = payouts.filter(payout => payout.status === 'pending');
+    if (pending.length === 0) {
+      return res.status(409).json({ error: 'This batch has no pending payouts' });
+    }
+
+    const missingCheck = pending.find(payout => payout.payment_method === 'check' && !payout.check_number);
+    if (missingCheck) {
+      return res.status(400).json({ error: `Enter a check number for ${missingCheck.payee_name || 'every payee'} first`, field: 'check_number' });
+    }
+
+    const paidDate = req.body.paid_date || batch.payment_date || undefined;
+    const paid = [];
+    for (const payout of pending) {
+      paid.push(await markPayoutPaid(payout, { paid_date: paidDate }, req.user.id));
+    }
+
+    console.log(`✅ ${paid.length} payouts in batch ${batch.id} marked paid by user ${req.user.id}`);
+    res.json({
+      success: true,
+      data: await loadBatch(batch),
+      message: `${paid.length} payout${paid.length === 1 ? '' : 's'} marked paid`
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('[reimbursements.js] POST /batches/:id/paid error:', err.message);
+    res.status(500).json({ error: 'Failed to mark batch paid' });
+  }
+});
+
+// PUT /api/expenses/reimbursements/payouts/:payoutId - Change a pending payout's payment details (committee lead+ required)
+// Body: payment_method, check_number, reference, memo, bank_account_id
+router.put('/payouts/:payoutId', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const { row: payout, status, error: lookupError } = await fetchOrgRow('reimbursement_payouts', req.params.payoutId, req.orgId, 'Payout');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const updated = await updatePayoutDetails(payout, req.body);
+
+    res.json({
+      success: true,
+      data: updated,
+      message: 'Payout updated successfully'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('[reimbursements.js] PUT /payouts/:payoutId error:', err.message);
+    res.status(500).json({ error: 'Failed to update payout' });
+  }
+});
+
+// POST /api/expenses/reimbursements/payouts/:payoutId/paid - Record that a payout was paid (committee lead+ required)
+// Body: paid_date (default today), payment_method, check_number, reference, memo, bank_account_id
+router.post('/payouts/:payoutId/paid', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const { row: payout, status, error: lookupError } = await fetchOrgRow('reimbursement_payouts', req.params.payoutId, req.orgId, 'Payout');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const updated = await markPayoutPaid(payout, req.body, req.user.id);
+
+    console.log(`✅ Payout ${payout.id} marked paid by user ${req.user.id}`);
+    res.json({
+      success: true,
+      data: updated,
+      message: 'Payout marked paid'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('[reimbursements.js] POST /payouts/:payoutId/paid error:', err.message);
+    res.status(500).json({ error: 'Failed to mark payout paid' });
+  }
+});
+
+// POST /api/expenses/reimbursements/payouts/:payoutId/void - Void a payout; its expenses become payable again (committee lead+ required)
+// Body: reason
+router.post('/payouts/:payoutId/void', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const { row: payout, status, error: lookupError } = await fetchOrgRow('reimbursement_payouts', req.params.payoutId, req.orgId, 'Payout');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const updated = await voidPayout(payout, req.body.reason, req.user.id);
+
+    console.log(`⚠️ Payout ${payout.id} voided by user ${req.user.id}: ${updated.void_reason}`);
+    res.json({
+      success: true,
+      data: updated,
+      message: 'Payout voided'
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('[reimbursements.js] POST /payouts/:payoutId/void error:', err.message);
+    res.status(500).json({ error: 'Failed to void payout' });
+  }
+});
+
+// GET /api/expenses/reimbursements/payouts/:payoutId/remittance - Remittance notice PDF (the payee or committee lead+)
+router.get('/payouts/:payoutId/remittance', getUserOrgContext, requireVolunteer, async (req, res) => {
+  try {
+    const { row: payout, status, error: lookupError } = await fetchOrgRow('reimbursement_payouts', req.params.payoutId, req.orgId, 'Payout');
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    if (payout.payee_id !== req.user.id && !hasMinRole(req.userRole, 'committee_lead')) {
+      return res.status(403).json({ error: 'You can only view your own remittance notices' });
+    }
+
+    const items = await loadPayoutItems([payout.id]);
+    const buffer = await renderRemittance(payout, items);
+
+    sendExport(res, buffer, 'pdf', `remittance-${payout.check_number ? `check-${payout.check_number}` : payout.id}`);
+  } catch (err) {
+    console.error('[reimbursements.js] GET /payouts/:payoutId/remittance error:', err.message);
+    res.status(500).json({ error: 'Failed to generate remittance notice' });
+  }
+});
+
+// GET /api/expenses/reimbursements/check-register - Reimbursement checks in number order (committee lead+ required)
+// Query: from, to (YYYY-MM-DD), bank_account_id, format (json|pdf|xlsx)
+router.get('/check-register', getUserOrgContext, canManageBudget, async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (format !== 'json' && !EXPORT_CONTENT_TYPES[format]) {
+      return res.status(400).json({ error: 'format must be one of: json, pdf, xlsx' });
+    }
+
+    const register = await buildCheckRegister(req.orgId, { from: req.query.from, to: req.query.to, bank_account_id: req.query.bank_account_id });
+
+    if (format !== 'json') {
+      const file = await renderCheckRegister(register, format);
+      return sendExport(res, file, format, `check-register-${new Date().toISOString().slice(0, 10)}`);
+    }
+
+    res.json({
+      success: true,
+      data: register
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[reimbursements.js] GET /check-register error:', err.message);
+    res.status(500).json({ error: 'Failed to build check register' });
+  }
+});
+
+console.log('[reimbursements.js] Reimbursement payout routes loaded successfully');
+export default router;
@@ -0,0 +1,6 @@
+import { escalateOverdueSteps } from '../util/expenseApprovals.js';
+import { registerJob } from './scheduler.js';
+
+const RUN_EVERY_MS = 60 * 60 * 1000;
+
+registerJob('expense-approval-escalations', RUN_EVERY_MS, escalateOverdueSteps);
@@ -0,0 +1,6 @@
+import { runDueReportSchedules } from '../util/officialReports.js';
+import { registerJob } from './scheduler.js';
+
+const RUN_EVERY_MS = 60 * 60 * 1000;
+
+registerJob('official-reports', RUN_EVERY_MS, runDueReportSchedules);
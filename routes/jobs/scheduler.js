@@ -0,0 +1,64 @@
+/**
+ * Minimal in-process job scheduler
+ * Jobs run on a fixed interval and never overlap themselves. Each job must be
+ * safe to run from several server instances at once (claim rows before acting).
+ * Set DISABLE_SCHEDULED_JOBS=true to turn every job off, e.g. on worker replicas.
+ */
+
+import { setInterval } from 'timers';
+
+const jobs = new Map();
+
+/**
+ * Register a recurring job
+ * @param {string} name - Job name used in logs
+ * @param {number} intervalMs - Time between runs
+ * @param {Function} run - Async job body
+ */
+export const registerJob = (name, intervalMs, run) => {
+  jobs.set(name, { name, intervalMs, run, running: false, timer: null });
+};
+
+/**
+ * Run a registered job now (skipped if the previous run is still going)
+ * @param {string} name - Job name
+ * @returns {Promise<*>} The job's result, or undefined if skipped
+ */
+export const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown scheduled job: ${name}`);
+  }
+
+  if (job.running) {
+    console.warn(`⚠️ Scheduled job ${name} is still running, skipping this run`);
+    return undefined;
+  }
+
+  job.running = true;
+  try {
+    return await job.run();
+  } catch (error) {
+    console.error(`❌ Scheduled job ${name} failed:`, error.message);
+    return undefined;
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * Start every registered job
+ */
+export const startScheduledJobs = () => {
+  if (process.env.DISABLE_SCHEDULED_JOBS === 'true') {
+    console.log('⏸️ Scheduled jobs disabled by DISABLE_SCHEDULED_JOBS');
+    return;
+  }
+
+  for (const job of jobs.values()) {
+    if (job.timer) continue;
+    job.timer = setInterval(() => runJob(job.name), job.intervalMs);
+    job.timer.unref();
+    console.log(`⏰ Scheduled job ${job.name} every ${Math.round(job.intervalMs / 60000)} min`);
+  }
+};
@@ -0,0 +1,61 @@
+import { supabase } from '../util/verifySupabaseToken.js';
+import { createNotification } from '../util/notifications.js';
+import { addDays, formatDate } from '../util/recurrence.js';
+import { registerJob } from './scheduler.js';
+
+// Remind assignees this many days before a task is due
+const REMINDER_LEAD_DAYS = Number(process.env.TASK_REMINDER_LEAD_DAYS || 2);
+
+const RUN_EVERY_MS = 60 * 60 * 1000;
+
+/**
+ * Notify assignees of open tasks due within the reminder window (or already overdue).
+ * Each task is claimed by setting reminder_sent_at first, so it is reminded once.
+ * @returns {Promise<number>} Reminders sent
+ */
+export const sendTaskReminders = async () => {
+  const today = formatDate(new Date());
+  const horizon = addDays(today, REMINDER_LEAD_DAYS);
+
+  const { data: tasks, error } = await supabase
+    .from('event_tasks')
+    .select('id, org_id, event_id, title, due_date, assignee_id, events(title)')
+    .neq('status', 'done')
+    .not('assignee_id', 'is', null)
+    .is('reminder_sent_at', null)
+    .lte('due_date', horizon);
+
+  if (error) {
+    throw new Error(`Failed to fetch tasks due soon: ${error.message}`);
+  }
+
+  let sent = 0;
+  for (const task of tasks) {
+    const { data: claimed } = await supabase
+      .from('event_tasks')
+      .update({ reminder_sent_at: new Date().toISOString() })
+      .eq('id', task.id)
+      .is('reminder_sent_at', null)
+      .select('id');
+
+    if (!claimed || claimed.length === 0) continue;
+
+    const overdue = task.due_date < today;
+    await createNotification({
+      orgId: task.org_id,
+      recipientId: task.assignee_id,
+      type: 'task_due',
+      title: overdue ? `Overdue: ${task.title}` : `Due ${task.due_date === today ? 'today' : task.due_date}: ${task.title}`,
+      message: task.events?.title ? `Task for ${task.events.title}` : null,
+      link: `/events/${task.event_id}/tasks`
+    });
+    sent += 1;
+  }
+
+  if (sent > 0) {
+    console.log(`✅ Sent ${sent} task due-date reminders`);
+  }
+  return sent;
+};
+
+registerJob('task-reminders', RUN_EVERY_MS, sendTaskReminders);
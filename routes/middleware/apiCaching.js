@@ -55,13 +55,33 @@ const CACHE_CONFIG = {
     '/api/organization': { ttl: 1800, permissions: ['organization.read'] },
     '/api/organization/:id': { ttl: 1200, permissions: ['organization.read'] },
     
-    // Events - shorter cache times (frequently updated)
-    '/api/event': { ttl: 300, permissions: ['events.read'] },
-    '/api/event/:id': { ttl: 600, permissions: ['events.read'] },
+    // Events - never cached (results depend on the caller's org and role)
+    '/api/event': { ttl: 0, permissions: [] },
+    '/api/event/:id': { ttl: 0, permissions: [] },
+    '/api/event/:id/financial-summary': { ttl: 0, permissions: [] },
+    '/api/event/occurrences': { ttl: 0, permissions: [] },
     
     // Budget data - medium cache times
     '/api/budget': { ttl: 900, permissions: ['budget.read'] },
     '/api/budget/:id': { ttl: 1200, permissions: ['budget.read'] },
+    '/api/budget/categories/variance': { ttl: 0, permissions: [] },
+    '/api/budget/plans': { ttl: 0, permissions: [] },
+    '/api/budget/plans/:id': { ttl: 0, permissions: [] },
+    '/api/budget/plans/*': { ttl: 0, permissions: [] },
+    '/api/budget/fiscal-years': { ttl: 0, permissions: [] },
+    '/api/budget/fiscal-years/:year': { ttl: 0, permissions: [] },
+    '/api/budget/fiscal-years/*': { ttl: 0, permissions: [] },
+    '/api/budget/reconciliation': { ttl: 0, permissions: [] },
+    '/api/budget/reconciliation/*': { ttl: 0, permissions: [] },
+    '/api/budget/ledger': { ttl: 0, permissions: [] },
+    '/api/budget/ledger/*': { ttl: 0, permissions: [] },
+    '/api/budget/bank-accounts': { ttl: 0, permissions: [] },
+    '/api/budget/bank-accounts/*': { ttl: 0, permissions: [] },
+    '/api/budget/official-reports': { ttl: 0, permissions: [] },
+    '/api/budget/official-reports/*': { ttl: 0, permissions: [] },
+    '/api/budget/accounting-exports': { ttl: 0, permissions: [] },
+    '/api/budget/accounting-exports/*': { ttl: 0, permissions: [] },
+    '/api/expenses/*': { ttl: 0, permissions: [] },
     
     // Admin data - shorter cache times (sensitive)
     '/api/admin/permissions': { ttl: 300, permissions: ['admin.read'] },
@@ -70,7 +90,17 @@ const CACHE_CONFIG = {
     
     // Documents - longer cache times (less frequently updated)
     '/api/document': { ttl: 1800, permissions: ['documents.read'] },
-    '/api/document/:id': { ttl: 3600, permissions: ['documents.read'] }
+    '/api/document/:id': { ttl: 3600, permissions: ['documents.read'] },
+
+    // Live, per-user data - never cached (prefix match)
+    '/api/calendar/*': { ttl: 0, permissions: [] },
+    '/api/volunteers/*': { ttl: 0, permissions: [] },
+    '/api/tickets/*': { ttl: 0, permissions: [] },
+    '/api/checkin/*': { ttl: 0, permissions: [] },
+    '/api/tasks/*': { ttl: 0, permissions: [] },
+    '/api/resources': { ttl: 0, permissions: [] },
+    '/api/resources/*': { ttl: 0, permissions: [] },
+    '/api/shared-library/*': { ttl: 0, permissions: [] }
   }
 };
 
@@ -247,6 +277,16 @@ function getCacheConfig(endpoint, options = {}) {
     }
   }
   
+  // Check for prefix matches ('/api/checkin/*')
+  if (!config) {
+    for (const [pattern, patternConfig] of Object.entries(CACHE_CONFIG.endpoints)) {
+      if (pattern.endsWith('/*') && endpoint.startsWith(pattern.slice(0, -1))) {
+        config = patternConfig;
+        break;
+      }
+    }
+  }
+
   // Use default config if no match found
   if (!config) {
     config = { ttl: CACHE_CONFIG.defaultTTL, permissions: [] };
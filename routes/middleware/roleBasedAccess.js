@@ -13,6 +13,16 @@ const roleHierarchy = {
   'teacher': 1
 };
 
+/**
+ * Check whether a role meets a minimum role level
+ * @param {string} userRole - The role to check
+ * @param {string} requiredRole - The minimum role required
+ * @returns {boolean}
+ */
+export const hasMinRole = (userRole, requiredRole) => {
+  return (roleHierarchy[userRole] || 0) >= (roleHierarchy[requiredRole] || 0);
+};
+
 /**
  * Middleware to require a minimum role level
  * @param {string} requiredRole - The minimum role required
@@ -1,9 +1,30 @@
 import express from 'express';
+import crypto from 'crypto';
 import { supabase, verifySupabaseToken } from '../util/verifySupabaseToken.js';
+import { requireActiveSubscription } from '../requireSubscription.js';
+import { getUserOrgContext } from '../middleware/organizationalContext.js';
+import { canManageEvents } from '../middleware/roleBasedAccess.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+import { parseDate, formatDate, addDays } from '../util/recurrence.js';
 
 const router = express.Router();
 
+// Library item type -> source table
+const TEMPLATE_TABLES = {
+  event: 'events',
+  fundraiser: 'fundraisers'
+};
+
+// Only these columns ever leave the owning organization
+const PUBLIC_COLUMNS = {
+  event: 'id, org_id, title, description, category, school_level, estimated_budget, tasks, volunteer_roles, materials_needed, start_time, end_time, event_date',
+  fundraiser: 'id, org_id, title, description, category, fundraising_type, goal_amount, deadline'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 // 🔐 GET /api/shared-library – Return shared events and fundraisers
+// Query: type (event|fundraiser), sort (popular|rating)
 router.get('/', async (req, res) => {
   const token = req.headers.authorization?.split('Bearer ')[1];
   if (!token) return res.status(401).json({ error: 'Missing auth token' });
@@ -11,22 +32,38 @@ router.get('/', async (req, res) => {
   try {
     await verifySupabaseToken(token);
 
-    const { data: events, error: eventsError } = await supabase
-      .from('events')
-      .select('id, title, description')
-      .eq('share_public', true);
+    const types = TEMPLATE_TABLES[req.query.type] ? [req.query.type] : Object.keys(TEMPLATE_TABLES);
+    const rows = [];
+
+    for (const type of types) {
+      let query = supabase
+        .from(TEMPLATE_TABLES[type])
+        .select(PUBLIC_COLUMNS[type])
+        .eq('share_public', true);
+
+      // Edited occurrences of a recurring series are not templates of their own
+      if (type === 'event') {
+        query = query.is('recurrence_parent_id', null);
+      }
+
+      const { data, error } = await query;
+      if (error) throw new Error(`Query error: ${error.message}`);
+      rows.push(...data.map(row => ({ row, type })));
+    }
 
-    const { data: fundraisers, error: fundraisersError } = await supabase
-      .from('fundraisers')
-      .select('id, title, description')
-      .eq('share_public', true);
+    const stats = await loadTemplateStats(rows);
+    const orgNames = await loadOrgNames(rows.map(({ row }) => row.org_id));
 
-    if (eventsError || fundraisersError) throw new Error('Query error');
+    const combined = rows.map(({ row, type }) => toPublicTemplate(row, type, {
+      ...stats.get(`${type}:${row.id}`),
+      organization_name: orgNames.get(row.org_id)
+    }));
 
-    const combined = [
-      ...(events || []).map(e => ({ ...e, type: 'event' })),
-      ...(fundraisers || []).map(f => ({ ...f, type: 'fundraiser' }))
-    ];
+    if (req.query.sort === 'rating') {
+      combined.sort((a, b) => (b.rating_average || 0) - (a.rating_average || 0) || b.rating_count - a.rating_count);
+    } else {
+      combined.sort((a, b) => b.usage_count - a.usage_count);
+    }
 
     res.json(combined);
   } catch (err) {
@@ -35,5 +72,478 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/shared-library/:type/:id – Preview a shared item with its plan and reviews
+router.get('/:type/:id', getUserOrgContext, async (req, res) => {
+  try {
+    const { source, status, error: lookupError } = await fetchSharedSource(req.params.type, req.params.id, req.orgId);
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    const { type } = req.params;
+    const stats = await loadTemplateStats([{ row: source, type }]);
+    const orgNames = await loadOrgNames([source.org_id]);
+    const template = toPublicTemplate(source, type, {
+      ...stats.get(`${type}:${source.id}`),
+      organization_name: orgNames.get(source.org_id)
+    });
+
+    if (type === 'event') {
+      const plan = await loadEventPlan(source);
+      template.task_plan = plan.tasks.map(task => ({
+        title: scrubPII(task.title),
+        description: scrubPII(task.description),
+        kind: task.kind,
+        days_from_event: task.days_from_event,
+        checklist: task.checklist.map(item => scrubPII(item.label))
+      }));
+      template.volunteer_plan = plan.roles.map(role => ({
+        name: scrubPII(role.name),
+        description: scrubPII(role.description),
+        shifts: role.shifts.map(shift => ({
+          days_from_event: shift.days_from_event,
+          start_time: shift.start_time,
+          end_time: shift.end_time,
+          capacity: shift.capacity
+        }))
+      }));
+    }
+
+    const { data: reviews, error: reviewsError } = await supabase
+      .from('shared_template_ratings')
+      .select('rating, comment, updated_at')
+      .eq('source_type', type)
+      .eq('source_id', source.id)
+      .order('updated_at', { ascending: false })
+      .limit(20);
+
+    if (reviewsError) throw new Error(reviewsError.message);
+
+    // Reviews are anonymous; only the score and scrubbed comment are shown
+    template.reviews = reviews.map(review => ({ ...review, comment: scrubPII(review.comment) }));
+
+    res.json(template);
+  } catch (err) {
+    console.error('[template.js] GET /shared-library/:type/:id error:', err.message);
+    res.status(500).json({ error: 'Failed to load shared item' });
+  }
+});
+
+// POST /api/shared-library/:type/:id/adopt – Clone a shared item into your organization (committee lead+ required)
+// Body: target_date (new event date / fundraiser deadline), optional title
+router.post('/:type/:id/adopt', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
+  try {
+    const { type } = req.params;
+    const { source, status, error: lookupError } = await fetchSharedSource(type, req.params.id, req.orgId);
+    if (lookupError) {
+      return res.status(status).json({ error: lookupError });
+    }
+
+    if (!req.body.target_date) {
+      return res.status(400).json({ error: 'target_date is required', field: 'target_date' });
+    }
+
+    let targetDate;
+    try {
+      targetDate = formatDate(parseDate(req.body.target_date));
+    } catch {
+      throw new ValidationError(`Invalid target_date: ${req.body.target_date}`, 'target_date');
+    }
+
+    const title = String(req.body.title || source.title || '').trim().slice(0, 255);
+    const context = { orgId: req.orgId, userId: req.user.id, targetDate, title };
+
+    const copy = type === 'event'
+      ? await cloneEvent(source, context)
+      : await cloneFundraiser(source, context);
+
+    const { error: adoptionError } = await supabase
+      .from('shared_template_adoptions')
+      .insert([{
+        source_type: type,
+        source_id: source.id,
+        source_org_id: source.org_id,
+        org_id: req.orgId,
+        copy_id: copy.id,
+        target_date: targetDate,
+        adopted_by: req.user.id
+      }]);
+
+    if (adoptionError) {
+      // The copy is still usable; only the usage count misses it
+      console.error(`⚠️ Failed to record adoption of ${type} ${source.id}:`, adoptionError.message);
+    }
+
+    const orgNames = await loadOrgNames([source.org_id]);
+    console.log(`✅ ${type} ${source.id} adopted into org ${req.orgId} as ${copy.id} by user ${req.user.id}`);
+    res.status(201).json({
+      type,
+      [type]: copy,
+      attribution: {
+        source_id: source.id,
+        organization_name: orgNames.get(source.org_id) || null
+      }
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('[template.js] POST /shared-library/:type/:id/adopt error:', err.message);
+    res.status(500).json({ error: 'Failed to adopt shared item' });
+  }
+});
+
+// PUT /api/shared-library/:type/:id/rating – Rate a shared item your organization adopted (committee lead+ required)
+// Body: rating (1-5), optional comment
+router.put('/:type/:id/rating', getUserOrgContext, canManageEvents, requireActiveSubscription, async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    if (!TEMPLATE_TABLES[type]) {
+      return res.status(404).json({ error: 'Shared item not found' });
+    }
+
+    const rating = Number(req.body.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({ error: 'rating must be a whole number from 1 to 5', field: 'rating' });
+    }
+
+    const { count, error: adoptionError } = await supabase
+      .from('shared_template_adoptions')
+      .select('id', { count: 'exact', head: true })
+      .eq('source_type', type)
+      .eq('source_id', id)
+      .eq('org_id', req.orgId);
+
+    if (adoptionError) throw new Error(adoptionError.message);
+
+    if (!count) {
+      return res.status(403).json({ error: 'Only organizations that adopted this item can rate it' });
+    }
+
+    const { data, error } = await supabase
+      .from('shared_template_ratings')
+      .upsert([{
+        source_type: type,
+        source_id: id,
+        org_id: req.orgId,
+        rating,
+        comment: req.body.comment ? String(req.body.comment).trim().slice(0, 2000) : null,
+        rated_by: req.user.id
+      }], { onConflict: 'source_type,source_id,org_id' })
+      .select('rating, comment, updated_at')
+      .single();
+
+    if (error) {
+      console.error(`❌ Error saving rating for ${type} ${id}:`, error.message);
+      return res.status(500).json({ error: 'Failed to save rating' });
+    }
+
+    res.json(data);
+  } catch (err) {
+    console.error('[template.js] PUT /shared-library/:type/:id/rating error:', err.message);
+    res.status(500).json({ error: 'Failed to save rating' });
+  }
+});
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+// Remove contact details from free text that is shown to or copied into other organizations
+function scrubPII(text) {
+  if (!text) return text ?? null;
+  return String(text)
+    .replace(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, '[email removed]')
+    .replace(/(?:\+?1[\s.-]?)?\(?\b\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/g, '[phone removed]');
+}
+
+// Plain task/material titles from the legacy events.tasks / materials_needed arrays
+function listTitles(entries) {
+  if (!Array.isArray(entries)) return [];
+  return entries
+    .map(entry => (typeof entry === 'string' ? entry : entry?.title || entry?.task || entry?.name || ''))
+    .map(title => scrubPII(String(title).trim()))
+    .filter(Boolean);
+}
+
+// Volunteer roles from events.volunteer_roles, keeping only the planning fields
+function listVolunteerRoles(entries) {
+  if (!Array.isArray(entries)) return [];
+  return entries
+    .map(entry => (typeof entry === 'string'
+      ? { role: entry }
+      : { role: entry?.role || entry?.name, count: entry?.count, description: entry?.description }))
+    .filter(entry => entry.role)
+    .map(entry => ({
+      role: scrubPII(String(entry.role)),
+      ...(Number.isInteger(entry.count) ? { count: entry.count } : {}),
+      ...(entry.description ? { description: scrubPII(entry.description) } : {})
+    }));
+}
+
+// Public view of a shared row: whitelisted fields, scrubbed text, attribution and stats
+function toPublicTemplate(row, type, stats = {}) {
+  const template = {
+    id: row.id,
+    type,
+    title: scrubPII(row.title),
+    description: scrubPII(row.description),
+    category: row.category || null,
+    shared_by: stats.organization_name || null,
+    usage_count: stats.usage_count || 0,
+    rating_average: stats.rating_average ?? null,
+    rating_count: stats.rating_count || 0
+  };
+
+  if (type === 'event') {
+    return {
+      ...template,
+      school_level: row.school_level || null,
+      estimated_budget: row.estimated_budget ?? null,
+      start_time: row.start_time || null,
+      end_time: row.end_time || null,
+      tasks: listTitles(row.tasks),
+      volunteer_roles: listVolunteerRoles(row.volunteer_roles),
+      materials_needed: listTitles(row.materials_needed)
+    };
+  }
+
+  return {
+    ...template,
+    fundraising_type: row.fundraising_type || null,
+    goal_amount: row.goal_amount ?? null
+  };
+}
+
+// Usage counts and average ratings keyed by `${type}:${id}`
+async function loadTemplateStats(rows) {
+  const stats = new Map(rows.map(({ row, type }) => [`${type}:${row.id}`, { usage_count: 0, rating_count: 0, rating_total: 0 }]));
+  const ids = [...new Set(rows.map(({ row }) => row.id))];
+  if (ids.length === 0) return stats;
+
+  const [adoptions, ratings] = await Promise.all([
+    supabase.from('shared_template_adoptions').select('source_type, source_id').in('source_id', ids),
+    supabase.from('shared_template_ratings').select('source_type, source_id, rating').in('source_id', ids)
+  ]);
+
+  if (adoptions.error) throw new Error(adoptions.error.message);
+  if (ratings.error) throw new Error(ratings.error.message);
+
+  for (const adoption of adoptions.data) {
+    const entry = stats.get(`${adoption.source_type}:${adoption.source_id}`);
+    if (entry) entry.usage_count += 1;
+  }
+  for (const rating of ratings.data) {
+    const entry = stats.get(`${rating.source_type}:${rating.source_id}`);
+    if (!entry) continue;
+    entry.rating_count += 1;
+    entry.rating_total += rating.rating;
+  }
+  for (const entry of stats.values()) {
+    entry.rating_average = entry.rating_count ? Math.round((entry.rating_total / entry.rating_count) * 10) / 10 : null;
+  }
+
+  return stats;
+}
+
+async function loadOrgNames(orgIds) {
+  const ids = [...new Set(orgIds.filter(Boolean))];
+  if (ids.length === 0) return new Map();
+
+  const { data, error } = await supabase
+    .from('organizations')
+    .select('id, name')
+    .in('id', ids);
+
+  if (error) throw new Error(error.message);
+  return new Map(data.map(org => [org.id, org.name]));
+}
+
+// A shared item (or one owned by the caller's org) in its public column set
+async function fetchSharedSource(type, id, orgId) {
+  if (!TEMPLATE_TABLES[type]) {
+    return { status: 404, error: 'Shared item not found' };
+  }
+
+  const { data, error } = await supabase
+    .from(TEMPLATE_TABLES[type])
+    .select(`${PUBLIC_COLUMNS[type]}, share_public`)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+
+  if (!data || (!data.share_public && data.org_id !== orgId)) {
+    return { status: 404, error: 'Shared item not found' };
+  }
+
+  return { source: data };
+}
+
+function daysBetween(from, to) {
+  return Math.round((parseDate(to).getTime() - parseDate(from).getTime()) / DAY_MS);
+}
+
+// Normalized tasks and volunteer roles of a source event, with dates relative to the event
+async function loadEventPlan(event) {
+  const [tasks, roles, shifts] = await Promise.all([
+    supabase.from('event_tasks').select('id, title, description, kind, due_date, due_offset_days, sort_order').eq('event_id', event.id).order('sort_order'),
+    supabase.from('event_volunteer_roles').select('id, name, description, sort_order').eq('event_id', event.id).order('sort_order'),
+    supabase.from('volunteer_shifts').select('id, role_id, shift_date, start_time, end_time, capacity, notes').eq('event_id', event.id).order('shift_date')
+  ]);
+
+  for (const result of [tasks, roles, shifts]) {
+    if (result.error) throw new Error(result.error.message);
+  }
+
+  const taskIds = tasks.data.map(task => task.id);
+  const [dependencies, checklist] = taskIds.length
+    ? await Promise.all([
+      supabase.from('event_task_dependencies').select('task_id, depends_on_task_id').in('task_id', taskIds),
+      supabase.from('event_task_checklist_items').select('task_id, label, sort_order').in('task_id', taskIds).order('sort_order')
+    ])
+    : [{ data: [] }, { data: [] }];
+
+  if (dependencies.error) throw new Error(dependencies.error.message);
+  if (checklist.error) throw new Error(checklist.error.message);
+
+  const relative = (date) => (date && event.event_date ? daysBetween(event.event_date, date) : null);
+
+  return {
+    dependencies: dependencies.data,
+    tasks: tasks.data.map(task => ({
+      ...task,
+      days_from_event: task.due_offset_days ?? relative(task.due_date),
+      checklist: checklist.data.filter(item => item.task_id === task.id)
+    })),
+    roles: roles.data.map(role => ({
+      ...role,
+      shifts: shifts.data
+        .filter(shift => shift.role_id === role.id)
+        .map(shift => ({ ...shift, days_from_event: relative(shift.shift_date) }))
+    }))
+  };
+}
+
+// Copy a shared event, its task board and volunteer shifts, shifted to the target date
+async function cloneEvent(source, { orgId, userId, targetDate, title }) {
+  const { data: event, error } = await supabase
+    .from('events')
+    .insert([{
+      title,
+      description: scrubPII(source.description),
+      event_date: targetDate,
+      category: source.category,
+      school_level: source.school_level,
+      estimated_budget: source.estimated_budget,
+      tasks: listTitles(source.tasks),
+      volunteer_roles: listVolunteerRoles(source.volunteer_roles),
+      materials_needed: listTitles(source.materials_needed),
+      start_time: source.start_time,
+      end_time: source.end_time,
+      share_public: false,
+      adopted_from_id: source.id,
+      org_id: orgId,
+      created_by: userId
+    }])
+    .select()
+    .single();
+
+  if (error) throw new Error(`Failed to create event: ${error.message}`);
+
+  try {
+    const plan = await loadEventPlan(source);
+    const shiftDate = (days) => addDays(targetDate, days ?? 0);
+
+    // Pre-assign IDs so dependencies and shifts can point at the new rows
+    const taskIds = new Map(plan.tasks.map(task => [task.id, crypto.randomUUID()]));
+    const roleIds = new Map(plan.roles.map(role => [role.id, crypto.randomUUID()]));
+
+    if (plan.tasks.length > 0) {
+      await insertRows('event_tasks', plan.tasks.map(task => ({
+        id: taskIds.get(task.id),
+        org_id: orgId,
+        event_id: event.id,
+        title: scrubPII(task.title),
+        description: scrubPII(task.description),
+        kind: task.kind,
+        status: 'todo',
+        due_offset_days: task.due_offset_days,
+        due_date: task.days_from_event === null ? null : shiftDate(task.days_from_event),
+        sort_order: task.sort_order,
+        created_by: userId
+      })));
+
+      await insertRows('event_task_dependencies', plan.dependencies.map(edge => ({
+        task_id: taskIds.get(edge.task_id),
+        depends_on_task_id: taskIds.get(edge.depends_on_task_id)
+      })));
+
+      await insertRows('event_task_checklist_items', plan.tasks.flatMap(task => task.checklist.map(item => ({
+        task_id: taskIds.get(task.id),
+        label: scrubPII(item.label),
+        sort_order: item.sort_order
+      }))));
+    }
+
+    await insertRows('event_volunteer_roles', plan.roles.map(role => ({
+      id: roleIds.get(role.id),
+      org_id: orgId,
+      event_id: event.id,
+      name: scrubPII(role.name),
+      description: scrubPII(role.description),
+      sort_order: role.sort_order,
+      created_by: userId
+    })));
+
+    await insertRows('volunteer_shifts', plan.roles.flatMap(role => role.shifts.map(shift => ({
+      org_id: orgId,
+      event_id: event.id,
+      role_id: roleIds.get(role.id),
+      shift_date: shiftDate(shift.days_from_event),
+      start_time: shift.start_time,
+      end_time: shift.end_time,
+      capacity: shift.capacity,
+      notes: scrubPII(shift.notes),
+      created_by: userId
+    }))));
+  } catch (err) {
+    // Don't leave a half-copied event behind; child rows cascade
+    await supabase.from('events').delete().eq('id', event.id);
+    throw err;
+  }
+
+  return event;
+}
+
+// Copy a shared fundraiser with the target date as its deadline
+async function cloneFundraiser(source, { orgId, userId, targetDate, title }) {
+  const { data, error } = await supabase
+    .from('fundraisers')
+    .insert([{
+      title,
+      description: scrubPII(source.description),
+      goal_amount: source.goal_amount,
+      deadline: targetDate,
+      share_public: false,
+      category: source.category,
+      fundraising_type: source.fundraising_type,
+      adopted_from_id: source.id,
+      org_id: orgId,
+      created_by: userId
+    }])
+    .select()
+    .single();
+
+  if (error) throw new Error(`Failed to create fundraiser: ${error.message}`);
+  return data;
+}
+
+async function insertRows(table, rows) {
+  if (rows.length === 0) return;
+  const { error } = await supabase.from(table).insert(rows);
+  if (error) throw new Error(`Failed to copy ${table}: ${error.message}`);
+}
+
 console.log('[template.js] Routes loaded successfully');
 export default router;
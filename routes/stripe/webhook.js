@@ -1,5 +1,6 @@
 import Stripe from 'stripe';
 import { supabase, verifySupabaseToken } from '../util/verifySupabaseToken.js';
+import { TICKET_ORDER_METADATA_TYPE, completeOrder, releaseOrder } from '../util/eventTickets.js';
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
@@ -23,6 +24,14 @@ export default async function webhookHandler(req, res) {
   try {
     switch (event.type) {
       case 'checkout.session.completed': {
+        // One-time event ticket payments; card payments are already paid here
+        if (data.metadata?.type === TICKET_ORDER_METADATA_TYPE) {
+          if (data.payment_status === 'paid') {
+            await completeOrder(data.metadata.order_id, { paymentIntentId: data.payment_intent });
+          }
+          break;
+        }
+
         const orgId = data.metadata.org_id;
         const customerId = data.customer;
         const subscriptionId = data.subscription;
@@ -76,6 +85,31 @@ export default async function webhookHandler(req, res) {
         break;
       }
 
+      case 'checkout.session.async_payment_succeeded': {
+        if (data.metadata?.type === TICKET_ORDER_METADATA_TYPE) {
+          await completeOrder(data.metadata.order_id, { paymentIntentId: data.payment_intent });
+        }
+        break;
+      }
+
+      case 'checkout.session.expired':
+      case 'checkout.session.async_payment_failed': {
+        // Release the tickets an abandoned or failed checkout was holding
+        if (data.metadata?.type === TICKET_ORDER_METADATA_TYPE) {
+          await releaseOrder({ id: data.metadata.order_id }, 'expired');
+        }
+        break;
+      }
+
+      case 'charge.refunded': {
+        // Partial refunds keep the tickets; only a full refund voids the order.
+        // Subscription charges have no matching order, so this is a no-op for them.
+        if (data.refunded && data.payment_intent) {
+          await releaseOrder({ stripe_payment_intent_id: data.payment_intent }, 'refunded');
+        }
+        break;
+      }
+
       default:
         console.log(`[webhook.js] Unhandled event type: ${event.type}`);
     }
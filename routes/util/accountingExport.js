@@ -0,0 +1,604 @@
+/**
+ * Exports to accounting software. Deposits (income transactions and
+ * donations), expenses paid from the bank, transfers between accounts and
+ * paid reimbursements are written as QuickBooks Desktop IIF, QuickBooks
+ * Online journal CSV or Xero manual journal CSV, so treasurers who keep
+ * their books in QuickBooks or Xero don't re-key them.
+ *
+ * Budget categories and bank accounts are mapped to accounts in the
+ * organization's own chart of accounts. A category without a mapping uses
+ * the mapping of a category with the same name from another fiscal year,
+ * then its PTO Connect ledger account.
+ *
+ * Each exported record is recorded once in accounting_export_items, so the
+ * next export only includes new records. Deleting an export releases them.
+ */
+
+import { supabase } from './verifySupabaseToken.js';
+import { ensureLedger, syncLedger, loadClearedTransactionIds } from './ledger.js';
+import { ensureBankAccounts } from './bankAccounts.js';
+import { ValidationError, ConflictError } from '../middleware/errorHandler.js';
+
+export const EXPORT_FORMATS = {
+  quickbooks_iif: { label: 'QuickBooks Desktop (IIF)', extension: 'iif' },
+  quickbooks_online_csv: { label: 'QuickBooks Online journal (CSV)', extension: 'csv' },
+  xero_csv: { label: 'Xero manual journal (CSV)', extension: 'csv' }
+};
+
+const REFERENCE_PREFIXES = {
+  transaction: 'TXN',
+  donation: 'DON',
+  reimbursement_payout: 'RMB',
+  account_transfer: 'TRF'
+};
+
+// Payouts cover expenses that aren't income or spending of their own
+const UNALLOCATED_MEMO = 'Not allocated to an expense';
+
+const ID_CHUNK_SIZE = 100;
+const INSERT_CHUNK_SIZE = 500;
+
+// =====================================================
+// ACCOUNT MAPPINGS
+// =====================================================
+
+/**
+ * Budget categories and bank accounts with the accounting software account
+ * each one exports to
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<Object>} { categories, bank_accounts }
+ */
+export const loadAccountMappings = async (orgId) => {
+  const resolver = await loadAccountResolver(orgId);
+
+  return {
+    categories: resolver.categories.map(category => ({
+      id: category.id,
+      name: category.name,
+      category_type: category.category_type,
+      fiscal_year: category.fiscal_year,
+      ...mappingView(resolver.mappings.category.get(category.id), resolver.category(category.id, category.category_type === 'revenue' ? 'other_income' : 'general_expense'))
+    })),
+    bank_accounts: resolver.bankAccounts.map(account => ({
+      id: account.id,
+      name: account.name,
+      is_default: account.is_default,
+      is_active: account.is_active,
+      ...mappingView(resolver.mappings.bank.get(account.id), resolver.bank(account.id))
+    }))
+  };
+};
+
+/**
+ * Set or clear account mappings. An empty account_name removes the mapping.
+ * @param {string} orgId - Organization ID
+ * @param {Object[]} mappings - [{ budget_category_id | bank_account_id, account_name, account_code }]
+ * @param {string} userId - User saving them
+ * @returns {Promise<Object>} { saved, removed }
+ */
+export const saveAccountMappings = async (orgId, mappings, userId) => {
+  if (!Array.isArray(mappings) || mappings.length === 0) {
+    throw new ValidationError('mappings must be a non-empty list', 'mappings');
+  }
+
+  const [categories, bankAccounts, existing] = await Promise.all([
+    loadRows(supabase.from('budget_categories').select('id').eq('org_id', orgId), 'budget categories'),
+    loadRows(supabase.from('bank_accounts').select('id').eq('org_id', orgId), 'bank accounts'),
+    loadRows(supabase.from('accounting_account_mappings').select('*').eq('org_id', orgId), 'account mappings')
+  ]);
+  const categoryIds = new Set(categories.map(category => category.id));
+  const bankAccountIds = new Set(bankAccounts.map(account => account.id));
+
+  const changes = mappings.map((mapping, index) => {
+    const field = `mappings[${index}]`;
+    if (Boolean(mapping.budget_category_id) === Boolean(mapping.bank_account_id)) {
+      throw new ValidationError('Each mapping needs either a budget_category_id or a bank_account_id', field);
+    }
+    if (mapping.budget_category_id && !categoryIds.has(mapping.budget_category_id)) {
+      throw new ValidationError('Budget category not found', `${field}.budget_category_id`);
+    }
+    if (mapping.bank_account_id && !bankAccountIds.has(mapping.bank_account_id)) {
+      throw new ValidationError('Bank account not found', `${field}.bank_account_id`);
+    }
+
+    const accountName = plainText(mapping.account_name);
+    const accountCode = plainText(mapping.account_code) || null;
+    if (accountName.length > 255) throw new ValidationError('account_name is too long', `${field}.account_name`);
+    if (accountCode && accountCode.length > 50) throw new ValidationError('account_code is too long', `${field}.account_code`);
+
+    const current = existing.find(row => mapping.budget_category_id
+      ? row.budget_category_id === mapping.budget_category_id
+      : row.bank_account_id === mapping.bank_account_id);
+    return { mapping, current, accountName, accountCode };
+  });
+
+  let saved = 0;
+  let removed = 0;
+  for (const { mapping, current, accountName, accountCode } of changes) {
+    let result;
+    if (!accountName) {
+      if (!current) continue;
+      result = await supabase.from('accounting_account_mappings').delete().eq('id', current.id);
+      removed += 1;
+    } else if (current) {
+      result = await supabase
+        .from('accounting_account_mappings')
+        .update({ account_name: accountName, account_code: accountCode })
+        .eq('id', current.id);
+      saved += 1;
+    } else {
+      result = await supabase
+        .from('accounting_account_mappings')
+        .insert([{
+          org_id: orgId,
+          budget_category_id: mapping.budget_category_id || null,
+          bank_account_id: mapping.bank_account_id || null,
+          account_name: accountName,
+          account_code: accountCode,
+          created_by: userId
+        }]);
+      saved += 1;
+    }
+
+    if (result.error) {
+      throw new Error(`Failed to save account mapping: ${result.error.message}`);
+    }
+  }
+
+  return { saved, removed };
+};
+
+// =====================================================
+// EXPORTS
+// =====================================================
+
+/**
+ * Validate an export period
+ * @param {Object} input - { from, to } (YYYY-MM-DD)
+ * @returns {Object} { from, to }
+ */
+export const parseExportRange = (input) => {
+  for (const field of ['from', 'to']) {
+    if (!input[field]) throw new ValidationError(`${field} is required`, field);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(input[field])) throw new ValidationError(`${field} must be YYYY-MM-DD`, field);
+  }
+  if (input.from > input.to) throw new ValidationError('from must be on or before to', 'from');
+  return { from: input.from, to: input.to };
+};
+
+/**
+ * Records in a period as they would be exported, with the accounts they
+ * post to
+ * @param {string} orgId - Organization ID
+ * @param {Object} range - { from, to } (YYYY-MM-DD)
+ * @param {Object} [options] - { includeExported: also list records already exported }
+ * @returns {Promise<Object>} { items, totals, unmapped, already_exported, changed_since_export }
+ */
+export const buildExportItems = async (orgId, range, { includeExported = false } = {}) => {
+  await syncLedger(orgId);
+  const resolver = await loadAccountResolver(orgId);
+  const cleared = await loadClearedTransactionIds(orgId);
+  const [transactions, donations, payouts, transfers] = await Promise.all([
+    loadRows(supabase
+      .from('transactions')
+      .select('id, amount, type, date, description, budget_category_id, expense_submission_id, approval_status, bank_account_id')
+      .eq('org_id', orgId)
+      .gte('date', range.from)
+      .lte('date', range.to), 'transactions'),
+    loadRows(supabase
+      .from('donations')
+      .select('id, amount, donation_date, donor_name, description, payment_method, bank_account_id')
+      .eq('org_id', orgId)
+      .eq('status', 'completed')
+      .eq('donation_type', 'monetary')
+      .gte('donation_date', range.from)
+      .lte('donation_date', range.to), 'donations'),
+    loadRows(supabase
+      .from('reimbursement_payouts')
+      .select('id, amount, paid_date, payee_name, payment_method, check_number, memo, bank_account_id')
+      .eq('org_id', orgId)
+      .eq('status', 'paid')
+      .gte('paid_date', range.from)
+      .lte('paid_date', range.to), 'reimbursement payouts'),
+    loadRows(supabase
+      .from('account_transfers')
+      .select('*')
+      .eq('org_id', orgId)
+      .gte('transfer_date', range.from)
+      .lte('transfer_date', range.to), 'transfers')
+  ]);
+
+  const payoutItems = await loadByIds('reimbursement_payout_items', 'payout_id', payouts.map(payout => payout.id), 'payout items');
+  const expenseIds = [...payoutItems.map(item => item.expense_submission_id), ...transactions.map(tx => tx.expense_submission_id)].filter(Boolean);
+  const expenses = await loadByIds('expense_submissions', 'id', [...new Set(expenseIds)], 'expense submissions');
+  const expensesById = new Map(expenses.map(expense => [expense.id, expense]));
+
+  const items = [];
+
+  for (const tx of transactions) {
+    if (tx.approval_status && tx.approval_status !== 'approved') continue;
+    // Each transfer is exported once, from its account_transfers row
+    if (tx.type === 'transfer') continue;
+    // Same rule as the ledger: the transaction approval created for a submission is a
+    // payment once it clears the bank, unless a reimbursement payout paid the submission
+    if (tx.expense_submission_id) {
+      if (!cleared.has(tx.id)) continue;
+      const expense = expensesById.get(tx.expense_submission_id);
+      if (expense?.status === 'approved' && expense.reimbursement_status === 'paid') continue;
+    }
+
+    const amount = toCents(Math.abs(Number(tx.amount)));
+    const direction = tx.type !== 'expense' && Number(tx.amount) >= 0 ? 'in' : 'out';
+    items.push(exportItem('transaction', tx.id, tx.date, {
+      kind: direction === 'in' ? 'deposit' : 'expense',
+      direction,
+      payee: '',
+      memo: tx.description,
+      amount,
+      bank: resolver.bank(tx.bank_account_id),
+      splits: [{ ...resolver.category(tx.budget_category_id, direction === 'in' ? 'other_income' : 'general_expense'), amount, memo: tx.description }]
+    }));
+  }
+
+  for (const donation of donations) {
+    const amount = toCents(donation.amount);
+    items.push(exportItem('donation', donation.id, donation.donation_date, {
+      kind: 'deposit',
+      direction: 'in',
+      payee: donation.donor_name,
+      memo: donation.description || `Donation from ${donation.donor_name}`,
+      amount,
+      bank: resolver.bank(donation.bank_account_id),
+      splits: [{ ...resolver.role('donation_income'), amount, memo: donation.description }]
+    }));
+  }
+
+  for (const payout of payouts) {
+    const amount = toCents(payout.amount);
+    const byAccount = new Map();
+    for (const item of payoutItems.filter(payoutItem => payoutItem.payout_id === payout.id)) {
+      const expense = expensesById.get(item.expense_submission_id);
+      const account = resolver.category(expense?.category_id, 'general_expense');
+      const key = `${account.name}|${account.code || ''}`;
+      const split = byAccount.get(key) || { ...account, amount: 0, memos: [] };
+      split.amount += toCents(item.amount);
+      if (expense) split.memos.push([expense.vendor_name, expense.description].filter(Boolean).join(' – '));
+      byAccount.set(key, split);
+    }
+    const splits = [...byAccount.values()].map(({ memos, ...split }) => ({ ...split, memo: memos.filter(Boolean).join('; ') }));
+
+    const allocated = splits.reduce((sum, split) => sum + split.amount, 0);
+    if (allocated !== amount) {
+      splits.push({ ...resolver.role('general_expense'), amount: amount - allocated, memo: UNALLOCATED_MEMO });
+    }
+
+    items.push(exportItem('reimbursement_payout', payout.id, payout.paid_date, {
+      kind: 'reimbursement',
+      direction: 'out',
+      payee: payout.payee_name,
+      memo: payout.memo || `Reimbursement to ${payout.payee_name}`,
+      check_number: payout.check_number,
+      amount,
+      bank: resolver.bank(payout.bank_account_id),
+      splits
+    }));
+  }
+
+  for (const transfer of transfers) {
+    const amount = toCents(transfer.amount);
+    const to = resolver.bank(transfer.to_account_id);
+    items.push(exportItem('account_transfer', transfer.id, transfer.transfer_date, {
+      kind: 'transfer',
+      direction: 'out',
+      payee: '',
+      memo: transfer.memo || `Transfer to ${to.name}`,
+      amount,
+      bank: resolver.bank(transfer.from_account_id),
+      splits: [{ ...to, amount, memo: transfer.memo }]
+    }));
+  }
+
+  const exported = await loadByIds('accounting_export_items', 'source_id', items.map(item => item.source_id), 'exported records');
+  const exportedByKey = new Map(exported
+    .filter(row => row.org_id === orgId)
+    .map(row => [`${row.source_type}|${row.source_id}`, row]));
+
+  const changedSinceExport = [];
+  for (const item of items) {
+    const previous = exportedByKey.get(`${item.source_type}|${item.source_id}`);
+    if (!previous) continue;
+    item.export_id = previous.export_id;
+    if (toCents(previous.amount) !== item.amount) {
+      changedSinceExport.push({
+        source_type: item.source_type,
+        source_id: item.source_id,
+        reference: item.reference,
+        export_id: previous.export_id,
+        exported_amount: Number(previous.amount),
+        amount: item.amount / 100
+      });
+    }
+  }
+
+  const selected = items
+    .filter(item => includeExported || !item.export_id)
+    .sort((a, b) => a.date.localeCompare(b.date) || a.reference.localeCompare(b.reference));
+
+  const unmapped = new Map();
+  for (const item of selected) {
+    for (const account of [item.bank, ...item.splits]) {
+      if (!account.mapped) unmapped.set(`${account.name}|${account.code || ''}`, { name: account.name, code: account.code, source: account.source });
+    }
+  }
+
+  return {
+    items: selected.map(item => ({
+      ...item,
+      amount: item.amount / 100,
+      splits: item.splits.map(split => ({ ...split, amount: split.amount / 100 }))
+    })),
+    totals: exportTotals(selected),
+    unmapped: [...unmapped.values()],
+    already_exported: items.filter(item => item.export_id).length,
+    changed_since_export: changedSinceExport
+  };
+};
+
+/**
+ * Record an export of everything in a period that hasn't been exported yet
+ * @param {string} orgId - Organization ID
+ * @param {Object} input - { format, from, to }
+ * @param {string} userId - User exporting
+ * @returns {Promise<Object>} accounting_exports row with unmapped accounts
+ */
+export const createAccountingExport = async (orgId, input, userId) => {
+  if (!EXPORT_FORMATS[input.format]) {
+    throw new ValidationError(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`, 'format');
+  }
+  const range = parseExportRange(input);
+
+  const { items, totals, unmapped } = await buildExportItems(orgId, range);
+  if (items.length === 0) {
+    throw new ValidationError(`Nothing left to export between ${range.from} and ${range.to}`, 'from');
+  }
+
+  const { data: record, error } = await supabase
+    .from('accounting_exports')
+    .insert([{
+      org_id: orgId,
+      export_format: input.format,
+      period_start: range.from,
+      period_end: range.to,
+      item_count: items.length,
+      money_in: totals.money_in,
+      money_out: totals.money_out,
+      exported_by: userId
+    }])
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to record accounting export: ${error.message}`);
+  }
+
+  const rows = items.map(item => ({
+    org_id: orgId,
+    export_id: record.id,
+    source_type: item.source_type,
+    source_id: item.source_id,
+    amount: item.amount
+  }));
+  for (let start = 0; start < rows.length; start += INSERT_CHUNK_SIZE) {
+    const { error: itemsError } = await supabase
+      .from('accounting_export_items')
+      .insert(rows.slice(start, start + INSERT_CHUNK_SIZE));
+
+    if (itemsError) {
+      await supabase.from('accounting_exports').delete().eq('id', record.id);
+      if (itemsError.code === '23505') {
+        throw new ConflictError('Some of these records were just exported by someone else; refresh and try again');
+      }
+      throw new Error(`Failed to record exported items: ${itemsError.message}`);
+    }
+  }
+
+  return { ...record, unmapped };
+};
+
+/**
+ * Render an export's file from the current state of its records
+ * @param {Object} record - accounting_exports row
+ * @returns {Promise<Buffer>}
+ */
+export const renderAccountingExport = async (record) => {
+  const exportedRows = await loadRows(supabase
+    .from('accounting_export_items')
+    .select('source_type, source_id')
+    .eq('export_id', record.id), 'exported records');
+  const keys = new Set(exportedRows.map(row => `${row.source_type}|${row.source_id}`));
+
+  const { items } = await buildExportItems(record.org_id, { from: record.period_start, to: record.period_end }, { includeExported: true });
+  const selected = items.filter(item => keys.has(`${item.source_type}|${item.source_id}`));
+
+  if (record.export_format === 'quickbooks_iif') return renderIif(selected);
+  if (record.export_format === 'quickbooks_online_csv') return renderQuickBooksOnlineCsv(selected);
+  return renderXeroCsv(selected);
+};
+
+// =====================================================
+// HELPER FUNCTIONS
+// =====================================================
+
+async function loadAccountResolver(orgId) {
+  const [ledger, bankAccounts, categories, mappings] = await Promise.all([
+    ensureLedger(orgId),
+    ensureBankAccounts(orgId),
+    loadRows(supabase
+      .from('budget_categories')
+      .select('id, name, category_type, fiscal_year, ledger_account_id')
+      .eq('org_id', orgId)
+      .order('fiscal_year', { ascending: false })
+      .order('name', { ascending: true }), 'budget categories'),
+    loadRows(supabase.from('accounting_account_mappings').select('*').eq('org_id', orgId), 'account mappings')
+  ]);
+
+  const ledgerAccounts = new Map(ledger.accounts.map(account => [account.id, account]));
+  const categoriesById = new Map(categories.map(category => [category.id, category]));
+  const byCategory = new Map(mappings.filter(mapping => mapping.budget_category_id).map(mapping => [mapping.budget_category_id, mapping]));
+  const byBank = new Map(mappings.filter(mapping => mapping.bank_account_id).map(mapping => [mapping.bank_account_id, mapping]));
+
+  // The same category in another fiscal year, newest first
+  const byCategoryName = new Map();
+  for (const category of categories) {
+    const key = `${category.category_type}|${category.name.toLowerCase()}`;
+    if (byCategory.has(category.id) && !byCategoryName.has(key)) byCategoryName.set(key, byCategory.get(category.id));
+  }
+
+  const fromLedger = (account, source) => ({ name: account.name, code: account.code, mapped: false, source });
+  const fromMapping = (mapping, source) => ({ name: mapping.account_name, code: mapping.account_code, mapped: true, source });
+  const role = (name) => fromLedger(ledger.roles[name], 'ledger');
+  const defaultBank = bankAccounts.find(account => account.is_default);
+
+  return {
+    categories,
+    bankAccounts,
+    mappings: { category: byCategory, bank: byBank },
+    role,
+    category(categoryId, fallbackRole) {
+      const category = categoriesById.get(categoryId);
+      if (!category) return role(fallbackRole);
+      if (byCategory.has(category.id)) return fromMapping(byCategory.get(category.id), 'mapping');
+      const sameName = byCategoryName.get(`${category.category_type}|${category.name.toLowerCase()}`);
+      if (sameName) return fromMapping(sameName, 'mapping');
+      const ledgerAccount = ledgerAccounts.get(category.ledger_account_id);
+      return ledgerAccount ? fromLedger(ledgerAccount, 'ledger') : role(fallbackRole);
+    },
+    bank(bankAccountId) {
+      const account = bankAccounts.find(row => row.id === bankAccountId) || defaultBank;
+      if (byBank.has(account.id)) return fromMapping(byBank.get(account.id), 'mapping');
+      return { name: account.name, code: ledgerAccounts.get(account.ledger_account_id)?.code || null, mapped: false, source: 'bank_account' };
+    }
+  };
+}
+
+function mappingView(mapping, resolved) {
+  return {
+    account_name: mapping?.account_name || null,
+    account_code: mapping?.account_code || null,
+    exports_to: { name: resolved.name, code: resolved.code, mapped: resolved.mapped }
+  };
+}
+
+function exportItem(sourceType, sourceId, date, values) {
+  return {
+    source_type: sourceType,
+    source_id: sourceId,
+    reference: `${REFERENCE_PREFIXES[sourceType]}-${sourceId.slice(0, 8)}`,
+    date,
+    check_number: null,
+    ...values,
+    payee: plainText(values.payee),
+    memo: plainText(values.memo),
+    splits: values.splits.map(split => ({ ...split, memo: plainText(split.memo) }))
+  };
+}
+
+function exportTotals(items) {
+  const sum = (direction) => items
+    .filter(item => item.kind !== 'transfer' && item.direction === direction)
+    .reduce((total, item) => total + item.amount, 0) / 100;
+  return { count: items.length, money_in: sum('in'), money_out: sum('out') };
+}
+
+// QuickBooks Desktop: a TRNS line for the bank side and an SPL line per account, tab separated
+function renderIif(items) {
+  const lines = [
+    ['!TRNS', 'TRNSID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'],
+    ['!SPL', 'SPLID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'],
+    ['!ENDTRNS']
+  ];
+  for (const item of items) {
+    const type = item.kind === 'transfer' ? 'TRANSFER' : item.direction === 'in' ? 'DEPOSIT' : 'CHECK';
+    const sign = item.direction === 'in' ? 1 : -1;
+    const date = usDate(item.date);
+    const docNumber = item.check_number || item.reference;
+    lines.push(['TRNS', '', type, date, item.bank.name, item.payee, money(sign * item.amount), docNumber, item.memo]);
+    for (const split of item.splits) {
+      lines.push(['SPL', '', type, date, split.name, item.payee, money(-sign * split.amount), docNumber, split.memo || item.memo]);
+    }
+    lines.push(['ENDTRNS']);
+  }
+  return Buffer.from(lines.map(line => line.map(plainText).join('\t')).join('\r\n') + '\r\n', 'utf8');
+}
+
+// QuickBooks Online: one journal entry per record, lines grouped by JournalNo
+function renderQuickBooksOnlineCsv(items) {
+  const rows = [['JournalNo', 'JournalDate', 'AccountName', 'Debits', 'Credits', 'Description', 'Name']];
+  for (const item of items) {
+    const date = usDate(item.date);
+    const bankLine = (amount) => (item.direction === 'in' ? [money(amount), ''] : ['', money(amount)]);
+    const splitLine = (amount) => (item.direction === 'in' ? ['', money(amount)] : [money(amount), '']);
+    rows.push([item.reference, date, item.bank.name, ...bankLine(item.amount), item.memo, item.payee]);
+    for (const split of item.splits) {
+      rows.push([item.reference, date, split.name, ...splitLine(split.amount), split.memo || item.memo, item.payee]);
+    }
+  }
+  return toCsv(rows);
+}
+
+// Xero: lines with the same narration and date form one journal; debits positive, credits negative
+function renderXeroCsv(items) {
+  const rows = [['*Narration', '*Date', 'Description', '*AccountCode', '*TaxRate', '*Amount']];
+  for (const item of items) {
+    const narration = [item.reference, item.payee || item.memo].filter(Boolean).join(' ');
+    const date = usDate(item.date);
+    const sign = item.direction === 'in' ? 1 : -1;
+    rows.push([narration, date, item.memo, item.bank.code || item.bank.name, 'Tax Exempt', money(sign * item.amount)]);
+    for (const split of item.splits) {
+      rows.push([narration, date, split.memo || item.memo, split.code || split.name, 'Tax Exempt', money(-sign * split.amount)]);
+    }
+  }
+  return toCsv(rows);
+}
+
+function toCsv(rows) {
+  const cell = (value) => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return Buffer.from(rows.map(row => row.map(cell).join(',')).join('\r\n') + '\r\n', 'utf8');
+}
+
+function usDate(date) {
+  const [year, month, day] = date.split('-');
+  return `${month}/${day}/${year}`;
+}
+
+function money(amount) {
+  return amount.toFixed(2);
+}
+
+// Tabs, line breaks and double quotes break IIF lines
+function plainText(value) {
+  return String(value ?? '').replace(/"/g, '\'').replace(/[\t\r\n]+/g, ' ').trim();
+}
+
+async function loadRows(query, label) {
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Failed to fetch ${label}: ${error.message}`);
+  }
+  return data;
+}
+
+async function loadByIds(table, column, ids, label) {
+  const rows = [];
+  for (let start = 0; start < ids.length; start += ID_CHUNK_SIZE) {
+    rows.push(...await loadRows(supabase.from(table).select('*').in(column, ids.slice(start, start + ID_CHUNK_SIZE)), label));
+  }
+  return rows;
+}
+
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
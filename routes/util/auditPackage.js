@@ -0,0 +1,421 @@
+/**
+ * Audit package: what the audit committee asks for over a date range, in
+ * one ZIP archive:
+ *   ledger.xlsx          - every transaction with its approvers and receipt
+ *                          files, and the journal entries behind them
+ *   approval-trails.xlsx - each expense's approval steps and history
+ *   receipts/            - receipt files from the expense-receipts bucket,
+ *                          named by date and transaction reference
+ *   reconciliations/     - bank reconciliation reports for months in the range
+ *   manifest.json        - contents with SHA-256 checksums, and any receipts
+ *                          that could not be included
+ *   SHA256SUMS           - the same checksums, for `sha256sum -c`
+ *
+ * Callers should run syncLedger first so the journal is current.
+ */
+
+import crypto from 'crypto';
+import { supabase } from './verifySupabaseToken.js';
+import { fiscalYearRange } from './fiscalYear.js';
+import { listEntries } from './ledger.js';
+import { ensureBankAccounts } from './bankAccounts.js';
+import { buildReconciliationReport, renderReconciliationReport } from './reconciliationReport.js';
+import { renderWorkbook } from './reportExport.js';
+import { createZip } from './zipArchive.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+
+const RECEIPT_BUCKET = 'expense-receipts';
+
+// A year of receipts is what an annual audit needs; longer ranges get too big to build in memory
+const MAX_RANGE_DAYS = 366;
+
+// Keeps .in() filters to a reasonable URL length
+const ID_CHUNK_SIZE = 100;
+
+/**
+ * Resolve the date range of an audit package
+ * @param {string} orgId - Organization ID
+ * @param {Object} input - { from, to (YYYY-MM-DD) } or { fiscal_year }
+ * @returns {Promise<Object>} { from, to }
+ */
+export const resolveAuditRange = async (orgId, input) => {
+  if (input.fiscal_year) {
+    const fiscalYear = parseInt(input.fiscal_year);
+    if (isNaN(fiscalYear)) throw new ValidationError('fiscal_year must be a year', 'fiscal_year');
+    const range = await fiscalYearRange(orgId, fiscalYear);
+    return { from: range.start, to: range.end };
+  }
+
+  for (const field of ['from', 'to']) {
+    if (!input[field]) throw new ValidationError(`${field} is required (or give a fiscal_year)`, field);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(input[field])) throw new ValidationError(`${field} must be YYYY-MM-DD`, field);
+  }
+  if (input.from > input.to) throw new ValidationError('from must be on or before to', 'from');
+
+  const days = (Date.parse(input.to) - Date.parse(input.from)) / (24 * 60 * 60 * 1000) + 1;
+  if (days > MAX_RANGE_DAYS) {
+    throw new ValidationError(`An audit package can cover at most ${MAX_RANGE_DAYS} days`, 'to');
+  }
+  return { from: input.from, to: input.to };
+};
+
+/**
+ * Build the audit package for a date range
+ * @param {string} orgId - Organization ID
+ * @param {Object} range - { from, to } from resolveAuditRange
+ * @param {string} userId - User requesting it
+ * @returns {Promise<Object>} { archive (Buffer), manifest }
+ */
+export const buildAuditPackage = async (orgId, range, userId) => {
+  const bankAccounts = await ensureBankAccounts(orgId);
+  const [organization, expenses, transactions, entries, reconciliations] = await Promise.all([
+    supabase.from('organizations').select('id, name').eq('id', orgId).maybeSingle(),
+    loadRows(supabase
+      .from('expense_submissions')
+      .select('*')
+      .eq('org_id', orgId)
+      .eq('status', 'approved')
+      .gte('expense_date', range.from)
+      .lte('expense_date', range.to)
+      .order('expense_date', { ascending: true }), 'expense submissions'),
+    loadRows(supabase
+      .from('transactions')
+      .select('*')
+      .eq('org_id', orgId)
+      .gte('date', range.from)
+      .lte('date', range.to)
+      .order('date', { ascending: true }), 'transactions'),
+    listEntries(orgId, { from: range.from, to: range.to }),
+    loadRows(supabase
+      .from('reconciliations')
+      .select('*')
+      .eq('org_id', orgId)
+      .gte('year', Number(range.from.slice(0, 4)))
+      .lte('year', Number(range.to.slice(0, 4))), 'reconciliations')
+  ]);
+
+  if (organization.error) {
+    throw new Error(`Failed to fetch organization: ${organization.error.message}`);
+  }
+
+  const expenseIds = expenses.map(expense => expense.id);
+  const [steps, history, categories] = await Promise.all([
+    loadByIds('expense_approval_steps', 'expense_id', expenseIds, 'approval steps'),
+    loadByIds('expense_approval_history', 'expense_id', expenseIds, 'approval history'),
+    loadByIds('budget_categories', 'id', [...new Set(expenses.map(expense => expense.category_id).concat(transactions.map(tx => tx.budget_category_id)).filter(Boolean))], 'budget categories')
+  ]);
+
+  const monthsInRange = reconciliations.filter(reconciliation => {
+    const month = `${reconciliation.year}-${String(reconciliation.month).padStart(2, '0')}`;
+    return month >= range.from.slice(0, 7) && month <= range.to.slice(0, 7);
+  });
+
+  const names = await loadNames([
+    ...expenses.flatMap(expense => [expense.submitted_by, expense.approved_by]),
+    ...transactions.flatMap(tx => [tx.created_by, tx.approved_by]),
+    ...steps.map(step => step.decided_by),
+    ...history.map(event => event.actor_id),
+    ...monthsInRange.flatMap(reconciliation => [reconciliation.prepared_by, reconciliation.reviewed_by])
+  ]);
+  const nameOf = (id) => (id ? names[id] || id : '');
+  const categoryNames = new Map(categories.map(category => [category.id, category.name]));
+  const accountNames = new Map(bankAccounts.map(account => [account.id, account.name]));
+  const defaultAccount = bankAccounts.find(account => account.is_default);
+
+  const files = [];
+  const receiptsNotIncluded = [];
+  const withoutReceipts = [];
+  const rows = [];
+
+  // Expense submissions, with every approver on their trail
+  for (const expense of expenses) {
+    const reference = `EXP-${expense.id.slice(0, 8)}`;
+    const approvers = [...new Set(history
+      .filter(event => event.expense_id === expense.id && event.action === 'approved')
+      .map(event => nameOf(event.actor_id)))];
+    if (approvers.length === 0 && expense.approved_by) approvers.push(nameOf(expense.approved_by));
+
+    const receiptFiles = [];
+    const receipts = Array.isArray(expense.receipt_images) ? expense.receipt_images : [];
+    for (const [index, receipt] of receipts.entries()) {
+      const file = await fetchReceipt(receipt.path || receipt.url, receipt.filename, expense.expense_date, reference, index);
+      if (file.error) {
+        receiptsNotIncluded.push({ reference, filename: receipt.filename || null, reason: file.error });
+        continue;
+      }
+      files.push({ name: file.name, data: file.data, description: `Receipt for ${reference}` });
+      receiptFiles.push(file.name);
+    }
+    if (receipts.length === 0) withoutReceipts.push(reference);
+
+    rows.push({
+      reference,
+      date: expense.expense_date,
+      type: 'expense',
+      description: [expense.vendor_name, expense.description].filter(Boolean).join(' – '),
+      category: categoryNames.get(expense.category_id) || '',
+      account: '',
+      amount: -Math.abs(Number(expense.amount)),
+      status: expense.status,
+      submitted_by: nameOf(expense.submitted_by),
+      approved_by: approvers.join(', '),
+      approved_at: expense.approved_at ? String(expense.approved_at).slice(0, 10) : '',
+      receipts: receiptFiles.join(', '),
+      source_id: expense.id
+    });
+  }
+
+  // Transactions recorded directly; a submission's linked transaction is already listed above
+  for (const tx of transactions.filter(tx => !tx.expense_submission_id)) {
+    const reference = `TXN-${tx.id.slice(0, 8)}`;
+    const receiptFiles = [];
+    if (tx.receipt_url) {
+      const file = await fetchReceipt(tx.receipt_url, null, tx.date, reference, 0);
+      if (file.error) {
+        receiptsNotIncluded.push({ reference, filename: tx.receipt_url, reason: file.error });
+      } else {
+        files.push({ name: file.name, data: file.data, description: `Receipt for ${reference}` });
+        receiptFiles.push(file.name);
+      }
+    } else if (tx.type === 'expense') {
+      withoutReceipts.push(reference);
+    }
+
+    const amount = Math.abs(Number(tx.amount));
+    rows.push({
+      reference,
+      date: tx.date,
+      type: tx.type,
+      description: tx.description || '',
+      category: categoryNames.get(tx.budget_category_id) || tx.category || '',
+      account: accountNames.get(tx.bank_account_id) || defaultAccount?.name || '',
+      amount: tx.type === 'income' || (tx.type === 'transfer' && Number(tx.amount) > 0) ? amount : -amount,
+      status: tx.approval_status || 'approved',
+      submitted_by: nameOf(tx.created_by),
+      approved_by: nameOf(tx.approved_by),
+      approved_at: '',
+      receipts: receiptFiles.join(', '),
+      source_id: tx.id
+    });
+  }
+  rows.sort((a, b) => a.date.localeCompare(b.date) || a.reference.localeCompare(b.reference));
+
+  const references = new Map(expenses.map(expense => [expense.id, `EXP-${expense.id.slice(0, 8)}`]));
+  files.unshift(
+    {
+      name: 'ledger.xlsx',
+      description: 'Every transaction with its approvers and receipt files, and the journal entries',
+      data: await renderWorkbook([
+        {
+          name: 'Transactions',
+          columns: [
+            { header: 'Reference', key: 'reference', width: 14 },
+            { header: 'Date', key: 'date', width: 12 },
+            { header: 'Type', key: 'type', width: 10 },
+            { header: 'Description', key: 'description', width: 40 },
+            { header: 'Category', key: 'category', width: 20 },
+            { header: 'Account', key: 'account', width: 16 },
+            { header: 'Amount', key: 'amount', width: 14, money: true },
+            { header: 'Status', key: 'status', width: 12 },
+            { header: 'Submitted by', key: 'submitted_by', width: 20 },
+            { header: 'Approved by', key: 'approved_by', width: 24 },
+            { header: 'Approved', key: 'approved_at', width: 12 },
+            { header: 'Receipt files', key: 'receipts', width: 40 },
+            { header: 'Record ID', key: 'source_id', width: 38 }
+          ],
+          rows
+        },
+        {
+          name: 'Journal',
+          columns: [
+            { header: 'Date', key: 'entry_date', width: 12 },
+            { header: 'Entry', key: 'entry_id', width: 38 },
+            { header: 'Memo', key: 'memo', width: 40 },
+            { header: 'Source', key: 'source_type', width: 20 },
+            { header: 'Account code', key: 'account_code', width: 12 },
+            { header: 'Account', key: 'account_name', width: 28 },
+            { header: 'Fund', key: 'fund_name', width: 20 },
+            { header: 'Debit', key: 'debit', width: 14, money: true },
+            { header: 'Credit', key: 'credit', width: 14, money: true }
+          ],
+          rows: entries
+            .slice()
+            .reverse()
+            .flatMap(entry => entry.lines.map(line => ({
+              entry_date: entry.entry_date,
+              entry_id: entry.id,
+              memo: line.memo || entry.memo,
+              source_type: entry.source_type,
+              account_code: line.account_code,
+              account_name: line.account_name,
+              fund_name: line.fund_name,
+              debit: line.debit || null,
+              credit: line.credit || null
+            })))
+        }
+      ])
+    },
+    {
+      name: 'approval-trails.xlsx',
+      description: 'Approval steps and history of each expense',
+      data: await renderWorkbook([
+        {
+          name: 'Steps',
+          columns: [
+            { header: 'Reference', key: 'reference', width: 14 },
+            { header: 'Round', key: 'approval_round', width: 8 },
+            { header: 'Step', key: 'step_order', width: 6 },
+            { header: 'Name', key: 'step_name', width: 28 },
+            { header: 'Status', key: 'status', width: 12 },
+            { header: 'Decided by', key: 'decided_by', width: 24 },
+            { header: 'Decided', key: 'decided_at', width: 22 },
+            { header: 'Escalated', key: 'escalated_at', width: 22 },
+            { header: 'Notes', key: 'notes', width: 40 }
+          ],
+          rows: steps
+            .map(step => ({
+              ...step,
+              reference: references.get(step.expense_id),
+              approval_round: step.approval_round || 0,
+              decided_by: nameOf(step.decided_by)
+            }))
+            .sort((a, b) => a.reference.localeCompare(b.reference) || a.approval_round - b.approval_round || a.step_order - b.step_order)
+        },
+        {
+          name: 'Approval History',
+          columns: [
+            { header: 'Reference', key: 'reference', width: 14 },
+            { header: 'When', key: 'created_at', width: 22 },
+            { header: 'Action', key: 'action', width: 14 },
+            { header: 'By', key: 'actor', width: 24 },
+            { header: 'Notes', key: 'notes', width: 50 }
+          ],
+          rows: history
+            .map(event => ({ ...event, reference: references.get(event.expense_id), actor: nameOf(event.actor_id) }))
+            .sort((a, b) => a.reference.localeCompare(b.reference) || String(a.created_at).localeCompare(String(b.created_at)))
+        }
+      ])
+    }
+  );
+
+  for (const reconciliation of monthsInRange) {
+    const report = reconciliation.status !== 'in_progress' && reconciliation.report
+      ? reconciliation.report
+      : await buildReconciliationReport(reconciliation);
+    const account = accountNames.get(reconciliation.bank_account_id) || defaultAccount?.name || 'account';
+    const month = `${reconciliation.year}-${String(reconciliation.month).padStart(2, '0')}`;
+    files.push({
+      name: `reconciliations/${month}-${slugify(account)}.pdf`,
+      description: `Bank reconciliation, ${account}, ${month} (${reconciliation.status.replace('_', ' ')})`,
+      data: await renderReconciliationReport(report, reconciliation, names)
+    });
+  }
+
+  const generatedAt = new Date();
+  const manifest = {
+    organization: { id: orgId, name: organization.data?.name || null },
+    period: range,
+    generated_at: generatedAt.toISOString(),
+    generated_by: nameOf(userId),
+    counts: {
+      transactions: rows.length,
+      receipts: files.filter(file => file.name.startsWith('receipts/')).length,
+      receipts_not_included: receiptsNotIncluded.length,
+      transactions_without_receipts: withoutReceipts.length,
+      journal_entries: entries.length,
+      reconciliations: monthsInRange.length
+    },
+    files: files.map(file => ({
+      path: file.name,
+      bytes: file.data.length,
+      sha256: sha256(file.data),
+      description: file.description
+    })),
+    receipts_not_included: receiptsNotIncluded,
+    transactions_without_receipts: withoutReceipts
+  };
+
+  const archive = createZip([
+    ...files.map(file => ({ name: file.name, data: file.data, date: generatedAt })),
+    { name: 'manifest.json', data: JSON.stringify(manifest, null, 2), date: generatedAt },
+    { name: 'SHA256SUMS', data: manifest.files.map(file => `${file.sha256}  ${file.path}`).join('\n') + '\n', date: generatedAt }
+  ]);
+
+  return { archive, manifest };
+};
+
+// =====================================================
+// HELPER FUNCTIONS
+// =====================================================
+
+async function loadRows(query, label) {
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Failed to fetch ${label}: ${error.message}`);
+  }
+  return data;
+}
+
+async function loadByIds(table, column, ids, label) {
+  const rows = [];
+  for (let start = 0; start < ids.length; start += ID_CHUNK_SIZE) {
+    rows.push(...await loadRows(supabase.from(table).select('*').in(column, ids.slice(start, start + ID_CHUNK_SIZE)), label));
+  }
+  return rows;
+}
+
+async function loadNames(userIds) {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  const names = {};
+  for (let start = 0; start < ids.length; start += ID_CHUNK_SIZE) {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('id, first_name, last_name, full_name')
+      .in('id', ids.slice(start, start + ID_CHUNK_SIZE));
+
+    if (error) return names;
+    for (const profile of data) {
+      names[profile.id] = profile.full_name || [profile.first_name, profile.last_name].filter(Boolean).join(' ') || profile.id;
+    }
+  }
+  return names;
+}
+
+// Download one receipt from storage; returns { name, data } or { error }
+async function fetchReceipt(location, filename, date, reference, index) {
+  const path = receiptStoragePath(location);
+  if (!path) return { error: 'Not stored in the expense-receipts bucket' };
+
+  try {
+    const { data, error } = await supabase.storage.from(RECEIPT_BUCKET).download(path);
+    if (error) return { error: error.message };
+
+    const extension = (filename || path).split('.').pop().toLowerCase().replace(/[^a-z0-9]/g, '') || 'bin';
+    return {
+      name: `receipts/${date}_${reference}${index > 0 ? `-${index + 1}` : ''}.${extension}`,
+      data: Buffer.from(await data.arrayBuffer())
+    };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+// Receipts are stored by their public URL (.../object/public/expense-receipts/<path>) or by path
+function receiptStoragePath(location) {
+  if (!location) return null;
+  const value = String(location);
+  if (!/^https?:\/\//i.test(value)) return value.replace(/^\/+/, '');
+
+  const marker = `/${RECEIPT_BUCKET}/`;
+  const at = value.indexOf(marker);
+  if (at === -1) return null;
+  return decodeURIComponent(value.slice(at + marker.length).split('?')[0]);
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function slugify(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'account';
+}
@@ -0,0 +1,593 @@
+/**
+ * Bank and payment accounts: checking, savings, a PayPal balance, a cash
+ * box. Each account has its own asset account in the ledger; the default
+ * account uses the ledger's Operating Bank Account. Transactions, donations,
+ * payouts and reconciliations without an account belong to the default.
+ *
+ * A transfer is stored in account_transfers and as two 'transfer'
+ * transactions, one per account, so each side shows up in that account's
+ * reconciliation. Transfers are not income or expenses.
+ *
+ * Balances and registers are read from the ledger, so callers should run
+ * syncLedger first.
+ */
+
+import { supabase } from './verifySupabaseToken.js';
+import { assertAccountDatesOpen } from './fiscalYear.js';
+import { ensureLedger, createAccount, loadAccountLines } from './ledger.js';
+import { renderPdf, pdfHeading, pdfTable, renderWorkbook, formatMoney } from './reportExport.js';
+import { ValidationError, ConflictError } from '../middleware/errorHandler.js';
+
+export const ACCOUNT_KINDS = ['checking', 'savings', 'paypal', 'cash', 'other'];
+
+// Also the account name fiscal year closes recorded before accounts existed
+export const DEFAULT_ACCOUNT_NAME = 'Operating';
+
+// Ledger codes for new accounts: 1010, 1020, ... after the Operating Bank Account
+const LEDGER_CODE_START = 1010;
+const LEDGER_CODE_STEP = 10;
+
+/**
+ * Bank accounts for an organization, creating the default account (tied to
+ * the ledger's bank account) the first time they are used
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<Object[]>} bank_accounts rows, default first
+ */
+export const ensureBankAccounts = async (orgId) => {
+  let accounts = await loadBankAccounts(orgId);
+  if (!accounts.some(account => account.is_default)) {
+    const { roles } = await ensureLedger(orgId);
+    const taken = accounts.some(account => account.name === DEFAULT_ACCOUNT_NAME);
+
+    const { error } = await supabase
+      .from('bank_accounts')
+      .insert([{
+        org_id: orgId,
+        name: taken ? `${DEFAULT_ACCOUNT_NAME} (default)` : DEFAULT_ACCOUNT_NAME,
+        account_kind: 'checking',
+        ledger_account_id: roles.bank.id,
+        is_default: true
+      }]);
+
+    if (error) {
+      throw new Error(`Failed to create the default bank account: ${error.message}`);
+    }
+    accounts = await loadBankAccounts(orgId);
+  }
+  return accounts;
+};
+
+/**
+ * The account a record belongs to
+ * @param {string} orgId - Organization ID
+ * @param {string} bankAccountId - Account ID, or empty for the default
+ * @param {string} [field] - Field name for validation errors
+ * @returns {Promise<Object>} bank_accounts row
+ */
+export const resolveBankAccount = async (orgId, bankAccountId, field = 'bank_account_id') => {
+  const accounts = await ensureBankAccounts(orgId);
+  if (!bankAccountId) return accounts.find(account => account.is_default);
+
+  const account = accounts.find(a => a.id === bankAccountId);
+  if (!account || !account.is_active) {
+    throw new ValidationError('Bank account not found in your organization', field);
+  }
+  return account;
+};
+
+/**
+ * The account a saved record (a reconciliation, a payout) belongs to, active
+ * or not
+ * @param {string} orgId - Organization ID
+ * @param {string|null} bankAccountId - The record's bank_account_id
+ * @returns {Promise<Object|null>} bank_accounts row, the default when empty
+ */
+export const findBankAccount = async (orgId, bankAccountId) => {
+  const accounts = await ensureBankAccounts(orgId);
+  return accounts.find(account => (bankAccountId ? account.id === bankAccountId : account.is_default)) || null;
+};
+
+/**
+ * Whether a record's bank_account_id places it in an account. Records
+ * without one belong to the default account.
+ * @param {Object} account - bank_accounts row
+ * @param {string|null} bankAccountId - The record's bank_account_id
+ * @returns {boolean}
+ */
+export const belongsToAccount = (account, bankAccountId) =>
+  bankAccountId ? bankAccountId === account.id : Boolean(account.is_default);
+
+/**
+ * Add a bank account with its own ledger asset account
+ * @param {string} orgId - Organization ID
+ * @param {Object} input - { name, account_kind, institution, account_number_last4, opening_balance, opening_date }
+ * @param {string} userId - User adding it
+ * @returns {Promise<Object>} bank_accounts row
+ */
+export const createBankAccount = async (orgId, input, userId) => {
+  const accounts = await ensureBankAccounts(orgId);
+  const values = normalizeBankAccount(input);
+  if (!values.name) throw new ValidationError('Account name is required', 'name');
+  assertNameAvailable(accounts, values.name);
+
+  // A new account has no reconciliations yet, so only closed fiscal years apply
+  if (values.opening_balance) {
+    await assertAccountDatesOpen(orgId, [], values.opening_date || new Date().toISOString().slice(0, 10));
+  }
+
+  const { accounts: ledgerAccounts } = await ensureLedger(orgId);
+  const taken = new Set(ledgerAccounts.map(account => account.code));
+  let code = LEDGER_CODE_START;
+  while (taken.has(String(code))) code += LEDGER_CODE_STEP;
+
+  const ledgerAccount = await createAccount(orgId, {
+    code: String(code),
+    name: values.name,
+    account_type: 'asset',
+    description: `Bank account: ${values.account_kind || 'checking'}`
+  }, userId);
+
+  const { data: account, error } = await supabase
+    .from('bank_accounts')
+    .insert([{ account_kind: 'checking', ...values, org_id: orgId, ledger_account_id: ledgerAccount.id, created_by: userId }])
+    .select('*')
+    .single();
+
+  if (error) {
+    await supabase.from('ledger_accounts').delete().eq('id', ledgerAccount.id);
+    throw new Error(`Failed to create bank account: ${error.message}`);
+  }
+  return account;
+};
+
+/**
+ * Update a bank account. Its ledger account is renamed with it. The default
+ * account, and accounts that still hold money, can't be deactivated.
+ * @param {Object} account - bank_accounts row
+ * @param {Object} input - { name, account_kind, institution, account_number_last4, opening_balance, opening_date, is_active }
+ * @returns {Promise<Object>} Updated row
+ */
+export const updateBankAccount = async (account, input) => {
+  const values = normalizeBankAccount(input);
+
+  if (values.name !== undefined) {
+    if (!values.name) throw new ValidationError('Account name is required', 'name');
+    if (values.name !== account.name) assertNameAvailable(await loadBankAccounts(account.org_id), values.name);
+  }
+
+  // The opening balance is posted on the opening date, so both are books history
+  const openingChanged = (values.opening_balance !== undefined && toCents(values.opening_balance) !== toCents(account.opening_balance)) ||
+    (values.opening_date !== undefined && values.opening_date !== account.opening_date);
+  if (openingChanged) {
+    const created = String(account.created_at).slice(0, 10);
+    await assertAccountDatesOpen(account.org_id, [account.id], account.opening_date || created, values.opening_date || created);
+  }
+
+  if (input.is_active !== undefined) {
+    values.is_active = Boolean(input.is_active);
+    if (!values.is_active && account.is_default) {
+      throw new ConflictError('The default account cannot be deactivated');
+    }
+    if (!values.is_active && account.is_active) {
+      const [balance] = await buildAccountBalances(account.org_id, [account]);
+      if (balance.balance !== 0) {
+        throw new ConflictError(`This account still holds ${formatMoney(balance.balance)}; transfer it out before deactivating`);
+      }
+    }
+  }
+
+  const { data: updated, error } = await supabase
+    .from('bank_accounts')
+    .update(values)
+    .eq('id', account.id)
+    .eq('org_id', account.org_id)
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to update bank account: ${error.message}`);
+  }
+
+  if (values.name && values.name !== account.name && account.ledger_account_id) {
+    const { error: ledgerError } = await supabase
+      .from('ledger_accounts')
+      .update({ name: values.name })
+      .eq('id', account.ledger_account_id)
+      .eq('org_id', account.org_id);
+
+    if (ledgerError) {
+      console.warn(`⚠️ Failed to rename ledger account for bank account ${account.id}:`, ledgerError.message);
+    }
+  }
+  return updated;
+};
+
+/**
+ * Move money between two accounts
+ * @param {string} orgId - Organization ID
+ * @param {Object} input - { from_account_id, to_account_id, amount, transfer_date, memo }
+ * @param {string} userId - User recording it
+ * @returns {Promise<Object>} account_transfers row with its two transactions
+ */
+export const createTransfer = async (orgId, input, userId) => {
+  if (!input.from_account_id) throw new ValidationError('Choose the account the money comes from', 'from_account_id');
+  if (!input.to_account_id) throw new ValidationError('Choose the account the money goes to', 'to_account_id');
+
+  const from = await resolveBankAccount(orgId, input.from_account_id, 'from_account_id');
+  const to = await resolveBankAccount(orgId, input.to_account_id, 'to_account_id');
+  if (from.id === to.id) {
+    throw new ValidationError('A transfer needs two different accounts', 'to_account_id');
+  }
+
+  const amount = Math.round(Number(input.amount) * 100) / 100;
+  if (isNaN(amount) || amount <= 0) {
+    throw new ValidationError('Amount must be a positive number', 'amount');
+  }
+
+  const transferDate = String(input.transfer_date || '');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(transferDate)) {
+    throw new ValidationError('transfer_date must be YYYY-MM-DD', 'transfer_date');
+  }
+  if (transferDate > new Date().toISOString().slice(0, 10)) {
+    throw new ValidationError('Transfers cannot be dated in the future', 'transfer_date');
+  }
+  await assertAccountDatesOpen(orgId, [from.id, to.id], transferDate);
+
+  const memo = input.memo ? String(input.memo).trim() : null;
+  const { data: transfer, error } = await supabase
+    .from('account_transfers')
+    .insert([{
+      org_id: orgId,
+      from_account_id: from.id,
+      to_account_id: to.id,
+      amount,
+      transfer_date: transferDate,
+      memo,
+      created_by: userId
+    }])
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create transfer: ${error.message}`);
+  }
+
+  const side = (account, sideAmount, description) => ({
+    org_id: orgId,
+    description: memo ? `${description} – ${memo}` : description,
+    amount: sideAmount,
+    type: 'transfer',
+    category: 'Transfer',
+    date: transferDate,
+    approval_status: 'approved',
+    bank_account_id: account.id,
+    transfer_id: transfer.id,
+    created_by: userId
+  });
+
+  const { data: transactions, error: transactionError } = await supabase
+    .from('transactions')
+    .insert([
+      side(from, -amount, `Transfer to ${to.name}`),
+      side(to, amount, `Transfer from ${from.name}`)
+    ])
+    .select('*');
+
+  if (transactionError) {
+    await supabase.from('account_transfers').delete().eq('id', transfer.id);
+    throw new Error(`Failed to record transfer transactions: ${transactionError.message}`);
+  }
+
+  return { ...transfer, from_account_name: from.name, to_account_name: to.name, transactions };
+};
+
+/**
+ * Delete a transfer and its two transactions. Not allowed once either side
+ * has been matched to a bank statement line.
+ * @param {Object} transfer - account_transfers row
+ */
+export const deleteTransfer = async (transfer) => {
+  await assertAccountDatesOpen(transfer.org_id, [transfer.from_account_id, transfer.to_account_id], transfer.transfer_date);
+
+  const { data: transactions, error } = await supabase
+    .from('transactions')
+    .select('id')
+    .eq('org_id', transfer.org_id)
+    .eq('transfer_id', transfer.id);
+
+  if (error) {
+    throw new Error(`Failed to fetch transfer transactions: ${error.message}`);
+  }
+
+  if (transactions.length > 0) {
+    const { data: matches, error: matchError } = await supabase
+      .from('matched_transactions')
+      .select('id')
+      .in('transaction_id', transactions.map(transaction => transaction.id))
+      .limit(1);
+
+    if (matchError) {
+      throw new Error(`Failed to check reconciliation matches: ${matchError.message}`);
+    }
+    if (matches.length > 0) {
+      throw new ConflictError('This transfer has been matched in a bank reconciliation; unmatch it first');
+    }
+  }
+
+  // The transactions go with it (ON DELETE CASCADE)
+  const { error: deleteError } = await supabase
+    .from('account_transfers')
+    .delete()
+    .eq('id', transfer.id)
+    .eq('org_id', transfer.org_id);
+
+  if (deleteError) {
+    throw new Error(`Failed to delete transfer: ${deleteError.message}`);
+  }
+};
+
+/**
+ * Transfers, newest first
+ * @param {string} orgId - Organization ID
+ * @param {Object} [filters] - { from, to (YYYY-MM-DD), bank_account_id }
+ * @returns {Promise<Object[]>}
+ */
+export const listTransfers = async (orgId, filters = {}) => {
+  const from = normalizeDate(filters.from, 'from');
+  const to = normalizeDate(filters.to, 'to');
+
+  let query = supabase
+    .from('account_transfers')
+    .select('*')
+    .eq('org_id', orgId)
+    .order('transfer_date', { ascending: false })
+    .order('created_at', { ascending: false });
+
+  if (from) query = query.gte('transfer_date', from);
+  if (to) query = query.lte('transfer_date', to);
+
+  const { data: transfers, error } = await query;
+  if (error) {
+    throw new Error(`Failed to fetch transfers: ${error.message}`);
+  }
+
+  const names = new Map((await ensureBankAccounts(orgId)).map(account => [account.id, account.name]));
+  return transfers
+    .filter(transfer => !filters.bank_account_id ||
+      transfer.from_account_id === filters.bank_account_id || transfer.to_account_id === filters.bank_account_id)
+    .map(transfer => ({
+      ...transfer,
+      amount: Number(transfer.amount),
+      from_account_name: names.get(transfer.from_account_id) || null,
+      to_account_name: names.get(transfer.to_account_id) || null
+    }));
+};
+
+/**
+ * Balance of each account on a date, from the ledger
+ * @param {string} orgId - Organization ID
+ * @param {Object[]} [accounts] - bank_accounts rows (default: all)
+ * @param {string} [asOf] - YYYY-MM-DD (default: everything posted)
+ * @returns {Promise<Object[]>} Accounts with balance
+ */
+export const buildAccountBalances = async (orgId, accounts, asOf) => {
+  const list = accounts || await ensureBankAccounts(orgId);
+  const lines = await loadAccountLines(orgId, list.map(account => account.ledger_account_id).filter(Boolean));
+
+  return list.map(account => {
+    const cents = lines
+      .filter(line => line.account_id === account.ledger_account_id && (!asOf || line.entry_date <= asOf))
+      .reduce((sum, line) => sum + toCents(line.debit) - toCents(line.credit), 0);
+    return { ...account, opening_balance: Number(account.opening_balance), balance: cents / 100 };
+  });
+};
+
+/**
+ * Everything in and out of an account over a period, with a running
+ * balance after each posting and the balance at the end of each month
+ * @param {string} orgId - Organization ID
+ * @param {Object} account - bank_accounts row
+ * @param {Object} [options] - { from, to (YYYY-MM-DD) }
+ * @returns {Promise<Object>} { account, from, to, opening_balance, rows, closing_balance, totals, monthly }
+ */
+export const buildAccountRegister = async (orgId, account, options = {}) => {
+  const from = normalizeDate(options.from, 'from');
+  const to = normalizeDate(options.to, 'to');
+  if (from && to && from > to) {
+    throw new ValidationError('from must be on or before to', 'from');
+  }
+
+  const lines = account.ledger_account_id ? await loadAccountLines(orgId, [account.ledger_account_id]) : [];
+
+  let balance = lines
+    .filter(line => from && line.entry_date < from)
+    .reduce((sum, line) => sum + toCents(line.debit) - toCents(line.credit), 0);
+  const opening = balance;
+
+  let moneyIn = 0;
+  let moneyOut = 0;
+  const monthly = new Map();
+  const rows = lines
+    .filter(line => (!from || line.entry_date >= from) && (!to || line.entry_date <= to))
+    .map(line => {
+      const inCents = toCents(line.debit);
+      const outCents = toCents(line.credit);
+      balance += inCents - outCents;
+      moneyIn += inCents;
+      moneyOut += outCents;
+      monthly.set(line.entry_date.slice(0, 7), balance);
+      return {
+        date: line.entry_date,
+        description: line.memo,
+        source_type: line.source_type,
+        source_id: line.source_id,
+        entry_id: line.entry_id,
+        money_in: inCents / 100,
+        money_out: outCents / 100,
+        balance: balance / 100
+      };
+    });
+
+  return {
+    account: { id: account.id, name: account.name, account_kind: account.account_kind, is_default: account.is_default },
+    from,
+    to,
+    opening_balance: opening / 100,
+    rows,
+    closing_balance: balance / 100,
+    totals: { money_in: moneyIn / 100, money_out: moneyOut / 100 },
+    monthly: [...monthly].map(([month, cents]) => ({ month, ending_balance: cents / 100 }))
+  };
+};
+
+/**
+ * Month-end balance of every account over a period, for charting
+ * @param {string} orgId - Organization ID
+ * @param {Object} [options] - { from, to (YYYY-MM-DD, default the last 12 months) }
+ * @returns {Promise<Object>} { months, accounts: [{ id, name, balances: [{ month, balance }] }] }
+ */
+export const buildBalanceHistory = async (orgId, options = {}) => {
+  const today = new Date().toISOString().slice(0, 10);
+  const to = normalizeDate(options.to, 'to') || today;
+  const from = normalizeDate(options.from, 'from') || `${Number(to.slice(0, 4)) - 1}-${to.slice(5, 7)}-01`;
+  if (from > to) {
+    throw new ValidationError('from must be on or before to', 'from');
+  }
+
+  const months = [];
+  const cursor = new Date(`${from.slice(0, 7)}-01T00:00:00Z`);
+  while (cursor.toISOString().slice(0, 7) <= to.slice(0, 7)) {
+    const end = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, 0)).toISOString().slice(0, 10);
+    months.push({ month: cursor.toISOString().slice(0, 7), end: end < to ? end : to });
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+
+  const accounts = await ensureBankAccounts(orgId);
+  const lines = await loadAccountLines(orgId, accounts.map(account => account.ledger_account_id).filter(Boolean));
+
+  return {
+    from,
+    to,
+    months: months.map(month => month.month),
+    accounts: accounts
+      .map(account => {
+        const own = lines.filter(line => line.account_id === account.ledger_account_id);
+        return {
+          id: account.id,
+          name: account.name,
+          account_kind: account.account_kind,
+          is_active: account.is_active,
+          balances: months.map(month => ({
+            month: month.month,
+            balance: own
+              .filter(line => line.entry_date <= month.end)
+              .reduce((sum, line) => sum + toCents(line.debit) - toCents(line.credit), 0) / 100
+          }))
+        };
+      })
+      .filter(account => account.is_active || account.balances.some(point => point.balance !== 0))
+  };
+};
+
+/**
+ * Render an account register as a PDF or workbook
+ * @param {Object} register - From buildAccountRegister
+ * @param {string} format - pdf or xlsx
+ * @returns {Promise<Buffer>}
+ */
+export const renderAccountRegister = (register, format) => {
+  const period = `${register.from || 'Beginning'} to ${register.to || 'today'}`;
+  const rows = [
+    { date: register.from || '', description: 'Opening balance', balance: register.opening_balance },
+    ...register.rows,
+    { date: register.to || '', description: 'Closing balance', money_in: register.totals.money_in, money_out: register.totals.money_out, balance: register.closing_balance }
+  ];
+
+  if (format === 'xlsx') {
+    return renderWorkbook([{
+      name: 'Register',
+      columns: [
+        { header: 'Date', key: 'date', width: 12 },
+        { header: 'Description', key: 'description', width: 50 },
+        { header: 'Money in', key: 'money_in', width: 14, money: true },
+        { header: 'Money out', key: 'money_out', width: 14, money: true },
+        { header: 'Balance', key: 'balance', width: 14, money: true }
+      ],
+      rows
+    }]);
+  }
+
+  return renderPdf(doc => {
+    pdfHeading(doc, `Account Register – ${register.account.name}`, period);
+    pdfTable(doc, [
+      { header: 'Date', key: 'date', width: 70 },
+      { header: 'Description', key: 'description', width: 200 },
+      { header: 'In', key: 'money_in', width: 80, align: 'right', format: value => (value ? formatMoney(value) : '') },
+      { header: 'Out', key: 'money_out', width: 80, align: 'right', format: value => (value ? formatMoney(value) : '') },
+      { header: 'Balance', key: 'balance', width: 80, align: 'right', format: formatMoney }
+    ], rows);
+  });
+};
+
+// =====================================================
+// HELPER FUNCTIONS
+// =====================================================
+
+async function loadBankAccounts(orgId) {
+  const { data, error } = await supabase
+    .from('bank_accounts')
+    .select('*')
+    .eq('org_id', orgId)
+    .order('name', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch bank accounts: ${error.message}`);
+  }
+  return data.sort((a, b) => Number(b.is_default) - Number(a.is_default));
+}
+
+function assertNameAvailable(accounts, name) {
+  if (accounts.some(account => account.name.toLowerCase() === name.toLowerCase())) {
+    throw new ConflictError(`An account named "${name}" already exists`);
+  }
+}
+
+function normalizeBankAccount(input) {
+  const values = {};
+  if (input.name !== undefined) values.name = String(input.name || '').trim();
+  if (input.institution !== undefined) values.institution = input.institution || null;
+  if (input.account_kind !== undefined) {
+    if (!ACCOUNT_KINDS.includes(input.account_kind)) {
+      throw new ValidationError(`Account kind must be one of: ${ACCOUNT_KINDS.join(', ')}`, 'account_kind');
+    }
+    values.account_kind = input.account_kind;
+  }
+  if (input.account_number_last4 !== undefined) {
+    const last4 = input.account_number_last4 ? String(input.account_number_last4).trim() : null;
+    if (last4 && !/^\d{4}$/.test(last4)) {
+      throw new ValidationError('Enter only the last 4 digits of the account number', 'account_number_last4');
+    }
+    values.account_number_last4 = last4;
+  }
+  if (input.opening_balance !== undefined) {
+    const openingBalance = Number(input.opening_balance || 0);
+    if (isNaN(openingBalance)) {
+      throw new ValidationError('Opening balance must be a number', 'opening_balance');
+    }
+    values.opening_balance = Math.round(openingBalance * 100) / 100;
+  }
+  if (input.opening_date !== undefined) values.opening_date = normalizeDate(input.opening_date, 'opening_date');
+  return values;
+}
+
+function normalizeDate(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    throw new ValidationError(`${field} must be YYYY-MM-DD`, field);
+  }
+  return String(value);
+}
+
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
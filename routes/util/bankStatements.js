@@ -0,0 +1,413 @@
+/**
+ * Bank statement parsing for reconciliation imports. CSV files are read with
+ * a column mapping (saved per bank in bank_csv_mappings); OFX and QFX files
+ * (QFX is Quicken's OFX) are read directly, in either the SGML (1.x) or XML
+ * (2.x) flavour. Every parser returns the same line shape:
+ * { line, transaction_date, description, amount, fitid, check_number, transaction_type }
+ */
+
+import { ValidationError } from '../middleware/errorHandler.js';
+
+export const STATEMENT_FORMATS = ['csv', 'ofx', 'qfx'];
+export const CSV_DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'];
+
+const MAPPING_COLUMNS = [
+  'date_column',
+  'description_column',
+  'amount_column',
+  'debit_column',
+  'credit_column',
+  'fitid_column',
+  'check_number_column'
+];
+
+// Header names common bank exports use, for CSVs imported without a mapping
+const HEADER_GUESSES = {
+  date_column: ['date', 'posted date', 'posting date', 'transaction date', 'post date'],
+  description_column: ['description', 'payee', 'name', 'memo', 'details', 'transaction description'],
+  amount_column: ['amount', 'transaction amount'],
+  debit_column: ['debit', 'withdrawal', 'withdrawals', 'debit amount'],
+  credit_column: ['credit', 'deposit', 'deposits', 'credit amount'],
+  check_number_column: ['check number', 'check #', 'check no', 'check'],
+  fitid_column: ['transaction id', 'reference', 'reference number', 'fitid']
+};
+
+/**
+ * Work out a statement's format from its file name, falling back to its content
+ * @param {string} fileName - Uploaded file name
+ * @param {string} text - File content
+ * @returns {string} 'csv', 'ofx' or 'qfx'
+ */
+export const detectStatementFormat = (fileName, text) => {
+  const extension = String(fileName || '').split('.').pop().toLowerCase();
+  if (STATEMENT_FORMATS.includes(extension)) return extension;
+  if (/<OFX>/i.test(text) || /^OFXHEADER:/m.test(text)) return 'ofx';
+  return 'csv';
+};
+
+/**
+ * Validate and normalize a CSV column mapping from the API
+ * @param {Object} input - Request body
+ * @returns {Object} Row values for bank_csv_mappings (without org/user fields)
+ */
+export const normalizeCsvMapping = (input) => {
+  const bankName = String(input.bank_name || '').trim();
+  if (!bankName) {
+    throw new ValidationError('Bank name is required', 'bank_name');
+  }
+
+  const mapping = { bank_name: bankName };
+  for (const column of MAPPING_COLUMNS) {
+    const value = input[column] === undefined || input[column] === null ? '' : String(input[column]).trim();
+    mapping[column] = value || null;
+  }
+
+  if (!mapping.date_column) {
+    throw new ValidationError('Date column is required', 'date_column');
+  }
+  if (!mapping.amount_column && !mapping.debit_column && !mapping.credit_column) {
+    throw new ValidationError('Map an amount column, or debit and credit columns', 'amount_column');
+  }
+
+  const dateFormat = input.date_format || 'MM/DD/YYYY';
+  if (!CSV_DATE_FORMATS.includes(dateFormat)) {
+    throw new ValidationError(`Date format must be one of: ${CSV_DATE_FORMATS.join(', ')}`, 'date_format');
+  }
+
+  const skipRows = input.skip_rows === undefined || input.skip_rows === '' ? 0 : Number(input.skip_rows);
+  if (!Number.isInteger(skipRows) || skipRows < 0) {
+    throw new ValidationError('skip_rows must be a non-negative whole number', 'skip_rows');
+  }
+
+  const delimiter = input.delimiter === '\\t' ? '\t' : (input.delimiter || ',');
+  if (delimiter.length !== 1) {
+    throw new ValidationError('Delimiter must be a single character', 'delimiter');
+  }
+
+  return {
+    ...mapping,
+    date_format: dateFormat,
+    delimiter,
+    has_header: input.has_header !== undefined ? parseBoolean(input.has_header) : true,
+    skip_rows: skipRows,
+    invert_amounts: parseBoolean(input.invert_amounts)
+  };
+};
+
+/**
+ * Guess a mapping from a CSV header row
+ * @param {string} text - File content
+ * @returns {Object|null} Mapping, or null if the date/amount columns can't be found
+ */
+export const guessCsvMapping = (text) => {
+  const [header] = parseCsvRows(text, detectDelimiter(text));
+  if (!header) return null;
+
+  const names = header.map(name => name.trim().toLowerCase());
+  const mapping = { delimiter: detectDelimiter(text), has_header: true, skip_rows: 0, invert_amounts: false };
+  for (const [column, candidates] of Object.entries(HEADER_GUESSES)) {
+    const index = names.findIndex(name => candidates.includes(name));
+    mapping[column] = index >= 0 ? header[index].trim() : null;
+  }
+
+  if (!mapping.date_column || (!mapping.amount_column && !mapping.debit_column && !mapping.credit_column)) {
+    return null;
+  }
+
+  mapping.date_format = guessDateFormat(text, mapping);
+  return mapping;
+};
+
+/**
+ * Parse a CSV statement with a column mapping
+ * @param {string} text - File content
+ * @param {Object} mapping - bank_csv_mappings row or normalized mapping
+ * @returns {Object} { transactions, errors }
+ */
+export const parseCsvStatement = (text, mapping) => {
+  const rows = parseCsvRows(text, mapping.delimiter || ',').slice(mapping.skip_rows || 0);
+  const header = mapping.has_header === false ? null : rows.shift();
+  const firstLine = (mapping.skip_rows || 0) + (header ? 2 : 1);
+
+  const columns = {};
+  for (const column of MAPPING_COLUMNS) {
+    if (!mapping[column]) continue;
+    const index = columnIndex(header, mapping[column]);
+    if (index < 0) {
+      throw new ValidationError(`Column "${mapping[column]}" was not found in the file`, column);
+    }
+    columns[column] = index;
+  }
+
+  const transactions = [];
+  const errors = [];
+  rows.forEach((row, offset) => {
+    const line = firstLine + offset;
+    if (row.every(cell => cell.trim() === '')) return;
+
+    const cell = (column) => (columns[column] === undefined ? '' : String(row[columns[column]] ?? '').trim());
+
+    const date = parseStatementDate(cell('date_column'), mapping.date_format);
+    if (!date) {
+      errors.push({ line, error: `Unreadable date "${cell('date_column')}"` });
+      return;
+    }
+
+    let amount = null;
+    if (columns.amount_column !== undefined) {
+      amount = parseAmount(cell('amount_column'));
+    } else {
+      const debit = parseAmount(cell('debit_column'));
+      const credit = parseAmount(cell('credit_column'));
+      if (debit !== null || credit !== null) {
+        amount = Math.abs(credit || 0) - Math.abs(debit || 0);
+      }
+    }
+    if (amount === null) {
+      errors.push({ line, error: 'Missing or unreadable amount' });
+      return;
+    }
+    if (mapping.invert_amounts) amount = -amount;
+
+    transactions.push({
+      line,
+      transaction_date: date,
+      description: cell('description_column') || null,
+      amount: roundCents(amount),
+      fitid: cell('fitid_column') || null,
+      check_number: cell('check_number_column') || null,
+      transaction_type: amount < 0 ? 'debit' : 'credit'
+    });
+  });
+
+  return { transactions, errors };
+};
+
+/**
+ * Parse an OFX or QFX statement
+ * @param {string} text - File content
+ * @returns {Object} { transactions, errors, account_number_last4, statement_start, statement_end, ledger_balance }
+ */
+export const parseOfxStatement = (text) => {
+  if (!/<OFX>/i.test(text)) {
+    throw new ValidationError('File is not a valid OFX/QFX statement', 'statement');
+  }
+
+  const transactions = [];
+  const errors = [];
+  const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+  blocks.forEach((block, index) => {
+    const line = index + 1;
+    const date = parseOfxDate(ofxValue(block, 'DTPOSTED'));
+    const amount = parseAmount(ofxValue(block, 'TRNAMT'));
+
+    if (!date) {
+      errors.push({ line, error: 'Missing or unreadable DTPOSTED' });
+      return;
+    }
+    if (amount === null) {
+      errors.push({ line, error: 'Missing or unreadable TRNAMT' });
+      return;
+    }
+
+    const name = ofxValue(block, 'NAME');
+    const memo = ofxValue(block, 'MEMO');
+    transactions.push({
+      line,
+      transaction_date: date,
+      description: [name, memo].filter(Boolean).join(' – ') || null,
+      amount: roundCents(amount),
+      fitid: ofxValue(block, 'FITID'),
+      check_number: ofxValue(block, 'CHECKNUM'),
+      transaction_type: (ofxValue(block, 'TRNTYPE') || (amount < 0 ? 'debit' : 'credit')).toLowerCase()
+    });
+  });
+
+  const accountNumber = ofxValue(text, 'ACCTID');
+  const ledger = text.match(/<LEDGERBAL>[\s\S]*?(?=<\/LEDGERBAL>|<AVAILBAL>|<\/STMTRS>)/i);
+
+  return {
+    transactions,
+    errors,
+    account_number_last4: accountNumber ? accountNumber.slice(-4) : null,
+    statement_start: parseOfxDate(ofxValue(text, 'DTSTART')),
+    statement_end: parseOfxDate(ofxValue(text, 'DTEND')),
+    ledger_balance: ledger ? parseAmount(ofxValue(ledger[0], 'BALAMT')) : null
+  };
+};
+
+/**
+ * Give each parsed line a dedupe_key. The bank's FITID is used when present;
+ * otherwise date, amount and description, numbered so that identical lines
+ * within one statement (two $20 deposits on the same day) both survive.
+ * Keys are prefixed for accounts other than the default, so the same line
+ * on two accounts' statements is not a duplicate.
+ * @param {Object[]} transactions - Parsed lines
+ * @param {string} [prefix] - Key prefix for the account
+ * @returns {Object[]} Lines with dedupe_key
+ */
+export const assignDedupeKeys = (transactions, prefix = '') => {
+  const seen = new Map();
+  return transactions.map(transaction => {
+    if (transaction.fitid) {
+      return { ...transaction, dedupe_key: `${prefix}fitid:${transaction.fitid}` };
+    }
+
+    const base = [
+      transaction.transaction_date,
+      Number(transaction.amount).toFixed(2),
+      String(transaction.description || '').toLowerCase().replace(/\s+/g, ' ').trim()
+    ].join('|');
+    const occurrence = (seen.get(base) || 0) + 1;
+    seen.set(base, occurrence);
+    return { ...transaction, dedupe_key: `${prefix}${base}|${occurrence}` };
+  });
+};
+
+// =====================================================
+// HELPER FUNCTIONS
+// =====================================================
+
+// RFC 4180: quoted fields may contain delimiters, doubled quotes and newlines
+function parseCsvRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function detectDelimiter(text) {
+  const firstLine = String(text).split(/\r?\n/, 1)[0];
+  const counts = [',', ';', '\t'].map(delimiter => [delimiter, firstLine.split(delimiter).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][0];
+}
+
+function guessDateFormat(text, mapping) {
+  const rows = parseCsvRows(text, mapping.delimiter).slice(1);
+  const header = parseCsvRows(text, mapping.delimiter)[0];
+  const index = columnIndex(header, mapping.date_column);
+  const values = rows.map(row => String(row[index] || '').trim()).filter(Boolean);
+
+  if (values.every(value => /^\d{4}-\d{1,2}-\d{1,2}/.test(value))) return 'YYYY-MM-DD';
+  // A first component over 12 can only be a day
+  if (values.some(value => Number(value.split(/[/.-]/)[0]) > 12)) return 'DD/MM/YYYY';
+  return 'MM/DD/YYYY';
+}
+
+function columnIndex(header, column) {
+  if (/^\d+$/.test(column)) return Number(column) - 1;
+  if (!header) return -1;
+  const wanted = String(column).trim().toLowerCase();
+  return header.findIndex(name => name.trim().toLowerCase() === wanted);
+}
+
+function parseStatementDate(value, format) {
+  if (!value) return null;
+  const parts = value.split(/[\sT]/)[0].split(/[/.-]/).map(Number);
+  if (parts.length !== 3 || parts.some(isNaN)) return null;
+
+  let year;
+  let month;
+  let day;
+  if (format === 'YYYY-MM-DD') [year, month, day] = parts;
+  else if (format === 'DD/MM/YYYY') [day, month, year] = parts;
+  else [month, day, year] = parts;
+
+  if (year < 100) year += 2000;
+  return validDate(year, month, day);
+}
+
+function parseOfxDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  if (!match) return null;
+  return validDate(Number(match[1]), Number(match[2]), Number(match[3]));
+}
+
+function validDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+// Accepts "$1,234.56", "-12.00", "(12.00)" and "12.00-"
+function parseAmount(value) {
+  if (value === undefined || value === null) return null;
+  let text = String(value).trim();
+  if (!text) return null;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (text.endsWith('-')) {
+    negative = true;
+    text = text.slice(0, -1);
+  }
+
+  const amount = Number(text.replace(/[$,\s]/g, ''));
+  if (!text || isNaN(amount)) return null;
+  return negative ? -Math.abs(amount) : amount;
+}
+
+// Leaf values: "<TAG>value" (SGML) or "<TAG>value</TAG>" (XML)
+function ofxValue(text, tag) {
+  const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(text);
+  const value = match ? match[1].trim() : '';
+  return value ? decodeEntities(value) : null;
+}
+
+function decodeEntities(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+function parseBoolean(value) {
+  return value === true || value === 'true' || value === '1' || value === 1;
+}
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
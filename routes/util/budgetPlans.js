@@ -0,0 +1,101 @@
+/**
+ * Budget plan helpers shared by the plan routes and the category routes
+ * A plan's categories are its allocations; once the board approves the plan
+ * they can only change through amendments.
+ */
+
+import { supabase } from './verifySupabaseToken.js';
+import { ConflictError } from '../middleware/errorHandler.js';
+
+// Statuses in which a plan's allocations can no longer be edited directly
+export const LOCKED_PLAN_STATUSES = ['approved', 'active', 'completed', 'archived'];
+
+/**
+ * Throw a ConflictError if a category belongs to an approved plan
+ * @param {Object} category - budget_categories row
+ * @returns {Promise<Object|null>} The owning plan, if any
+ */
+export const assertCategoryUnlocked = async (category) => {
+  if (!category.budget_plan_id) return null;
+
+  const { data: plan, error } = await supabase
+    .from('budget_plans')
+    .select('id, name, status')
+    .eq('id', category.budget_plan_id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch budget plan: ${error.message}`);
+  }
+
+  if (plan && LOCKED_PLAN_STATUSES.includes(plan.status)) {
+    throw new ConflictError(
+      `"${category.name}" is part of the ${plan.status} budget plan "${plan.name}"; ` +
+      `change it with an amendment (POST /api/budget/plans/${plan.id}/amendments)`
+    );
+  }
+
+  return plan;
+};
+
+/**
+ * Fetch a plan's categories
+ * @param {string} planId - Budget plan ID
+ * @returns {Promise<Object[]>} budget_categories rows, ordered by name
+ */
+export const loadPlanCategories = async (planId) => {
+  const { data, error } = await supabase
+    .from('budget_categories')
+    .select('*')
+    .eq('budget_plan_id', planId)
+    .order('name');
+
+  if (error) {
+    throw new Error(`Failed to fetch plan categories: ${error.message}`);
+  }
+
+  return data;
+};
+
+/**
+ * Sum a plan's allocations. Subcategories are counted through their parent
+ * when the parent is also in the plan, so amounts aren't counted twice.
+ * @param {Object[]} categories - From loadPlanCategories
+ * @returns {Object} { total_allocated, total_revenue_budget }
+ */
+export const summarizeAllocations = (categories) => {
+  const inPlan = new Set(categories.map(category => category.id));
+  const topLevel = categories.filter(category =>
+    category.is_active !== false && !inPlan.has(category.parent_category_id)
+  );
+
+  const sum = (type) => topLevel
+    .filter(category => category.category_type === type)
+    .reduce((total, category) => total + Number(category.budget_amount || 0), 0);
+
+  return {
+    total_allocated: Math.round(sum('expense') * 100) / 100,
+    total_revenue_budget: Math.round(sum('revenue') * 100) / 100
+  };
+};
+
+/**
+ * Recompute and store a plan's total_allocated from its categories
+ * @param {string} planId - Budget plan ID
+ * @returns {Promise<Object>} { categories, totals }
+ */
+export const refreshPlanAllocation = async (planId) => {
+  const categories = await loadPlanCategories(planId);
+  const totals = summarizeAllocations(categories);
+
+  const { error } = await supabase
+    .from('budget_plans')
+    .update({ total_allocated: totals.total_allocated })
+    .eq('id', planId);
+
+  if (error) {
+    throw new Error(`Failed to update plan totals: ${error.message}`);
+  }
+
+  return { categories, totals };
+};
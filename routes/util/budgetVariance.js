@@ -0,0 +1,252 @@
+/**
+ * Budget vs. actual variance for a fiscal year, rolled up through the
+ * budget_categories hierarchy. Actuals are approved expense submissions plus
+ * approved transactions that aren't the ledger copy of a submission.
+ */
+
+import { supabase } from './verifySupabaseToken.js';
+import { renderPdf, pdfHeading, pdfTable, renderWorkbook, formatMoney } from './reportExport.js';
+import { fiscalYearRange } from './fiscalYear.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Don't project a run rate from the first few weeks of the year
+const MIN_ELAPSED_FOR_TREND = 0.08;
+
+const STATUS_LABELS = {
+  over_budget: 'Over budget',
+  trending_over: 'Trending over',
+  trending_under: 'Below target',
+  on_track: ''
+};
+
+/**
+ * Build the variance report for a fiscal year
+ * @param {string} orgId - Organization ID
+ * @param {number} fiscalYear - Fiscal year
+ * @param {Object} [options] - { asOf: 'YYYY-MM-DD' (defaults to today) }
+ * @returns {Promise<Object>} Report
+ */
+export const buildBudgetVariance = async (orgId, fiscalYear, { asOf } = {}) => {
+  const range = await fiscalYearRange(orgId, fiscalYear);
+  const today = asOf || new Date().toISOString().slice(0, 10);
+  const through = today < range.end ? today : range.end;
+
+  const [categories, expenses, transactions] = await Promise.all([
+    supabase
+      .from('budget_categories')
+      .select('id, name, category_type, parent_category_id, budget_amount, is_active')
+      .eq('org_id', orgId)
+      .eq('fiscal_year', fiscalYear)
+      .order('name'),
+    supabase
+      .from('expense_submissions')
+      .select('category_id, amount')
+      .eq('org_id', orgId)
+      .eq('status', 'approved')
+      .gte('expense_date', range.start)
+      .lte('expense_date', through),
+    supabase
+      .from('transactions')
+      .select('budget_category_id, amount, type, approval_status, expense_submission_id')
+      .eq('org_id', orgId)
+      .gte('date', range.start)
+      .lte('date', through)
+  ]);
+
+  for (const result of [categories, expenses, transactions]) {
+    if (result.error) {
+      throw new Error(`Failed to load budget actuals: ${result.error.message}`);
+    }
+  }
+
+  const knownIds = categoryIdSet(categories.data);
+  const ownActual = new Map();
+  const unassigned = { expense: 0, revenue: 0 };
+  const add = (categoryId, type, amount) => {
+    if (knownIds.has(categoryId)) {
+      ownActual.set(categoryId, (ownActual.get(categoryId) || 0) + amount);
+    } else {
+      unassigned[type] += amount;
+    }
+  };
+
+  for (const expense of expenses.data) {
+    add(expense.category_id, 'expense', Number(expense.amount));
+  }
+  for (const tx of transactions.data) {
+    // Approving a submission can create a linked transaction; count it only once
+    if (tx.expense_submission_id) continue;
+    if (tx.approval_status && tx.approval_status !== 'approved') continue;
+    if (tx.type === 'expense') add(tx.budget_category_id, 'expense', Math.abs(Number(tx.amount)));
+    else if (tx.type === 'income') add(tx.budget_category_id, 'revenue', Math.abs(Number(tx.amount)));
+  }
+
+  const elapsed = elapsedFraction(range, today);
+  const rows = flattenHierarchy(categories.data).map(({ category, depth, descendants }) => {
+    const own = roundMoney(ownActual.get(category.id) || 0);
+    const actual = roundMoney(own + descendants.reduce((total, id) => total + (ownActual.get(id) || 0), 0));
+    const budget = roundMoney(Number(category.budget_amount) || 0);
+    const subcategoryBudget = roundMoney(categories.data
+      .filter(child => child.parent_category_id === category.id)
+      .reduce((total, child) => total + Number(child.budget_amount || 0), 0));
+    const projected = elapsed > 0 ? roundMoney(actual / elapsed) : 0;
+
+    return {
+      id: category.id,
+      name: category.name,
+      category_type: category.category_type,
+      parent_category_id: category.parent_category_id,
+      depth,
+      is_active: category.is_active !== false,
+      budget,
+      subcategory_budget: subcategoryBudget,
+      own_actual: own,
+      actual,
+      remaining: roundMoney(budget - actual),
+      percent_used: budget > 0 ? roundMoney((actual / budget) * 100) : null,
+      projected_year_end: projected,
+      projected_variance: roundMoney(budget - projected),
+      status: varianceStatus(category.category_type, budget, actual, projected, elapsed)
+    };
+  }).filter(row => row.is_active || row.budget > 0 || row.actual > 0);
+
+  const totals = ['expense', 'revenue'].reduce((acc, type) => {
+    // Top-level rows already include their subcategories
+    const topLevel = rows.filter(row => row.category_type === type && row.depth === 0);
+    const budget = roundMoney(topLevel.reduce((total, row) => total + row.budget, 0));
+    const actual = roundMoney(topLevel.reduce((total, row) => total + row.actual, 0));
+    const projected = roundMoney(topLevel.reduce((total, row) => total + row.projected_year_end, 0));
+    acc[type] = {
+      budget,
+      actual,
+      remaining: roundMoney(budget - actual),
+      percent_used: budget > 0 ? roundMoney((actual / budget) * 100) : null,
+      projected_year_end: projected,
+      uncategorized_actual: roundMoney(unassigned[type])
+    };
+    return acc;
+  }, {});
+
+  return {
+    fiscal_year: fiscalYear,
+    period: { ...range, through, as_of: today },
+    elapsed_percent: roundMoney(elapsed * 100),
+    categories: rows,
+    totals,
+    flagged: rows
+      .filter(row => ['over_budget', 'trending_over', 'trending_under'].includes(row.status))
+      .map(row => ({ id: row.id, name: row.name, status: row.status, budget: row.budget, actual: row.actual, projected_year_end: row.projected_year_end }))
+  };
+};
+
+/**
+ * Render a variance report as a PDF or XLSX file
+ * @param {Object} report - From buildBudgetVariance
+ * @param {string} format - pdf or xlsx
+ * @returns {Promise<Buffer>}
+ */
+export const renderBudgetVariance = (report, format) => {
+  const rowsOf = (type) => report.categories
+    .filter(row => row.category_type === type)
+    .map(row => ({ ...row, label: `${'    '.repeat(row.depth)}${row.name}`, bold: row.depth === 0, flag: STATUS_LABELS[row.status] }));
+  const sections = [
+    { title: 'Expenses', rows: rowsOf('expense'), totals: report.totals.expense },
+    { title: 'Revenue', rows: rowsOf('revenue'), totals: report.totals.revenue }
+  ].filter(section => section.rows.length > 0);
+  const totalRow = (section) => ({
+    label: `Total ${section.title.toLowerCase()}`,
+    ...section.totals,
+    bold: true
+  });
+  const subtitle = `${report.period.start} to ${report.period.end} · Actuals through ${report.period.through} (${report.elapsed_percent}% of year elapsed)`;
+
+  if (format === 'xlsx') {
+    return renderWorkbook(sections.map(section => ({
+      name: section.title,
+      columns: [
+        { header: 'Category', key: 'label', width: 36 },
+        { header: 'Budget', key: 'budget', width: 14, money: true },
+        { header: 'Actual', key: 'actual', width: 14, money: true },
+        { header: 'Remaining', key: 'remaining', width: 14, money: true },
+        { header: '% Used', key: 'percent_used', width: 10 },
+        { header: 'Projected year-end', key: 'projected_year_end', width: 18, money: true },
+        { header: 'Flag', key: 'flag', width: 18 }
+      ],
+      rows: [...section.rows, totalRow(section)]
+    })));
+  }
+
+  return renderPdf(doc => {
+    pdfHeading(doc, `Budget vs. Actual – FY ${report.fiscal_year}`, subtitle);
+    for (const section of sections) {
+      pdfTable(doc, [
+        { header: 'Category', key: 'label', width: 150 },
+        { header: 'Budget', key: 'budget', width: 70, align: 'right', format: formatMoney },
+        { header: 'Actual', key: 'actual', width: 70, align: 'right', format: formatMoney },
+        { header: 'Remaining', key: 'remaining', width: 70, align: 'right', format: formatMoney },
+        { header: '% Used', key: 'percent_used', width: 45, align: 'right', format: value => (value === null ? '—' : `${value}%`) },
+        { header: 'Projected', key: 'projected_year_end', width: 70, align: 'right', format: formatMoney },
+        { header: 'Flag', key: 'flag', width: 70 }
+      ], [...section.rows, totalRow(section)], { title: section.title });
+    }
+  }, { layout: 'landscape' });
+};
+
+// Expense categories are flagged when spending passes (or is on pace to pass)
+// the budget; revenue categories when they're on pace to miss their target
+function varianceStatus(type, budget, actual, projected, elapsed) {
+  if (type === 'expense') {
+    if (actual > budget) return 'over_budget';
+    if (elapsed >= MIN_ELAPSED_FOR_TREND && elapsed < 1 && projected > budget) return 'trending_over';
+    return 'on_track';
+  }
+  if (budget > 0 && elapsed >= MIN_ELAPSED_FOR_TREND && projected < budget) return 'trending_under';
+  return 'on_track';
+}
+
+// Share of the fiscal year that has passed as of a date (0..1)
+function elapsedFraction(range, asOf) {
+  const start = Date.parse(range.start);
+  const totalDays = (Date.parse(range.end) - start) / DAY_MS + 1;
+  const elapsedDays = (Date.parse(asOf) - start) / DAY_MS + 1;
+  return Math.min(Math.max(elapsedDays / totalDays, 0), 1);
+}
+
+// Depth-first order with each category's depth and descendant IDs;
+// categories whose parent is outside the year are treated as top level
+function flattenHierarchy(categories) {
+  const ids = categoryIdSet(categories);
+  const childrenOf = new Map();
+  for (const category of categories) {
+    const parent = ids.has(category.parent_category_id) ? category.parent_category_id : null;
+    if (!childrenOf.has(parent)) childrenOf.set(parent, []);
+    childrenOf.get(parent).push(category);
+  }
+
+  const rows = [];
+  const visit = (category, depth, seen) => {
+    if (seen.has(category.id)) return [];
+    seen.add(category.id);
+    const row = { category, depth, descendants: [] };
+    rows.push(row);
+    for (const child of childrenOf.get(category.id) || []) {
+      row.descendants.push(child.id, ...visit(child, depth + 1, seen));
+    }
+    return row.descendants;
+  };
+
+  const seen = new Set();
+  for (const category of childrenOf.get(null) || []) {
+    visit(category, 0, seen);
+  }
+  return rows;
+}
+
+function categoryIdSet(categories) {
+  return new Set(categories.map(category => category.id));
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
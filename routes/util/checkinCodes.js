@@ -0,0 +1,88 @@
+/**
+ * Signed QR code payloads for event check-in
+ * Codes are signed with an Ed25519 private key held by the server. Door devices
+ * only need the public key to verify a code, so they can scan while offline.
+ *
+ * Payload format: PTO1.<t|v>.<credential id>.<event id>.<base64url signature>
+ * where t = event ticket and v = volunteer sign-up.
+ */
+
+import crypto from 'crypto';
+import { ValidationError } from '../middleware/errorHandler.js';
+
+const VERSION = 'PTO1';
+
+const TYPE_CODES = { ticket: 't', volunteer: 'v' };
+const CODE_TYPES = { t: 'ticket', v: 'volunteer' };
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+let keyPair = null;
+
+// CHECKIN_SIGNING_KEY holds a PKCS#8 PEM Ed25519 private key, raw or base64-encoded
+const loadKeyPair = () => {
+  if (keyPair) return keyPair;
+
+  const configured = process.env.CHECKIN_SIGNING_KEY;
+
+  if (configured) {
+    const pem = configured.includes('BEGIN') ? configured : Buffer.from(configured, 'base64').toString('utf8');
+    const privateKey = crypto.createPrivateKey(pem);
+    if (privateKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error('CHECKIN_SIGNING_KEY must be an Ed25519 private key');
+    }
+    keyPair = { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+  } else if (process.env.NODE_ENV === 'production') {
+    throw new Error('CHECKIN_SIGNING_KEY is not configured');
+  } else {
+    // Development only: codes stop verifying when the server restarts
+    console.warn('⚠️ CHECKIN_SIGNING_KEY not set, using a temporary check-in signing key');
+    keyPair = crypto.generateKeyPairSync('ed25519');
+  }
+
+  return keyPair;
+};
+
+/**
+ * Create the QR payload for a ticket or volunteer sign-up
+ * @param {string} type - 'ticket' or 'volunteer'
+ * @param {string} credentialId - event_tickets.id or volunteer_signups.id
+ * @param {string} eventId - Event the credential admits to
+ * @returns {string}
+ */
+export const signCredential = (type, credentialId, eventId) => {
+  const message = `${VERSION}.${TYPE_CODES[type]}.${credentialId}.${eventId}`;
+  const signature = crypto.sign(null, Buffer.from(message), loadKeyPair().privateKey);
+  return `${message}.${signature.toString('base64url')}`;
+};
+
+/**
+ * Verify a scanned QR payload
+ * @param {string} payload - Scanned text
+ * @returns {Object} { type, credentialId, eventId }
+ * @throws {ValidationError} When the code is malformed or the signature does not match
+ */
+export const verifyCredential = (payload) => {
+  const parts = String(payload || '').trim().split('.');
+  const [version, typeCode, credentialId, eventId, signature] = parts;
+
+  if (parts.length !== 5 || version !== VERSION || !CODE_TYPES[typeCode] ||
+      !UUID_PATTERN.test(credentialId) || !UUID_PATTERN.test(eventId)) {
+    throw new ValidationError('Not a PTO Connect check-in code', 'payload');
+  }
+
+  const message = `${version}.${typeCode}.${credentialId}.${eventId}`;
+  const valid = crypto.verify(null, Buffer.from(message), loadKeyPair().publicKey, Buffer.from(signature, 'base64url'));
+
+  if (!valid) {
+    throw new ValidationError('Check-in code signature is invalid', 'payload');
+  }
+
+  return { type: CODE_TYPES[typeCode], credentialId, eventId };
+};
+
+/**
+ * Public key for offline verification on door devices
+ * @returns {string} SPKI PEM
+ */
+export const getPublicKeyPem = () => loadKeyPair().publicKey.export({ type: 'spki', format: 'pem' });
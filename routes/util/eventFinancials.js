@@ -0,0 +1,303 @@
+/**
+ * Event post-mortem roll-up: estimated budget vs. actual spend, revenue,
+ * donations and volunteer hours for a single event. Amounts are in dollars.
+ */
+
+import { supabase } from './verifySupabaseToken.js';
+import { addDays } from './recurrence.js';
+import { renderPdf, pdfHeading, pdfTable, renderWorkbook, formatMoney } from './reportExport.js';
+
+/**
+ * Build the financial summary for an event
+ * @param {Object} event - events row
+ * @returns {Promise<Object>} Summary
+ */
+export const buildEventFinancialSummary = async (event) => {
+  const [expenses, transactions, donations, loggedHours, checkins] = await Promise.all([
+    supabase
+      .from('expense_submissions')
+      .select('id, amount, vendor_name, description, expense_date, category_id, budget_categories(name)')
+      .eq('event_id', event.id)
+      .eq('status', 'approved'),
+    supabase
+      .from('transactions')
+      .select('id, amount, type, category, description, date, expense_submission_id')
+      .eq('event_id', event.id),
+    supabase
+      .from('donations')
+      .select('id, amount, donation_type')
+      .eq('event_id', event.id)
+      .eq('status', 'completed'),
+    supabase
+      .from('volunteer_hours')
+      .select('hours')
+      .eq('event_id', event.id)
+      .eq('status', 'completed'),
+    supabase
+      .from('event_checkins')
+      .select('credential_type, credential_id, admits')
+      .eq('event_id', event.id)
+  ]);
+
+  for (const result of [expenses, transactions, donations, loggedHours, checkins]) {
+    if (result.error) {
+      throw new Error(`Failed to load financials for event ${event.id}: ${result.error.message}`);
+    }
+  }
+
+  // Approving an expense can create a linked transaction; count it only once
+  const extraExpenses = transactions.data.filter(tx => tx.type === 'expense' && !tx.expense_submission_id);
+  const incomeTransactions = transactions.data.filter(tx => tx.type === 'income');
+
+  const expenseByCategory = new Map();
+  const addExpense = (category, amount) => {
+    expenseByCategory.set(category, roundMoney((expenseByCategory.get(category) || 0) + amount));
+  };
+  for (const expense of expenses.data) {
+    addExpense(expense.budget_categories?.name || 'Uncategorized', Number(expense.amount));
+  }
+  for (const tx of extraExpenses) {
+    addExpense(tx.category || 'Uncategorized', Math.abs(Number(tx.amount)));
+  }
+
+  const totalExpenses = sum([...expenseByCategory.values()]);
+  const ticketRevenue = roundMoney(Number(event.revenue) || 0);
+  const otherIncome = sum(incomeTransactions.map(tx => Math.abs(Number(tx.amount))));
+  const monetaryDonations = sum(donations.data.filter(d => d.donation_type === 'monetary').map(d => Number(d.amount)));
+  const inKindDonations = sum(donations.data.filter(d => d.donation_type !== 'monetary').map(d => Number(d.amount)));
+  const totalIncome = roundMoney(ticketRevenue + otherIncome + monetaryDonations);
+
+  const hoursLogged = sum(loggedHours.data.map(entry => Number(entry.hours)));
+  const shiftHours = await checkedInShiftHours(checkins.data.filter(c => c.credential_type === 'volunteer'));
+  const attendeesCheckedIn = checkins.data
+    .filter(c => c.credential_type === 'ticket')
+    .reduce((total, c) => total + c.admits, 0);
+  // Door check-ins are the best headcount; fall back to tickets sold
+  const attendance = attendeesCheckedIn || Number(event.attendance) || 0;
+
+  const estimated = event.estimated_budget === null || event.estimated_budget === undefined
+    ? null
+    : roundMoney(Number(event.estimated_budget));
+  const netProfit = roundMoney(totalIncome - totalExpenses);
+
+  return {
+    event: {
+      id: event.id,
+      title: event.title,
+      event_date: event.event_date
+    },
+    budget: {
+      estimated,
+      actual: totalExpenses,
+      variance: estimated === null ? null : roundMoney(estimated - totalExpenses),
+      variance_percent: estimated ? roundMoney(((totalExpenses - estimated) / estimated) * 100) : null,
+      over_budget: estimated !== null && totalExpenses > estimated
+    },
+    expenses: {
+      total: totalExpenses,
+      approved_submissions: expenses.data.length,
+      direct_transactions: extraExpenses.length,
+      by_category: [...expenseByCategory.entries()]
+        .map(([category, amount]) => ({ category, amount }))
+        .sort((a, b) => b.amount - a.amount)
+    },
+    income: {
+      total: totalIncome,
+      ticket_revenue: ticketRevenue,
+      other_income: otherIncome,
+      donations: monetaryDonations,
+      in_kind_donations_value: inKindDonations
+    },
+    volunteers: {
+      logged_hours: hoursLogged,
+      checked_in_volunteers: shiftHours.volunteers,
+      checked_in_shift_hours: shiftHours.hours,
+      total_hours: roundMoney(hoursLogged + shiftHours.hours)
+    },
+    attendance,
+    net_profit: netProfit,
+    cost_per_attendee: attendance ? roundMoney(totalExpenses / attendance) : null,
+    net_per_attendee: attendance ? roundMoney(netProfit / attendance) : null
+  };
+};
+
+/**
+ * Find the organization's occurrence of the same event roughly a year earlier
+ * Matches on title (case-insensitive), closest to exactly one year before.
+ * @param {Object} event - events row
+ * @returns {Promise<Object|null>} events row
+ */
+export const findPreviousYearEvent = async (event) => {
+  const target = addDays(event.event_date, -365);
+
+  const { data, error } = await supabase
+    .from('events')
+    .select('*')
+    .eq('org_id', event.org_id)
+    .ilike('title', escapeLike(event.title))
+    .neq('id', event.id)
+    .gte('event_date', addDays(target, -120))
+    .lte('event_date', addDays(target, 120));
+
+  if (error) {
+    throw new Error(`Failed to look up last year's event: ${error.message}`);
+  }
+
+  const distance = (row) => Math.abs(new Date(row.event_date) - new Date(target));
+  return data.sort((a, b) => distance(a) - distance(b))[0] || null;
+};
+
+/**
+ * Compare two summaries metric by metric
+ * @param {Object} current - Summary for this year
+ * @param {Object} previous - Summary for last year
+ * @returns {Object} { metric: { current, previous, change, change_percent } }
+ */
+export const compareSummaries = (current, previous) => {
+  const metrics = {
+    total_expenses: s => s.expenses.total,
+    total_income: s => s.income.total,
+    net_profit: s => s.net_profit,
+    attendance: s => s.attendance,
+    cost_per_attendee: s => s.cost_per_attendee,
+    volunteer_hours: s => s.volunteers.total_hours
+  };
+
+  return Object.fromEntries(Object.entries(metrics).map(([name, pick]) => {
+    const now = pick(current);
+    const before = pick(previous);
+    const comparable = now !== null && before !== null;
+    return [name, {
+      current: now,
+      previous: before,
+      change: comparable ? roundMoney(now - before) : null,
+      change_percent: comparable && before ? roundMoney(((now - before) / Math.abs(before)) * 100) : null
+    }];
+  }));
+};
+
+/**
+ * Render a summary (and optional year-over-year comparison) as a PDF or XLSX file
+ * @param {Object} summary - From buildEventFinancialSummary
+ * @param {Object|null} comparison - { previous_event, metrics } or null
+ * @param {string} format - pdf or xlsx
+ * @returns {Promise<Buffer>}
+ */
+export const renderEventFinancialSummary = (summary, comparison, format) => {
+  const overview = [
+    { metric: 'Estimated budget', value: summary.budget.estimated, money: true },
+    { metric: 'Actual expenses', value: summary.expenses.total, money: true },
+    { metric: 'Budget variance (estimate - actual)', value: summary.budget.variance, money: true },
+    { metric: 'Ticket revenue', value: summary.income.ticket_revenue, money: true },
+    { metric: 'Other income', value: summary.income.other_income, money: true },
+    { metric: 'Donations', value: summary.income.donations, money: true },
+    { metric: 'Total income', value: summary.income.total, money: true },
+    { metric: 'Net profit', value: summary.net_profit, money: true, bold: true },
+    { metric: 'Attendance', value: summary.attendance },
+    { metric: 'Cost per attendee', value: summary.cost_per_attendee, money: true },
+    { metric: 'Volunteer hours', value: summary.volunteers.total_hours },
+    { metric: 'In-kind donations (value)', value: summary.income.in_kind_donations_value, money: true }
+  ];
+  const comparisonRows = comparison
+    ? Object.entries(comparison.metrics).map(([metric, values]) => ({
+      metric: metric.replace(/_/g, ' '),
+      money: !['attendance', 'volunteer_hours'].includes(metric),
+      ...values
+    }))
+    : [];
+
+  if (format === 'xlsx') {
+    return renderWorkbook([
+      {
+        name: 'Summary',
+        columns: [{ header: 'Metric', key: 'metric', width: 36 }, { header: 'Value', key: 'value', width: 16 }],
+        rows: overview
+      },
+      {
+        name: 'Expenses by category',
+        columns: [{ header: 'Category', key: 'category', width: 30 }, { header: 'Amount', key: 'amount', width: 16, money: true }],
+        rows: summary.expenses.by_category
+      },
+      ...(comparison ? [{
+        name: 'Year over year',
+        columns: [
+          { header: 'Metric', key: 'metric', width: 24 },
+          { header: 'This year', key: 'current', width: 14 },
+          { header: `Last year (${comparison.previous_event.event_date})`, key: 'previous', width: 22 },
+          { header: 'Change', key: 'change', width: 14 },
+          { header: 'Change %', key: 'change_percent', width: 12 }
+        ],
+        rows: comparisonRows
+      }] : [])
+    ]);
+  }
+
+  const show = (value, money) => (money ? formatMoney(value) : value ?? '—');
+
+  return renderPdf(doc => {
+    pdfHeading(doc, `${summary.event.title} – Event Summary`, `Event date ${summary.event.event_date} · Generated ${new Date().toISOString().slice(0, 10)}`);
+    pdfTable(doc, [
+      { header: 'Metric', key: 'metric', width: 300 },
+      { header: 'Value', key: 'value', width: 150, align: 'right', format: (value, row) => show(value, row.money) }
+    ], overview);
+
+    if (summary.expenses.by_category.length > 0) {
+      pdfTable(doc, [
+        { header: 'Category', key: 'category', width: 300 },
+        { header: 'Amount', key: 'amount', width: 150, align: 'right', format: formatMoney }
+      ], summary.expenses.by_category, { title: 'Expenses by category' });
+    }
+
+    if (comparison) {
+      pdfTable(doc, [
+        { header: 'Metric', key: 'metric', width: 150 },
+        { header: 'This year', key: 'current', width: 90, align: 'right', format: (value, row) => show(value, row.money) },
+        { header: 'Last year', key: 'previous', width: 90, align: 'right', format: (value, row) => show(value, row.money) },
+        { header: 'Change', key: 'change', width: 90, align: 'right', format: (value, row) => show(value, row.money) },
+        { header: '%', key: 'change_percent', width: 60, align: 'right', format: value => (value === null ? '—' : `${value}%`) }
+      ], comparisonRows, { title: `Compared with ${comparison.previous_event.title} (${comparison.previous_event.event_date})` });
+    }
+  });
+};
+
+// Hours worked by checked-in volunteers, taken from their shift times
+async function checkedInShiftHours(volunteerCheckins) {
+  if (volunteerCheckins.length === 0) return { volunteers: 0, hours: 0 };
+
+  const { data: signups, error } = await supabase
+    .from('volunteer_signups')
+    .select('id, user_id, volunteer_shifts(start_time, end_time)')
+    .in('id', volunteerCheckins.map(c => c.credential_id));
+
+  if (error) {
+    throw new Error(`Failed to load volunteer shifts: ${error.message}`);
+  }
+
+  const hours = signups.reduce((total, signup) => {
+    const shift = signup.volunteer_shifts;
+    if (!shift?.start_time || !shift?.end_time) return total;
+    return total + (minutesOf(shift.end_time) - minutesOf(shift.start_time)) / 60;
+  }, 0);
+
+  return {
+    volunteers: new Set(signups.map(signup => signup.user_id)).size,
+    hours: roundMoney(hours)
+  };
+}
+
+function minutesOf(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+function sum(values) {
+  return roundMoney(values.reduce((total, value) => total + (Number(value) || 0), 0));
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,75 @@
+import { supabase } from './verifySupabaseToken.js';
+import { addDays } from './recurrence.js';
+
+/**
+ * Resolve a task's stored due date from a fixed date or an offset from the event date
+ * @param {Object} task - { due_date, due_offset_days }
+ * @param {string} eventDate - Event date (YYYY-MM-DD)
+ * @returns {string|null}
+ */
+export const resolveDueDate = (task, eventDate) => {
+  if (task.due_offset_days !== null && task.due_offset_days !== undefined) {
+    return addDays(eventDate, task.due_offset_days);
+  }
+  return task.due_date || null;
+};
+
+/**
+ * Find whether adding the given dependencies to a task would create a cycle
+ * @param {string} taskId - Task gaining dependencies
+ * @param {string[]} dependsOn - Task IDs it will depend on
+ * @param {Object[]} edges - Existing [{ task_id, depends_on_task_id }] for the event
+ * @returns {boolean}
+ */
+export const createsDependencyCycle = (taskId, dependsOn, edges) => {
+  const graph = new Map();
+  for (const edge of edges) {
+    if (edge.task_id === taskId) continue; // replaced by dependsOn
+    if (!graph.has(edge.task_id)) graph.set(edge.task_id, []);
+    graph.get(edge.task_id).push(edge.depends_on_task_id);
+  }
+  graph.set(taskId, [...dependsOn]);
+
+  // Walk everything taskId depends on; reaching taskId again is a cycle
+  const stack = [...dependsOn];
+  const seen = new Set();
+  while (stack.length) {
+    const current = stack.pop();
+    if (current === taskId) return true;
+    if (seen.has(current)) continue;
+    seen.add(current);
+    stack.push(...(graph.get(current) || []));
+  }
+  return false;
+};
+
+/**
+ * Move offset-based task due dates after an event is rescheduled
+ * @param {string} eventId - Event ID
+ * @param {string} eventDate - New event date (YYYY-MM-DD)
+ * @returns {Promise<number>} Number of tasks moved
+ */
+export const rescheduleEventTasks = async (eventId, eventDate) => {
+  const { data: tasks, error } = await supabase
+    .from('event_tasks')
+    .select('id, due_offset_days')
+    .eq('event_id', eventId)
+    .not('due_offset_days', 'is', null);
+
+  if (error) {
+    throw new Error(`Failed to fetch tasks for event ${eventId}: ${error.message}`);
+  }
+
+  for (const task of tasks) {
+    const { error: updateError } = await supabase
+      .from('event_tasks')
+      .update({ due_date: resolveDueDate(task, eventDate), reminder_sent_at: null })
+      .eq('id', task.id);
+
+    if (updateError) {
+      throw new Error(`Failed to reschedule task ${task.id}: ${updateError.message}`);
+    }
+  }
+
+  return tasks.length;
+};
@@ -0,0 +1,288 @@
+/**
+ * Event ticket order helpers shared by the ticketing routes and the Stripe webhook
+ * Amounts are integer cents throughout; events.revenue is kept in dollars.
+ */
+
+import { supabase } from './verifySupabaseToken.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+
+// Checkout Session metadata.type for ticket orders (subscriptions have none)
+export const TICKET_ORDER_METADATA_TYPE = 'event_ticket_order';
+
+// Orders that count against ticket inventory
+export const HOLDING_STATUSES = ['pending', 'completed'];
+
+// Only completed orders can be refunded; only pending checkouts expire
+const RELEASABLE_FROM = {
+  expired: ['pending'],
+  refunded: ['completed'],
+  cancelled: HOLDING_STATUSES
+};
+
+/**
+ * Check whether a promo code can be used right now
+ * @param {Object} promo - event_promo_codes row
+ * @param {number} redemptions - Orders already holding or using the code
+ * @param {Date} [now] - Reference time
+ * @returns {string|null} Reason the code is unusable, or null
+ */
+export const promoCodeProblem = (promo, redemptions, now = new Date()) => {
+  if (!promo.is_active) return 'Promo code is no longer active';
+  if (promo.valid_from && new Date(promo.valid_from) > now) return 'Promo code is not valid yet';
+  if (promo.valid_until && new Date(promo.valid_until) < now) return 'Promo code has expired';
+  if (promo.max_redemptions && redemptions >= promo.max_redemptions) return 'Promo code has been fully redeemed';
+  return null;
+};
+
+/**
+ * Price a requested order
+ * @param {Object} options - Pricing inputs
+ * @param {Object[]} options.ticketTypes - event_ticket_types rows for the event
+ * @param {Object[]} options.items - Requested [{ ticket_type_id, quantity }]
+ * @param {Object} [options.promo] - Usable event_promo_codes row
+ * @returns {Object} { lines, subtotal_cents, discount_cents, total_cents, admits }
+ * @throws {ValidationError} When the request is malformed
+ */
+export const priceOrder = ({ ticketTypes, items, promo = null }) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ValidationError('At least one ticket is required', 'items');
+  }
+
+  const typesById = new Map(ticketTypes.map(type => [type.id, type]));
+  const quantities = new Map();
+
+  for (const item of items) {
+    const quantity = Number(item?.quantity);
+    if (!typesById.has(item?.ticket_type_id)) {
+      throw new ValidationError('Unknown ticket type for this event', 'items');
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new ValidationError('Ticket quantities must be positive whole numbers', 'items');
+    }
+    quantities.set(item.ticket_type_id, (quantities.get(item.ticket_type_id) || 0) + quantity);
+  }
+
+  const lines = [...quantities.entries()].map(([ticketTypeId, quantity]) => {
+    const type = typesById.get(ticketTypeId);
+    if (type.max_per_order && quantity > type.max_per_order) {
+      throw new ValidationError(`No more than ${type.max_per_order} "${type.name}" per order`, 'items');
+    }
+    return {
+      ticket_type_id: type.id,
+      name: type.name,
+      quantity,
+      unit_price_cents: type.price_cents,
+      admits: type.admits,
+      line_total_cents: type.price_cents * quantity
+    };
+  });
+
+  const subtotal = lines.reduce((sum, line) => sum + line.line_total_cents, 0);
+
+  let discount = 0;
+  if (promo) {
+    const eligible = lines
+      .filter(line => !promo.ticket_type_ids || promo.ticket_type_ids.includes(line.ticket_type_id))
+      .reduce((sum, line) => sum + line.line_total_cents, 0);
+
+    discount = promo.discount_type === 'percent'
+      ? Math.round(eligible * promo.discount_value / 100)
+      : Math.min(promo.discount_value, eligible);
+  }
+
+  return {
+    lines,
+    subtotal_cents: subtotal,
+    discount_cents: discount,
+    total_cents: subtotal - discount,
+    admits: lines.reduce((sum, line) => sum + line.admits * line.quantity, 0)
+  };
+};
+
+/**
+ * Tickets and people already held by pending (unexpired) or completed orders
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object>} { byType: Map<ticketTypeId, quantity>, admits }
+ */
+export const countHeldTickets = async (eventId) => {
+  const { data, error } = await supabase
+    .from('event_order_items')
+    .select('ticket_type_id, quantity, admits, event_orders!inner(event_id, status, expires_at)')
+    .eq('event_orders.event_id', eventId)
+    .in('event_orders.status', HOLDING_STATUSES);
+
+  if (error) {
+    throw new Error(`Failed to count tickets for event ${eventId}: ${error.message}`);
+  }
+
+  const now = new Date();
+  const byType = new Map();
+  let admits = 0;
+
+  for (const item of data) {
+    const order = item.event_orders;
+    if (order.status === 'pending' && order.expires_at && new Date(order.expires_at) < now) continue;
+    byType.set(item.ticket_type_id, (byType.get(item.ticket_type_id) || 0) + item.quantity);
+    admits += item.admits * item.quantity;
+  }
+
+  return { byType, admits };
+};
+
+/**
+ * Describe any quantity cap an order would exceed
+ * @param {Object} event - Events row (ticket_capacity)
+ * @param {Object[]} ticketTypes - event_ticket_types rows
+ * @param {Object} held - Result of countHeldTickets (including the order itself when re-checking)
+ * @returns {string|null}
+ */
+export const capacityProblem = (event, ticketTypes, held) => {
+  for (const type of ticketTypes) {
+    if (type.quantity_available !== null && type.quantity_available !== undefined &&
+        (held.byType.get(type.id) || 0) > type.quantity_available) {
+      return `Not enough "${type.name}" tickets left`;
+    }
+  }
+
+  if (event.ticket_capacity && held.admits > event.ticket_capacity) {
+    return 'This event is at capacity';
+  }
+
+  return null;
+};
+
+/**
+ * Recalculate events.revenue and events.attendance from completed orders
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object>} { revenue, attendance }
+ */
+export const recalculateEventTotals = async (eventId) => {
+  const { data: orders, error } = await supabase
+    .from('event_orders')
+    .select('total_cents, admits')
+    .eq('event_id', eventId)
+    .eq('status', 'completed');
+
+  if (error) {
+    throw new Error(`Failed to total orders for event ${eventId}: ${error.message}`);
+  }
+
+  const totals = {
+    revenue: orders.reduce((sum, order) => sum + order.total_cents, 0) / 100,
+    attendance: orders.reduce((sum, order) => sum + order.admits, 0)
+  };
+
+  const { error: updateError } = await supabase
+    .from('events')
+    .update(totals)
+    .eq('id', eventId);
+
+  if (updateError) {
+    throw new Error(`Failed to update totals for event ${eventId}: ${updateError.message}`);
+  }
+
+  return totals;
+};
+
+/**
+ * Complete a pending order: issue its tickets and roll up event totals.
+ * Safe to call more than once (Stripe retries webhooks); only the first call does anything.
+ * @param {string} orderId - Order ID
+ * @param {Object} [payment] - Payment details
+ * @param {string} [payment.paymentIntentId] - Stripe PaymentIntent ID
+ * @returns {Promise<Object|null>} The completed order, or null if it was not pending
+ */
+export const completeOrder = async (orderId, { paymentIntentId = null } = {}) => {
+  const { data: items, error: itemsError } = await supabase
+    .from('event_order_items')
+    .select('ticket_type_id, quantity, admits')
+    .eq('order_id', orderId);
+
+  if (itemsError) {
+    throw new Error(`Failed to load items for order ${orderId}: ${itemsError.message}`);
+  }
+
+  const { data: orders, error } = await supabase
+    .from('event_orders')
+    .update({
+      status: 'completed',
+      completed_at: new Date().toISOString(),
+      ...(paymentIntentId ? { stripe_payment_intent_id: paymentIntentId } : {})
+    })
+    .eq('id', orderId)
+    .eq('status', 'pending')
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to complete order ${orderId}: ${error.message}`);
+  }
+
+  const order = orders?.[0];
+  if (!order) return null;
+
+  const tickets = items.flatMap(item => Array.from({ length: item.quantity }, () => ({
+    org_id: order.org_id,
+    event_id: order.event_id,
+    order_id: order.id,
+    ticket_type_id: item.ticket_type_id,
+    admits: item.admits
+  })));
+
+  const { error: ticketsError } = await supabase.from('event_tickets').insert(tickets);
+  if (ticketsError) {
+    // Back to pending, so the webhook fails and Stripe's retry issues the tickets
+    const { error: revertError } = await supabase
+      .from('event_orders')
+      .update({ status: 'pending', completed_at: null })
+      .eq('id', order.id)
+      .eq('status', 'completed');
+
+    if (revertError) {
+      console.error(`[eventTickets.js] Order ${order.id} is completed without tickets: ${revertError.message}`);
+    }
+    throw new Error(`Failed to issue tickets for order ${order.id}: ${ticketsError.message}`);
+  }
+
+  await recalculateEventTotals(order.event_id);
+
+  console.log(`✅ Order ${order.id} completed: ${tickets.length} tickets for event ${order.event_id}`);
+  return order;
+};
+
+/**
+ * Move an order out of pending/completed (expired checkout, cancellation, refund)
+ * @param {Object} match - Column to find the order by, e.g. { stripe_payment_intent_id }
+ * @param {string} status - 'expired', 'cancelled' or 'refunded'
+ * @returns {Promise<Object|null>} The updated order, or null if nothing changed
+ */
+export const releaseOrder = async (match, status) => {
+  const [column, value] = Object.entries(match)[0];
+
+  const { data: orders, error } = await supabase
+    .from('event_orders')
+    .update({ status, cancelled_at: new Date().toISOString() })
+    .eq(column, value)
+    .in('status', RELEASABLE_FROM[status])
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to mark order ${status}: ${error.message}`);
+  }
+
+  const order = orders?.[0];
+  if (!order) return null;
+
+  const { error: voidError } = await supabase
+    .from('event_tickets')
+    .update({ status: 'void' })
+    .eq('order_id', order.id);
+
+  if (voidError) {
+    throw new Error(`Failed to void tickets for order ${order.id}: ${voidError.message}`);
+  }
+
+  await recalculateEventTotals(order.event_id);
+
+  console.log(`✅ Order ${order.id} ${status}`);
+  return order;
+};
@@ -0,0 +1,555 @@
+/**
+ * Multi-step expense approval. The active 'expense_approval' workflow whose
+ * rules match an expense decides who has to sign off; its chain is copied into
+ * expense_approval_steps at submission. Expenses no workflow matches get a
+ * single committee-lead step, the same check approvals have always had.
+ * An approver can send an expense back for more information; when it is
+ * resubmitted the chain starts over as a new round (approval_round).
+ */
+
+import { supabase } from './verifySupabaseToken.js';
+import { createNotification } from './notifications.js';
+import { hasMinRole } from '../middleware/roleBasedAccess.js';
+import { ValidationError, ConflictError, ForbiddenError } from '../middleware/errorHandler.js';
+
+export const APPROVAL_MODES = ['sequential', 'parallel'];
+export const APPROVER_ROLES = ['admin', 'board_member', 'committee_lead', 'volunteer'];
+
+const DEFAULT_CHAIN = [{ name: 'Budget approval', approver_ids: [], min_role: 'committee_lead' }];
+const DEFAULT_ESCALATE_TO = { min_role: 'admin', approver_ids: [] };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate and normalize workflow input from the API
+ * @param {Object} input - Request body
+ * @param {Object} [existing] - Current workflow when updating
+ * @returns {Object} Row values for approval_workflows
+ */
+export const normalizeWorkflow = (input, existing = {}) => {
+  const merged = { ...existing, ...input };
+
+  const workflowName = String(merged.workflow_name || '').trim();
+  if (!workflowName) {
+    throw new ValidationError('Workflow name is required', 'workflow_name');
+  }
+
+  const approvalMode = merged.approval_mode || 'sequential';
+  if (!APPROVAL_MODES.includes(approvalMode)) {
+    throw new ValidationError(`Approval mode must be one of: ${APPROVAL_MODES.join(', ')}`, 'approval_mode');
+  }
+
+  let escalationDays = null;
+  if (merged.escalation_days !== undefined && merged.escalation_days !== null && merged.escalation_days !== '') {
+    escalationDays = Number(merged.escalation_days);
+    if (!Number.isInteger(escalationDays) || escalationDays < 1) {
+      throw new ValidationError('Escalation days must be a positive whole number', 'escalation_days');
+    }
+  }
+
+  return {
+    workflow_name: workflowName,
+    workflow_type: 'expense_approval',
+    rules: normalizeRules(merged.rules || {}),
+    approval_chain: normalizeChain(merged.approval_chain),
+    approval_mode: approvalMode,
+    escalation_days: escalationDays,
+    escalate_to: normalizeApprovers(merged.escalate_to || DEFAULT_ESCALATE_TO, 'escalate_to'),
+    is_active: merged.is_active !== undefined ? Boolean(merged.is_active) : true
+  };
+};
+
+/**
+ * Pick the workflow that governs an expense. When several match, the one
+ * with the highest min_amount (the most specific threshold) wins.
+ * @param {string} orgId - Organization ID
+ * @param {Object} expense - { amount, category_id }
+ * @returns {Promise<Object|null>} Workflow row, or null for the default chain
+ */
+export const selectWorkflow = async (orgId, expense) => {
+  const { data: workflows, error } = await supabase
+    .from('approval_workflows')
+    .select('*')
+    .eq('org_id', orgId)
+    .eq('workflow_type', 'expense_approval')
+    .eq('is_active', true)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to fetch approval workflows: ${error.message}`);
+  }
+
+  const matches = workflows.filter(workflow => rulesMatch(workflow.rules || {}, expense));
+  matches.sort((a, b) => Number(b.rules?.min_amount || 0) - Number(a.rules?.min_amount || 0));
+  return matches[0] || null;
+};
+
+/**
+ * Create the approval steps for a newly submitted expense and notify the
+ * approvers of every step that is open
+ * @param {Object} expense - Expense submission row
+ * @param {string} actorId - User who submitted it
+ * @returns {Promise<Object[]>} Created steps
+ */
+export const startApproval = async (expense, actorId) => {
+  const workflow = await selectWorkflow(expense.org_id, expense);
+  const chain = workflow?.approval_chain?.length ? workflow.approval_chain : DEFAULT_CHAIN;
+  const parallel = workflow?.approval_mode === 'parallel';
+  const now = new Date();
+
+  const rows = chain.map((step, index) => {
+    const open = parallel || index === 0;
+    return {
+      org_id: expense.org_id,
+      expense_id: expense.id,
+      workflow_id: workflow?.id || null,
+      approval_round: expense.resubmission_count || 0,
+      step_order: index + 1,
+      step_name: step.name,
+      approver_ids: step.approver_ids || [],
+      min_role: step.min_role || null,
+      status: open ? 'pending' : 'waiting',
+      opened_at: open ? now.toISOString() : null,
+      escalate_at: open ? escalationTime(workflow, now) : null,
+      escalate_to: workflow?.escalation_days ? workflow.escalate_to : null
+    };
+  });
+
+  const { data: steps, error } = await supabase
+    .from('expense_approval_steps')
+    .insert(rows)
+    .select('*');
+
+  if (error) {
+    throw new Error(`Failed to create approval steps: ${error.message}`);
+  }
+
+  if (workflow) {
+    await supabase
+      .from('expense_submissions')
+      .update({ approval_workflow_id: workflow.id })
+      .eq('id', expense.id);
+  }
+
+  steps.sort((a, b) => a.step_order - b.step_order);
+  await logHistory(expense, null, 'submitted', actorId,
+    workflow ? `Routed to workflow "${workflow.workflow_name}"` : 'Default approval');
+  await notifyApprovers(expense, steps.filter(step => step.status === 'pending'));
+
+  return steps;
+};
+
+/**
+ * Load the current round of an expense's approval steps, creating them for
+ * expenses submitted before approval workflows existed
+ * @param {Object} expense - Expense submission row
+ * @returns {Promise<Object[]>} Steps in chain order
+ */
+export const loadApprovalSteps = async (expense) => {
+  const { data: steps, error } = await supabase
+    .from('expense_approval_steps')
+    .select('*')
+    .eq('expense_id', expense.id)
+    .eq('approval_round', expense.resubmission_count || 0)
+    .order('step_order', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch approval steps: ${error.message}`);
+  }
+
+  if (steps.length === 0 && expense.status === 'pending') {
+    return startApproval(expense, expense.submitted_by);
+  }
+
+  return steps;
+};
+
+/**
+ * Open steps a user may sign off on
+ * @param {Object[]} steps - The expense's steps
+ * @param {Object} user - { id, role }
+ * @returns {Object[]}
+ */
+export const actionableSteps = (steps, user) => {
+  return steps.filter(step => step.status === 'pending' && canActOnStep(step, user));
+};
+
+/**
+ * Record an approver's decision on an expense.
+ * Approving signs the first open step the user is eligible for; the expense
+ * is fully approved once every step is. Rejecting ends the approval and skips
+ * whatever steps remain.
+ * @param {Object} expense - Expense submission row (status pending)
+ * @param {Object} user - { id, role }
+ * @param {string} decision - 'approved' or 'rejected'
+ * @param {string} [notes] - Approver notes
+ * @returns {Promise<Object>} { complete, steps }
+ */
+export const recordDecision = async (expense, user, decision, notes = null) => {
+  if (expense.submitted_by === user.id) {
+    throw new ForbiddenError('You cannot approve or reject your own expense submission');
+  }
+
+  const steps = await loadApprovalSteps(expense);
+
+  // One person signs one step, so a two-person chain really takes two people
+  if (decision === 'approved' && steps.some(step => step.status === 'approved' && step.decided_by === user.id)) {
+    throw new ForbiddenError('You have already approved a step of this expense');
+  }
+
+  const [step] = actionableSteps(steps, user);
+  if (!step) {
+    throw new ForbiddenError('You are not an approver for any open step of this expense');
+  }
+
+  const decidedAt = new Date().toISOString();
+  const { data: claimed, error } = await supabase
+    .from('expense_approval_steps')
+    .update({ status: decision, decided_by: user.id, decided_at: decidedAt, notes })
+    .eq('id', step.id)
+    .eq('status', 'pending')
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to record approval step: ${error.message}`);
+  }
+  if (!claimed || claimed.length === 0) {
+    throw new ConflictError('This approval step was just decided by someone else');
+  }
+
+  await logHistory(expense, step, decision, user.id, notes);
+
+  if (decision === 'rejected') {
+    await skipRemainingSteps(expense, steps.filter(other => other.id !== step.id));
+    return { complete: true, steps: await loadApprovalSteps(expense) };
+  }
+
+  const remaining = steps.filter(other => other.id !== step.id && other.status !== 'approved');
+  if (remaining.length === 0) {
+    await logHistory(expense, null, 'completed', user.id, null);
+    return { complete: true, steps: await loadApprovalSteps(expense) };
+  }
+
+  if (!remaining.some(other => other.status === 'pending')) {
+    await openStep(expense, remaining[0]);
+  }
+
+  return { complete: false, steps: await loadApprovalSteps(expense) };
+};
+
+/**
+ * Send an expense back to its submitter with a question. Only an approver of
+ * an open step can ask; the step stays open for when the expense returns.
+ * @param {Object} expense - Expense submission row (status pending)
+ * @param {Object} user - { id, role }
+ * @param {string} message - What the approver needs
+ * @returns {Promise<Object>} The step the request was made from
+ */
+export const requestInfo = async (expense, user, message) => {
+  if (expense.submitted_by === user.id) {
+    throw new ForbiddenError('You cannot request information on your own expense submission');
+  }
+
+  const steps = await loadApprovalSteps(expense);
+  const [step] = actionableSteps(steps, user);
+  if (!step) {
+    throw new ForbiddenError('You are not an approver for any open step of this expense');
+  }
+
+  await logHistory(expense, step, 'info_requested', user.id, message);
+  return step;
+};
+
+/**
+ * Start a new approval round for a resubmitted expense. Steps left open from
+ * the previous round are skipped; the new round is routed on the updated
+ * amount and category, so it may go to a different workflow.
+ * @param {Object} previous - Expense row before resubmission
+ * @param {Object} expense - Expense row after resubmission (resubmission_count incremented)
+ * @param {string} actorId - Submitter
+ * @param {string} [notes] - Submitter's note
+ * @returns {Promise<Object[]>} The new round's steps
+ */
+export const restartApproval = async (previous, expense, actorId, notes = null) => {
+  const oldSteps = await loadApprovalSteps(previous);
+  await skipRemainingSteps(previous, oldSteps);
+  await logHistory(expense, null, 'resubmitted', actorId, notes);
+  return startApproval(expense, actorId);
+};
+
+/**
+ * Approval steps and history for an expense
+ * @param {string} expenseId - Expense submission ID
+ * @returns {Promise<Object>} { steps, history }
+ */
+export const loadApprovalTrail = async (expenseId) => {
+  const [stepsResult, historyResult] = await Promise.all([
+    supabase
+      .from('expense_approval_steps')
+      .select('*')
+      .eq('expense_id', expenseId)
+      .order('approval_round', { ascending: true })
+      .order('step_order', { ascending: true }),
+    supabase
+      .from('expense_approval_history')
+      .select('*')
+      .eq('expense_id', expenseId)
+      .order('created_at', { ascending: true })
+  ]);
+
+  if (stepsResult.error) {
+    throw new Error(`Failed to fetch approval steps: ${stepsResult.error.message}`);
+  }
+  if (historyResult.error) {
+    throw new Error(`Failed to fetch approval history: ${historyResult.error.message}`);
+  }
+
+  return { steps: stepsResult.data, history: historyResult.data };
+};
+
+/**
+ * Escalate open steps that have waited past their workflow's escalation_days.
+ * Each step is claimed by setting escalated_at first, so it escalates once.
+ * @returns {Promise<number>} Steps escalated
+ */
+export const escalateOverdueSteps = async () => {
+  const now = new Date().toISOString();
+
+  const { data: steps, error } = await supabase
+    .from('expense_approval_steps')
+    .select('*, expense_submissions(id, org_id, submitted_by, amount, vendor_name, description, status)')
+    .eq('status', 'pending')
+    .is('escalated_at', null)
+    .not('escalate_at', 'is', null)
+    .lte('escalate_at', now);
+
+  if (error) {
+    throw new Error(`Failed to fetch overdue approval steps: ${error.message}`);
+  }
+
+  let escalated = 0;
+  for (const step of steps) {
+    // The clock is the submitter's while an expense is back with them for more information
+    if (step.expense_submissions?.status === 'needs_info') continue;
+
+    const { data: claimed } = await supabase
+      .from('expense_approval_steps')
+      .update({ escalated_at: now })
+      .eq('id', step.id)
+      .is('escalated_at', null)
+      .select('id');
+
+    if (!claimed || claimed.length === 0) continue;
+
+    const expense = step.expense_submissions;
+    await logHistory(expense, step, 'escalated', null, `Waiting since ${step.opened_at}`);
+
+    const recipients = await resolveApprovers(expense.org_id, step.escalate_to || DEFAULT_ESCALATE_TO, expense.submitted_by);
+    for (const recipientId of recipients) {
+      await createNotification({
+        orgId: expense.org_id,
+        recipientId,
+        type: 'expense_approval_escalated',
+        title: `Overdue approval: ${describeExpense(expense)}`,
+        message: `"${step.step_name}" has been waiting since ${String(step.opened_at).slice(0, 10)} and can now be approved by you`,
+        link: `/budget/expenses/${expense.id}`
+      });
+    }
+    escalated += 1;
+  }
+
+  if (escalated > 0) {
+    console.log(`✅ Escalated ${escalated} overdue expense approval steps`);
+  }
+  return escalated;
+};
+
+// =====================================================
+// HELPER FUNCTIONS
+// =====================================================
+
+function canActOnStep(step, user) {
+  if (matchesApprovers(step, user)) return true;
+  return Boolean(step.escalated_at && step.escalate_to && matchesApprovers(step.escalate_to, user));
+}
+
+function matchesApprovers(approvers, user) {
+  const ids = approvers.approver_ids || [];
+  if (ids.length > 0) return ids.includes(user.id);
+  return Boolean(approvers.min_role) && hasMinRole(user.role, approvers.min_role);
+}
+
+function rulesMatch(rules, expense) {
+  const amount = Number(expense.amount);
+  if (rules.min_amount !== undefined && rules.min_amount !== null && amount <= Number(rules.min_amount)) return false;
+  if (rules.max_amount !== undefined && rules.max_amount !== null && amount > Number(rules.max_amount)) return false;
+  if (rules.category_ids?.length && !rules.category_ids.includes(expense.category_id)) return false;
+  return true;
+}
+
+function normalizeRules(rules) {
+  const normalized = {};
+
+  for (const field of ['min_amount', 'max_amount']) {
+    if (rules[field] === undefined || rules[field] === null || rules[field] === '') continue;
+    const value = Number(rules[field]);
+    if (isNaN(value) || value < 0) {
+      throw new ValidationError(`${field} must be a non-negative number`, `rules.${field}`);
+    }
+    normalized[field] = value;
+  }
+
+  if (normalized.min_amount !== undefined && normalized.max_amount !== undefined && normalized.max_amount <= normalized.min_amount) {
+    throw new ValidationError('max_amount must be greater than min_amount', 'rules.max_amount');
+  }
+
+  if (rules.category_ids !== undefined) {
+    if (!Array.isArray(rules.category_ids)) {
+      throw new ValidationError('category_ids must be an array', 'rules.category_ids');
+    }
+    normalized.category_ids = rules.category_ids;
+  }
+
+  return normalized;
+}
+
+function normalizeChain(chain) {
+  if (!Array.isArray(chain) || chain.length === 0) {
+    throw new ValidationError('Approval chain must have at least one step', 'approval_chain');
+  }
+
+  return chain.map((step, index) => {
+    const name = String(step?.name || '').trim() || `Step ${index + 1}`;
+    return { name, ...normalizeApprovers(step || {}, `approval_chain[${index}]`) };
+  });
+}
+
+function normalizeApprovers(approvers, field) {
+  const approverIds = approvers.approver_ids || [];
+  if (!Array.isArray(approverIds)) {
+    throw new ValidationError('approver_ids must be an array of user IDs', `${field}.approver_ids`);
+  }
+
+  const minRole = approvers.min_role || null;
+  if (minRole && !APPROVER_ROLES.includes(minRole)) {
+    throw new ValidationError(`min_role must be one of: ${APPROVER_ROLES.join(', ')}`, `${field}.min_role`);
+  }
+
+  if (approverIds.length === 0 && !minRole) {
+    throw new ValidationError('Each step needs approver_ids or a min_role', field);
+  }
+
+  return { approver_ids: approverIds, min_role: minRole };
+}
+
+function escalationTime(workflow, from) {
+  if (!workflow?.escalation_days) return null;
+  return new Date(from.getTime() + workflow.escalation_days * DAY_MS).toISOString();
+}
+
+async function openStep(expense, step) {
+  const now = new Date();
+  const workflow = step.workflow_id ? await fetchWorkflow(step.workflow_id) : null;
+
+  const { data: opened, error } = await supabase
+    .from('expense_approval_steps')
+    .update({ status: 'pending', opened_at: now.toISOString(), escalate_at: escalationTime(workflow, now) })
+    .eq('id', step.id)
+    .eq('status', 'waiting')
+    .select('*');
+
+  if (error) {
+    throw new Error(`Failed to open approval step: ${error.message}`);
+  }
+  if (!opened || opened.length === 0) return;
+
+  await logHistory(expense, step, 'opened', null, null);
+  await notifyApprovers(expense, opened);
+}
+
+async function skipRemainingSteps(expense, steps) {
+  const open = steps.filter(step => step.status === 'pending' || step.status === 'waiting');
+  if (open.length === 0) return;
+
+  const { error } = await supabase
+    .from('expense_approval_steps')
+    .update({ status: 'skipped' })
+    .in('id', open.map(step => step.id))
+    .in('status', ['pending', 'waiting']);
+
+  if (error) {
+    throw new Error(`Failed to skip approval steps: ${error.message}`);
+  }
+
+  for (const step of open) {
+    await logHistory(expense, step, 'skipped', null, null);
+  }
+}
+
+async function fetchWorkflow(workflowId) {
+  const { data } = await supabase
+    .from('approval_workflows')
+    .select('*')
+    .eq('id', workflowId)
+    .maybeSingle();
+
+  return data;
+}
+
+async function logHistory(expense, step, action, actorId, notes) {
+  const { error } = await supabase
+    .from('expense_approval_history')
+    .insert([{
+      org_id: expense.org_id,
+      expense_id: expense.id,
+      step_id: step?.id || null,
+      action,
+      actor_id: actorId,
+      notes: notes || null
+    }]);
+
+  if (error) {
+    console.warn(`⚠️ Failed to log ${action} for expense ${expense.id}:`, error.message);
+  }
+}
+
+// Users who can act for an approver definition, minus the expense's submitter
+async function resolveApprovers(orgId, approvers, submittedBy) {
+  let ids = approvers.approver_ids || [];
+
+  if (ids.length === 0 && approvers.min_role) {
+    const { data: profiles, error } = await supabase
+      .from('profiles')
+      .select('id, role')
+      .eq('org_id', orgId);
+
+    if (error) {
+      console.warn(`⚠️ Failed to look up approvers for org ${orgId}:`, error.message);
+      return [];
+    }
+    ids = profiles.filter(profile => hasMinRole(profile.role, approvers.min_role)).map(profile => profile.id);
+  }
+
+  return ids.filter(id => id !== submittedBy);
+}
+
+async function notifyApprovers(expense, steps) {
+  for (const step of steps) {
+    const recipients = await resolveApprovers(expense.org_id, step, expense.submitted_by);
+    for (const recipientId of recipients) {
+      await createNotification({
+        orgId: expense.org_id,
+        recipientId,
+        type: 'expense_approval_requested',
+        title: `Approval needed: ${describeExpense(expense)}`,
+        message: `Step "${step.step_name}" is waiting for your approval`,
+        link: `/budget/expenses/${expense.id}`
+      });
+    }
+  }
+}
+
+function describeExpense(expense) {
+  const amount = `$${Number(expense.amount).toFixed(2)}`;
+  const what = expense.vendor_name || expense.description;
+  return what ? `${amount} – ${what}` : amount;
+}
@@ -0,0 +1,230 @@
+/**
+ * Comment threads and revision history for expense submissions. Approvers
+ * and submitters talk in expense_comments; every resubmission first saves
+ * the expense as it was to expense_submission_revisions.
+ */
+
+import { supabase } from './verifySupabaseToken.js';
+import { createNotification } from './notifications.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+
+// Fields a resubmission can change, and that revisions keep
+const REVISION_FIELDS = [
+  'vendor_name',
+  'amount',
+  'expense_date',
+  'description',
+  'category_id',
+  'event_id',
+  'line_items',
+  'receipt_images',
+  'receipt_total',
+  'receipt_amount_mismatch'
+];
+
+const MAX_COMMENT_LENGTH = 5000;
+
+/**
+ * Add a comment to an expense's thread
+ * @param {Object} expense - Expense submission row
+ * @param {string} authorId - Commenting user
+ * @param {string} body - Comment text
+ * @param {string} [commentType] - comment, info_request or resubmission
+ * @returns {Promise<Object>} expense_comments row
+ */
+export const addComment = async (expense, authorId, body, commentType = 'comment') => {
+  const text = String(body || '').trim();
+  if (!text) {
+    throw new ValidationError('Comment text is required', 'body');
+  }
+  if (text.length > MAX_COMMENT_LENGTH) {
+    throw new ValidationError(`Comments are limited to ${MAX_COMMENT_LENGTH} characters`, 'body');
+  }
+
+  const { data: comment, error } = await supabase
+    .from('expense_comments')
+    .insert([{
+      org_id: expense.org_id,
+      expense_id: expense.id,
+      author_id: authorId,
+      comment_type: commentType,
+      body: text
+    }])
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to add comment: ${error.message}`);
+  }
+  return comment;
+};
+
+/**
+ * An expense's comment thread, oldest first, with author names
+ * @param {string} expenseId - Expense submission ID
+ * @returns {Promise<Object[]>}
+ */
+export const loadComments = async (expenseId) => {
+  const { data: comments, error } = await supabase
+    .from('expense_comments')
+    .select('*')
+    .eq('expense_id', expenseId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch comments: ${error.message}`);
+  }
+
+  const names = await loadAuthorNames(comments.map(comment => comment.author_id));
+  return comments.map(comment => ({ ...comment, author_name: names[comment.author_id] || null }));
+};
+
+/**
+ * Tell the other side of the conversation about a new comment: the submitter
+ * when an approver writes, and whoever asked for information when the
+ * submitter does
+ * @param {Object} expense - Expense submission row
+ * @param {Object} comment - expense_comments row
+ */
+export const notifyCommentRecipients = async (expense, comment) => {
+  let recipients = [expense.submitted_by];
+
+  if (comment.author_id === expense.submitted_by) {
+    const { data: requests, error } = await supabase
+      .from('expense_comments')
+      .select('author_id')
+      .eq('expense_id', expense.id)
+      .eq('comment_type', 'info_request');
+
+    if (error) {
+      console.warn(`⚠️ Failed to find who to notify about comment on expense ${expense.id}:`, error.message);
+      return;
+    }
+    recipients = requests.map(request => request.author_id);
+  }
+
+  for (const recipientId of new Set(recipients)) {
+    if (recipientId === comment.author_id) continue;
+    await createNotification({
+      orgId: expense.org_id,
+      recipientId,
+      type: 'expense_comment',
+      title: `New comment on ${describeExpense(expense)}`,
+      message: comment.body.slice(0, 200),
+      link: `/budget/expenses/${expense.id}`
+    });
+  }
+};
+
+/**
+ * Save the expense as it is now, before a resubmission changes it
+ * @param {Object} expense - Expense submission row
+ * @param {string} userId - User resubmitting
+ * @returns {Promise<Object>} expense_submission_revisions row
+ */
+export const saveRevision = async (expense, userId) => {
+  const snapshot = Object.fromEntries(REVISION_FIELDS.map(field => [field, expense[field] ?? null]));
+
+  const { data: revision, error } = await supabase
+    .from('expense_submission_revisions')
+    .insert([{
+      ...snapshot,
+      line_items: snapshot.line_items || [],
+      receipt_images: snapshot.receipt_images || [],
+      receipt_amount_mismatch: Boolean(snapshot.receipt_amount_mismatch),
+      org_id: expense.org_id,
+      expense_id: expense.id,
+      revision_number: expense.resubmission_count || 0,
+      replaced_by: userId
+    }])
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save expense revision: ${error.message}`);
+  }
+  return revision;
+};
+
+/**
+ * Every version of an expense, oldest first, ending with the current one.
+ * Each lists what changed from the version before it.
+ * @param {Object} expense - Expense submission row
+ * @returns {Promise<Object[]>} [{ revision_number, current, ...fields, changes, receipts_added }]
+ */
+export const loadRevisions = async (expense) => {
+  const { data: saved, error } = await supabase
+    .from('expense_submission_revisions')
+    .select('*')
+    .eq('expense_id', expense.id)
+    .order('revision_number', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch expense revisions: ${error.message}`);
+  }
+
+  const versions = [
+    ...saved.map(revision => ({ ...pickFields(revision), revision_number: revision.revision_number, saved_at: revision.created_at, current: false })),
+    { ...pickFields(expense), revision_number: expense.resubmission_count || 0, saved_at: null, current: true }
+  ];
+
+  return versions.map((version, index) => {
+    const before = versions[index - 1];
+    if (!before) return { ...version, changes: [], receipts_added: version.receipt_images };
+
+    const changes = REVISION_FIELDS
+      .filter(field => field !== 'receipt_images')
+      .filter(field => JSON.stringify(normalizeValue(before[field])) !== JSON.stringify(normalizeValue(version[field])))
+      .map(field => ({ field, from: before[field], to: version[field] }));
+    const previousUrls = new Set(before.receipt_images.map(receipt => receipt.url));
+
+    return {
+      ...version,
+      changes,
+      receipts_added: version.receipt_images.filter(receipt => !previousUrls.has(receipt.url))
+    };
+  });
+};
+
+// =====================================================
+// HELPER FUNCTIONS
+// =====================================================
+
+function pickFields(row) {
+  const fields = Object.fromEntries(REVISION_FIELDS.map(field => [field, row[field] ?? null]));
+  fields.line_items = fields.line_items || [];
+  fields.receipt_images = fields.receipt_images || [];
+  return fields;
+}
+
+// DECIMAL columns come back as strings or numbers depending on the path
+function normalizeValue(value) {
+  if (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+async function loadAuthorNames(userIds) {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (ids.length === 0) return {};
+
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('id, full_name, first_name, last_name')
+    .in('id', ids);
+
+  if (error) {
+    console.warn('⚠️ Failed to load comment author names:', error.message);
+    return {};
+  }
+
+  return Object.fromEntries(data.map(profile => [
+    profile.id,
+    profile.full_name || [profile.first_name, profile.last_name].filter(Boolean).join(' ') || null
+  ]));
+}
+
+function describeExpense(expense) {
+  const amount = `$${Number(expense.amount).toFixed(2)}`;
+  const what = expense.vendor_name || expense.description;
+  return what ? `${amount} – ${what}` : amount;
+}
@@ -0,0 +1,192 @@
+/**
+ * Fiscal year helpers. Organizations pick the month their fiscal year starts;
+ * a fiscal year is named for the calendar year it ends in (with a July start,
+ * FY 2026 runs 2025-07-01 to 2026-06-30). A January start is the calendar year.
+ */
+
+import { supabase } from './verifySupabaseToken.js';
+import { ConflictError } from '../middleware/errorHandler.js';
+
+/**
+ * The month (1-12) an organization's fiscal year starts
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<number>}
+ */
+export const getFiscalYearStartMonth = async (orgId) => {
+  const { data, error } = await supabase
+    .from('organizations')
+    .select('fiscal_year_start_month')
+    .eq('id', orgId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch fiscal year settings: ${error.message}`);
+  }
+
+  return data?.fiscal_year_start_month || 1;
+};
+
+/**
+ * First and last day of a fiscal year
+ * @param {number} fiscalYear - Fiscal year
+ * @param {number} startMonth - Month the fiscal year starts (1-12)
+ * @returns {Object} { start, end } as YYYY-MM-DD
+ */
+export const fiscalYearBounds = (fiscalYear, startMonth = 1) => {
+  const startYear = startMonth === 1 ? fiscalYear : fiscalYear - 1;
+  const start = new Date(Date.UTC(startYear, startMonth - 1, 1));
+  const end = new Date(Date.UTC(startYear + 1, startMonth - 1, 0));
+  return { start: toDateString(start), end: toDateString(end) };
+};
+
+/**
+ * The fiscal year a date falls in
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} startMonth - Month the fiscal year starts (1-12)
+ * @returns {number}
+ */
+export const fiscalYearForDate = (date, startMonth = 1) => {
+  const [year, month] = String(date).split('-').map(Number);
+  return startMonth === 1 || month < startMonth ? year : year + 1;
+};
+
+/**
+ * The organization's current fiscal year
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<number>}
+ */
+export const currentFiscalYear = async (orgId) => {
+  const startMonth = await getFiscalYearStartMonth(orgId);
+  return fiscalYearForDate(toDateString(new Date()), startMonth);
+};
+
+/**
+ * Date range covered by a fiscal year. Uses the approved plan's dates when
+ * the year has one, otherwise the organization's fiscal year settings.
+ * @param {string} orgId - Organization ID
+ * @param {number} fiscalYear - Fiscal year
+ * @returns {Promise<Object>} { start, end, source, budget_plan_id }
+ */
+export const fiscalYearRange = async (orgId, fiscalYear) => {
+  const { data: plan, error } = await supabase
+    .from('budget_plans')
+    .select('id, start_date, end_date')
+    .eq('org_id', orgId)
+    .eq('fiscal_year', fiscalYear)
+    .in('status', ['approved', 'active', 'completed'])
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch budget plan: ${error.message}`);
+  }
+
+  if (plan) {
+    return { start: plan.start_date, end: plan.end_date, source: 'budget_plan', budget_plan_id: plan.id };
+  }
+
+  const startMonth = await getFiscalYearStartMonth(orgId);
+  return { ...fiscalYearBounds(fiscalYear, startMonth), source: 'fiscal_year_settings', budget_plan_id: null };
+};
+
+/**
+ * Throw a ConflictError if a fiscal year has been closed
+ * @param {string} orgId - Organization ID
+ * @param {number} fiscalYear - Fiscal year
+ */
+export const assertFiscalYearOpen = async (orgId, fiscalYear) => {
+  const { data, error } = await supabase
+    .from('fiscal_year_closes')
+    .select('id')
+    .eq('org_id', orgId)
+    .eq('fiscal_year', fiscalYear)
+    .eq('status', 'closed')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to check fiscal year status: ${error.message}`);
+  }
+
+  if (data) {
+    throw new ConflictError(`Fiscal year ${fiscalYear} is closed`);
+  }
+};
+
+/**
+ * Throw a ConflictError if any of the dates falls inside a closed fiscal year
+ * or a month with a signed-off bank reconciliation for any account. For
+ * records that can touch any account, such as manual journal entries.
+ * @param {string} orgId - Organization ID
+ * @param {...string} dates - YYYY-MM-DD (empty values are ignored)
+ */
+export const assertDatesOpen = async (orgId, ...dates) => checkDatesOpen(orgId, dates, null);
+
+/**
+ * Throw a ConflictError if any of the dates falls inside a closed fiscal year
+ * or a month whose reconciliation of one of the given bank accounts has been
+ * signed off. Other accounts' reconciliations don't lock the record.
+ * @param {string} orgId - Organization ID
+ * @param {Array<string|null>} bankAccountIds - Accounts the record is in (null for the default account)
+ * @param {...string} dates - YYYY-MM-DD (empty values are ignored)
+ */
+export const assertAccountDatesOpen = async (orgId, bankAccountIds, ...dates) => checkDatesOpen(orgId, dates, bankAccountIds);
+
+// =====================================================
+// HELPER FUNCTIONS
+// =====================================================
+
+// bankAccountIds null checks every account's reconciliations
+async function checkDatesOpen(orgId, dates, bankAccountIds) {
+  const checked = dates.filter(Boolean).map(date => String(date).slice(0, 10));
+  if (checked.length === 0) return;
+
+  const [closes, reconciliations, defaultAccount] = await Promise.all([
+    supabase
+      .from('fiscal_year_closes')
+      .select('fiscal_year, start_date, end_date')
+      .eq('org_id', orgId)
+      .eq('status', 'closed'),
+    supabase
+      .from('reconciliations')
+      .select('month, year, bank_account_id')
+      .eq('org_id', orgId)
+      .eq('status', 'completed'),
+    supabase
+      .from('bank_accounts')
+      .select('id')
+      .eq('org_id', orgId)
+      .eq('is_default', true)
+      .maybeSingle()
+  ]);
+
+  if (closes.error) {
+    throw new Error(`Failed to check fiscal year status: ${closes.error.message}`);
+  }
+  if (reconciliations.error) {
+    throw new Error(`Failed to check reconciliation status: ${reconciliations.error.message}`);
+  }
+  if (defaultAccount.error) {
+    throw new Error(`Failed to fetch default bank account: ${defaultAccount.error.message}`);
+  }
+
+  // Records and reconciliations without an account belong to the default account
+  const accountKey = (bankAccountId) => (!bankAccountId || bankAccountId === defaultAccount.data?.id ? 'default' : bankAccountId);
+  const accounts = bankAccountIds ? new Set(bankAccountIds.map(accountKey)) : null;
+  const signedOff = reconciliations.data.filter(reconciliation => !accounts || accounts.has(accountKey(reconciliation.bank_account_id)));
+
+  for (const date of checked) {
+    const closed = closes.data.find(close => date >= close.start_date && date <= close.end_date);
+    if (closed) {
+      throw new ConflictError(`${date} falls in fiscal year ${closed.fiscal_year}, which is closed`);
+    }
+
+    const [year, month] = date.split('-').map(Number);
+    if (signedOff.some(reconciliation => Number(reconciliation.year) === year && Number(reconciliation.month) === month)) {
+      throw new ConflictError(`${date} falls in ${year}-${String(month).padStart(2, '0')}, which has a signed-off bank reconciliation`);
+    }
+  }
+}
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
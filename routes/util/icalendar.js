@@ -0,0 +1,176 @@
+/**
+ * RFC 5545 iCalendar serialization for PTO events
+ * Times are written as floating local times (no TZID) because events store a
+ * plain DATE plus HH:MM; calendar clients show them in the subscriber's zone.
+ */
+
+const PRODID = '-//PTO Connect//Events//EN';
+const UID_DOMAIN = 'ptoconnect.com';
+
+// Map internal event status to iCalendar STATUS
+const STATUS_MAP = {
+  cancelled: 'CANCELLED',
+  planning: 'TENTATIVE'
+};
+
+/**
+ * Escape a TEXT property value
+ * @param {string} value - Raw text
+ * @returns {string}
+ */
+export const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line at 75 octets (continuation lines start with a space)
+ * @param {string} line - Unfolded content line
+ * @returns {string}
+ */
+export const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let bytes = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const max = chunks.length === 0 ? 75 : 74;
+    if (bytes + size > max) {
+      chunks.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+const compactDate = (date) => String(date).slice(0, 10).replace(/-/g, '');
+
+const compactTime = (time) => {
+  const [hours = '00', minutes = '00', seconds = '00'] = String(time).split(':');
+  return `${hours.padStart(2, '0')}${minutes.padStart(2, '0')}${seconds.slice(0, 2).padStart(2, '0')}`;
+};
+
+/**
+ * Format a JS Date / ISO string as a UTC DATE-TIME
+ * @param {Date|string} value - Timestamp
+ * @returns {string} e.g. 20261016T180000Z
+ */
+export const formatUtc = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// DATE or floating DATE-TIME value for a date plus optional HH:MM[:SS]
+const dateValue = (date, time) => (time ? `${compactDate(date)}T${compactTime(time)}` : compactDate(date));
+
+const dateParam = (time) => (time ? '' : ';VALUE=DATE');
+
+const nextDay = (date) => {
+  const value = new Date(`${String(date).slice(0, 10)}T00:00:00Z`);
+  value.setUTCDate(value.getUTCDate() + 1);
+  return value.toISOString().slice(0, 10);
+};
+
+// Compute DTEND: end_time on the same day, otherwise one hour after start
+const endValue = (event) => {
+  if (!event.start_time) {
+    return dateValue(nextDay(event.event_date));
+  }
+
+  if (event.end_time && compactTime(event.end_time) > compactTime(event.start_time)) {
+    return dateValue(event.event_date, event.end_time);
+  }
+
+  const [hours, minutes] = String(event.start_time).split(':').map(Number);
+  const end = new Date(Date.UTC(2000, 0, 1, hours + 1, minutes || 0));
+  const date = end.getUTCDate() === 1 ? event.event_date : nextDay(event.event_date);
+  return dateValue(date, `${end.getUTCHours()}:${end.getUTCMinutes()}`);
+};
+
+/**
+ * Stable UID for an event series (exceptions share their series UID)
+ * @param {Object} event - Events row
+ * @returns {string}
+ */
+export const eventUid = (event) => `event-${event.recurrence_parent_id || event.id}@${UID_DOMAIN}`;
+
+/**
+ * Build the VEVENT lines for one events row
+ * @param {Object} event - Events row (series, exception or one-off)
+ * @param {Object} [parent] - Series row when `event` is an exception
+ * @returns {string[]} Unfolded content lines
+ */
+export const buildEventLines = (event, parent = null) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${eventUid(event)}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTART${dateParam(event.start_time)}:${dateValue(event.event_date, event.start_time)}`,
+    `DTEND${dateParam(event.start_time)}:${endValue(event)}`,
+    `SUMMARY:${escapeText(event.title)}`
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.category) lines.push(`CATEGORIES:${escapeText(event.category)}`);
+  if (event.updated_at) lines.push(`LAST-MODIFIED:${formatUtc(event.updated_at)}`);
+  if (event.created_at) lines.push(`CREATED:${formatUtc(event.created_at)}`);
+
+  lines.push(`STATUS:${STATUS_MAP[event.status] || 'CONFIRMED'}`);
+
+  if (event.rrule) {
+    lines.push(`RRULE:${event.rrule}`);
+    for (const exdate of event.exdates || []) {
+      lines.push(`EXDATE${dateParam(event.start_time)}:${dateValue(exdate, event.start_time)}`);
+    }
+  }
+
+  // RECURRENCE-ID must use the series' DTSTART value type and time
+  if (event.recurrence_parent_id && parent) {
+    lines.push(`RECURRENCE-ID${dateParam(parent.start_time)}:${dateValue(event.recurrence_id, parent.start_time)}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Serialize events into a complete VCALENDAR document
+ * @param {Object} options - Calendar options
+ * @param {string} options.name - Calendar display name
+ * @param {Object[]} options.events - Events rows (series, exceptions and one-offs)
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export const buildCalendar = ({ name, events }) => {
+  const byId = new Map(events.map(event => [event.id, event]));
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+
+  for (const event of events) {
+    if (event.recurrence_parent_id) {
+      // An exception without its series in the feed has nothing to override
+      const parent = byId.get(event.recurrence_parent_id);
+      if (!parent) continue;
+      lines.push(...buildEventLines(event, parent));
+    } else {
+      lines.push(...buildEventLines(event));
+    }
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
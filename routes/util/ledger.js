@@ -0,0 +1,1104 @@
+/**
+ * Double-entry ledger with restricted funds. Journal entries debit and credit
+ * ledger accounts in equal amounts, and every line belongs to a fund so
+ * donor-restricted money (the playground fund) is tracked apart from the
+ * General Fund.
+ *
+ * Entries for approved expenses, donations, deposits and other transactions,
+ * paid reimbursement payouts, transfers between bank accounts and bank
+ * account opening balances are derived from those records by
+ * syncLedger. An entry whose source has changed or gone away is reversed and,
+ * if the source still counts, posted again, so posted entries are never edited.
+ */
+
+import crypto from 'crypto';
+import { supabase } from './verifySupabaseToken.js';
+import { assertDatesOpen } from './fiscalYear.js';
+import { renderPdf, pdfHeading, pdfTable, renderWorkbook, formatMoney } from './reportExport.js';
+import { ValidationError, ConflictError } from '../middleware/errorHandler.js';
+
+export const ACCOUNT_TYPES = ['asset', 'liability', 'net_assets', 'income', 'expense'];
+export const FUND_RESTRICTIONS = ['unrestricted', 'restricted'];
+export const SOURCE_TYPES = ['manual', 'expense', 'donation', 'transaction', 'reimbursement_payout', 'account_transfer', 'bank_account'];
+
+// Assets and expenses carry debit balances; the other types carry credit balances
+const DEBIT_NORMAL_TYPES = ['asset', 'expense'];
+
+// Chart of accounts every organization starts with; automatic postings use these
+const DEFAULT_ACCOUNTS = [
+  { code: '1000', name: 'Operating Bank Account', account_type: 'asset', system_role: 'bank' },
+  { code: '2000', name: 'Reimbursements Payable', account_type: 'liability', system_role: 'reimbursements_payable' },
+  { code: '3000', name: 'Net Assets Without Donor Restrictions', account_type: 'net_assets', system_role: 'unrestricted_net_assets' },
+  { code: '3100', name: 'Net Assets With Donor Restrictions', account_type: 'net_assets', system_role: 'restricted_net_assets' },
+  { code: '4000', name: 'Donations', account_type: 'income', system_role: 'donation_income' },
+  { code: '4900', name: 'Other Income', account_type: 'income', system_role: 'other_income' },
+  { code: '5000', name: 'General Expenses', account_type: 'expense', system_role: 'general_expense' }
+];
+
+const DEFAULT_FUND_NAME = 'General Fund';
+const INSERT_CHUNK_SIZE = 500;
+
+/**
+ * Accounts and funds for an organization, creating the default chart of
+ * accounts and the General Fund the first time the ledger is used
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<Object>} { accounts, funds, roles (system_role -> account), defaultFund }
+ */
+export const ensureLedger = async (orgId) => {
+  let accounts = await loadAccounts(orgId);
+  const missing = DEFAULT_ACCOUNTS.filter(account => !accounts.some(existing => existing.system_role === account.system_role));
+  if (missing.length > 0) {
+    const taken = new Set(accounts.map(account => account.code));
+    const { error } = await supabase
+      .from('ledger_accounts')
+      .insert(missing.map(account => ({
+        ...account,
+        // Someone may already use the default code for an account of their own
+        code: taken.has(account.code) ? `${account.code}-SYS` : account.code,
+        org_id: orgId
+      })));
+
+    if (error) {
+      throw new Error(`Failed to create default ledger accounts: ${error.message}`);
+    }
+    accounts = await loadAccounts(orgId);
+  }
+
+  let funds = await loadFunds(orgId);
+  if (!funds.some(fund => fund.is_default)) {
+    const { error } = await supabase
+      .from('ledger_funds')
+      .insert([{
+        org_id: orgId,
+        name: DEFAULT_FUND_NAME,
+        restriction: 'unrestricted',
+        purpose: 'Money the board can spend on any purpose',
+        is_default: true
+      }]);
+
+    if (error) {
+      throw new Error(`Failed to create the General Fund: ${error.message}`);
+    }
+    funds = await loadFunds(orgId);
+  }
+
+  return {
+    accounts,
+    funds,
+    roles: Object.fromEntries(accounts.filter(account => account.system_role).map(account => [account.system_role, account])),
+    defaultFund: funds.find(fund => fund.is_default)
+  };
+};
+
+/**
+ * Create a ledger account
+ * @param {string} orgId - Organization ID
+ * @param {Object} input - { code, name, account_type, description }
+ * @param {string} userId - User creating it
+ * @returns {Promise<Object>} ledger_accounts row
+ */
+export const createAccount = async (orgId, input, userId) => {
+  const values = normalizeAccount(input);
+  if (!values.code) throw new ValidationError('Account code is required', 'code');
+  if (!values.name) throw new ValidationError('Account name is required', 'name');
+  if (!values.account_type) throw new ValidationError(`Account type must be one of: ${ACCOUNT_TYPES.join(', ')}`, 'account_type');
+
+  await assertCodeAvailable(orgId, values.code);
+
+  const { data: account, error } = await supabase
+    .from('ledger_accounts')
+    .insert([{ ...values, org_id: orgId, created_by: userId }])
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create ledger account: ${error.message}`);
+  }
+  return account;
+};
+
+/**
+ * Update a ledger account. The type can't change once the account has
+ * postings, and the accounts automatic postings use can't be deactivated.
+ * @param {Object} account - ledger_accounts row
+ * @param {Object} input - { code, name, account_type, description, is_active }
+ * @returns {Promise<Object>} Updated row
+ */
+export const updateAccount = async (account, input) => {
+  const values = normalizeAccount(input);
+
+  if (values.code !== undefined) {
+    if (!values.code) throw new ValidationError('Account code is required', 'code');
+    if (values.code !== account.code) await assertCodeAvailable(account.org_id, values.code);
+  }
+  if (values.name !== undefined && !values.name) {
+    throw new ValidationError('Account name is required', 'name');
+  }
+  if (values.account_type !== undefined) {
+    if (!values.account_type) throw new ValidationError(`Account type must be one of: ${ACCOUNT_TYPES.join(', ')}`, 'account_type');
+    if (values.account_type !== account.account_type) {
+      if (account.system_role) throw new ConflictError('The type of a default account cannot change');
+      if (await hasLines('account_id', account.id)) throw new ConflictError('The type of an account with postings cannot change');
+    }
+  }
+  if (input.is_active !== undefined) {
+    values.is_active = Boolean(input.is_active);
+    if (!values.is_active && account.system_role) {
+      throw new ConflictError('Default accounts are used by automatic postings and cannot be deactivated');
+    }
+  }
+
+  const { data: updated, error } = await supabase
+    .from('ledger_accounts')
+    .update(values)
+    .eq('id', account.id)
+    .eq('org_id', account.org_id)
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to update ledger account: ${error.message}`);
+  }
+  return updated;
+};
+
+/**
+ * Create a fund
+ * @param {string} orgId - Organization ID
+ * @param {Object} input - { name, restriction, purpose, campaign_id }
+ * @param {string} userId - User creating it
+ * @returns {Promise<Object>} ledger_funds row
+ */
+export const createFund = async (orgId, input, userId) => {
+  const values = await normalizeFund(orgId, input);
+  if (!values.name) throw new ValidationError('Fund name is required', 'name');
+
+  await assertFundNameAvailable(orgId, values.name);
+
+  const { data: fund, error } = await supabase
+    .from('ledger_funds')
+    .insert([{ restriction: 'restricted', ...values, org_id: orgId, created_by: userId }])
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create fund: ${error.message}`);
+  }
+  return fund;
+};
+
+/**
+ * Update a fund. A fund's restriction can't change once it has postings,
+ * and the General Fund always stays unrestricted and active.
+ * @param {Object} fund - ledger_funds row
+ * @param {Object} input - { name, restriction, purpose, campaign_id, is_active }
+ * @returns {Promise<Object>} Updated row
+ */
+export const updateFund = async (fund, input) => {
+  const values = await normalizeFund(fund.org_id, input, fund.id);
+
+  if (values.name !== undefined) {
+    if (!values.name) throw new ValidationError('Fund name is required', 'name');
+    if (values.name !== fund.name) await assertFundNameAvailable(fund.org_id, values.name);
+  }
+  if (values.restriction !== undefined && values.restriction !== fund.restriction) {
+    if (fund.is_default) throw new ConflictError('The General Fund is always unrestricted');
+    if (await hasLines('fund_id', fund.id)) throw new ConflictError('The restriction of a fund with postings cannot change');
+  }
+  if (input.is_active !== undefined) {
+    values.is_active = Boolean(input.is_active);
+    if (!values.is_active && fund.is_default) {
+      throw new ConflictError('The General Fund cannot be deactivated');
+    }
+  }
+
+  const { data: updated, error } = await supabase
+    .from('ledger_funds')
+    .update(values)
+    .eq('id', fund.id)
+    .eq('org_id', fund.org_id)
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to update fund: ${error.message}`);
+  }
+  return updated;
+};
+
+/**
+ * Check a fund chosen on an expense or transaction belongs to the organization
+ * @param {string} orgId - Organization ID
+ * @param {string} fundId - Fund ID, or empty for the default
+ * @returns {Promise<string|null>} The fund ID, or null
+ */
+export const resolveFundId = async (orgId, fundId) => {
+  if (!fundId) return null;
+
+  const { data: fund, error } = await supabase
+    .from('ledger_funds')
+    .select('id, is_active')
+    .eq('id', fundId)
+    .eq('org_id', orgId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch fund: ${error.message}`);
+  }
+  if (!fund || !fund.is_active) {
+    throw new ValidationError('Fund not found in your organization', 'fund_id');
+  }
+  return fund.id;
+};
+
+/**
+ * Transactions matched to a bank statement line in a reconciliation. Approving
+ * an expense creates its transaction before anyone is paid, so those only
+ * count as payments once they have cleared the bank.
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<Set<string>>} Transaction IDs
+ */
+export const loadClearedTransactionIds = async (orgId) => {
+  const { data, error } = await supabase
+    .from('matched_transactions')
+    .select('transaction_id')
+    .eq('org_id', orgId)
+    .not('transaction_id', 'is', null);
+
+  if (error) {
+    throw new Error(`Failed to fetch cleared transactions: ${error.message}`);
+  }
+  return new Set(data.map(match => match.transaction_id));
+};
+
+/**
+ * Post ledger entries for everything that has changed since the last sync.
+ * Safe to run any time; sources whose entry is already right are left alone.
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<Object>} { posted, reversed }
+ */
+export const syncLedger = async (orgId) => {
+  const ledger = await ensureLedger(orgId);
+  const expected = await buildSourceEntries(orgId, ledger);
+
+  const { data: live, error } = await supabase
+    .from('journal_entries')
+    .select('*')
+    .eq('org_id', orgId)
+    .neq('source_type', 'manual')
+    .is('reversal_of', null)
+    .is('reversed_by', null);
+
+  if (error) {
+    throw new Error(`Failed to fetch journal entries: ${error.message}`);
+  }
+
+  const linesByEntry = await loadLinesByEntry(orgId);
+  const stale = [];
+  for (const entry of live) {
+    const key = sourceKey(entry.source_type, entry.source_id);
+    const wanted = expected.get(key);
+    const posted = withCents(entry, linesByEntry.get(entry.id));
+    if (wanted && fingerprint(wanted) === fingerprint(posted)) {
+      expected.delete(key);
+    } else {
+      stale.push(posted);
+    }
+  }
+
+  // Reverse first: a source's new entry can't post while its old one is live
+  for (const entry of stale) {
+    await postReversal(entry, entry.entry_date, `Reversal: ${entry.memo || 'source changed'}`, null);
+  }
+  await insertEntries(orgId, [...expected.values()]);
+
+  if (stale.length > 0 || expected.size > 0) {
+    console.log(`✅ Ledger synced for org ${orgId}: ${expected.size} posted, ${stale.length} reversed`);
+  }
+  return { posted: expected.size, reversed: stale.length };
+};
+
+/**
+ * Post a manual journal entry. Debits must equal credits.
+ * @param {string} orgId - Organization ID
+ * @param {Object} input - { entry_date, memo, lines: [{ account_id, fund_id, debit, credit, memo }] }
+ * @param {string} userId - User posting it
+ * @returns {Promise<Object>} The entry with its lines
+ */
+export const createManualEntry = async (orgId, input, userId) => {
+  const ledger = await ensureLedger(orgId);
+  const entryDate = normalizeDate(input.entry_date, 'entry_date');
+  if (!entryDate) throw new ValidationError('Entry date is required', 'entry_date');
+
+  if (!Array.isArray(input.lines) || input.lines.length < 2) {
+    throw new ValidationError('A journal entry needs at least two lines', 'lines');
+  }
+
+  const lines = input.lines.map((line, index) => {
+    const account = ledger.accounts.find(a => a.id === line.account_id);
+    if (!account || !account.is_active) {
+      throw new ValidationError(`Line ${index + 1}: account not found in your organization`, 'lines');
+    }
+    const fund = line.fund_id ? ledger.funds.find(f => f.id === line.fund_id) : ledger.defaultFund;
+    if (!fund || !fund.is_active) {
+      throw new ValidationError(`Line ${index + 1}: fund not found in your organization`, 'lines');
+    }
+
+    const debit = toCents(line.debit || 0);
+    const credit = toCents(line.credit || 0);
+    if (isNaN(debit) || isNaN(credit) || debit < 0 || credit < 0 || (debit > 0) === (credit > 0)) {
+      throw new ValidationError(`Line ${index + 1}: enter either a debit or a credit, as a positive amount`, 'lines');
+    }
+    return { account_id: account.id, fund_id: fund.id, debit, credit, memo: line.memo || null };
+  });
+
+  const debits = lines.reduce((sum, line) => sum + line.debit, 0);
+  const credits = lines.reduce((sum, line) => sum + line.credit, 0);
+  if (debits !== credits) {
+    throw new ValidationError(`Debits (${formatMoney(debits / 100)}) must equal credits (${formatMoney(credits / 100)})`, 'lines');
+  }
+
+  await assertDatesOpen(orgId, entryDate);
+
+  const [entry] = await insertEntries(orgId, [{
+    source_type: 'manual',
+    source_id: null,
+    entry_date: entryDate,
+    memo: input.memo ? String(input.memo).trim() : null,
+    lines
+  }], userId);
+  return entry;
+};
+
+/**
+ * Reverse a manual entry with an opposite entry. Automatic entries follow
+ * their source and are reversed by changing it.
+ * @param {Object} entry - journal_entries row
+ * @param {Object} input - { entry_date (default today), memo }
+ * @param {string} userId - User reversing it
+ * @returns {Promise<Object>} The reversing entry with its lines
+ */
+export const reverseManualEntry = async (entry, input, userId) => {
+  if (entry.source_type !== 'manual') {
+    throw new ConflictError('Automatic entries change with the expense, donation or transaction they came from');
+  }
+  if (entry.reversal_of) {
+    throw new ConflictError('A reversing entry cannot itself be reversed; post a new entry instead');
+  }
+  if (entry.reversed_by) {
+    throw new ConflictError('This entry has already been reversed');
+  }
+
+  const entryDate = normalizeDate(input.entry_date, 'entry_date') || new Date().toISOString().slice(0, 10);
+  if (entryDate < entry.entry_date) {
+    throw new ValidationError('A reversal cannot be dated before the entry it reverses', 'entry_date');
+  }
+  await assertDatesOpen(entry.org_id, entryDate);
+
+  const linesByEntry = await loadLinesByEntry(entry.org_id, [entry.id]);
+  return postReversal(
+    withCents(entry, linesByEntry.get(entry.id)),
+    entryDate,
+    input.memo ? String(input.memo).trim() : `Reversal: ${entry.memo || 'manual entry'}`,
+    userId
+  );
+};
+
+/**
+ * Journal entries with their lines, newest first
+ * @param {string} orgId - Organization ID
+ * @param {Object} [filters] - { from, to, source_type, account_id, fund_id }
+ * @returns {Promise<Object[]>}
+ */
+export const listEntries = async (orgId, filters = {}) => {
+  const from = normalizeDate(filters.from, 'from');
+  const to = normalizeDate(filters.to, 'to');
+  if (filters.source_type && !SOURCE_TYPES.includes(filters.source_type)) {
+    throw new ValidationError(`source_type must be one of: ${SOURCE_TYPES.join(', ')}`, 'source_type');
+  }
+
+  let query = supabase
+    .from('journal_entries')
+    .select('*')
+    .eq('org_id', orgId)
+    .order('entry_date', { ascending: false })
+    .order('created_at', { ascending: false });
+
+  if (from) query = query.gte('entry_date', from);
+  if (to) query = query.lte('entry_date', to);
+  if (filters.source_type) query = query.eq('source_type', filters.source_type);
+
+  const { data: entries, error } = await query;
+  if (error) {
+    throw new Error(`Failed to fetch journal entries: ${error.message}`);
+  }
+
+  const ledger = await ensureLedger(orgId);
+  const accounts = new Map(ledger.accounts.map(account => [account.id, account]));
+  const funds = new Map(ledger.funds.map(fund => [fund.id, fund]));
+  const linesByEntry = await loadLinesByEntry(orgId);
+
+  return entries
+    .map(entry => {
+      const lines = (linesByEntry.get(entry.id) || []).map(line => ({
+        ...line,
+        debit: Number(line.debit),
+        credit: Number(line.credit),
+        account_code: accounts.get(line.account_id)?.code || null,
+        account_name: accounts.get(line.account_id)?.name || null,
+        fund_name: funds.get(line.fund_id)?.name || null
+      }));
+      return { ...entry, lines, total: lines.reduce((sum, line) => sum + toCents(line.debit), 0) / 100 };
+    })
+    .filter(entry => !filters.account_id || entry.lines.some(line => line.account_id === filters.account_id))
+    .filter(entry => !filters.fund_id || entry.lines.some(line => line.fund_id === filters.fund_id));
+};
+
+/**
+ * Journal lines posted to the given ledger accounts, in date order, with
+ * their entry's date, memo and source
+ * @param {string} orgId - Organization ID
+ * @param {string[]} accountIds - Ledger account IDs
+ * @returns {Promise<Object[]>} [{ account_id, entry_id, entry_date, memo, source_type, source_id, debit, credit }]
+ */
+export const loadAccountLines = async (orgId, accountIds) => {
+  const { data: entries, error } = await supabase
+    .from('journal_entries')
+    .select('id, entry_date, memo, source_type, source_id, created_at')
+    .eq('org_id', orgId);
+
+  if (error) {
+    throw new Error(`Failed to fetch journal entries: ${error.message}`);
+  }
+
+  const wanted = new Set(accountIds);
+  const byId = new Map(entries.map(entry => [entry.id, entry]));
+  const linesByEntry = await loadLinesByEntry(orgId);
+
+  return [...linesByEntry.values()]
+    .flat()
+    .filter(line => wanted.has(line.account_id) && byId.has(line.entry_id))
+    .map(line => {
+      const entry = byId.get(line.entry_id);
+      return {
+        account_id: line.account_id,
+        entry_id: entry.id,
+        entry_date: entry.entry_date,
+        memo: line.memo || entry.memo,
+        source_type: entry.source_type,
+        source_id: entry.source_id,
+        debit: Number(line.debit),
+        credit: Number(line.credit),
+        created_at: entry.created_at
+      };
+    })
+    .sort((a, b) => a.entry_date.localeCompare(b.entry_date) || String(a.created_at).localeCompare(String(b.created_at)));
+};
+
+/**
+ * Trial balance: each account's balance on a date, on its debit or credit
+ * side. The two columns total the same when the books balance.
+ * @param {string} orgId - Organization ID
+ * @param {Object} [options] - { as_of (default today), fund_id }
+ * @returns {Promise<Object>} { as_of, fund, accounts, totals, balanced }
+ */
+export const buildTrialBalance = async (orgId, options = {}) => {
+  const asOf = normalizeDate(options.as_of, 'as_of') || new Date().toISOString().slice(0, 10);
+  const ledger = await ensureLedger(orgId);
+
+  let fund = null;
+  if (options.fund_id) {
+    fund = ledger.funds.find(f => f.id === options.fund_id);
+    if (!fund) throw new ValidationError('Fund not found in your organization', 'fund_id');
+  }
+
+  const lines = (await loadLinesAsOf(orgId, asOf)).filter(line => !fund || line.fund_id === fund.id);
+  const totals = new Map();
+  for (const line of lines) {
+    const account = totals.get(line.account_id) || { debit: 0, credit: 0 };
+    account.debit += toCents(line.debit);
+    account.credit += toCents(line.credit);
+    totals.set(line.account_id, account);
+  }
+
+  const accounts = ledger.accounts
+    .filter(account => totals.has(account.id))
+    .map(account => {
+      const { debit, credit } = totals.get(account.id);
+      const net = debit - credit;
+      return {
+        id: account.id,
+        code: account.code,
+        name: account.name,
+        account_type: account.account_type,
+        debit: net > 0 ? net / 100 : 0,
+        credit: net < 0 ? -net / 100 : 0,
+        balance: (DEBIT_NORMAL_TYPES.includes(account.account_type) ? net : -net) / 100
+      };
+    })
+    .sort((a, b) => a.code.localeCompare(b.code, undefined, { numeric: true }));
+
+  const debitTotal = accounts.reduce((sum, account) => sum + toCents(account.debit), 0);
+  const creditTotal = accounts.reduce((sum, account) => sum + toCents(account.credit), 0);
+
+  return {
+    as_of: asOf,
+    fund: fund ? { id: fund.id, name: fund.name, restriction: fund.restriction } : null,
+    accounts,
+    totals: { debit: debitTotal / 100, credit: creditTotal / 100 },
+    balanced: debitTotal === creditTotal
+  };
+};
+
+/**
+ * Balance of each fund on a date: its income less its expenses, plus any
+ * net asset entries (opening balances), and the cash it holds. Restricted
+ * funds that have spent more than they took in are flagged.
+ * @param {string} orgId - Organization ID
+ * @param {Object} [options] - { as_of (default today) }
+ * @returns {Promise<Object>} { as_of, funds, totals }
+ */
+export const buildFundBalances = async (orgId, options = {}) => {
+  const asOf = normalizeDate(options.as_of, 'as_of') || new Date().toISOString().slice(0, 10);
+  const ledger = await ensureLedger(orgId);
+  const accountTypes = new Map(ledger.accounts.map(account => [account.id, account.account_type]));
+
+  const byFund = new Map(ledger.funds.map(fund => [fund.id, { income: 0, expenses: 0, adjustments: 0, cash: 0 }]));
+  for (const line of await loadLinesAsOf(orgId, asOf)) {
+    const totals = byFund.get(line.fund_id);
+    if (!totals) continue;
+    const net = toCents(line.debit) - toCents(line.credit);
+    const type = accountTypes.get(line.account_id);
+    if (type === 'income') totals.income -= net;
+    else if (type === 'expense') totals.expenses += net;
+    else if (type === 'net_assets') totals.adjustments -= net;
+    else if (type === 'asset') totals.cash += net;
+  }
+
+  const funds = ledger.funds
+    .map(fund => {
+      const totals = byFund.get(fund.id);
+      const balance = totals.income - totals.expenses + totals.adjustments;
+      return {
+        id: fund.id,
+        name: fund.name,
+        restriction: fund.restriction,
+        purpose: fund.purpose,
+        campaign_id: fund.campaign_id,
+        is_default: fund.is_default,
+        is_active: fund.is_active,
+        income: totals.income / 100,
+        expenses: totals.expenses / 100,
+        adjustments: totals.adjustments / 100,
+        balance: balance / 100,
+        cash: totals.cash / 100,
+        overspent: fund.restriction === 'restricted' && balance < 0
+      };
+    })
+    .filter(fund => fund.is_active || fund.balance !== 0)
+    .sort((a, b) => Number(b.is_default) - Number(a.is_default) || a.name.localeCompare(b.name));
+
+  const sum = (list) => list.reduce((total, fund) => total + toCents(fund.balance), 0) / 100;
+  return {
+    as_of: asOf,
+    funds,
+    totals: {
+      without_donor_restrictions: sum(funds.filter(fund => fund.restriction === 'unrestricted')),
+      with_donor_restrictions: sum(funds.filter(fund => fund.restriction === 'restricted')),
+      total: sum(funds)
+    }
+  };
+};
+
+/**
+ * Render a trial balance as a PDF or workbook
+ * @param {Object} trialBalance - From buildTrialBalance
+ * @param {string} format - pdf or xlsx
+ * @returns {Promise<Buffer>}
+ */
+export const renderTrialBalance = (trialBalance, format) => {
+  const title = trialBalance.fund ? `Trial Balance – ${trialBalance.fund.name}` : 'Trial Balance';
+  const rows = [
+    ...trialBalance.accounts,
+    { code: '', name: 'Total', debit: trialBalance.totals.debit, credit: trialBalance.totals.credit }
+  ];
+
+  if (format === 'xlsx') {
+    return renderWorkbook([{
+      name: 'Trial balance',
+      columns: [
+        { header: 'Code', key: 'code', width: 10 },
+        { header: 'Account', key: 'name', width: 40 },
+        { header: 'Type', key: 'account_type', width: 14 },
+        { header: 'Debit', key: 'debit', width: 14, money: true },
+        { header: 'Credit', key: 'credit', width: 14, money: true }
+      ],
+      rows
+    }]);
+  }
+
+  return renderPdf(doc => {
+    pdfHeading(doc, title, `As of ${trialBalance.as_of}${trialBalance.balanced ? '' : ' · OUT OF BALANCE'}`);
+    pdfTable(doc, [
+      { header: 'Code', key: 'code', width: 60 },
+      { header: 'Account', key: 'name', width: 230 },
+      { header: 'Debit', key: 'debit', width: 110, align: 'right', format: value => (value ? formatMoney(value) : '') },
+      { header: 'Credit', key: 'credit', width: 110, align: 'right', format: value => (value ? formatMoney(value) : '') }
+    ], rows);
+  });
+};
+
+// =====================================================
+// HELPER FUNCTIONS
+// =====================================================
+
+async function loadAccounts(orgId) {
+  const { data, error } = await supabase
+    .from('ledger_accounts')
+    .select('*')
+    .eq('org_id', orgId)
+    .order('code', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch ledger accounts: ${error.message}`);
+  }
+  return data;
+}
+
+async function loadFunds(orgId) {
+  const { data, error } = await supabase
+    .from('ledger_funds')
+    .select('*')
+    .eq('org_id', orgId)
+    .order('name', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch funds: ${error.message}`);
+  }
+  return data;
+}
+
+// The entry each source should have right now, keyed by source
+async function buildSourceEntries(orgId, ledger) {
+  const [expenses, donations, transactions, payouts, categories, bankAccounts, transfers] = await Promise.all([
+    supabase
+      .from('expense_submissions')
+      .select('id, amount, expense_date, vendor_name, description, category_id, fund_id, reimbursement_status')
+      .eq('org_id', orgId)
+      .eq('status', 'approved'),
+    supabase
+      .from('donations')
+      .select('id, amount, donation_date, donor_name, fundraiser_id, fund_id, bank_account_id')
+      .eq('org_id', orgId)
+      .eq('status', 'completed')
+      .eq('donation_type', 'monetary'),
+    supabase
+      .from('transactions')
+      .select('id, amount, type, date, description, budget_category_id, campaign_id, fund_id, expense_submission_id, approval_status, bank_account_id')
+      .eq('org_id', orgId),
+    supabase
+      .from('reimbursement_payouts')
+      .select('id, amount, paid_date, payee_name, payment_method, check_number, bank_account_id')
+      .eq('org_id', orgId)
+      .eq('status', 'paid'),
+    supabase
+      .from('budget_categories')
+      .select('id, ledger_account_id')
+      .eq('org_id', orgId)
+      .not('ledger_account_id', 'is', null),
+    supabase
+      .from('bank_accounts')
+      .select('id, name, ledger_account_id, opening_balance, opening_date, created_at')
+      .eq('org_id', orgId),
+    supabase
+      .from('account_transfers')
+      .select('id, from_account_id, to_account_id, amount, transfer_date, memo')
+      .eq('org_id', orgId)
+  ]);
+
+  for (const result of [expenses, donations, transactions, payouts, categories, bankAccounts, transfers]) {
+    if (result.error) {
+      throw new Error(`Failed to load ledger sources: ${result.error.message}`);
+    }
+  }
+
+  const cleared = await loadClearedTransactionIds(orgId);
+  const activeAccounts = new Set(ledger.accounts.filter(account => account.is_active).map(account => account.id));
+  const categoryAccounts = new Map(categories.data
+    .filter(category => activeAccounts.has(category.ledger_account_id))
+    .map(category => [category.id, category.ledger_account_id]));
+  const accountFor = (categoryId, role) => categoryAccounts.get(categoryId) || ledger.roles[role].id;
+
+  const fundIds = new Set(ledger.funds.map(fund => fund.id));
+  const campaignFunds = new Map(ledger.funds.filter(fund => fund.campaign_id).map(fund => [fund.campaign_id, fund.id]));
+  const fundFor = (fundId, campaignId) =>
+    (fundIds.has(fundId) && fundId) || campaignFunds.get(campaignId) || ledger.defaultFund.id;
+
+  // Records without a bank account, or whose account has no ledger account, use the default bank account
+  const bankLedgerAccounts = new Map(bankAccounts.data
+    .filter(account => account.ledger_account_id)
+    .map(account => [account.id, account.ledger_account_id]));
+  const bankFor = (bankAccountId) => bankLedgerAccounts.get(bankAccountId) || ledger.roles.bank.id;
+
+  const payable = ledger.roles.reimbursements_payable.id;
+  const entries = new Map();
+  const add = (sourceType, source, entryDate, memo, lines) => {
+    entries.set(sourceKey(sourceType, source.id), {
+      source_type: sourceType,
+      source_id: source.id,
+      entry_date: entryDate,
+      memo,
+      lines: lines.filter(line => line.debit > 0 || line.credit > 0)
+    });
+  };
+
+  // An approved expense is owed to the volunteer who paid it
+  const expenseFunds = new Map();
+  for (const expense of expenses.data) {
+    const amount = Math.abs(toCents(expense.amount));
+    const fund = fundFor(expense.fund_id);
+    expenseFunds.set(expense.id, { fund, paidByPayout: expense.reimbursement_status === 'paid' });
+    add('expense', expense, expense.expense_date, `Expense: ${expense.vendor_name || expense.description || 'reimbursement'}`, [
+      { account_id: accountFor(expense.category_id, 'general_expense'), fund_id: fund, debit: amount, credit: 0 },
+      { account_id: payable, fund_id: fund, debit: 0, credit: amount }
+    ]);
+  }
+
+  for (const donation of donations.data) {
+    const amount = toCents(donation.amount);
+    const fund = fundFor(donation.fund_id, donation.fundraiser_id);
+    add('donation', donation, donation.donation_date, `Donation: ${donation.donor_name}`, [
+      { account_id: bankFor(donation.bank_account_id), fund_id: fund, debit: amount, credit: 0 },
+      { account_id: ledger.roles.donation_income.id, fund_id: fund, debit: 0, credit: amount }
+    ]);
+  }
+
+  for (const transaction of transactions.data) {
+    if (transaction.approval_status && transaction.approval_status !== 'approved') continue;
+    // Each transfer posts once, from its account_transfers row
+    if (transaction.type === 'transfer') continue;
+    const amount = Math.abs(toCents(transaction.amount));
+    const bank = bankFor(transaction.bank_account_id);
+    const fund = fundFor(transaction.fund_id, transaction.campaign_id);
+    const memo = transaction.description || transaction.type;
+
+    if (transaction.type !== 'expense' && Number(transaction.amount) >= 0) {
+      add('transaction', transaction, transaction.date, `Deposit: ${memo}`, [
+        { account_id: bank, fund_id: fund, debit: amount, credit: 0 },
+        { account_id: accountFor(transaction.budget_category_id, 'other_income'), fund_id: fund, debit: 0, credit: amount }
+      ]);
+      continue;
+    }
+
+    // The transaction approval created for a submission is a payment only once it clears the bank
+    if (transaction.expense_submission_id && !cleared.has(transaction.id)) continue;
+
+    // Paying an approved expense settles what it owed; a payout that paid it takes precedence
+    const expense = expenseFunds.get(transaction.expense_submission_id);
+    if (expense) {
+      if (expense.paidByPayout) continue;
+      add('transaction', transaction, transaction.date, `Payment: ${memo}`, [
+        { account_id: payable, fund_id: expense.fund, debit: amount, credit: 0 },
+        { account_id: bank, fund_id: expense.fund, debit: 0, credit: amount }
+      ]);
+      continue;
+    }
+
+    add('transaction', transaction, transaction.date, `Payment: ${memo}`, [
+      { account_id: accountFor(transaction.budget_category_id, 'general_expense'), fund_id: fund, debit: amount, credit: 0 },
+      { account_id: bank, fund_id: fund, debit: 0, credit: amount }
+    ]);
+  }
+
+  // A payout settles each expense it covers in that expense's fund
+  const items = await loadPayoutItems(payouts.data.map(payout => payout.id));
+  for (const payout of payouts.data) {
+    const perFund = new Map();
+    for (const item of items.filter(i => i.payout_id === payout.id)) {
+      const fund = expenseFunds.get(item.expense_submission_id)?.fund || ledger.defaultFund.id;
+      perFund.set(fund, (perFund.get(fund) || 0) + toCents(item.amount));
+    }
+    if (perFund.size === 0) perFund.set(ledger.defaultFund.id, toCents(payout.amount));
+
+    const method = payout.check_number ? `check #${payout.check_number}` : payout.payment_method;
+    add('reimbursement_payout', payout, payout.paid_date, `Reimbursement: ${payout.payee_name || 'payee'} (${method})`,
+      [...perFund].flatMap(([fund, amount]) => [
+        { account_id: payable, fund_id: fund, debit: amount, credit: 0 },
+        { account_id: bankFor(payout.bank_account_id), fund_id: fund, debit: 0, credit: amount }
+      ]));
+  }
+
+  // Moving money between accounts changes no fund's balance
+  for (const transfer of transfers.data) {
+    const amount = toCents(transfer.amount);
+    add('account_transfer', transfer, transfer.transfer_date, `Transfer${transfer.memo ? `: ${transfer.memo}` : ''}`, [
+      { account_id: bankFor(transfer.to_account_id), fund_id: ledger.defaultFund.id, debit: amount, credit: 0 },
+      { account_id: bankFor(transfer.from_account_id), fund_id: ledger.defaultFund.id, debit: 0, credit: amount }
+    ]);
+  }
+
+  // Money already in an account when it was added is unrestricted net assets
+  for (const account of bankAccounts.data) {
+    const amount = toCents(account.opening_balance || 0);
+    if (amount === 0) continue;
+    const bank = bankFor(account.id);
+    const netAssets = ledger.roles.unrestricted_net_assets.id;
+    add('bank_account', account, account.opening_date || String(account.created_at).slice(0, 10), `Opening balance: ${account.name}`, [
+      { account_id: bank, fund_id: ledger.defaultFund.id, debit: Math.max(amount, 0), credit: Math.max(-amount, 0) },
+      { account_id: netAssets, fund_id: ledger.defaultFund.id, debit: Math.max(-amount, 0), credit: Math.max(amount, 0) }
+    ]);
+  }
+
+  return entries;
+}
+
+async function loadPayoutItems(payoutIds) {
+  if (payoutIds.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('reimbursement_payout_items')
+    .select('payout_id, expense_submission_id, amount')
+    .in('payout_id', payoutIds);
+
+  if (error) {
+    throw new Error(`Failed to fetch payout items: ${error.message}`);
+  }
+  return data;
+}
+
+// Insert entries (line amounts in cents) and their lines; returns them as stored
+async function insertEntries(orgId, entries, userId = null) {
+  if (entries.length === 0) return [];
+
+  const rows = entries.map(entry => ({
+    id: crypto.randomUUID(),
+    org_id: orgId,
+    entry_date: entry.entry_date,
+    memo: entry.memo,
+    source_type: entry.source_type,
+    source_id: entry.source_id,
+    reversal_of: entry.reversal_of || null,
+    created_by: userId
+  }));
+  const lines = entries.flatMap((entry, index) => entry.lines.map(line => ({
+    org_id: orgId,
+    entry_id: rows[index].id,
+    account_id: line.account_id,
+    fund_id: line.fund_id,
+    debit: line.debit / 100,
+    credit: line.credit / 100,
+    memo: line.memo || null
+  })));
+
+  for (let i = 0; i < rows.length; i += INSERT_CHUNK_SIZE) {
+    const { error } = await supabase.from('journal_entries').insert(rows.slice(i, i + INSERT_CHUNK_SIZE));
+    if (error) {
+      throw new Error(`Failed to post journal entries: ${error.message}`);
+    }
+  }
+
+  for (let i = 0; i < lines.length; i += INSERT_CHUNK_SIZE) {
+    const { error } = await supabase.from('journal_lines').insert(lines.slice(i, i + INSERT_CHUNK_SIZE));
+    if (error) {
+      // Entries without lines would throw every balance off
+      await supabase.from('journal_entries').delete().in('id', rows.map(row => row.id));
+      throw new Error(`Failed to post journal lines: ${error.message}`);
+    }
+  }
+
+  return rows.map(row => ({
+    ...row,
+    lines: lines.filter(line => line.entry_id === row.id)
+  }));
+}
+
+// Post the opposite of an entry and mark the original reversed
+async function postReversal(entry, entryDate, memo, userId) {
+  const [reversal] = await insertEntries(entry.org_id, [{
+    source_type: entry.source_type,
+    source_id: entry.source_id,
+    reversal_of: entry.id,
+    entry_date: entryDate,
+    memo,
+    lines: entry.lines.map(line => ({
+      account_id: line.account_id,
+      fund_id: line.fund_id,
+      debit: line.credit,
+      credit: line.debit,
+      memo: line.memo
+    }))
+  }], userId);
+
+  const { data: updated, error } = await supabase
+    .from('journal_entries')
+    .update({ reversed_by: reversal.id })
+    .eq('id', entry.id)
+    .is('reversed_by', null)
+    .select('id');
+
+  if (error || !updated || updated.length === 0) {
+    await supabase.from('journal_entries').delete().eq('id', reversal.id);
+    if (error) throw new Error(`Failed to mark entry reversed: ${error.message}`);
+    throw new ConflictError('This entry was just reversed by someone else');
+  }
+
+  return reversal;
+}
+
+async function loadLinesByEntry(orgId, entryIds) {
+  let query = supabase
+    .from('journal_lines')
+    .select('*')
+    .eq('org_id', orgId);
+
+  if (entryIds) {
+    query = query.in('entry_id', entryIds);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Failed to fetch journal lines: ${error.message}`);
+  }
+
+  const byEntry = new Map();
+  for (const line of data) {
+    if (!byEntry.has(line.entry_id)) byEntry.set(line.entry_id, []);
+    byEntry.get(line.entry_id).push(line);
+  }
+  return byEntry;
+}
+
+async function loadLinesAsOf(orgId, asOf) {
+  const { data: entries, error } = await supabase
+    .from('journal_entries')
+    .select('id')
+    .eq('org_id', orgId)
+    .lte('entry_date', asOf);
+
+  if (error) {
+    throw new Error(`Failed to fetch journal entries: ${error.message}`);
+  }
+
+  const included = new Set(entries.map(entry => entry.id));
+  const linesByEntry = await loadLinesByEntry(orgId);
+  return [...linesByEntry].filter(([entryId]) => included.has(entryId)).flatMap(([, lines]) => lines);
+}
+
+async function hasLines(column, id) {
+  const { count, error } = await supabase
+    .from('journal_lines')
+    .select('id', { count: 'exact', head: true })
+    .eq(column, id);
+
+  if (error) {
+    throw new Error(`Failed to check journal lines: ${error.message}`);
+  }
+  return count > 0;
+}
+
+async function assertCodeAvailable(orgId, code) {
+  const { data, error } = await supabase
+    .from('ledger_accounts')
+    .select('id')
+    .eq('org_id', orgId)
+    .eq('code', code)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to check account code: ${error.message}`);
+  }
+  if (data) {
+    throw new ConflictError(`Account code ${code} is already in use`);
+  }
+}
+
+async function assertFundNameAvailable(orgId, name) {
+  const { data, error } = await supabase
+    .from('ledger_funds')
+    .select('id')
+    .eq('org_id', orgId)
+    .eq('name', name)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to check fund name: ${error.message}`);
+  }
+  if (data) {
+    throw new ConflictError(`A fund named "${name}" already exists`);
+  }
+}
+
+function normalizeAccount(input) {
+  const values = {};
+  if (input.code !== undefined) values.code = String(input.code || '').trim().slice(0, 20);
+  if (input.name !== undefined) values.name = String(input.name || '').trim();
+  if (input.description !== undefined) values.description = input.description || null;
+  if (input.account_type !== undefined) {
+    values.account_type = ACCOUNT_TYPES.includes(input.account_type) ? input.account_type : '';
+  }
+  return values;
+}
+
+async function normalizeFund(orgId, input, fundId = null) {
+  const values = {};
+  if (input.name !== undefined) values.name = String(input.name || '').trim();
+  if (input.purpose !== undefined) values.purpose = input.purpose || null;
+  if (input.restriction !== undefined) {
+    if (!FUND_RESTRICTIONS.includes(input.restriction)) {
+      throw new ValidationError(`Restriction must be one of: ${FUND_RESTRICTIONS.join(', ')}`, 'restriction');
+    }
+    values.restriction = input.restriction;
+  }
+
+  if (input.campaign_id !== undefined) {
+    values.campaign_id = input.campaign_id || null;
+    if (values.campaign_id) {
+      const [campaign, linked] = await Promise.all([
+        supabase.from('fundraising_campaigns').select('id').eq('id', values.campaign_id).eq('org_id', orgId).maybeSingle(),
+        supabase.from('ledger_funds').select('id, name').eq('campaign_id', values.campaign_id).maybeSingle()
+      ]);
+      if (campaign.error || linked.error) {
+        throw new Error(`Failed to check campaign: ${(campaign.error || linked.error).message}`);
+      }
+      if (!campaign.data) {
+        throw new ValidationError('Campaign not found in your organization', 'campaign_id');
+      }
+      if (linked.data && linked.data.id !== fundId) {
+        throw new ConflictError(`That campaign already pays into the "${linked.data.name}" fund`);
+      }
+    }
+  }
+  return values;
+}
+
+function normalizeDate(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    throw new ValidationError(`${field} must be YYYY-MM-DD`, field);
+  }
+  return String(value);
+}
+
+function sourceKey(sourceType, sourceId) {
+  return `${sourceType}:${sourceId}`;
+}
+
+// Entries being posted carry line amounts in cents; stored lines are in dollars
+function withCents(entry, lines = []) {
+  return {
+    ...entry,
+    lines: lines.map(line => ({ ...line, debit: toCents(line.debit), credit: toCents(line.credit) }))
+  };
+}
+
+// Two entries with the same date and lines are the same posting; memos don't count
+function fingerprint(entry) {
+  const lines = entry.lines
+    .map(line => `${line.account_id}:${line.fund_id}:${line.debit}:${line.credit}`)
+    .sort();
+  return `${entry.entry_date}|${lines.join('|')}`;
+}
+
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
@@ -0,0 +1,46 @@
+/**
+ * Outgoing email over SMTP
+ * Configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS and
+ * MAIL_FROM. Without SMTP_HOST nothing can be sent and sendMail throws, so
+ * callers can record the failure.
+ */
+
+import nodemailer from 'nodemailer';
+
+let transporter = null;
+
+/**
+ * Whether outgoing email is configured
+ * @returns {boolean}
+ */
+export const isMailConfigured = () => Boolean(process.env.SMTP_HOST);
+
+/**
+ * Send one email
+ * @param {Object} message - { to, subject, text, html, attachments: [{ filename, content, contentType }] }
+ * @returns {Promise<Object>} nodemailer send info
+ */
+export const sendMail = async ({ to, subject, text, html, attachments = [] }) => {
+  if (!isMailConfigured()) {
+    throw new Error('Email is not configured (SMTP_HOST is not set)');
+  }
+
+  if (!transporter) {
+    const port = Number(process.env.SMTP_PORT) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+
+  return transporter.sendMail({
+    from: process.env.MAIL_FROM || process.env.SMTP_USER,
+    to,
+    subject,
+    text,
+    html,
+    attachments
+  });
+};
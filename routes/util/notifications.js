@@ -0,0 +1,34 @@
+import { supabase } from './verifySupabaseToken.js';
+
+/**
+ * Create an in-app notification for one user
+ * Failures are logged, not thrown, so a notification never breaks the action that triggered it
+ * @param {Object} notification - Notification details
+ * @param {string} notification.orgId - Organization ID
+ * @param {string} notification.recipientId - User to notify
+ * @param {string} notification.type - Notification type (e.g. 'volunteer_promoted')
+ * @param {string} notification.title - Short subject line
+ * @param {string} [notification.message] - Body text
+ * @param {string} [notification.link] - Frontend path to open
+ * @returns {Promise<boolean>} Whether the notification was stored
+ */
+export const createNotification = async ({ orgId, recipientId, type, title, message = null, link = null }) => {
+  const { error } = await supabase
+    .from('notifications')
+    .insert([{
+      org_id: orgId,
+      recipient_id: recipientId,
+      type,
+      title,
+      message,
+      link,
+      is_read: false
+    }]);
+
+  if (error) {
+    console.warn(`⚠️ Failed to create ${type} notification for user ${recipientId}:`, error.message);
+    return false;
+  }
+
+  return true;
+};
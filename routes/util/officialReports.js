@@ -0,0 +1,856 @@
+/**
+ * Treasurer's reports for school officials. A report is a snapshot of one
+ * period (a month, a fiscal quarter or a custom range within one fiscal
+ * year) stored in financial_reports. Each official sees it at their
+ * permission_level:
+ *   basic    - income, expenses, cash and fund totals
+ *   detailed - plus budget categories, bank accounts and funds
+ *   full     - plus itemized activity, reimbursements and reconciliations
+ *
+ * Schedules generate and email reports on a set day after each period ends.
+ * Every email attempt is recorded in financial_report_deliveries.
+ */
+
+import { supabase } from './verifySupabaseToken.js';
+import { getFiscalYearStartMonth, fiscalYearForDate } from './fiscalYear.js';
+import { buildBudgetVariance } from './budgetVariance.js';
+import { syncLedger, buildFundBalances } from './ledger.js';
+import { ensureBankAccounts, buildAccountBalances } from './bankAccounts.js';
+import { renderPdf, pdfHeading, pdfTable, formatMoney } from './reportExport.js';
+import { sendMail } from './mailer.js';
+import { ValidationError, ConflictError } from '../middleware/errorHandler.js';
+
+export const REPORT_FREQUENCIES = ['monthly', 'quarterly'];
+export const PERMISSION_LEVELS = ['basic', 'detailed', 'full'];
+export const OFFICIAL_TYPES = [
+  'school_treasurer', 'principal', 'assistant_principal', 'business_manager',
+  'district_financial', 'superintendent', 'board_member'
+];
+
+const SECTIONS_BY_LEVEL = {
+  basic: ['summary'],
+  detailed: ['summary', 'categories', 'accounts', 'funds'],
+  full: ['summary', 'categories', 'accounts', 'funds', 'activity', 'reimbursements', 'reconciliations']
+};
+
+const MONTHS_PER_PERIOD = { monthly: 1, quarterly: 3 };
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const EMAIL_PATTERN = /^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$/;
+
+// =====================================================
+// OFFICIALS
+// =====================================================
+
+/**
+ * Add a school official
+ * @param {string} orgId - Organization ID
+ * @param {Object} input - { name, title, email, phone, official_type, permission_level }
+ * @param {string} userId - User adding them
+ * @returns {Promise<Object>} school_officials row
+ */
+export const createOfficial = async (orgId, input, userId) => {
+  const values = normalizeOfficial(input);
+  for (const field of ['name', 'title', 'email', 'official_type']) {
+    if (!values[field]) throw new ValidationError(`${field} is required`, field);
+  }
+  await assertEmailAvailable(orgId, values.email);
+
+  const { data: official, error } = await supabase
+    .from('school_officials')
+    .insert([{ permission_level: 'basic', ...values, org_id: orgId, created_by: userId }])
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create school official: ${error.message}`);
+  }
+  return official;
+};
+
+/**
+ * Update a school official
+ * @param {Object} official - school_officials row
+ * @param {Object} input - { name, title, email, phone, official_type, permission_level, is_active }
+ * @returns {Promise<Object>} Updated row
+ */
+export const updateOfficial = async (official, input) => {
+  const values = normalizeOfficial(input);
+  for (const field of ['name', 'title', 'email', 'official_type']) {
+    if (values[field] !== undefined && !values[field]) throw new ValidationError(`${field} is required`, field);
+  }
+  if (values.email && values.email.toLowerCase() !== official.email.toLowerCase()) {
+    await assertEmailAvailable(official.org_id, values.email);
+  }
+  if (input.is_active !== undefined) values.is_active = Boolean(input.is_active);
+
+  const { data: updated, error } = await supabase
+    .from('school_officials')
+    .update(values)
+    .eq('id', official.id)
+    .eq('org_id', official.org_id)
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to update school official: ${error.message}`);
+  }
+  return updated;
+};
+
+// =====================================================
+// SCHEDULES
+// =====================================================
+
+/**
+ * Add a report schedule
+ * @param {string} orgId - Organization ID
+ * @param {Object} input - { name, frequency (monthly|quarterly), send_day (1-28), official_ids }
+ * @param {string} userId - User adding it
+ * @returns {Promise<Object>} financial_report_schedules row
+ */
+export const createSchedule = async (orgId, input, userId) => {
+  const values = await normalizeSchedule(orgId, input);
+  if (!values.frequency) {
+    throw new ValidationError(`Frequency must be one of: ${REPORT_FREQUENCIES.join(', ')}`, 'frequency');
+  }
+  values.send_day = values.send_day || 5;
+  values.name = values.name || `${capitalize(values.frequency)} treasurer's report`;
+
+  const startMonth = await getFiscalYearStartMonth(orgId);
+  values.next_send_date = nextSendDate(values.frequency, values.send_day, startMonth, today());
+
+  const { data: schedule, error } = await supabase
+    .from('financial_report_schedules')
+    .insert([{ ...values, org_id: orgId, is_active: true, created_by: userId }])
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create report schedule: ${error.message}`);
+  }
+  return schedule;
+};
+
+/**
+ * Update a report schedule. Changing the frequency or send day moves the
+ * next send date; so does reactivating a paused schedule.
+ * @param {Object} schedule - financial_report_schedules row
+ * @param {Object} input - { name, frequency, send_day, official_ids, is_active }
+ * @returns {Promise<Object>} Updated row
+ */
+export const updateSchedule = async (schedule, input) => {
+  const values = await normalizeSchedule(schedule.org_id, input);
+  if (values.name !== undefined && !values.name) throw new ValidationError('Schedule name is required', 'name');
+  if (input.is_active !== undefined) values.is_active = Boolean(input.is_active);
+
+  const timingChanged = (values.frequency && values.frequency !== schedule.frequency) ||
+    (values.send_day && values.send_day !== schedule.send_day) ||
+    (values.is_active && !schedule.is_active);
+  if (timingChanged) {
+    const startMonth = await getFiscalYearStartMonth(schedule.org_id);
+    values.next_send_date = nextSendDate(values.frequency || schedule.frequency, values.send_day || schedule.send_day, startMonth, today());
+  }
+
+  const { data: updated, error } = await supabase
+    .from('financial_report_schedules')
+    .update(values)
+    .eq('id', schedule.id)
+    .eq('org_id', schedule.org_id)
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to update report schedule: ${error.message}`);
+  }
+  return updated;
+};
+
+/**
+ * First day on or after a date that a schedule sends: its send day in every
+ * month, or in the month after each fiscal quarter ends
+ * @param {string} frequency - monthly or quarterly
+ * @param {number} sendDay - Day of the month (1-28)
+ * @param {number} startMonth - Month the fiscal year starts (1-12)
+ * @param {string} from - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+export const nextSendDate = (frequency, sendDay, startMonth, from) => {
+  const months = MONTHS_PER_PERIOD[frequency];
+  for (let index = monthIndex(from); ; index += 1) {
+    const candidate = `${monthStart(index).slice(0, 8)}${String(sendDay).padStart(2, '0')}`;
+    if (periodOffset(index, months, startMonth) === 0 && candidate >= from) return candidate;
+  }
+};
+
+/**
+ * The last full month or fiscal quarter before a date
+ * @param {string} periodType - monthly or quarterly
+ * @param {number} startMonth - Month the fiscal year starts (1-12)
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object} { type, start, end }
+ */
+export const previousPeriod = (periodType, startMonth, date) => {
+  const months = MONTHS_PER_PERIOD[periodType];
+  const index = monthIndex(date);
+  const currentStart = index - periodOffset(index, months, startMonth);
+  return {
+    type: periodType,
+    start: monthStart(currentStart - months),
+    end: monthEnd(currentStart - 1)
+  };
+};
+
+// =====================================================
+// REPORTS
+// =====================================================
+
+/**
+ * Build a treasurer's report for a period and store the snapshot
+ * @param {string} orgId - Organization ID
+ * @param {Object} period - { type (monthly|quarterly|custom), start, end (YYYY-MM-DD) }
+ * @param {Object} [options] - { userId, scheduleId }
+ * @returns {Promise<Object>} financial_reports row
+ */
+export const generateFinancialReport = async (orgId, period, { userId = null, scheduleId = null } = {}) => {
+  if (!period.start || !period.end) throw new ValidationError('period_start and period_end are required', 'period_start');
+  if (period.start > period.end) throw new ValidationError('period_start must be on or before period_end', 'period_start');
+
+  const startMonth = await getFiscalYearStartMonth(orgId);
+  const fiscalYear = fiscalYearForDate(period.start, startMonth);
+  if (fiscalYearForDate(period.end, startMonth) !== fiscalYear) {
+    throw new ValidationError('A report period must fall within one fiscal year', 'period_end');
+  }
+
+  const dayBefore = addDays(period.start, -1);
+  await syncLedger(orgId);
+  const bankAccounts = await ensureBankAccounts(orgId);
+
+  const [organization, yearToDate, beforePeriod, opening, ending, funds, activity, reimbursements, reconciliations] = await Promise.all([
+    supabase.from('organizations').select('id, name').eq('id', orgId).maybeSingle(),
+    buildBudgetVariance(orgId, fiscalYear, { asOf: period.end }),
+    buildBudgetVariance(orgId, fiscalYear, { asOf: dayBefore }),
+    buildAccountBalances(orgId, bankAccounts, dayBefore),
+    buildAccountBalances(orgId, bankAccounts, period.end),
+    buildFundBalances(orgId, { as_of: period.end }),
+    loadActivity(orgId, period),
+    loadReimbursements(orgId, period),
+    loadReconciliations(orgId, period, bankAccounts)
+  ]);
+
+  if (organization.error) {
+    throw new Error(`Failed to fetch organization: ${organization.error.message}`);
+  }
+
+  const priorActual = new Map(beforePeriod.categories.map(row => [row.id, row.actual]));
+  const categories = yearToDate.categories.map(row => ({
+    id: row.id,
+    name: row.name,
+    category_type: row.category_type,
+    parent_category_id: row.parent_category_id,
+    depth: row.depth,
+    budget: row.budget,
+    period_actual: roundMoney(row.actual - (priorActual.get(row.id) || 0)),
+    ytd_actual: row.actual,
+    remaining: row.remaining
+  }));
+  const categoryNames = new Map(categories.map(row => [row.id, row.name]));
+
+  const openingById = new Map(opening.map(account => [account.id, account.balance]));
+  const accounts = ending
+    .filter(account => account.is_active !== false || account.balance !== 0 || openingById.get(account.id) !== 0)
+    .map(account => ({
+      id: account.id,
+      name: account.name,
+      account_kind: account.account_kind,
+      opening_balance: openingById.get(account.id) || 0,
+      ending_balance: account.balance
+    }));
+
+  const ytdIncome = totalActual(yearToDate, 'revenue');
+  const ytdExpenses = totalActual(yearToDate, 'expense');
+  const income = roundMoney(ytdIncome - totalActual(beforePeriod, 'revenue'));
+  const expenses = roundMoney(ytdExpenses - totalActual(beforePeriod, 'expense'));
+  const summary = {
+    income,
+    expenses,
+    net: roundMoney(income - expenses),
+    ytd_income: ytdIncome,
+    ytd_expenses: ytdExpenses,
+    ytd_net: roundMoney(ytdIncome - ytdExpenses),
+    ytd_budgeted_income: yearToDate.totals.revenue.budget,
+    ytd_budgeted_expenses: yearToDate.totals.expense.budget,
+    cash_opening: roundMoney(accounts.reduce((sum, account) => sum + account.opening_balance, 0)),
+    cash_ending: roundMoney(accounts.reduce((sum, account) => sum + account.ending_balance, 0)),
+    funds_without_restrictions: funds.totals.without_donor_restrictions,
+    funds_with_restrictions: funds.totals.with_donor_restrictions
+  };
+
+  const orgName = organization.data?.name || 'Organization';
+  const label = periodLabel(period, startMonth, fiscalYear);
+  const reportData = {
+    organization: { id: orgId, name: orgName },
+    period: { type: period.type, start: period.start, end: period.end, fiscal_year: fiscalYear, label },
+    generated_at: new Date().toISOString(),
+    summary,
+    categories,
+    uncategorized: {
+      income: roundMoney(yearToDate.totals.revenue.uncategorized_actual - beforePeriod.totals.revenue.uncategorized_actual),
+      expenses: roundMoney(yearToDate.totals.expense.uncategorized_actual - beforePeriod.totals.expense.uncategorized_actual)
+    },
+    accounts,
+    funds: funds.funds.map(fund => ({
+      id: fund.id,
+      name: fund.name,
+      restriction: fund.restriction,
+      balance: fund.balance,
+      overspent: fund.overspent
+    })),
+    activity: activity.map(item => ({ ...item, category: categoryNames.get(item.category_id) || null })),
+    reimbursements,
+    reconciliations
+  };
+
+  const { data: report, error } = await supabase
+    .from('financial_reports')
+    .insert([{
+      org_id: orgId,
+      report_type: `treasurer_${period.type}`,
+      report_name: `Treasurer's Report – ${label}`,
+      report_period_start: period.start,
+      report_period_end: period.end,
+      period_type: period.type,
+      schedule_id: scheduleId,
+      report_data: reportData,
+      report_summary: summary,
+      generated_by: userId,
+      file_format: 'pdf'
+    }])
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save financial report: ${error.message}`);
+  }
+  return report;
+};
+
+/**
+ * The parts of a report snapshot an official at a permission level may see
+ * @param {Object} reportData - financial_reports.report_data
+ * @param {string} level - basic, detailed or full
+ * @returns {Object} Report view
+ */
+export const viewForLevel = (reportData, level) => {
+  const sections = SECTIONS_BY_LEVEL[level] || SECTIONS_BY_LEVEL.basic;
+  const view = {
+    organization: reportData.organization,
+    period: reportData.period,
+    generated_at: reportData.generated_at,
+    permission_level: SECTIONS_BY_LEVEL[level] ? level : 'basic'
+  };
+  for (const section of sections) {
+    view[section] = reportData[section];
+  }
+  if (sections.includes('categories')) view.uncategorized = reportData.uncategorized;
+  return view;
+};
+
+/**
+ * Render a report view as a PDF
+ * @param {Object} view - From viewForLevel
+ * @returns {Promise<Buffer>}
+ */
+export const renderOfficialReport = (view) => renderPdf(doc => {
+  const { summary, period } = view;
+  pdfHeading(doc, `Treasurer's Report – ${view.organization.name}`,
+    `${period.label} (${period.start} to ${period.end}) · ${capitalize(view.permission_level)} detail · Generated ${String(view.generated_at).slice(0, 10)}`);
+
+  pdfTable(doc, [
+    { header: '', key: 'line', width: 200 },
+    { header: 'This period', key: 'period', width: 110, align: 'right', format: formatMoney },
+    { header: 'Year to date', key: 'ytd', width: 110, align: 'right', format: formatMoney },
+    { header: 'Annual budget', key: 'budget', width: 90, align: 'right', format: value => (value === undefined ? '' : formatMoney(value)) }
+  ], [
+    { line: 'Income', period: summary.income, ytd: summary.ytd_income, budget: summary.ytd_budgeted_income },
+    { line: 'Expenses', period: summary.expenses, ytd: summary.ytd_expenses, budget: summary.ytd_budgeted_expenses },
+    { line: 'Net', period: summary.net, ytd: summary.ytd_net, bold: true }
+  ], { title: 'Summary' });
+
+  pdfTable(doc, [
+    { header: '', key: 'line', width: 310 },
+    { header: 'Amount', key: 'amount', width: 110, align: 'right', format: formatMoney }
+  ], [
+    { line: `Cash on hand, ${addDays(period.start, -1)}`, amount: summary.cash_opening },
+    { line: `Cash on hand, ${period.end}`, amount: summary.cash_ending, bold: true },
+    { line: 'Funds without donor restrictions', amount: summary.funds_without_restrictions },
+    { line: 'Funds with donor restrictions', amount: summary.funds_with_restrictions }
+  ], { title: 'Cash and Funds' });
+
+  if (view.accounts) {
+    pdfTable(doc, [
+      { header: 'Account', key: 'name', width: 230 },
+      { header: 'Opening', key: 'opening_balance', width: 95, align: 'right', format: formatMoney },
+      { header: 'Ending', key: 'ending_balance', width: 95, align: 'right', format: formatMoney }
+    ], view.accounts, { title: 'Bank Accounts' });
+  }
+
+  if (view.funds) {
+    pdfTable(doc, [
+      { header: 'Fund', key: 'name', width: 230 },
+      { header: 'Restriction', key: 'restriction', width: 95 },
+      { header: 'Balance', key: 'balance', width: 95, align: 'right', format: (value, row) => `${formatMoney(value)}${row.overspent ? ' (overspent)' : ''}` }
+    ], view.funds, { title: 'Funds' });
+  }
+
+  if (view.categories) {
+    const categoryColumns = [
+      { header: 'Category', key: 'name', width: 180, format: (value, row) => `${'  '.repeat(row.depth || 0)}${value}` },
+      { header: 'Budget', key: 'budget', width: 80, align: 'right', format: formatMoney },
+      { header: 'This period', key: 'period_actual', width: 80, align: 'right', format: formatMoney },
+      { header: 'Year to date', key: 'ytd_actual', width: 80, align: 'right', format: formatMoney },
+      { header: 'Remaining', key: 'remaining', width: 80, align: 'right', format: formatMoney }
+    ];
+    for (const [type, title] of [['revenue', 'Income by Category'], ['expense', 'Expenses by Category']]) {
+      const rows = view.categories.filter(row => row.category_type === type);
+      if (rows.length > 0) pdfTable(doc, categoryColumns, rows, { title });
+    }
+  }
+
+  if (view.activity) {
+    pdfTable(doc, [
+      { header: 'Date', key: 'date', width: 70 },
+      { header: 'Description', key: 'description', width: 190 },
+      { header: 'Category', key: 'category', width: 110 },
+      { header: 'Income', key: 'income', width: 70, align: 'right', format: value => (value ? formatMoney(value) : '') },
+      { header: 'Expense', key: 'expense', width: 70, align: 'right', format: value => (value ? formatMoney(value) : '') }
+    ], view.activity.map(item => ({
+      ...item,
+      income: item.type === 'income' ? item.amount : null,
+      expense: item.type === 'expense' ? item.amount : null
+    })), { title: 'Activity' });
+  }
+
+  if (view.reimbursements?.length) {
+    pdfTable(doc, [
+      { header: 'Paid', key: 'paid_date', width: 70 },
+      { header: 'Payee', key: 'payee_name', width: 190 },
+      { header: 'Method', key: 'payment_method', width: 70 },
+      { header: 'Check #', key: 'check_number', width: 70 },
+      { header: 'Amount', key: 'amount', width: 90, align: 'right', format: formatMoney }
+    ], view.reimbursements, { title: 'Reimbursements Paid' });
+  }
+
+  if (view.reconciliations) {
+    pdfTable(doc, [
+      { header: 'Month', key: 'month', width: 90 },
+      { header: 'Account', key: 'bank_account_name', width: 160 },
+      { header: 'Status', key: 'status', width: 90 },
+      { header: 'Difference', key: 'difference', width: 90, align: 'right', format: value => (value === null ? '—' : formatMoney(value)) }
+    ], view.reconciliations, { title: 'Bank Reconciliations' });
+  }
+});
+
+/**
+ * Email a report to school officials, each at their own permission level.
+ * Every attempt is recorded; the report's first successful send is its
+ * submission date.
+ * @param {Object} report - financial_reports row
+ * @param {Object} [options] - { officialIds (default: every active official), userId }
+ * @returns {Promise<Object>} { sent, failed, deliveries }
+ */
+export const sendReportToOfficials = async (report, { officialIds = null, userId = null } = {}) => {
+  let query = supabase
+    .from('school_officials')
+    .select('*')
+    .eq('org_id', report.org_id)
+    .eq('is_active', true);
+  if (officialIds && officialIds.length > 0) query = query.in('id', officialIds);
+
+  const { data: officials, error } = await query;
+  if (error) {
+    throw new Error(`Failed to fetch school officials: ${error.message}`);
+  }
+  if (officials.length === 0) {
+    throw new ValidationError('There are no active school officials to send this report to', 'official_ids');
+  }
+
+  const data = report.report_data;
+  const rendered = new Map();
+  const deliveries = [];
+  for (const official of officials) {
+    const level = PERMISSION_LEVELS.includes(official.permission_level) ? official.permission_level : 'basic';
+    if (!rendered.has(level)) rendered.set(level, await renderOfficialReport(viewForLevel(data, level)));
+
+    let sendError = null;
+    try {
+      await sendMail({
+        to: official.email,
+        subject: `${data.organization.name}: ${report.report_name}`,
+        text: reportEmailText(official, data),
+        attachments: [{
+          filename: `treasurer-report-${data.period.start}-to-${data.period.end}.pdf`,
+          content: rendered.get(level),
+          contentType: 'application/pdf'
+        }]
+      });
+    } catch (err) {
+      sendError = err.message;
+      console.warn(`⚠️ Failed to email report ${report.id} to official ${official.id}:`, err.message);
+    }
+
+    const { data: delivery, error: deliveryError } = await supabase
+      .from('financial_report_deliveries')
+      .insert([{
+        org_id: report.org_id,
+        report_id: report.id,
+        official_id: official.id,
+        official_name: official.name,
+        email: official.email,
+        permission_level: level,
+        status: sendError ? 'failed' : 'sent',
+        error: sendError,
+        sent_by: userId
+      }])
+      .select('*')
+      .single();
+
+    if (deliveryError) {
+      console.warn(`⚠️ Failed to record delivery of report ${report.id} to official ${official.id}:`, deliveryError.message);
+    }
+    deliveries.push(delivery || { official_id: official.id, email: official.email, status: sendError ? 'failed' : 'sent', error: sendError });
+
+    if (!sendError) {
+      await supabase
+        .from('school_officials')
+        .update({ last_report_sent: new Date().toISOString() })
+        .eq('id', official.id);
+    }
+  }
+
+  const sent = deliveries.filter(delivery => delivery.status === 'sent').length;
+  if (sent > 0) {
+    const { error: updateError } = await supabase
+      .from('financial_reports')
+      .update({ submitted_to_officials: true, submission_date: report.submission_date || new Date().toISOString() })
+      .eq('id', report.id);
+
+    if (updateError) {
+      console.warn(`⚠️ Failed to record submission of report ${report.id}:`, updateError.message);
+    }
+  }
+
+  return { sent, failed: deliveries.length - sent, deliveries };
+};
+
+/**
+ * Generate and send every report whose schedule is due. Each schedule is
+ * claimed by moving its next send date before the report is built, so only
+ * one server instance sends it; if the report can't be built the date is
+ * put back and the next run retries.
+ * @returns {Promise<number>} Reports generated
+ */
+export const runDueReportSchedules = async () => {
+  const runDate = today();
+  const { data: schedules, error } = await supabase
+    .from('financial_report_schedules')
+    .select('*')
+    .eq('is_active', true)
+    .lte('next_send_date', runDate);
+
+  if (error) {
+    throw new Error(`Failed to fetch report schedules: ${error.message}`);
+  }
+
+  let generated = 0;
+  for (const schedule of schedules) {
+    const startMonth = await getFiscalYearStartMonth(schedule.org_id);
+    const next = nextSendDate(schedule.frequency, schedule.send_day, startMonth, addDays(runDate, 1));
+
+    const { data: claimed } = await supabase
+      .from('financial_report_schedules')
+      .update({ next_send_date: next, last_run_at: new Date().toISOString() })
+      .eq('id', schedule.id)
+      .eq('next_send_date', schedule.next_send_date)
+      .select('id');
+
+    if (!claimed || claimed.length === 0) continue;
+
+    let report;
+    try {
+      report = await generateFinancialReport(
+        schedule.org_id,
+        previousPeriod(schedule.frequency, startMonth, schedule.next_send_date),
+        { userId: schedule.created_by, scheduleId: schedule.id }
+      );
+    } catch (err) {
+      console.error(`❌ Failed to generate scheduled report ${schedule.id}:`, err.message);
+      await supabase
+        .from('financial_report_schedules')
+        .update({ next_send_date: schedule.next_send_date })
+        .eq('id', schedule.id)
+        .eq('next_send_date', next);
+      continue;
+    }
+    generated += 1;
+
+    try {
+      const result = await sendReportToOfficials(report, { officialIds: schedule.official_ids });
+      console.log(`✅ Scheduled report ${report.id} sent to ${result.sent} official(s), ${result.failed} failed`);
+    } catch (err) {
+      console.warn(`⚠️ Scheduled report ${report.id} was generated but not sent:`, err.message);
+    }
+  }
+
+  return generated;
+};
+
+// =====================================================
+// HELPER FUNCTIONS
+// =====================================================
+
+async function loadActivity(orgId, period) {
+  const [expenses, transactions] = await Promise.all([
+    supabase
+      .from('expense_submissions')
+      .select('id, expense_date, amount, vendor_name, description, category_id')
+      .eq('org_id', orgId)
+      .eq('status', 'approved')
+      .gte('expense_date', period.start)
+      .lte('expense_date', period.end),
+    supabase
+      .from('transactions')
+      .select('id, date, amount, type, description, budget_category_id, approval_status, expense_submission_id')
+      .eq('org_id', orgId)
+      .gte('date', period.start)
+      .lte('date', period.end)
+  ]);
+
+  for (const result of [expenses, transactions]) {
+    if (result.error) {
+      throw new Error(`Failed to load report activity: ${result.error.message}`);
+    }
+  }
+
+  // Same rules as the budget actuals: linked transactions and transfers aren't counted again
+  const items = [
+    ...expenses.data.map(expense => ({
+      date: expense.expense_date,
+      type: 'expense',
+      description: [expense.vendor_name, expense.description].filter(Boolean).join(' – '),
+      category_id: expense.category_id,
+      amount: roundMoney(Number(expense.amount)),
+      source_type: 'expense_submission',
+      source_id: expense.id
+    })),
+    ...transactions.data
+      .filter(tx => !tx.expense_submission_id && (!tx.approval_status || tx.approval_status === 'approved'))
+      .filter(tx => tx.type === 'income' || tx.type === 'expense')
+      .map(tx => ({
+        date: tx.date,
+        type: tx.type,
+        description: tx.description,
+        category_id: tx.budget_category_id,
+        amount: roundMoney(Math.abs(Number(tx.amount))),
+        source_type: 'transaction',
+        source_id: tx.id
+      }))
+  ];
+  return items.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+async function loadReimbursements(orgId, period) {
+  const { data, error } = await supabase
+    .from('reimbursement_payouts')
+    .select('id, payee_name, amount, payment_method, check_number, paid_date')
+    .eq('org_id', orgId)
+    .eq('status', 'paid')
+    .gte('paid_date', period.start)
+    .lte('paid_date', period.end)
+    .order('paid_date', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to load reimbursements: ${error.message}`);
+  }
+  return data.map(payout => ({ ...payout, amount: Number(payout.amount) }));
+}
+
+async function loadReconciliations(orgId, period, bankAccounts) {
+  const { data, error } = await supabase
+    .from('reconciliations')
+    .select('id, month, year, status, bank_account_id, statement_ending_balance, difference, reviewed_at')
+    .eq('org_id', orgId)
+    .gte('year', Number(period.start.slice(0, 4)))
+    .lte('year', Number(period.end.slice(0, 4)));
+
+  if (error) {
+    throw new Error(`Failed to load reconciliations: ${error.message}`);
+  }
+
+  const defaultAccount = bankAccounts.find(account => account.is_default);
+  const names = new Map(bankAccounts.map(account => [account.id, account.name]));
+  const firstMonth = period.start.slice(0, 7);
+  const lastMonth = period.end.slice(0, 7);
+  return data
+    .map(reconciliation => ({
+      id: reconciliation.id,
+      month: `${reconciliation.year}-${String(reconciliation.month).padStart(2, '0')}`,
+      bank_account_id: reconciliation.bank_account_id || defaultAccount?.id || null,
+      bank_account_name: names.get(reconciliation.bank_account_id) || defaultAccount?.name || null,
+      status: reconciliation.status,
+      statement_ending_balance: toAmountOrNull(reconciliation.statement_ending_balance),
+      difference: toAmountOrNull(reconciliation.difference),
+      reviewed_at: reconciliation.reviewed_at || null
+    }))
+    .filter(reconciliation => reconciliation.month >= firstMonth && reconciliation.month <= lastMonth)
+    .sort((a, b) => a.month.localeCompare(b.month) || String(a.bank_account_name).localeCompare(String(b.bank_account_name)));
+}
+
+async function assertEmailAvailable(orgId, email) {
+  const { data, error } = await supabase
+    .from('school_officials')
+    .select('email')
+    .eq('org_id', orgId);
+
+  if (error) {
+    throw new Error(`Failed to check official email: ${error.message}`);
+  }
+  if (data.some(official => official.email.toLowerCase() === email.toLowerCase())) {
+    throw new ConflictError(`An official with email ${email} already exists`);
+  }
+}
+
+function normalizeOfficial(input) {
+  const values = {};
+  for (const field of ['name', 'title']) {
+    if (input[field] !== undefined) values[field] = String(input[field] || '').trim();
+  }
+  if (input.phone !== undefined) values.phone = input.phone ? String(input.phone).trim() : null;
+  if (input.email !== undefined) {
+    values.email = String(input.email || '').trim();
+    if (values.email && !EMAIL_PATTERN.test(values.email)) {
+      throw new ValidationError('Enter a valid email address', 'email');
+    }
+  }
+  if (input.official_type !== undefined && !OFFICIAL_TYPES.includes(input.official_type)) {
+    throw new ValidationError(`Official type must be one of: ${OFFICIAL_TYPES.join(', ')}`, 'official_type');
+  }
+  if (input.official_type !== undefined) values.official_type = input.official_type;
+  if (input.permission_level !== undefined) {
+    if (!PERMISSION_LEVELS.includes(input.permission_level)) {
+      throw new ValidationError(`Permission level must be one of: ${PERMISSION_LEVELS.join(', ')}`, 'permission_level');
+    }
+    values.permission_level = input.permission_level;
+  }
+  return values;
+}
+
+async function normalizeSchedule(orgId, input) {
+  const values = {};
+  if (input.name !== undefined) values.name = String(input.name || '').trim();
+  if (input.frequency !== undefined) {
+    if (!REPORT_FREQUENCIES.includes(input.frequency)) {
+      throw new ValidationError(`Frequency must be one of: ${REPORT_FREQUENCIES.join(', ')}`, 'frequency');
+    }
+    values.frequency = input.frequency;
+  }
+  if (input.send_day !== undefined) {
+    const sendDay = Number(input.send_day);
+    if (!Number.isInteger(sendDay) || sendDay < 1 || sendDay > 28) {
+      throw new ValidationError('send_day must be a whole number from 1 to 28', 'send_day');
+    }
+    values.send_day = sendDay;
+  }
+  if (input.official_ids !== undefined) {
+    if (input.official_ids !== null && !Array.isArray(input.official_ids)) {
+      throw new ValidationError('official_ids must be a list of official IDs, or null for every active official', 'official_ids');
+    }
+    const ids = input.official_ids && input.official_ids.length > 0 ? [...new Set(input.official_ids)] : null;
+    if (ids) {
+      const { data, error } = await supabase
+        .from('school_officials')
+        .select('id')
+        .eq('org_id', orgId)
+        .in('id', ids);
+
+      if (error) {
+        throw new Error(`Failed to check school officials: ${error.message}`);
+      }
+      if (data.length !== ids.length) {
+        throw new ValidationError('One or more officials were not found', 'official_ids');
+      }
+    }
+    values.official_ids = ids;
+  }
+  return values;
+}
+
+function reportEmailText(official, data) {
+  const { summary, period } = data;
+  return [
+    `Dear ${official.name},`,
+    '',
+    `Attached is the treasurer's report for ${data.organization.name} covering ${period.label} (${period.start} to ${period.end}).`,
+    '',
+    `Income: ${formatMoney(summary.income)}`,
+    `Expenses: ${formatMoney(summary.expenses)}`,
+    `Net: ${formatMoney(summary.net)}`,
+    `Cash on hand at ${period.end}: ${formatMoney(summary.cash_ending)}`,
+    '',
+    'Please reply to this email with any questions.'
+  ].join('\n');
+}
+
+function periodLabel(period, startMonth, fiscalYear) {
+  const [year, month] = period.start.split('-').map(Number);
+  if (period.type === 'monthly') return `${MONTH_NAMES[month - 1]} ${year}`;
+  if (period.type === 'quarterly') {
+    const quarter = Math.floor((((month - startMonth) % 12) + 12) % 12 / 3) + 1;
+    const [endYear, endMonth] = period.end.split('-').map(Number);
+    return `Q${quarter} FY${fiscalYear} (${MONTH_NAMES[month - 1].slice(0, 3)}–${MONTH_NAMES[endMonth - 1].slice(0, 3)} ${endYear})`;
+  }
+  return `${period.start} to ${period.end}`;
+}
+
+function totalActual(variance, type) {
+  return roundMoney(variance.totals[type].actual + variance.totals[type].uncategorized_actual);
+}
+
+// Months are counted from year 0 so periods can step across year boundaries
+function monthIndex(date) {
+  const [year, month] = date.split('-').map(Number);
+  return year * 12 + month - 1;
+}
+
+function periodOffset(index, months, startMonth) {
+  return (((index - (startMonth - 1)) % months) + months) % months;
+}
+
+function monthStart(index) {
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}-01`;
+}
+
+function monthEnd(index) {
+  return new Date(Date.UTC(Math.floor(index / 12), (index % 12) + 1, 0)).toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  const value = new Date(`${date}T00:00:00Z`);
+  value.setUTCDate(value.getUTCDate() + days);
+  return value.toISOString().slice(0, 10);
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+function toAmountOrNull(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
@@ -0,0 +1,51 @@
+import { supabase } from './verifySupabaseToken.js';
+import { hasMinRole } from '../middleware/roleBasedAccess.js';
+
+/**
+ * Fetch a row by id and make sure it belongs to the caller's organization
+ * @param {string} table - Table name (must have id and org_id columns)
+ * @param {string} id - Row ID
+ * @param {string} orgId - Caller's organization ID
+ * @param {string} label - Human-readable name for errors, e.g. 'Volunteer shift'
+ * @returns {Promise<Object>} { row } or { status, error }
+ */
+export const fetchOrgRow = async (table, id, orgId, label) => {
+  const { data: row, error } = await supabase
+    .from(table)
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`❌ Error fetching ${label.toLowerCase()} ${id}:`, error.message);
+    return { status: 500, error: `Error fetching ${label.toLowerCase()}` };
+  }
+
+  if (!row) {
+    return { status: 404, error: `${label} not found` };
+  }
+
+  if (row.org_id !== orgId) {
+    console.warn(`🚫 Cross-org access denied: ${label} ${id} not in org ${orgId}`);
+    return { status: 403, error: `${label} not found in your organization` };
+  }
+
+  return { row };
+};
+
+/**
+ * Fetch an event the caller may see (at or above the event's audience role)
+ * @param {Object} req - Request with getUserOrgContext applied
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object>} { row } or { status, error }
+ */
+export const fetchVisibleEvent = async (req, eventId) => {
+  const result = await fetchOrgRow('events', eventId, req.orgId, 'Event');
+  if (result.error) return result;
+
+  if (!hasMinRole(req.userRole, result.row.audience_role || 'parent_member')) {
+    return { status: 404, error: 'Event not found' };
+  }
+
+  return result;
+};
@@ -0,0 +1,584 @@
+/**
+ * Receipt data extraction for expense submissions. An extractor reads an
+ * uploaded receipt (image or PDF) and returns the fields a volunteer would
+ * otherwise retype, each with a 0-1 confidence score. Extractors are
+ * registered by name and chosen with RECEIPT_EXTRACTOR (default 'local').
+ *
+ * An extractor is an object with:
+ *   supports(file) -> boolean            file is a multer file ({ buffer, mimetype, originalname })
+ *   extract(file)  -> Promise<Result>
+ * where Result is:
+ *   { fields: { vendor_name, amount, expense_date, line_items },
+ *     confidence: { vendor_name, amount, expense_date, line_items },
+ *     warnings: [string] }
+ * Fields it couldn't read are null (line_items []), with confidence 0.
+ *
+ * The local extractor works offline: it reads the text layer of PDF receipts
+ * (emailed and printed-to-PDF receipts have one) and the capture date of
+ * photos. It doesn't OCR images; register an OCR-backed extractor for that.
+ */
+
+import zlib from 'zlib';
+
+const AMOUNT_TOLERANCE_CENTS = 1;
+
+const EMPTY_FIELDS = () => ({ vendor_name: null, amount: null, expense_date: null, line_items: [] });
+const EMPTY_CONFIDENCE = () => ({ vendor_name: 0, amount: 0, expense_date: 0, line_items: 0 });
+
+const extractors = new Map();
+
+/**
+ * Register a receipt extractor under a name
+ * @param {string} name - Value of RECEIPT_EXTRACTOR that selects it
+ * @param {Object} extractor - { supports(file), extract(file) }
+ */
+export const registerReceiptExtractor = (name, extractor) => {
+  if (typeof extractor?.supports !== 'function' || typeof extractor?.extract !== 'function') {
+    throw new Error(`Receipt extractor ${name} must implement supports() and extract()`);
+  }
+  extractors.set(name, extractor);
+};
+
+/**
+ * The configured extractor, falling back to the local one
+ * @returns {{ name: string, extractor: Object }}
+ */
+export const getReceiptExtractor = () => {
+  const name = process.env.RECEIPT_EXTRACTOR || 'local';
+  if (extractors.has(name)) {
+    return { name, extractor: extractors.get(name) };
+  }
+  console.warn(`⚠️ Unknown receipt extractor "${name}", using the local extractor`);
+  return { name: 'local', extractor: extractors.get('local') };
+};
+
+/**
+ * Extract data from one or more receipts for a single expense. Amounts from
+ * several receipts are added up; vendor and date come from the most
+ * confident receipt. Never throws: a receipt that can't be read adds a warning.
+ * @param {Object[]} files - multer files
+ * @returns {Promise<Object>} { extractor, fields, confidence, receipts, warnings, extracted_at }
+ */
+export const extractReceipts = async (files) => {
+  const { name, extractor } = getReceiptExtractor();
+  const receipts = [];
+
+  for (const file of files || []) {
+    let result = { fields: EMPTY_FIELDS(), confidence: EMPTY_CONFIDENCE(), warnings: [] };
+    try {
+      if (extractor.supports(file)) {
+        result = normalizeResult(await extractor.extract(file));
+      } else {
+        result.warnings.push('This file type can\'t be read');
+      }
+    } catch (err) {
+      console.warn(`⚠️ Receipt extraction failed for ${file.originalname}:`, err.message);
+      result.warnings.push('The receipt could not be read');
+    }
+    receipts.push({ filename: file.originalname, ...result });
+  }
+
+  return {
+    extractor: name,
+    ...combineReceipts(receipts),
+    receipts,
+    warnings: receipts.flatMap(receipt => receipt.warnings.map(warning => `${receipt.filename}: ${warning}`)),
+    extracted_at: new Date().toISOString()
+  };
+};
+
+/**
+ * Combine extraction results for receipts added to an expense later
+ * @param {Object|null} previous - Stored receipt_extraction
+ * @param {Object|null} added - From extractReceipts for the new receipts
+ * @returns {Object|null} Extraction covering all of the receipts
+ */
+export const mergeExtractions = (previous, added) => {
+  if (!previous?.receipts) return added;
+  if (!added) return previous;
+
+  const receipts = [...previous.receipts, ...added.receipts];
+  return {
+    extractor: added.extractor,
+    ...combineReceipts(receipts),
+    receipts,
+    warnings: [...(previous.warnings || []), ...added.warnings],
+    extracted_at: added.extracted_at
+  };
+};
+
+/**
+ * Fill fields the submitter left blank from the extracted receipt data
+ * @param {Object} typed - vendor_name, amount, expense_date, line_items from the request
+ * @param {Object} extraction - From extractReceipts
+ * @returns {{ values: Object, prefilled: string[] }}
+ */
+export const applyExtraction = (typed, extraction) => {
+  const values = { ...typed };
+  const prefilled = [];
+
+  for (const field of ['vendor_name', 'amount', 'expense_date']) {
+    const blank = values[field] === undefined || values[field] === null || values[field] === '';
+    if (blank && extraction?.fields[field] !== null && extraction?.fields[field] !== undefined) {
+      values[field] = extraction.fields[field];
+      prefilled.push(field);
+    }
+  }
+  if ((!Array.isArray(values.line_items) || values.line_items.length === 0) && extraction?.fields.line_items.length > 0) {
+    values.line_items = extraction.fields.line_items;
+    prefilled.push('line_items');
+  }
+
+  return { values, prefilled };
+};
+
+/**
+ * Compare the amount the submitter entered with the receipt total
+ * @param {number} amount - Submitted amount
+ * @param {Object} extraction - From extractReceipts
+ * @returns {Object|null} { receipt_total, submitted_amount, difference } when they disagree
+ */
+export const findAmountMismatch = (amount, extraction) => {
+  const receiptTotal = extraction?.fields.amount;
+  if (receiptTotal === null || receiptTotal === undefined) return null;
+
+  const differenceCents = Math.round(Number(amount) * 100) - Math.round(receiptTotal * 100);
+  if (Math.abs(differenceCents) < AMOUNT_TOLERANCE_CENTS) return null;
+
+  return {
+    receipt_total: receiptTotal,
+    submitted_amount: Number(amount),
+    difference: differenceCents / 100
+  };
+};
+
+/**
+ * Pull vendor, date, total and line items out of receipt text
+ * @param {string} text - Receipt text, one printed line per line
+ * @returns {{ fields: Object, confidence: Object, warnings: string[] }}
+ */
+export const parseReceiptText = (text) => {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  const fields = EMPTY_FIELDS();
+  const confidence = EMPTY_CONFIDENCE();
+  const warnings = [];
+
+  if (lines.length === 0) {
+    warnings.push('No text found on the receipt');
+    return { fields, confidence, warnings };
+  }
+
+  const vendor = findVendor(lines);
+  if (vendor) {
+    fields.vendor_name = vendor;
+    confidence.vendor_name = 0.6;
+  }
+
+  const date = findDate(lines);
+  if (date) {
+    fields.expense_date = date.value;
+    confidence.expense_date = date.confidence;
+  }
+
+  const total = findTotal(lines);
+  if (total) {
+    fields.amount = total.value;
+    confidence.amount = total.confidence;
+  } else {
+    warnings.push('No total found on the receipt');
+  }
+
+  const items = findLineItems(lines);
+  if (items.length > 0) {
+    fields.line_items = items;
+    const itemCents = items.reduce((sum, item) => sum + Math.round(item.amount * 100), 0);
+    const subtotal = findLabelledAmount(lines, /\bsub\s*-?\s*total\b/i);
+    const tax = findLabelledAmount(lines, /\b(sales\s+)?tax\b/i);
+    const expectedCents = subtotal !== null
+      ? Math.round(subtotal * 100)
+      : total ? Math.round(total.value * 100) - Math.round((tax || 0) * 100) : null;
+    confidence.line_items = expectedCents !== null && expectedCents === itemCents ? 0.9 : 0.5;
+    if (total && subtotal !== null && itemCents === Math.round(subtotal * 100)) {
+      confidence.amount = Math.max(confidence.amount, 0.9);
+    }
+  }
+
+  return { fields, confidence, warnings };
+};
+
+// =====================================================
+// LOCAL EXTRACTOR
+// =====================================================
+
+registerReceiptExtractor('local', {
+  supports: (file) => isPdf(file) || isJpeg(file) || String(file.mimetype || '').startsWith('image/'),
+
+  extract: async (file) => {
+    if (isPdf(file)) {
+      const result = parseReceiptText(extractPdfText(file.buffer));
+      if (!result.fields.amount && !result.fields.vendor_name) {
+        result.warnings.push('This PDF has no readable text layer (it may be a scan)');
+      }
+      return result;
+    }
+
+    // Photos: no OCR offline, but the camera's timestamp is a fair guess at the purchase date
+    const fields = EMPTY_FIELDS();
+    const confidence = EMPTY_CONFIDENCE();
+    const captured = isJpeg(file) ? readExifDate(file.buffer) : null;
+    if (captured && captured <= new Date().toISOString().slice(0, 10)) {
+      fields.expense_date = captured;
+      confidence.expense_date = 0.4;
+    }
+    return { fields, confidence, warnings: ['Text on receipt photos isn\'t read by the local extractor'] };
+  }
+});
+
+// =====================================================
+// HELPER FUNCTIONS
+// =====================================================
+
+const MONEY_PATTERN = /-?\$?\s?\d{1,3}(?:,\d{3})*\.\d{2}\b|-?\$?\s?\d+\.\d{2}\b/g;
+const NON_ITEM_PATTERN = /\b(sub\s*-?\s*total|total|tax|change|cash|tender(ed)?|visa|mastercard|amex|discover|debit|credit|card|balance|amount due|payment|tip|gratuity|savings|you saved|rounding)\b/i;
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function normalizeResult(result) {
+  const fields = { ...EMPTY_FIELDS(), ...(result?.fields || {}) };
+  const confidence = { ...EMPTY_CONFIDENCE(), ...(result?.confidence || {}) };
+
+  fields.amount = fields.amount === null || isNaN(Number(fields.amount)) ? null : Math.round(Number(fields.amount) * 100) / 100;
+  fields.line_items = Array.isArray(fields.line_items) ? fields.line_items : [];
+  for (const key of Object.keys(confidence)) {
+    confidence[key] = Math.min(1, Math.max(0, Number(confidence[key]) || 0));
+    if (key !== 'line_items' && fields[key] === null) confidence[key] = 0;
+  }
+
+  return { fields, confidence, warnings: Array.isArray(result?.warnings) ? result.warnings : [] };
+}
+
+function combineReceipts(receipts) {
+  const fields = EMPTY_FIELDS();
+  const confidence = EMPTY_CONFIDENCE();
+  if (receipts.length === 0) return { fields, confidence };
+
+  const mostConfident = (field) => receipts
+    .filter(receipt => receipt.fields[field] !== null)
+    .sort((a, b) => b.confidence[field] - a.confidence[field])[0];
+
+  for (const field of ['vendor_name', 'expense_date']) {
+    const best = mostConfident(field);
+    if (best) {
+      fields[field] = best.fields[field];
+      confidence[field] = best.confidence[field];
+    }
+  }
+
+  // A total only counts when every receipt has one; otherwise it would understate the expense
+  if (receipts.every(receipt => receipt.fields.amount !== null)) {
+    fields.amount = receipts.reduce((sum, receipt) => sum + Math.round(receipt.fields.amount * 100), 0) / 100;
+    confidence.amount = Math.min(...receipts.map(receipt => receipt.confidence.amount));
+  }
+
+  const withItems = receipts.filter(receipt => receipt.fields.line_items.length > 0);
+  fields.line_items = withItems.flatMap(receipt => receipt.fields.line_items);
+  confidence.line_items = withItems.length > 0 ? Math.min(...withItems.map(receipt => receipt.confidence.line_items)) : 0;
+
+  return { fields, confidence };
+}
+
+function parseMoney(text) {
+  const value = Number(String(text).replace(/[$,\s]/g, ''));
+  return isNaN(value) ? null : Math.round(value * 100) / 100;
+}
+
+function lastAmount(line) {
+  const matches = line.match(MONEY_PATTERN);
+  return matches ? parseMoney(matches[matches.length - 1]) : null;
+}
+
+function findLabelledAmount(lines, pattern) {
+  const line = lines.find(candidate => pattern.test(candidate) && lastAmount(candidate) !== null);
+  return line ? lastAmount(line) : null;
+}
+
+function findVendor(lines) {
+  // The store name is printed first; skip lines that are dates, phone numbers, addresses or amounts
+  const line = lines.slice(0, 6).find(candidate =>
+    /[a-z]{3}/i.test(candidate) &&
+    !candidate.match(MONEY_PATTERN) &&
+    !/\d{3}[-. )]\d{3}[-. ]\d{4}/.test(candidate) &&
+    !/^\d+\s+\w+/.test(candidate) &&
+    !/^(receipt|invoice|welcome|thank you|store\s*#|order\s*#)/i.test(candidate) &&
+    !findDate([candidate])
+  );
+  // "Target Store #1234" -> "Target"
+  return line ? line.replace(/\s+(store\s*)?#\s*\d+$/i, '').slice(0, 255) : null;
+}
+
+function findTotal(lines) {
+  const candidates = [
+    { pattern: /\b(grand\s+total|amount\s+due|balance\s+due|total\s+due)\b/i, confidence: 0.85 },
+    { pattern: /^(order\s+)?total\b|\btotal\b(?!\s*(savings|saved|tax|items|qty|quantity))/i, confidence: 0.8 }
+  ];
+
+  for (const { pattern, confidence } of candidates) {
+    // The last matching line wins: receipts repeat the total after payment lines
+    const line = [...lines].reverse().find(candidate =>
+      pattern.test(candidate) && !/\bsub\s*-?\s*total\b/i.test(candidate) && lastAmount(candidate) !== null);
+    if (line && lastAmount(line) > 0) {
+      return { value: lastAmount(line), confidence };
+    }
+  }
+
+  const amounts = lines.flatMap(line => (line.match(MONEY_PATTERN) || []).map(parseMoney)).filter(value => value > 0);
+  return amounts.length > 0 ? { value: Math.max(...amounts), confidence: 0.4 } : null;
+}
+
+function findDate(lines) {
+  const today = new Date().toISOString().slice(0, 10);
+  const patterns = [
+    { regex: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/, parts: m => [m[1], m[2], m[3]], confidence: 0.85 },
+    { regex: /\b(\d{1,2})[/-](\d{1,2})[/-](\d{4})\b/, parts: m => [m[3], m[1], m[2]], confidence: 0.8 },
+    { regex: /\b(\d{1,2})[/-](\d{1,2})[/-](\d{2})\b/, parts: m => [`20${m[3]}`, m[1], m[2]], confidence: 0.6 },
+    {
+      regex: /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})\b/i,
+      parts: m => [m[3], MONTHS.indexOf(m[1].toLowerCase()) + 1, m[2]],
+      confidence: 0.8
+    },
+    {
+      regex: /\b(\d{1,2})\s+(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?,?\s+(\d{4})\b/i,
+      parts: m => [m[3], MONTHS.indexOf(m[2].toLowerCase()) + 1, m[1]],
+      confidence: 0.8
+    }
+  ];
+
+  for (const line of lines) {
+    for (const { regex, parts, confidence } of patterns) {
+      const match = line.match(regex);
+      if (!match) continue;
+      const value = toIsoDate(...parts(match));
+      if (value && value <= today) return { value, confidence };
+    }
+  }
+  return null;
+}
+
+function toIsoDate(year, month, day) {
+  const [y, m, d] = [Number(year), Number(month), Number(day)];
+  if (m < 1 || m > 12 || d < 1 || d > 31 || y < 2000) return null;
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCMonth() !== m - 1) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+function findLineItems(lines) {
+  const items = [];
+  for (const line of lines) {
+    if (NON_ITEM_PATTERN.test(line)) continue;
+    const matches = line.match(MONEY_PATTERN);
+    if (!matches) continue;
+
+    const amount = parseMoney(matches[matches.length - 1]);
+    const description = line
+      .slice(0, line.lastIndexOf(matches[matches.length - 1]))
+      .replace(MONEY_PATTERN, '')
+      .trim();
+    if (!description || !/[a-z]{2}/i.test(description) || amount === null) continue;
+
+    // "2 x Poster board" or "Poster board 2 @ 3.50"
+    const quantityMatch = description.match(/^(\d+)\s*[x@]?\s+(.+)$/i) || description.match(/^(.+?)\s+(\d+)\s*@$/);
+    let quantity = 1;
+    let name = description.replace(/\s*@$/, '');
+    if (quantityMatch && /^\d+$/.test(quantityMatch[1])) {
+      quantity = Number(quantityMatch[1]);
+      name = quantityMatch[2];
+    } else if (quantityMatch) {
+      name = quantityMatch[1];
+      quantity = Number(quantityMatch[2]);
+    }
+
+    items.push({ description: name.slice(0, 255), quantity, amount });
+  }
+  return items;
+}
+
+function isPdf(file) {
+  return file.mimetype === 'application/pdf' || file.buffer?.subarray(0, 5).toString('latin1') === '%PDF-';
+}
+
+function isJpeg(file) {
+  return file.buffer?.length > 3 && file.buffer[0] === 0xff && file.buffer[1] === 0xd8;
+}
+
+// Text drawn by a PDF's content streams. Handles the common cases (literal and
+// hex strings with standard encodings, Flate-compressed streams); fonts with
+// custom glyph mappings come out as noise, which the parser then ignores.
+function extractPdfText(buffer) {
+  const source = buffer.toString('latin1');
+  const lines = [];
+  const streamPattern = /<<(.*?)>>\s*stream\r?\n/gs;
+  let match;
+
+  while ((match = streamPattern.exec(source)) !== null) {
+    const start = match.index + match[0].length;
+    const end = source.indexOf('endstream', start);
+    if (end === -1) break;
+
+    const dictionary = match[1];
+    if (/\/Subtype\s*\/Image|\/Type\s*\/XObject/.test(dictionary)) continue;
+
+    let content = buffer.subarray(start, end);
+    if (/\/FlateDecode/.test(dictionary)) {
+      try {
+        content = zlib.inflateSync(content);
+      } catch {
+        continue;
+      }
+    } else if (/\/Filter/.test(dictionary)) {
+      continue;
+    }
+
+    lines.push(...textFromContentStream(content.toString('latin1')));
+    streamPattern.lastIndex = end;
+  }
+
+  return lines.join('\n');
+}
+
+// Text segments are placed by position, so group them into printed lines by
+// their baseline (top to bottom) and order each line left to right
+function textFromContentStream(content) {
+  const tokenPattern = /\((?:\\.|[^\\)])*\)|<[0-9a-fA-F\s]*>|\[|\]|-?\d*\.?\d+|\/[^\s/[\]()<>]+|[A-Za-z'"*]+/g;
+  const segments = [];
+  let operands = [];
+  let strings = [];
+  let lineX = 0;
+  let lineY = 0;
+  let leading = 0;
+  let token;
+
+  const show = () => {
+    const text = strings.join('');
+    if (text.trim()) segments.push({ x: lineX, y: lineY, order: segments.length, text });
+  };
+
+  while ((token = tokenPattern.exec(content)) !== null) {
+    const value = token[0];
+    if (value.startsWith('(')) {
+      strings.push(decodeLiteralString(value.slice(1, -1)));
+    } else if (value.startsWith('<')) {
+      strings.push(decodeHexString(value.slice(1, -1)));
+    } else if (/^-?\d*\.?\d+$/.test(value)) {
+      operands.push(Number(value));
+      // Large negative kerning inside a TJ array is a word gap
+      if (Number(value) < -200 && strings.length > 0) strings.push(' ');
+    } else if (value === '[' || value === ']') {
+      continue;
+    } else {
+      const numbers = operands;
+      if (value === 'BT') {
+        lineX = 0;
+        lineY = 0;
+      } else if (value === 'Tm' && numbers.length >= 6) {
+        lineX = numbers[numbers.length - 2];
+        lineY = numbers[numbers.length - 1];
+      } else if ((value === 'Td' || value === 'TD') && numbers.length >= 2) {
+        lineX += numbers[numbers.length - 2];
+        lineY += numbers[numbers.length - 1];
+        if (value === 'TD') leading = -numbers[numbers.length - 1];
+      } else if (value === 'TL' && numbers.length >= 1) {
+        leading = numbers[numbers.length - 1];
+      } else if (value === 'T*') {
+        lineY -= leading || 12;
+      } else if (value === 'Tj' || value === 'TJ') {
+        show();
+      } else if (value === '\'' || value === '"') {
+        lineY -= leading || 12;
+        show();
+      }
+      operands = [];
+      strings = [];
+    }
+  }
+
+  const rows = new Map();
+  for (const segment of segments) {
+    const key = Math.round(segment.y);
+    if (!rows.has(key)) rows.set(key, []);
+    rows.get(key).push(segment);
+  }
+
+  return [...rows.entries()]
+    .sort((a, b) => b[0] - a[0])
+    .map(([, row]) => row
+      .sort((a, b) => a.x - b.x || a.order - b.order)
+      .map(segment => segment.text)
+      .join(' ')
+      .trim())
+    .filter(Boolean);
+}
+
+function decodeLiteralString(text) {
+  return text.replace(/\\([nrtbf()\\]|[0-7]{1,3})/g, (all, escape) => {
+    if (/^[0-7]+$/.test(escape)) return String.fromCharCode(parseInt(escape, 8));
+    return { n: '\n', r: '\r', t: '\t', b: '', f: '' }[escape] ?? escape;
+  });
+}
+
+function decodeHexString(hex) {
+  const clean = hex.replace(/\s+/g, '');
+  let text = '';
+  for (let i = 0; i < clean.length; i += 2) {
+    text += String.fromCharCode(parseInt(clean.slice(i, i + 2).padEnd(2, '0'), 16));
+  }
+  return text;
+}
+
+// DateTimeOriginal (or DateTime) from a JPEG's EXIF block, as YYYY-MM-DD
+function readExifDate(buffer) {
+  let offset = 2;
+  while (offset + 4 < buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+    if (marker === 0xe1 && buffer.subarray(offset + 4, offset + 10).toString('latin1') === 'Exif\0\0') {
+      return readTiffDate(buffer.subarray(offset + 10, offset + 2 + length));
+    }
+    if (marker === 0xda) break;
+    offset += 2 + length;
+  }
+  return null;
+}
+
+function readTiffDate(tiff) {
+  if (tiff.length < 8) return null;
+  const little = tiff.subarray(0, 2).toString('latin1') === 'II';
+  const u16 = (at) => (little ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+  const u32 = (at) => (little ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+
+  const readIfd = (at) => {
+    const entries = {};
+    if (at + 2 > tiff.length) return entries;
+    const count = u16(at);
+    for (let i = 0; i < count; i++) {
+      const entry = at + 2 + i * 12;
+      if (entry + 12 > tiff.length) break;
+      entries[u16(entry)] = { type: u16(entry + 2), count: u32(entry + 4), value: u32(entry + 8) };
+    }
+    return entries;
+  };
+
+  const readAscii = (entry) => {
+    if (!entry || entry.type !== 2 || entry.value + entry.count > tiff.length) return null;
+    return tiff.subarray(entry.value, entry.value + entry.count).toString('latin1').replace(/\0+$/, '');
+  };
+
+  const ifd0 = readIfd(u32(4));
+  const exif = ifd0[0x8769] ? readIfd(ifd0[0x8769].value) : {};
+  const stamp = readAscii(exif[0x9003]) || readAscii(ifd0[0x0132]);
+  const match = stamp?.match(/^(\d{4}):(\d{2}):(\d{2})/);
+  return match ? toIsoDate(match[1], match[2], match[3]) : null;
+}
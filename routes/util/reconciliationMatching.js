@@ -0,0 +1,636 @@
+/**
+ * Matching bank statement lines to the books. Book items are ledger
+ * transactions, paid reimbursement payouts, and approved expense submissions
+ * that were neither posted to the ledger nor reimbursed. Candidate pairs are scored on amount, date proximity and
+ * payee/description similarity; lines nothing pairs with one-to-one are tried
+ * against groups of book items that add up to them (one deposit covering
+ * several donations).
+ */
+
+import { supabase } from './verifySupabaseToken.js';
+import { ValidationError, ConflictError } from '../middleware/errorHandler.js';
+import { findBankAccount, belongsToAccount } from './bankAccounts.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Score weights; an exact amount on the same day with no text overlap scores 0.75
+const AMOUNT_WEIGHT = 0.5;
+const DATE_WEIGHT = 0.25;
+const TEXT_WEIGHT = 0.25;
+
+const DEFAULT_DATE_WINDOW_DAYS = 7;
+// Checks can take weeks to clear
+const CHECK_DATE_WINDOW_DAYS = 60;
+const DEFAULT_MIN_CONFIDENCE = 0.6;
+
+// Amounts this close still count as a partial amount match (tips, rounding)
+const NEAR_AMOUNT_PERCENT = 0.01;
+const NEAR_AMOUNT_MAX = 5;
+
+// Group search limits: enough for a batch of donations, bounded on CPU
+const GROUP_POOL_SIZE = 15;
+const MAX_GROUP_SIZE = 8;
+const MAX_GROUP_SEARCH_STEPS = 20000;
+const GROUP_CONFIDENCE_FACTOR = 0.9;
+
+const BOOK_ITEM_KINDS = ['transaction', 'expense_submission', 'reimbursement_payout'];
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'inc', 'llc', 'pos', 'ach', 'debit', 'credit', 'card', 'purchase', 'payment',
+  'deposit', 'withdrawal', 'online', 'transfer', 'check', 'chk', 'ref', 'xfer', 'www', 'com'
+]);
+
+/**
+ * First and last day of a reconciliation's month
+ * @param {Object} reconciliation - { month, year }
+ * @returns {Object} { start, end } as YYYY-MM-DD
+ */
+export const reconciliationPeriod = (reconciliation) => {
+  const month = Number(reconciliation.month);
+  const year = Number(reconciliation.year);
+  const start = new Date(Date.UTC(year, month - 1, 1));
+  const end = new Date(Date.UTC(year, month, 0));
+  return { start: toDateString(start), end: toDateString(end) };
+};
+
+/**
+ * Dates book items can have and still match a reconciliation's bank lines:
+ * the month widened by the date window, and further back for slow checks
+ * @param {Object} reconciliation - { month, year }
+ * @param {number} [dateWindowDays] - Allowed days between bank and book dates
+ * @returns {Object} { start, end } as YYYY-MM-DD
+ */
+export const matchingRange = (reconciliation, dateWindowDays = DEFAULT_DATE_WINDOW_DAYS) => {
+  const { start, end } = reconciliationPeriod(reconciliation);
+  const back = Math.max(dateWindowDays, CHECK_DATE_WINDOW_DAYS);
+  return {
+    start: toDateString(new Date(Date.parse(start) - back * DAY_MS)),
+    end: toDateString(new Date(Date.parse(end) + dateWindowDays * DAY_MS))
+  };
+};
+
+/**
+ * Book items dated between start and end, with whether each is already matched.
+ * Given a bank account, only items that moved money in that account; expense
+ * submissions without a ledger transaction belong to the default account.
+ * @param {string} orgId - Organization ID
+ * @param {string} start - YYYY-MM-DD
+ * @param {string} end - YYYY-MM-DD
+ * @param {Object} [bankAccount] - bank_accounts row
+ * @returns {Promise<Object[]>} [{ kind, id, date, amount, description, payee, matched_bank_transaction_id }]
+ */
+export const loadBookItems = async (orgId, start, end, bankAccount = null) => {
+  const [transactions, expenses, payouts] = await Promise.all([
+    supabase
+      .from('transactions')
+      .select('id, date, amount, type, description, category, approval_status, expense_submission_id, bank_account_id')
+      .eq('org_id', orgId)
+      .gte('date', start)
+      .lte('date', end),
+    supabase
+      .from('expense_submissions')
+      .select('id, expense_date, amount, vendor_name, description, reimbursement_status')
+      .eq('org_id', orgId)
+      .eq('status', 'approved')
+      .gte('expense_date', start)
+      .lte('expense_date', end),
+    supabase
+      .from('reimbursement_payouts')
+      .select('id, paid_date, amount, payee_name, payment_method, check_number, reference, bank_account_id')
+      .eq('org_id', orgId)
+      .eq('status', 'paid')
+      .gte('paid_date', start)
+      .lte('paid_date', end)
+  ]);
+
+  for (const result of [transactions, expenses, payouts]) {
+    if (result.error) {
+      throw new Error(`Failed to load book transactions: ${result.error.message}`);
+    }
+  }
+
+  const inAccount = (record) => !bankAccount || belongsToAccount(bankAccount, record.bank_account_id);
+  const posted = new Set(transactions.data.map(t => t.expense_submission_id).filter(Boolean));
+  const items = [
+    ...transactions.data
+      .filter(t => t.approval_status === 'approved' || t.approval_status === null || t.approval_status === undefined)
+      .filter(inAccount)
+      .map(t => ({
+        kind: 'transaction',
+        id: t.id,
+        date: t.date,
+        amount: signedAmount(t),
+        description: t.description,
+        payee: null,
+        category: t.category || null
+      })),
+    // Submissions approved without a ledger transaction still moved money,
+    // unless a reimbursement payout paid them (the payout is what cleared)
+    ...expenses.data
+      .filter(e => !posted.has(e.id) && e.reimbursement_status !== 'paid' && (!bankAccount || bankAccount.is_default))
+      .map(e => ({
+        kind: 'expense_submission',
+        id: e.id,
+        date: e.expense_date,
+        amount: -Math.abs(Number(e.amount)),
+        description: e.description,
+        payee: e.vendor_name,
+        category: null
+      })),
+    ...payouts.data.filter(inAccount).map(p => ({
+      kind: 'reimbursement_payout',
+      id: p.id,
+      date: p.paid_date,
+      amount: -Math.abs(Number(p.amount)),
+      description: p.check_number ? `Reimbursement check ${p.check_number}` : `Reimbursement ${p.reference || p.payment_method}`,
+      payee: p.payee_name,
+      category: null
+    }))
+  ];
+
+  const matchedBy = await loadMatchedBookItems(items);
+  return items
+    .map(item => ({ ...item, matched_bank_transaction_id: matchedBy.get(`${item.kind}:${item.id}`) || null }))
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+};
+
+/**
+ * Suggest matches between unmatched bank lines and unmatched book items
+ * @param {Object[]} bankLines - bank_transactions rows
+ * @param {Object[]} bookItems - From loadBookItems
+ * @param {Object} [options] - { dateWindowDays, minConfidence }
+ * @returns {Object[]} Suggestions, most confident first
+ */
+export const suggestMatches = (bankLines, bookItems, options = {}) => {
+  const dateWindowDays = Number(options.dateWindowDays) || DEFAULT_DATE_WINDOW_DAYS;
+  const minConfidence = options.minConfidence !== undefined ? Number(options.minConfidence) : DEFAULT_MIN_CONFIDENCE;
+
+  const lines = bankLines.filter(line => !line.is_matched);
+  const items = bookItems.filter(item => !item.matched_bank_transaction_id);
+
+  // One-to-one: score every plausible pair, then take the best pairs greedily
+  const pairs = [];
+  for (const line of lines) {
+    for (const item of items) {
+      const score = scorePair(line, item, dateWindowDays);
+      if (score && score.confidence >= minConfidence) {
+        pairs.push({ line, item, score });
+      }
+    }
+  }
+  pairs.sort((a, b) => b.score.confidence - a.score.confidence);
+
+  const usedLines = new Set();
+  const usedItems = new Set();
+  const suggestions = [];
+  for (const { line, item, score } of pairs) {
+    if (usedLines.has(line.id) || usedItems.has(itemKey(item))) continue;
+    usedLines.add(line.id);
+    usedItems.add(itemKey(item));
+    suggestions.push(buildSuggestion(line, [item], 'one_to_one', score));
+  }
+
+  // One-to-many: remaining lines against groups of remaining items that sum to them exactly
+  for (const line of lines) {
+    if (usedLines.has(line.id)) continue;
+
+    const window = lineDateWindow(line, dateWindowDays);
+    const pool = items
+      .filter(item => !usedItems.has(itemKey(item)))
+      .filter(item => Math.sign(item.amount) === Math.sign(Number(line.amount)))
+      .filter(item => daysBetween(line.transaction_date, item.date) <= window)
+      .sort((a, b) => daysBetween(line.transaction_date, a.date) - daysBetween(line.transaction_date, b.date))
+      .slice(0, GROUP_POOL_SIZE);
+
+    const group = findGroup(pool, toCents(line.amount));
+    if (!group) continue;
+
+    const dateScore = average(group.map(item => 1 - daysBetween(line.transaction_date, item.date) / (window + 1)));
+    const textScore = Math.max(...group.map(item => textSimilarity(line.description, itemText(item))));
+    const confidence = GROUP_CONFIDENCE_FACTOR * (AMOUNT_WEIGHT + DATE_WEIGHT * dateScore + TEXT_WEIGHT * textScore);
+    if (confidence < minConfidence) continue;
+
+    usedLines.add(line.id);
+    group.forEach(item => usedItems.add(itemKey(item)));
+    suggestions.push(buildSuggestion(line, group, 'one_to_many', {
+      confidence,
+      amount: 1,
+      date: dateScore,
+      description: textScore
+    }));
+  }
+
+  return suggestions.sort((a, b) => b.confidence - a.confidence);
+};
+
+/**
+ * Matches recorded for a reconciliation
+ * @param {string} reconciliationId - Reconciliation ID
+ * @returns {Promise<Object[]>} matched_transactions rows
+ */
+export const loadMatches = async (reconciliationId) => {
+  const { data, error } = await supabase
+    .from('matched_transactions')
+    .select('*')
+    .eq('reconciliation_id', reconciliationId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch matches: ${error.message}`);
+  }
+  return data;
+};
+
+/**
+ * Record a match between a bank line and the book items it covers. The items
+ * must add up to the bank amount exactly and belong to the reconciliation's
+ * bank account.
+ * @param {Object} reconciliation - reconciliations row
+ * @param {Object} match - { bank_transaction_id, items: [{ kind, id }], confidence }
+ * @param {string} userId - User confirming the match
+ * @returns {Promise<Object[]>} Created matched_transactions rows
+ */
+export const confirmMatch = async (reconciliation, match, userId) => {
+  const items = Array.isArray(match.items) ? match.items : [];
+  if (!match.bank_transaction_id) {
+    throw new ValidationError('bank_transaction_id is required', 'bank_transaction_id');
+  }
+  if (items.length === 0) {
+    throw new ValidationError('Choose at least one book item to match', 'items');
+  }
+
+  const { data: line, error: lineError } = await supabase
+    .from('bank_transactions')
+    .select('*')
+    .eq('id', match.bank_transaction_id)
+    .eq('reconciliation_id', reconciliation.id)
+    .maybeSingle();
+
+  if (lineError) {
+    throw new Error(`Failed to fetch bank transaction: ${lineError.message}`);
+  }
+  if (!line) {
+    throw new ValidationError('Bank transaction not found in this reconciliation', 'bank_transaction_id');
+  }
+  if (line.is_matched) {
+    throw new ConflictError('This bank transaction is already matched');
+  }
+
+  const bookItems = await fetchBookItems(reconciliation.org_id, items);
+  const account = await findBankAccount(reconciliation.org_id, reconciliation.bank_account_id);
+  const outside = bookItems.find(item => item.kind === 'expense_submission'
+    ? !account.is_default
+    : !belongsToAccount(account, item.bank_account_id));
+  if (outside) {
+    throw new ValidationError(`Some items were recorded in a different account than ${account.name}`, 'items');
+  }
+
+  const bookTotal = bookItems.reduce((sum, item) => sum + toCents(item.amount), 0);
+  if (bookTotal !== toCents(line.amount)) {
+    throw new ValidationError(
+      `Matched items total ${(bookTotal / 100).toFixed(2)} but the bank transaction is ${Number(line.amount).toFixed(2)}`,
+      'items'
+    );
+  }
+
+  // Claim the bank line first so two people can't match it at once
+  const { data: claimed, error: claimError } = await supabase
+    .from('bank_transactions')
+    .update({ is_matched: true })
+    .eq('id', line.id)
+    .eq('is_matched', false)
+    .select('id');
+
+  if (claimError) {
+    throw new Error(`Failed to match bank transaction: ${claimError.message}`);
+  }
+  if (!claimed || claimed.length === 0) {
+    throw new ConflictError('This bank transaction is already matched');
+  }
+
+  const confidence = match.confidence === undefined || match.confidence === null ? null : Number(match.confidence);
+  const { data: rows, error: insertError } = await supabase
+    .from('matched_transactions')
+    .insert(bookItems.map(item => ({
+      org_id: reconciliation.org_id,
+      reconciliation_id: reconciliation.id,
+      bank_transaction_id: line.id,
+      transaction_id: item.kind === 'transaction' ? item.id : null,
+      expense_submission_id: item.kind === 'expense_submission' ? item.id : null,
+      reimbursement_payout_id: item.kind === 'reimbursement_payout' ? item.id : null,
+      amount: item.amount,
+      match_type: confidence === null ? 'manual' : 'auto',
+      confidence,
+      matched_by: userId
+    })))
+    .select('*');
+
+  if (insertError) {
+    await supabase.from('bank_transactions').update({ is_matched: false }).eq('id', line.id);
+    if (insertError.code === '23505') {
+      throw new ConflictError('One of these book items is already matched to another bank transaction');
+    }
+    throw new Error(`Failed to record match: ${insertError.message}`);
+  }
+
+  await linkPayouts(bookItems.filter(item => item.kind === 'reimbursement_payout').map(item => item.id), line.id);
+
+  return rows;
+};
+
+/**
+ * Remove a bank line's match so it can be matched again
+ * @param {Object} reconciliation - reconciliations row
+ * @param {string} bankTransactionId - Bank transaction ID
+ * @returns {Promise<number>} Match rows removed
+ */
+export const removeMatch = async (reconciliation, bankTransactionId) => {
+  const { data: removed, error } = await supabase
+    .from('matched_transactions')
+    .delete()
+    .eq('reconciliation_id', reconciliation.id)
+    .eq('bank_transaction_id', bankTransactionId)
+    .select('id, reimbursement_payout_id');
+
+  if (error) {
+    throw new Error(`Failed to remove match: ${error.message}`);
+  }
+
+  await linkPayouts(removed.map(row => row.reimbursement_payout_id).filter(Boolean), null);
+
+  const { error: updateError } = await supabase
+    .from('bank_transactions')
+    .update({ is_matched: false })
+    .eq('id', bankTransactionId)
+    .eq('reconciliation_id', reconciliation.id);
+
+  if (updateError) {
+    throw new Error(`Failed to unmatch bank transaction: ${updateError.message}`);
+  }
+
+  return removed.length;
+};
+
+/**
+ * Signed book amount: expenses negative, everything else positive
+ * @param {Object} transaction - transactions row
+ * @returns {number}
+ */
+export const signedAmount = (transaction) => {
+  const amount = Math.abs(Number(transaction.amount));
+  return transaction.type === 'expense' || Number(transaction.amount) < 0 ? -amount : amount;
+};
+
+/**
+ * Amount in whole cents, for exact comparisons
+ * @param {number|string} amount - Dollar amount
+ * @returns {number}
+ */
+export const toCents = (amount) => Math.round(Number(amount) * 100);
+
+// =====================================================
+// HELPER FUNCTIONS
+// =====================================================
+
+function scorePair(line, item, dateWindowDays) {
+  const bankCents = toCents(line.amount);
+  const bookCents = toCents(item.amount);
+  if (Math.sign(bankCents) !== Math.sign(bookCents)) return null;
+
+  let amountScore = 0;
+  const difference = Math.abs(bankCents - bookCents) / 100;
+  if (difference === 0) {
+    amountScore = 1;
+  } else if (difference <= Math.min(NEAR_AMOUNT_MAX, Math.abs(bankCents / 100) * NEAR_AMOUNT_PERCENT)) {
+    amountScore = 0.5;
+  } else {
+    return null;
+  }
+
+  const window = lineDateWindow(line, dateWindowDays);
+  const days = daysBetween(line.transaction_date, item.date);
+  if (days > window) return null;
+  const dateScore = 1 - days / (window + 1);
+
+  const textScore = line.check_number && new RegExp(`\\b${escapeRegExp(line.check_number)}\\b`).test(itemText(item))
+    ? 1
+    : textSimilarity(line.description, itemText(item));
+
+  return {
+    confidence: AMOUNT_WEIGHT * amountScore + DATE_WEIGHT * dateScore + TEXT_WEIGHT * textScore,
+    amount: amountScore,
+    date: dateScore,
+    description: textScore
+  };
+}
+
+// Depth-first search for items whose amounts sum to the target, closest dates first
+function findGroup(pool, targetCents) {
+  const cents = pool.map(item => toCents(item.amount));
+  let steps = 0;
+  let found = null;
+
+  const search = (start, remaining, chosen) => {
+    if (found || steps++ > MAX_GROUP_SEARCH_STEPS) return;
+    if (remaining === 0 && chosen.length >= 2) {
+      found = chosen.map(index => pool[index]);
+      return;
+    }
+    if (chosen.length === MAX_GROUP_SIZE) return;
+
+    for (let i = start; i < pool.length; i++) {
+      // Same-signed amounts only move toward the target, so overshooting ends the branch
+      if (Math.abs(cents[i]) > Math.abs(remaining)) continue;
+      chosen.push(i);
+      search(i + 1, remaining - cents[i], chosen);
+      chosen.pop();
+      if (found) return;
+    }
+  };
+
+  search(0, targetCents, []);
+  return found;
+}
+
+function buildSuggestion(line, items, matchKind, score) {
+  return {
+    bank_transaction_id: line.id,
+    bank_transaction: {
+      transaction_date: line.transaction_date,
+      amount: Number(line.amount),
+      description: line.description,
+      check_number: line.check_number || null
+    },
+    match_kind: matchKind,
+    items: items.map(item => ({
+      kind: item.kind,
+      id: item.id,
+      date: item.date,
+      amount: item.amount,
+      description: itemText(item)
+    })),
+    confidence: round3(score.confidence),
+    scores: {
+      amount: round3(score.amount),
+      date: round3(score.date),
+      description: round3(score.description)
+    }
+  };
+}
+
+// The requested book items, checked against the organization
+async function fetchBookItems(orgId, items) {
+  const ids = (kind) => [...new Set(items.filter(item => item.kind === kind).map(item => item.id))];
+  const unknown = items.find(item => !BOOK_ITEM_KINDS.includes(item.kind));
+  if (unknown) {
+    throw new ValidationError(`Each item needs a kind of ${BOOK_ITEM_KINDS.map(kind => `"${kind}"`).join(', ')}`, 'items');
+  }
+
+  const found = [];
+  const transactionIds = ids('transaction');
+  if (transactionIds.length > 0) {
+    const { data, error } = await supabase
+      .from('transactions')
+      .select('id, amount, type, bank_account_id')
+      .eq('org_id', orgId)
+      .in('id', transactionIds);
+
+    if (error) {
+      throw new Error(`Failed to fetch transactions: ${error.message}`);
+    }
+    found.push(...data.map(t => ({ kind: 'transaction', id: t.id, amount: signedAmount(t), bank_account_id: t.bank_account_id })));
+  }
+
+  const expenseIds = ids('expense_submission');
+  if (expenseIds.length > 0) {
+    const { data, error } = await supabase
+      .from('expense_submissions')
+      .select('id, amount')
+      .eq('org_id', orgId)
+      .eq('status', 'approved')
+      .in('id', expenseIds);
+
+    if (error) {
+      throw new Error(`Failed to fetch expense submissions: ${error.message}`);
+    }
+    found.push(...data.map(e => ({ kind: 'expense_submission', id: e.id, amount: -Math.abs(Number(e.amount)) })));
+  }
+
+  const payoutIds = ids('reimbursement_payout');
+  if (payoutIds.length > 0) {
+    const { data, error } = await supabase
+      .from('reimbursement_payouts')
+      .select('id, amount, bank_account_id')
+      .eq('org_id', orgId)
+      .eq('status', 'paid')
+      .in('id', payoutIds);
+
+    if (error) {
+      throw new Error(`Failed to fetch reimbursement payouts: ${error.message}`);
+    }
+    found.push(...data.map(p => ({ kind: 'reimbursement_payout', id: p.id, amount: -Math.abs(Number(p.amount)), bank_account_id: p.bank_account_id })));
+  }
+
+  if (found.length !== transactionIds.length + expenseIds.length + payoutIds.length) {
+    throw new ValidationError('Some items were not found, or are not approved or paid, in your organization', 'items');
+  }
+  return found;
+}
+
+async function loadMatchedBookItems(items) {
+  const matchedBy = new Map();
+  const columns = {
+    transaction: 'transaction_id',
+    expense_submission: 'expense_submission_id',
+    reimbursement_payout: 'reimbursement_payout_id'
+  };
+
+  for (const [kind, column] of Object.entries(columns)) {
+    const ids = items.filter(item => item.kind === kind).map(item => item.id);
+    for (let i = 0; i < ids.length; i += 100) {
+      const { data, error } = await supabase
+        .from('matched_transactions')
+        .select(`bank_transaction_id, ${column}`)
+        .in(column, ids.slice(i, i + 100));
+
+      if (error) {
+        throw new Error(`Failed to fetch matched book items: ${error.message}`);
+      }
+      data.forEach(row => matchedBy.set(`${kind}:${row[column]}`, row.bank_transaction_id));
+    }
+  }
+
+  return matchedBy;
+}
+
+// Payouts remember the bank line that cleared them, for the check register
+async function linkPayouts(payoutIds, bankTransactionId) {
+  if (payoutIds.length === 0) return;
+
+  const { error } = await supabase
+    .from('reimbursement_payouts')
+    .update({ bank_transaction_id: bankTransactionId })
+    .in('id', payoutIds);
+
+  if (error) {
+    throw new Error(`Failed to link reimbursement payouts: ${error.message}`);
+  }
+}
+
+function lineDateWindow(line, dateWindowDays) {
+  const isCheck = line.check_number || String(line.transaction_type || '').toLowerCase() === 'check';
+  return isCheck ? Math.max(dateWindowDays, CHECK_DATE_WINDOW_DAYS) : dateWindowDays;
+}
+
+// Share of the shorter text's words found in the other; bank descriptions pad vendor names with noise
+function textSimilarity(a, b) {
+  const wordsA = tokenize(a);
+  const wordsB = tokenize(b);
+  if (wordsA.length === 0 || wordsB.length === 0) return 0;
+
+  const [shorter, longer] = wordsA.length <= wordsB.length ? [wordsA, wordsB] : [wordsB, wordsA];
+  const shared = shorter.filter(word => longer.some(other => wordsMatch(word, other)));
+  return shared.length / shorter.length;
+}
+
+function tokenize(text) {
+  return [...new Set(String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length >= 3 && !/^\d+$/.test(word) && !STOP_WORDS.has(word)))];
+}
+
+// Bank descriptions are often truncated ("COSTCO WHSE" / "Costco Wholesale")
+function wordsMatch(a, b) {
+  if (a === b) return true;
+  return Math.min(a.length, b.length) >= 4 && (a.startsWith(b) || b.startsWith(a));
+}
+
+function itemText(item) {
+  return [item.payee, item.description].filter(Boolean).join(' ');
+}
+
+function itemKey(item) {
+  return `${item.kind}:${item.id}`;
+}
+
+function daysBetween(a, b) {
+  return Math.abs(Date.parse(a) - Date.parse(b)) / DAY_MS;
+}
+
+function average(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
@@ -0,0 +1,301 @@
+/**
+ * Reconciliation balances and the sign-off report. The statement ending
+ * balance, plus deposits in transit, less outstanding checks, has to equal
+ * the book balance: the previous reconciliation's book balance plus this
+ * month's book activity. Each bank account is reconciled on its own; book
+ * items dated before the account's first reconciliation are treated as
+ * already cleared.
+ */
+
+import { supabase } from './verifySupabaseToken.js';
+import { ConflictError } from '../middleware/errorHandler.js';
+import { renderPdf, pdfHeading, pdfTable, formatMoney } from './reportExport.js';
+import { reconciliationPeriod, loadBookItems, toCents } from './reconciliationMatching.js';
+import { findBankAccount, belongsToAccount } from './bankAccounts.js';
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+/**
+ * Throw a ConflictError unless the reconciliation can still be edited
+ * @param {Object} reconciliation - reconciliations row
+ */
+export const assertReconciliationEditable = (reconciliation) => {
+  if (reconciliation.status === 'pending_review') {
+    throw new ConflictError('This reconciliation is waiting for sign-off; return it to the preparer to make changes');
+  }
+  if (reconciliation.status === 'completed') {
+    throw new ConflictError('This reconciliation has been signed off and is locked');
+  }
+};
+
+/**
+ * Compute a reconciliation's balances, unmatched items and outstanding items
+ * @param {Object} reconciliation - reconciliations row
+ * @param {Object} [balances] - Overrides: statement_opening_balance, statement_ending_balance, book_opening_balance
+ * @returns {Promise<Object>} Report
+ */
+export const buildReconciliationReport = async (reconciliation, balances = {}) => {
+  const period = reconciliationPeriod(reconciliation);
+  const account = await findBankAccount(reconciliation.org_id, reconciliation.bank_account_id);
+  const previous = await findPreviousReconciliation(reconciliation, account);
+  const trackingStart = await findTrackingStart(reconciliation.org_id, period.start, account);
+
+  const { data: bankLines, error: bankError } = await supabase
+    .from('bank_transactions')
+    .select('*')
+    .eq('reconciliation_id', reconciliation.id)
+    .order('transaction_date', { ascending: true });
+
+  if (bankError) {
+    throw new Error(`Failed to fetch bank transactions: ${bankError.message}`);
+  }
+
+  const statementOpening = pickBalance(balances.statement_opening_balance, reconciliation.statement_opening_balance,
+    previous?.statement_ending_balance);
+  const statementEnding = pickBalance(balances.statement_ending_balance, reconciliation.statement_ending_balance,
+    await latestLedgerBalance(reconciliation.id));
+  const bookOpening = pickBalance(balances.book_opening_balance, reconciliation.book_opening_balance,
+    previous?.book_balance, statementOpening);
+
+  const bookItems = await loadBookItems(reconciliation.org_id, trackingStart, period.end, account);
+  const clearedAfter = await findLaterClearances(bookItems, bankLines, period.end);
+
+  const activity = bookItems.filter(item => item.date >= period.start);
+  const outstanding = bookItems.filter(item => !item.matched_bank_transaction_id || clearedAfter.has(item.matched_bank_transaction_id));
+  const depositsInTransit = outstanding.filter(item => item.amount > 0);
+  const outstandingChecks = outstanding.filter(item => item.amount < 0);
+  const unmatchedBank = bankLines.filter(line => !line.is_matched);
+
+  const bankActivity = sumCents(bankLines.map(line => line.amount));
+  const bookActivity = sumCents(activity.map(item => item.amount));
+  const transitCents = sumCents(depositsInTransit.map(item => item.amount));
+  const checksCents = -sumCents(outstandingChecks.map(item => item.amount));
+
+  const totals = {
+    statement_opening_balance: statementOpening,
+    statement_ending_balance: statementEnding,
+    bank_activity: bankActivity / 100,
+    // Lines missing from an imported statement show up here
+    statement_difference: statementOpening === null || statementEnding === null
+      ? null
+      : (toCents(statementOpening) + bankActivity - toCents(statementEnding)) / 100,
+    deposits_in_transit: transitCents / 100,
+    outstanding_checks: checksCents / 100,
+    adjusted_bank_balance: statementEnding === null ? null : (toCents(statementEnding) + transitCents - checksCents) / 100,
+    book_opening_balance: bookOpening,
+    book_activity: bookActivity / 100,
+    book_balance: bookOpening === null ? null : (toCents(bookOpening) + bookActivity) / 100
+  };
+  totals.difference = totals.adjusted_bank_balance === null || totals.book_balance === null
+    ? null
+    : (toCents(totals.adjusted_bank_balance) - toCents(totals.book_balance)) / 100;
+
+  const problems = [];
+  if (statementEnding === null) problems.push('Enter the statement ending balance');
+  if (statementOpening === null) problems.push('Enter the statement opening balance');
+  if (totals.statement_difference) {
+    problems.push(`Imported bank lines don't account for the change in statement balance (off by ${formatMoney(totals.statement_difference)})`);
+  }
+  if (totals.difference) {
+    problems.push(`Adjusted bank balance differs from the book balance by ${formatMoney(totals.difference)}`);
+  }
+  if (unmatchedBank.length > 0) {
+    problems.push(`${unmatchedBank.length} bank transaction${unmatchedBank.length === 1 ? ' is' : 's are'} not in the books`);
+  }
+
+  return {
+    reconciliation_id: reconciliation.id,
+    org_id: reconciliation.org_id,
+    period: { ...period, label: `${MONTH_NAMES[period.start.slice(5, 7) - 1]} ${period.start.slice(0, 4)}` },
+    bank_account: { id: account.id, name: account.name },
+    previous_reconciliation_id: previous?.id || null,
+    totals,
+    balanced: problems.length === 0,
+    problems,
+    unmatched_bank_transactions: unmatchedBank.map(line => ({
+      id: line.id,
+      date: line.transaction_date,
+      description: line.description,
+      amount: Number(line.amount),
+      check_number: line.check_number || null
+    })),
+    deposits_in_transit: depositsInTransit.map(describeItem),
+    outstanding_checks: outstandingChecks.map(describeItem),
+    counts: {
+      bank_transactions: bankLines.length,
+      matched_bank_transactions: bankLines.length - unmatchedBank.length,
+      book_items: activity.length
+    },
+    generated_at: new Date().toISOString()
+  };
+};
+
+/**
+ * Render a reconciliation report as a PDF for the audit committee
+ * @param {Object} report - From buildReconciliationReport
+ * @param {Object} reconciliation - reconciliations row (for sign-off details)
+ * @param {Object} [names] - User ID -> display name
+ * @returns {Promise<Buffer>}
+ */
+export const renderReconciliationReport = (report, reconciliation, names = {}) => {
+  const totals = report.totals;
+  const summaryRows = [
+    { label: 'Statement opening balance', amount: totals.statement_opening_balance },
+    { label: 'Bank activity', amount: totals.bank_activity },
+    { label: 'Statement ending balance', amount: totals.statement_ending_balance, bold: true },
+    { label: 'Add: deposits in transit', amount: totals.deposits_in_transit },
+    { label: 'Less: outstanding checks', amount: -totals.outstanding_checks },
+    { label: 'Adjusted bank balance', amount: totals.adjusted_bank_balance, bold: true },
+    { label: 'Book opening balance', amount: totals.book_opening_balance },
+    { label: 'Book activity', amount: totals.book_activity },
+    { label: 'Book balance', amount: totals.book_balance, bold: true },
+    { label: 'Difference', amount: totals.difference, bold: true }
+  ];
+
+  const itemColumns = [
+    { header: 'Date', key: 'date', width: 70 },
+    { header: 'Description', key: 'description', width: 330 },
+    { header: 'Amount', key: 'amount', width: 90, align: 'right', format: formatMoney }
+  ];
+
+  const status = reconciliation.status === 'completed' ? 'Signed off' : reconciliation.status === 'pending_review' ? 'Awaiting sign-off' : 'In progress';
+
+  return renderPdf(doc => {
+    pdfHeading(doc, `Bank Reconciliation – ${report.period.label}`,
+      `${report.bank_account.name} · ${report.period.start} to ${report.period.end} · ${status}`);
+
+    pdfTable(doc, [
+      { header: 'Summary', key: 'label', width: 350 },
+      { header: 'Amount', key: 'amount', width: 140, align: 'right', format: formatMoney }
+    ], summaryRows);
+
+    if (report.problems.length > 0) {
+      doc.font('Helvetica-Bold').fontSize(11).text('Open issues');
+      doc.font('Helvetica').fontSize(9);
+      report.problems.forEach(problem => doc.text(`• ${problem}`));
+      doc.moveDown();
+    }
+
+    pdfTable(doc, itemColumns, report.outstanding_checks, { title: `Outstanding checks and payments (${report.outstanding_checks.length})` });
+    pdfTable(doc, itemColumns, report.deposits_in_transit, { title: `Deposits in transit (${report.deposits_in_transit.length})` });
+    pdfTable(doc, itemColumns, report.unmatched_bank_transactions, { title: `Bank transactions not in the books (${report.unmatched_bank_transactions.length})` });
+
+    doc.font('Helvetica-Bold').fontSize(11).text('Sign-off');
+    doc.font('Helvetica').fontSize(9);
+    doc.text(`Prepared by: ${nameOf(names, reconciliation.prepared_by)}${reconciliation.prepared_at ? ` on ${reconciliation.prepared_at.slice(0, 10)}` : ''}`);
+    doc.text(`Reviewed by: ${nameOf(names, reconciliation.reviewed_by)}${reconciliation.reviewed_at ? ` on ${reconciliation.reviewed_at.slice(0, 10)}` : ''}`);
+    if (reconciliation.review_notes) {
+      doc.text(`Review notes: ${reconciliation.review_notes}`);
+    }
+    doc.text(`Generated ${report.generated_at.slice(0, 10)}`);
+  });
+};
+
+// =====================================================
+// HELPER FUNCTIONS
+// =====================================================
+
+async function findPreviousReconciliation(reconciliation, account) {
+  const { data, error } = await supabase
+    .from('reconciliations')
+    .select('id, month, year, bank_account_id, statement_ending_balance, book_balance')
+    .eq('org_id', reconciliation.org_id)
+    .eq('status', 'completed')
+    .neq('id', reconciliation.id);
+
+  if (error) {
+    throw new Error(`Failed to fetch previous reconciliation: ${error.message}`);
+  }
+
+  const key = (r) => Number(r.year) * 12 + Number(r.month);
+  const current = key(reconciliation);
+  return data
+    .filter(r => key(r) < current && belongsToAccount(account, r.bank_account_id))
+    .sort((a, b) => key(b) - key(a))[0] || null;
+}
+
+// Start of the account's earliest reconciliation month
+async function findTrackingStart(orgId, fallback, account) {
+  const { data, error } = await supabase
+    .from('reconciliations')
+    .select('month, year, bank_account_id')
+    .eq('org_id', orgId)
+    .order('year', { ascending: true })
+    .order('month', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch reconciliations: ${error.message}`);
+  }
+
+  const first = (data || []).find(r => belongsToAccount(account, r.bank_account_id));
+  if (!first) return fallback;
+  const earliest = reconciliationPeriod(first).start;
+  return earliest < fallback ? earliest : fallback;
+}
+
+// Bank lines from later reconciliations: the book items they cleared were still outstanding at periodEnd
+async function findLaterClearances(bookItems, bankLines, periodEnd) {
+  const own = new Set(bankLines.map(line => line.id));
+  const otherIds = [...new Set(bookItems
+    .map(item => item.matched_bank_transaction_id)
+    .filter(id => id && !own.has(id)))];
+
+  const later = new Set();
+  if (otherIds.length === 0) return later;
+
+  for (let i = 0; i < otherIds.length; i += 100) {
+    const { data, error } = await supabase
+      .from('bank_transactions')
+      .select('id, transaction_date, reconciliation_id, reconciliations(month, year)')
+      .in('id', otherIds.slice(i, i + 100));
+
+    if (error) {
+      throw new Error(`Failed to fetch bank transactions: ${error.message}`);
+    }
+
+    for (const line of data) {
+      const clearedOn = line.reconciliations ? reconciliationPeriod(line.reconciliations).start : line.transaction_date;
+      if (clearedOn > periodEnd) later.add(line.id);
+    }
+  }
+  return later;
+}
+
+async function latestLedgerBalance(reconciliationId) {
+  const { data } = await supabase
+    .from('bank_statement_imports')
+    .select('ledger_balance')
+    .eq('reconciliation_id', reconciliationId)
+    .not('ledger_balance', 'is', null)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  return data && data.length > 0 ? Number(data[0].ledger_balance) : null;
+}
+
+function pickBalance(...values) {
+  const value = values.find(candidate => candidate !== undefined && candidate !== null && candidate !== '');
+  return value === undefined ? null : Math.round(Number(value) * 100) / 100;
+}
+
+function sumCents(amounts) {
+  return amounts.reduce((sum, amount) => sum + toCents(amount), 0);
+}
+
+function describeItem(item) {
+  return {
+    kind: item.kind,
+    id: item.id,
+    date: item.date,
+    description: [item.payee, item.description].filter(Boolean).join(' – ') || item.category || '',
+    amount: item.amount
+  };
+}
+
+function nameOf(names, userId) {
+  if (!userId) return '—';
+  return names[userId] || userId;
+}
@@ -0,0 +1,345 @@
+import { ValidationError } from '../middleware/errorHandler.js';
+
+/**
+ * RFC 5545 recurrence helpers for date-based events
+ * Events are stored as a DATE plus optional HH:MM times, so recurrence is
+ * expanded on calendar days (UTC) rather than on full date-times.
+ */
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const SUPPORTED_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'WKST'];
+
+// Most occurrences returned from a single expansion
+export const MAX_OCCURRENCES = 1000;
+
+// Hard stop so an open-ended rule can never expand forever
+const MAX_PERIODS = 20000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a YYYY-MM-DD string into a UTC Date
+ * @param {string} value - Date string
+ * @returns {Date}
+ */
+export const parseDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value || ''));
+  if (!match) {
+    throw new ValidationError(`Invalid date: ${value}`, 'event_date');
+  }
+  return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+};
+
+/**
+ * Format a UTC Date as YYYY-MM-DD
+ * @param {Date} date - Date to format
+ * @returns {string}
+ */
+export const formatDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Add a number of days to a YYYY-MM-DD string
+ * @param {string} value - Date string
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string}
+ */
+export const addDays = (value, days) => formatDate(new Date(parseDate(value).getTime() + days * DAY_MS));
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Parse an RRULE string (with or without the "RRULE:" prefix)
+ * @param {string} rrule - e.g. "FREQ=WEEKLY;BYDAY=FR;UNTIL=20260605"
+ * @returns {Object} Parsed rule
+ */
+export const parseRRule = (rrule) => {
+  if (!rrule || typeof rrule !== 'string') {
+    throw new ValidationError('RRULE must be a non-empty string', 'rrule');
+  }
+
+  const rule = { interval: 1, byDay: [], byMonthDay: [], byMonth: [] };
+  const parts = rrule.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+  for (const part of parts) {
+    const [rawKey, rawValue] = part.split('=');
+    const key = (rawKey || '').toUpperCase();
+    const value = (rawValue || '').toUpperCase();
+
+    if (!SUPPORTED_PARTS.includes(key)) {
+      throw new ValidationError(`Unsupported RRULE part: ${key}`, 'rrule');
+    }
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) {
+          throw new ValidationError(`Unsupported RRULE frequency: ${value}`, 'rrule');
+        }
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInt(value, 10);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+          throw new ValidationError('RRULE INTERVAL must be a positive integer', 'rrule');
+        }
+        break;
+      case 'COUNT':
+        rule.count = parseInt(value, 10);
+        if (!Number.isInteger(rule.count) || rule.count < 1) {
+          throw new ValidationError('RRULE COUNT must be a positive integer', 'rrule');
+        }
+        break;
+      case 'UNTIL': {
+        const match = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+        if (!match) {
+          throw new ValidationError('RRULE UNTIL must be YYYYMMDD or YYYYMMDDTHHMMSSZ', 'rrule');
+        }
+        rule.until = `${match[1]}-${match[2]}-${match[3]}`;
+        break;
+      }
+      case 'BYDAY':
+        rule.byDay = value.split(',').map(token => {
+          const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(token);
+          if (!match) {
+            throw new ValidationError(`Invalid RRULE BYDAY value: ${token}`, 'rrule');
+          }
+          return { weekday: WEEKDAYS.indexOf(match[2]), ordinal: match[1] ? parseInt(match[1], 10) : null };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(token => {
+          const day = parseInt(token, 10);
+          if (!day || day < -31 || day > 31) {
+            throw new ValidationError(`Invalid RRULE BYMONTHDAY value: ${token}`, 'rrule');
+          }
+          return day;
+        });
+        break;
+      case 'BYMONTH':
+        rule.byMonth = value.split(',').map(token => {
+          const month = parseInt(token, 10);
+          if (!month || month < 1 || month > 12) {
+            throw new ValidationError(`Invalid RRULE BYMONTH value: ${token}`, 'rrule');
+          }
+          return month;
+        });
+        break;
+      case 'WKST':
+        if (!WEEKDAYS.includes(value)) {
+          throw new ValidationError(`Invalid RRULE WKST value: ${value}`, 'rrule');
+        }
+        rule.wkst = WEEKDAYS.indexOf(value);
+        break;
+    }
+  }
+
+  if (!rule.freq) {
+    throw new ValidationError('RRULE FREQ is required', 'rrule');
+  }
+  if (rule.count && rule.until) {
+    throw new ValidationError('RRULE cannot contain both COUNT and UNTIL', 'rrule');
+  }
+  if (rule.byDay.some(day => day.ordinal !== null) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+    throw new ValidationError('RRULE BYDAY ordinals are only valid for MONTHLY or YEARLY rules', 'rrule');
+  }
+  if (rule.freq === 'YEARLY' && rule.byDay.length > 0 && rule.byMonth.length === 0) {
+    throw new ValidationError('YEARLY rules with BYDAY must also specify BYMONTH', 'rrule');
+  }
+
+  return rule;
+};
+
+/**
+ * Serialize a parsed rule back into an RRULE string (without prefix)
+ * @param {Object} rule - Rule produced by parseRRule
+ * @returns {string}
+ */
+export const formatRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval && rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+  if (rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.map(day => `${day.ordinal ?? ''}${WEEKDAYS[day.weekday]}`).join(',')}`);
+  }
+  if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.byMonth.length > 0) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.wkst !== undefined) parts.push(`WKST=${WEEKDAYS[rule.wkst]}`);
+  return parts.join(';');
+};
+
+// Candidate days for a single month, honouring BYMONTHDAY and BYDAY (with ordinals)
+const monthCandidates = (year, month, rule, start) => {
+  const total = daysInMonth(year, month);
+  let days;
+
+  if (rule.byMonthDay.length > 0) {
+    days = rule.byMonthDay
+      .map(day => (day > 0 ? day : total + day + 1))
+      .filter(day => day >= 1 && day <= total);
+  } else if (rule.byDay.length === 0) {
+    days = start.getUTCDate() <= total ? [start.getUTCDate()] : [];
+  } else {
+    days = [];
+    for (let day = 1; day <= total; day++) days.push(day);
+  }
+
+  if (rule.byDay.length > 0) {
+    days = days.filter(day => {
+      const weekday = new Date(Date.UTC(year, month, day)).getUTCDay();
+      return rule.byDay.some(byDay => {
+        if (byDay.weekday !== weekday) return false;
+        if (byDay.ordinal === null) return true;
+        const nth = Math.ceil(day / 7);
+        const nthFromEnd = Math.ceil((total - day + 1) / 7);
+        return byDay.ordinal > 0 ? nth === byDay.ordinal : nthFromEnd === -byDay.ordinal;
+      });
+    });
+  }
+
+  return [...new Set(days)].sort((a, b) => a - b).map(day => new Date(Date.UTC(year, month, day)));
+};
+
+// Candidate days for the Nth period after dtstart (period length depends on FREQ)
+const periodCandidates = (rule, start, periodIndex) => {
+  const interval = rule.interval * periodIndex;
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const day = new Date(start.getTime() + interval * DAY_MS);
+      return [day];
+    }
+    case 'WEEKLY': {
+      const wkst = rule.wkst ?? 1;
+      const offset = (start.getUTCDay() - wkst + 7) % 7;
+      const weekStart = new Date(start.getTime() + (interval * 7 - offset) * DAY_MS);
+      const weekdays = rule.byDay.length > 0 ? rule.byDay.map(day => day.weekday) : [start.getUTCDay()];
+      const days = [];
+      for (let i = 0; i < 7; i++) {
+        const day = new Date(weekStart.getTime() + i * DAY_MS);
+        if (weekdays.includes(day.getUTCDay())) days.push(day);
+      }
+      return days;
+    }
+    case 'MONTHLY': {
+      const monthIndex = start.getUTCMonth() + interval;
+      const year = start.getUTCFullYear() + Math.floor(monthIndex / 12);
+      return monthCandidates(year, monthIndex % 12, rule, start);
+    }
+    case 'YEARLY': {
+      const year = start.getUTCFullYear() + interval;
+      const months = rule.byMonth.length > 0 ? rule.byMonth.map(m => m - 1) : [start.getUTCMonth()];
+      return months.sort((a, b) => a - b).flatMap(month => monthCandidates(year, month, rule, start));
+    }
+    default:
+      return [];
+  }
+};
+
+const matchesFilters = (rule, day) => {
+  if (rule.byMonth.length > 0 && !rule.byMonth.includes(day.getUTCMonth() + 1)) return false;
+  if (rule.freq === 'DAILY') {
+    if (rule.byDay.length > 0 && !rule.byDay.some(byDay => byDay.weekday === day.getUTCDay())) return false;
+    if (rule.byMonthDay.length > 0) {
+      const total = daysInMonth(day.getUTCFullYear(), day.getUTCMonth());
+      const dayOfMonth = day.getUTCDate();
+      if (!rule.byMonthDay.some(d => (d > 0 ? d : total + d + 1) === dayOfMonth)) return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Expand a recurrence rule into occurrence dates
+ * COUNT is applied before EXDATE removal, as required by RFC 5545.
+ * @param {string|Object} rrule - RRULE string or parsed rule
+ * @param {string} dtstart - First occurrence date (YYYY-MM-DD)
+ * @param {Object} options - Expansion window and exclusions
+ * @param {string} [options.from] - Only return dates on or after this day
+ * @param {string} [options.to] - Only return dates on or before this day
+ * @param {string[]} [options.exdates] - Dates to exclude
+ * @param {number} [options.limit] - Maximum occurrences to generate
+ * @returns {string[]} Occurrence dates (YYYY-MM-DD), ascending
+ */
+export const expandRRule = (rrule, dtstart, options = {}) => {
+  const rule = typeof rrule === 'string' ? parseRRule(rrule) : rrule;
+  const start = parseDate(dtstart);
+  const from = options.from ? parseDate(options.from) : null;
+  const to = options.to ? parseDate(options.to) : null;
+  const until = rule.until ? parseDate(rule.until) : null;
+  const exdates = new Set((options.exdates || []).map(date => String(date).slice(0, 10)));
+  const limit = Math.min(options.limit || MAX_OCCURRENCES, MAX_OCCURRENCES);
+
+  if (!to && !until && !rule.count && !options.limit) {
+    throw new ValidationError('Open-ended recurrence requires an expansion window', 'rrule');
+  }
+
+  const occurrences = [];
+  let generated = 0;
+  let emptyPeriods = 0;
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    const candidates = periodCandidates(rule, start, period).filter(day => day >= start && matchesFilters(rule, day));
+
+    // Guard against rules that can never match (e.g. BYMONTHDAY=31;BYMONTH=2)
+    emptyPeriods = candidates.length === 0 ? emptyPeriods + 1 : 0;
+    if (emptyPeriods > 400) break;
+
+    for (const day of candidates) {
+      if ((until && day > until) || (to && day > to)) return occurrences;
+      if (rule.count && generated >= rule.count) return occurrences;
+
+      generated++;
+      const value = formatDate(day);
+      if (!exdates.has(value) && (!from || day >= from)) {
+        occurrences.push(value);
+        if (occurrences.length >= limit) return occurrences;
+      }
+    }
+
+    if (rule.count && generated >= rule.count) break;
+  }
+
+  return occurrences;
+};
+
+/**
+ * Check whether a date is a (non-excluded) occurrence of a series
+ * @param {string} rrule - RRULE string
+ * @param {string} dtstart - Series start date
+ * @param {string} date - Candidate date
+ * @param {string[]} [exdates] - Excluded dates
+ * @returns {boolean}
+ */
+export const isOccurrence = (rrule, dtstart, date, exdates = []) => {
+  const occurrences = expandRRule(rrule, dtstart, { from: date, to: date, exdates });
+  return occurrences.includes(String(date).slice(0, 10));
+};
+
+/**
+ * Split a rule at a date so the original series ends the day before it
+ * Returns the truncated rule for the existing series and the rule for the
+ * new series starting at `splitDate` ("this and following" edits).
+ * @param {string} rrule - Original RRULE string
+ * @param {string} dtstart - Original series start date
+ * @param {string} splitDate - First occurrence of the new series
+ * @returns {{ before: string, after: string }}
+ */
+export const splitRRule = (rrule, dtstart, splitDate) => {
+  const rule = parseRRule(rrule);
+  const before = { ...rule };
+  const after = { ...rule };
+
+  if (rule.count) {
+    const earlier = expandRRule(rule, dtstart, { to: addDays(splitDate, -1) }).length;
+    if (earlier === 0) {
+      throw new ValidationError('Cannot split a series at its first occurrence', 'occurrence_date');
+    }
+    before.count = earlier;
+    after.count = Math.max(rule.count - earlier, 1);
+  } else {
+    before.until = addDays(splitDate, -1);
+  }
+
+  return { before: formatRRule(before), after: formatRRule(after) };
+};
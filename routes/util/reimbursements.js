@@ -0,0 +1,640 @@
+/**
+ * Reimbursement payouts for approved expenses. A batch groups the approved,
+ * unpaid expenses it covers by payee (the submitter) into one payout each.
+ * Payouts are pending until marked paid, and can be voided (a lost or
+ * misprinted check), which puts their expenses back up for payment. Paid
+ * payouts are the book items bank reconciliation matches the cleared checks
+ * and transfers to.
+ */
+
+import { supabase } from './verifySupabaseToken.js';
+import { createNotification } from './notifications.js';
+import { assertAccountDatesOpen } from './fiscalYear.js';
+import { resolveBankAccount, findBankAccount, belongsToAccount } from './bankAccounts.js';
+import { renderPdf, pdfHeading, pdfTable, renderWorkbook, formatMoney } from './reportExport.js';
+import { ValidationError, ConflictError } from '../middleware/errorHandler.js';
+
+export const PAYMENT_METHODS = ['check', 'cash', 'ach', 'zelle', 'venmo', 'paypal', 'other'];
+
+/**
+ * Approved expenses with no live payout
+ * @param {string} orgId - Organization ID
+ * @param {string[]} [expenseIds] - Limit to these expenses
+ * @returns {Promise<Object[]>} expense_submissions rows
+ */
+export const loadUnpaidExpenses = async (orgId, expenseIds) => {
+  let query = supabase
+    .from('expense_submissions')
+    .select('id, submitted_by, vendor_name, description, amount, expense_date, category_id, event_id')
+    .eq('org_id', orgId)
+    .eq('status', 'approved')
+    .is('reimbursement_payout_id', null)
+    .order('expense_date', { ascending: true });
+
+  if (expenseIds) {
+    query = query.in('id', expenseIds);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Failed to fetch unpaid expenses: ${error.message}`);
+  }
+  return data;
+};
+
+/**
+ * Group expenses into one payout per payee
+ * @param {Object[]} expenses - expense_submissions rows
+ * @param {Object} names - User ID -> display name
+ * @returns {Object[]} [{ payee_id, payee_name, amount, expenses }] sorted by payee name
+ */
+export const groupByPayee = (expenses, names) => {
+  const groups = new Map();
+  for (const expense of expenses) {
+    if (!groups.has(expense.submitted_by)) {
+      groups.set(expense.submitted_by, {
+        payee_id: expense.submitted_by,
+        payee_name: names[expense.submitted_by] || null,
+        amountCents: 0,
+        expenses: []
+      });
+    }
+    const group = groups.get(expense.submitted_by);
+    group.amountCents += Math.round(Number(expense.amount) * 100);
+    group.expenses.push(expense);
+  }
+
+  return [...groups.values()]
+    .map(({ amountCents, ...group }) => ({ ...group, amount: amountCents / 100 }))
+    .sort((a, b) => String(a.payee_name || '').localeCompare(String(b.payee_name || '')));
+};
+
+/**
+ * Create a batch paying the given (or all) unpaid approved expenses
+ * @param {string} orgId - Organization ID
+ * @param {Object} input - { name, expense_ids, payment_method, starting_check_number, payment_date, bank_account_id, notes }
+ * @param {string} userId - User creating the batch
+ * @returns {Promise<Object>} Batch with its payouts
+ */
+export const createBatch = async (orgId, input, userId) => {
+  const paymentMethod = input.payment_method || 'check';
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    throw new ValidationError(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`, 'payment_method');
+  }
+  const paymentDate = normalizeDate(input.payment_date, 'payment_date');
+  const bankAccount = await resolveBankAccount(orgId, input.bank_account_id);
+
+  let startingCheck = null;
+  if (input.starting_check_number !== undefined && input.starting_check_number !== null && input.starting_check_number !== '') {
+    startingCheck = Number(input.starting_check_number);
+    if (!Number.isInteger(startingCheck) || startingCheck < 1) {
+      throw new ValidationError('Starting check number must be a positive whole number', 'starting_check_number');
+    }
+    if (paymentMethod !== 'check') {
+      throw new ValidationError('Check numbers only apply to check payments', 'starting_check_number');
+    }
+  }
+
+  const expenseIds = Array.isArray(input.expense_ids) && input.expense_ids.length > 0 ? [...new Set(input.expense_ids)] : null;
+  const expenses = await loadUnpaidExpenses(orgId, expenseIds);
+  if (expenseIds && expenses.length !== expenseIds.length) {
+    throw new ValidationError('Some expenses are not approved, are already being paid, or are not in your organization', 'expense_ids');
+  }
+  if (expenses.length === 0) {
+    throw new ValidationError('There are no approved expenses waiting to be paid', 'expense_ids');
+  }
+
+  const names = await loadPayeeNames(expenses.map(expense => expense.submitted_by));
+  const groups = groupByPayee(expenses, names);
+
+  const { data: batch, error: batchError } = await supabase
+    .from('reimbursement_batches')
+    .insert([{
+      org_id: orgId,
+      name: String(input.name || '').trim() || `Reimbursements ${paymentDate || new Date().toISOString().slice(0, 10)}`,
+      payment_date: paymentDate,
+      notes: input.notes || null,
+      created_by: userId
+    }])
+    .select('*')
+    .single();
+
+  if (batchError) {
+    throw new Error(`Failed to create reimbursement batch: ${batchError.message}`);
+  }
+
+  try {
+    const { data: payouts, error: payoutError } = await supabase
+      .from('reimbursement_payouts')
+      .insert(groups.map((group, index) => ({
+        org_id: orgId,
+        batch_id: batch.id,
+        payee_id: group.payee_id,
+        payee_name: group.payee_name,
+        amount: group.amount,
+        payment_method: paymentMethod,
+        check_number: startingCheck ? String(startingCheck + index) : null,
+        bank_account_id: bankAccount.id,
+        status: 'pending'
+      })))
+      .select('*');
+
+    if (payoutError) {
+      if (payoutError.code === '23505') {
+        throw new ConflictError('One of those check numbers has already been used');
+      }
+      throw new Error(`Failed to create payouts: ${payoutError.message}`);
+    }
+
+    for (const payout of payouts) {
+      const group = groups.find(candidate => candidate.payee_id === payout.payee_id);
+      await attachExpenses(orgId, payout, group.expenses);
+    }
+
+    return { ...batch, payouts: payouts.map(payout => summarizePayout(payout)) };
+  } catch (err) {
+    // Releasing the expenses first keeps them payable; deleting the batch cascades to payouts and items
+    await supabase
+      .from('expense_submissions')
+      .update({ reimbursement_payout_id: null, reimbursement_status: 'unpaid' })
+      .in('id', expenses.map(expense => expense.id))
+      .in('reimbursement_payout_id', await payoutIds(batch.id));
+    await supabase.from('reimbursement_batches').delete().eq('id', batch.id);
+    throw err;
+  }
+};
+
+/**
+ * Payouts in a batch with the expenses each covers
+ * @param {Object} batch - reimbursement_batches row
+ * @returns {Promise<Object>} Batch with payouts[].items and totals
+ */
+export const loadBatch = async (batch) => {
+  const { data: payouts, error } = await supabase
+    .from('reimbursement_payouts')
+    .select('*')
+    .eq('batch_id', batch.id)
+    .order('payee_name', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch payouts: ${error.message}`);
+  }
+
+  const items = await loadPayoutItems(payouts.map(payout => payout.id));
+  const detailed = payouts.map(payout => ({
+    ...payout,
+    items: items.filter(item => item.payout_id === payout.id)
+  }));
+
+  return { ...batch, payouts: detailed, totals: batchTotals(payouts) };
+};
+
+/**
+ * Totals by payout status
+ * @param {Object[]} payouts - reimbursement_payouts rows
+ * @returns {Object} { payouts, pending, paid, voided } amounts plus count
+ */
+export const batchTotals = (payouts) => {
+  const totals = { payouts: payouts.length, pending: 0, paid: 0, voided: 0 };
+  for (const payout of payouts) {
+    totals[payout.status] = (Math.round(totals[payout.status] * 100) + Math.round(Number(payout.amount) * 100)) / 100;
+  }
+  return totals;
+};
+
+/**
+ * Expenses covered by payouts, with their expense details
+ * @param {string[]} ids - Payout IDs
+ * @returns {Promise<Object[]>} reimbursement_payout_items rows with expense fields
+ */
+export const loadPayoutItems = async (ids) => {
+  if (ids.length === 0) return [];
+
+  const { data: items, error } = await supabase
+    .from('reimbursement_payout_items')
+    .select('*')
+    .in('payout_id', ids);
+
+  if (error) {
+    throw new Error(`Failed to fetch payout items: ${error.message}`);
+  }
+  if (items.length === 0) return [];
+
+  const { data: expenses, error: expenseError } = await supabase
+    .from('expense_submissions')
+    .select('id, vendor_name, description, expense_date, amount')
+    .in('id', items.map(item => item.expense_submission_id));
+
+  if (expenseError) {
+    throw new Error(`Failed to fetch expenses: ${expenseError.message}`);
+  }
+
+  const byId = new Map(expenses.map(expense => [expense.id, expense]));
+  return items
+    .map(item => {
+      const expense = byId.get(item.expense_submission_id) || {};
+      return {
+        ...item,
+        expense_date: expense.expense_date || null,
+        vendor_name: expense.vendor_name || null,
+        description: expense.description || null
+      };
+    })
+    .sort((a, b) => String(a.expense_date).localeCompare(String(b.expense_date)));
+};
+
+/**
+ * Update a pending payout's payment details
+ * @param {Object} payout - reimbursement_payouts row
+ * @param {Object} input - payment_method, check_number, reference, memo, bank_account_id
+ * @returns {Promise<Object>} Updated payout
+ */
+export const updatePayoutDetails = async (payout, input) => {
+  if (payout.status !== 'pending') {
+    throw new ConflictError(`This payout is ${payout.status} and can't be changed`);
+  }
+
+  const values = pickPaymentDetails(input, payout);
+  if (input.bank_account_id !== undefined) {
+    values.bank_account_id = (await resolveBankAccount(payout.org_id, input.bank_account_id)).id;
+  }
+  return savePayout(payout, 'pending', values);
+};
+
+/**
+ * Mark a pending payout paid and its expenses reimbursed
+ * @param {Object} payout - reimbursement_payouts row
+ * @param {Object} input - paid_date (default today), check_number, reference, bank_account_id
+ * @param {string} userId - User recording the payment
+ * @returns {Promise<Object>} Updated payout
+ */
+export const markPayoutPaid = async (payout, input, userId) => {
+  if (payout.status !== 'pending') {
+    throw new ConflictError(`This payout is already ${payout.status}`);
+  }
+
+  const paidDate = normalizeDate(input.paid_date, 'paid_date') || new Date().toISOString().slice(0, 10);
+  if (paidDate > new Date().toISOString().slice(0, 10)) {
+    throw new ValidationError('Paid date cannot be in the future', 'paid_date');
+  }
+
+  const details = pickPaymentDetails(input, payout);
+  if (details.payment_method === 'check' && !details.check_number) {
+    throw new ValidationError('Enter the check number before marking a check paid', 'check_number');
+  }
+  if (input.bank_account_id !== undefined) {
+    details.bank_account_id = (await resolveBankAccount(payout.org_id, input.bank_account_id)).id;
+  }
+  await assertAccountDatesOpen(payout.org_id, [details.bank_account_id ?? payout.bank_account_id], paidDate);
+
+  const updated = await savePayout(payout, 'pending', {
+    ...details,
+    status: 'paid',
+    paid_date: paidDate,
+    paid_by: userId
+  });
+
+  await setExpenseStatus(payout.id, 'paid');
+
+  await createNotification({
+    orgId: payout.org_id,
+    recipientId: payout.payee_id,
+    type: 'reimbursement_paid',
+    title: `Your reimbursement of ${formatMoney(payout.amount)} was paid`,
+    message: describeMethod(updated),
+    link: `/expenses/reimbursements/payouts/${payout.id}/remittance`
+  });
+
+  return updated;
+};
+
+/**
+ * Void a payout. Its expenses go back to unpaid so they can be batched again.
+ * @param {Object} payout - reimbursement_payouts row
+ * @param {string} reason - Why it was voided
+ * @param {string} userId - User voiding it
+ * @returns {Promise<Object>} Updated payout
+ */
+export const voidPayout = async (payout, reason, userId) => {
+  if (payout.status === 'voided') {
+    throw new ConflictError('This payout is already voided');
+  }
+  if (!reason || !String(reason).trim()) {
+    throw new ValidationError('A reason is required to void a payout', 'reason');
+  }
+  if (payout.bank_transaction_id) {
+    throw new ConflictError('This payout has cleared the bank; remove its reconciliation match before voiding it');
+  }
+  if (payout.status === 'paid') {
+    await assertAccountDatesOpen(payout.org_id, [payout.bank_account_id], payout.paid_date);
+  }
+
+  const updated = await savePayout(payout, payout.status, {
+    status: 'voided',
+    voided_at: new Date().toISOString(),
+    voided_by: userId,
+    void_reason: String(reason).trim()
+  });
+
+  const { error } = await supabase
+    .from('expense_submissions')
+    .update({ reimbursement_payout_id: null, reimbursement_status: 'unpaid' })
+    .eq('reimbursement_payout_id', payout.id);
+
+  if (error) {
+    throw new Error(`Failed to release voided payout's expenses: ${error.message}`);
+  }
+
+  return updated;
+};
+
+/**
+ * Check payouts in check-number order, for the treasurer's check register
+ * @param {string} orgId - Organization ID
+ * @param {Object} [options] - { from, to } limit by paid date (or creation date for unpaid checks); bank_account_id
+ * @returns {Promise<Object>} { from, to, checks, totals }
+ */
+export const buildCheckRegister = async (orgId, options = {}) => {
+  const from = normalizeDate(options.from, 'from');
+  const to = normalizeDate(options.to, 'to');
+  const bankAccount = options.bank_account_id ? await findBankAccount(orgId, options.bank_account_id) : null;
+  if (options.bank_account_id && !bankAccount) {
+    throw new ValidationError('Bank account not found in your organization', 'bank_account_id');
+  }
+
+  const { data: checks, error } = await supabase
+    .from('reimbursement_payouts')
+    .select('*')
+    .eq('org_id', orgId)
+    .eq('payment_method', 'check')
+    .not('check_number', 'is', null);
+
+  if (error) {
+    throw new Error(`Failed to fetch checks: ${error.message}`);
+  }
+
+  const bankDates = await loadBankDates(checks.map(check => check.bank_transaction_id).filter(Boolean));
+  const rows = checks
+    .filter(check => !bankAccount || belongsToAccount(bankAccount, check.bank_account_id))
+    .map(check => ({
+      id: check.id,
+      batch_id: check.batch_id,
+      check_number: check.check_number,
+      date: check.paid_date || String(check.created_at).slice(0, 10),
+      payee_name: check.payee_name,
+      amount: Number(check.amount),
+      status: check.status,
+      void_reason: check.void_reason || null,
+      cleared_date: bankDates.get(check.bank_transaction_id) || null
+    }))
+    .filter(row => (!from || row.date >= from) && (!to || row.date <= to))
+    .sort((a, b) => Number(a.check_number) - Number(b.check_number) || String(a.check_number).localeCompare(String(b.check_number)));
+
+  const sum = (list) => list.reduce((total, row) => total + Math.round(row.amount * 100), 0) / 100;
+  return {
+    from,
+    to,
+    checks: rows,
+    totals: {
+      issued: sum(rows.filter(row => row.status !== 'voided')),
+      outstanding: sum(rows.filter(row => row.status === 'paid' && !row.cleared_date)),
+      cleared: sum(rows.filter(row => row.cleared_date)),
+      voided: rows.filter(row => row.status === 'voided').length
+    }
+  };
+};
+
+/**
+ * Render the check register as a PDF or workbook
+ * @param {Object} register - From buildCheckRegister
+ * @param {string} format - pdf or xlsx
+ * @returns {Promise<Buffer>}
+ */
+export const renderCheckRegister = (register, format) => {
+  const rows = register.checks.map(row => ({
+    ...row,
+    status_label: row.status === 'voided' ? 'VOID' : row.status === 'paid' ? 'Issued' : 'Not yet issued',
+    payee: row.status === 'voided' ? `${row.payee_name || ''} (void: ${row.void_reason})` : row.payee_name
+  }));
+  const period = register.from || register.to ? `${register.from || 'start'} to ${register.to || 'today'}` : 'All checks';
+
+  if (format === 'xlsx') {
+    return renderWorkbook([{
+      name: 'Check register',
+      columns: [
+        { header: 'Check #', key: 'check_number', width: 12 },
+        { header: 'Date', key: 'date', width: 12 },
+        { header: 'Payee', key: 'payee', width: 36 },
+        { header: 'Amount', key: 'amount', width: 14, money: true },
+        { header: 'Status', key: 'status_label', width: 14 },
+        { header: 'Cleared', key: 'cleared_date', width: 12 }
+      ],
+      rows
+    }]);
+  }
+
+  return renderPdf(doc => {
+    pdfHeading(doc, 'Reimbursement Check Register', `${period} · Generated ${new Date().toISOString().slice(0, 10)}`);
+    pdfTable(doc, [
+      { header: 'Check #', key: 'check_number', width: 60 },
+      { header: 'Date', key: 'date', width: 70 },
+      { header: 'Payee', key: 'payee', width: 180 },
+      { header: 'Amount', key: 'amount', width: 80, align: 'right', format: (value, row) => (row.status === 'voided' ? 'VOID' : formatMoney(value)) },
+      { header: 'Status', key: 'status_label', width: 70 },
+      { header: 'Cleared', key: 'cleared_date', width: 60, format: value => value || '—' }
+    ], rows);
+
+    pdfTable(doc, [
+      { header: 'Total', key: 'label', width: 300 },
+      { header: 'Amount', key: 'value', width: 150, align: 'right' }
+    ], [
+      { label: 'Issued', value: formatMoney(register.totals.issued) },
+      { label: 'Outstanding (issued, not cleared)', value: formatMoney(register.totals.outstanding) },
+      { label: 'Cleared', value: formatMoney(register.totals.cleared) },
+      { label: 'Voided checks', value: String(register.totals.voided) }
+    ], { title: 'Summary' });
+  });
+};
+
+/**
+ * Remittance notice telling a volunteer what a payout covered
+ * @param {Object} payout - reimbursement_payouts row
+ * @param {Object[]} items - From loadPayoutItems
+ * @returns {Promise<Buffer>} PDF
+ */
+export const renderRemittance = (payout, items) => renderPdf(doc => {
+  pdfHeading(doc, 'Reimbursement Remittance', `${payout.payee_name || 'Payee'} · ${describeMethod(payout)}`);
+
+  pdfTable(doc, [
+    { header: 'Detail', key: 'label', width: 200 },
+    { header: '', key: 'value', width: 250 }
+  ], [
+    { label: 'Paid to', value: payout.payee_name || '—' },
+    { label: 'Amount', value: formatMoney(payout.amount) },
+    { label: 'Payment', value: describeMethod(payout) },
+    { label: 'Status', value: payout.status === 'voided' ? `Voided – ${payout.void_reason}` : payout.status === 'paid' ? `Paid ${payout.paid_date}` : 'Scheduled' },
+    ...(payout.memo ? [{ label: 'Memo', value: payout.memo }] : [])
+  ]);
+
+  pdfTable(doc, [
+    { header: 'Date', key: 'expense_date', width: 70 },
+    { header: 'Vendor', key: 'vendor_name', width: 130, format: value => value || '—' },
+    { header: 'Description', key: 'description', width: 170, format: value => value || '—' },
+    { header: 'Amount', key: 'amount', width: 80, align: 'right', format: formatMoney }
+  ], items, { title: 'Expenses reimbursed' });
+});
+
+/**
+ * Display names for users, from their profiles
+ * @param {string[]} userIds - User IDs
+ * @returns {Promise<Object>} User ID -> name
+ */
+export const loadPayeeNames = async (userIds) => {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (ids.length === 0) return {};
+
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('id, full_name, first_name, last_name')
+    .in('id', ids);
+
+  if (error) {
+    console.warn('⚠️ Failed to load payee names:', error.message);
+    return {};
+  }
+
+  return Object.fromEntries(data.map(profile => [
+    profile.id,
+    profile.full_name || [profile.first_name, profile.last_name].filter(Boolean).join(' ') || null
+  ]));
+};
+
+// =====================================================
+// HELPER FUNCTIONS
+// =====================================================
+
+async function attachExpenses(orgId, payout, expenses) {
+  const { error: itemError } = await supabase
+    .from('reimbursement_payout_items')
+    .insert(expenses.map(expense => ({
+      org_id: orgId,
+      payout_id: payout.id,
+      expense_submission_id: expense.id,
+      amount: expense.amount
+    })));
+
+  if (itemError) {
+    throw new Error(`Failed to record payout items: ${itemError.message}`);
+  }
+
+  // Claim only expenses nobody else batched in the meantime
+  const { data: claimed, error: claimError } = await supabase
+    .from('expense_submissions')
+    .update({ reimbursement_payout_id: payout.id, reimbursement_status: 'scheduled' })
+    .in('id', expenses.map(expense => expense.id))
+    .is('reimbursement_payout_id', null)
+    .select('id');
+
+  if (claimError) {
+    throw new Error(`Failed to schedule expenses for payment: ${claimError.message}`);
+  }
+  if (claimed.length !== expenses.length) {
+    throw new ConflictError('Some of these expenses were added to another batch just now; try again');
+  }
+}
+
+async function payoutIds(batchId) {
+  const { data } = await supabase.from('reimbursement_payouts').select('id').eq('batch_id', batchId);
+  return (data || []).map(payout => payout.id);
+}
+
+async function setExpenseStatus(payoutId, status) {
+  const { error } = await supabase
+    .from('expense_submissions')
+    .update({ reimbursement_status: status })
+    .eq('reimbursement_payout_id', payoutId);
+
+  if (error) {
+    throw new Error(`Failed to update expense reimbursement status: ${error.message}`);
+  }
+}
+
+// Update only if the status hasn't moved underneath us
+async function savePayout(payout, fromStatus, values) {
+  const { data, error } = await supabase
+    .from('reimbursement_payouts')
+    .update(values)
+    .eq('id', payout.id)
+    .eq('status', fromStatus)
+    .select('*');
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new ConflictError('That check number has already been used');
+    }
+    throw new Error(`Failed to update payout: ${error.message}`);
+  }
+  if (!data || data.length === 0) {
+    throw new ConflictError('This payout was changed by someone else; reload and try again');
+  }
+  return data[0];
+}
+
+function pickPaymentDetails(input, payout) {
+  const paymentMethod = input.payment_method || payout.payment_method;
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    throw new ValidationError(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`, 'payment_method');
+  }
+
+  const pick = (field) => (input[field] === undefined ? payout[field] : String(input[field] || '').trim() || null);
+  const values = {
+    payment_method: paymentMethod,
+    check_number: paymentMethod === 'check' ? pick('check_number') : null,
+    reference: pick('reference'),
+    memo: pick('memo')
+  };
+  if (values.check_number && !/^\d+$/.test(values.check_number)) {
+    throw new ValidationError('Check number must be digits only', 'check_number');
+  }
+  return values;
+}
+
+function normalizeDate(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    throw new ValidationError(`${field} must be YYYY-MM-DD`, field);
+  }
+  return String(value);
+}
+
+async function loadBankDates(bankTransactionIds) {
+  if (bankTransactionIds.length === 0) return new Map();
+
+  const { data, error } = await supabase
+    .from('bank_transactions')
+    .select('id, transaction_date')
+    .in('id', bankTransactionIds);
+
+  if (error) {
+    throw new Error(`Failed to fetch bank transactions: ${error.message}`);
+  }
+  return new Map(data.map(line => [line.id, line.transaction_date]));
+}
+
+function describeMethod(payout) {
+  const label = { check: 'Check', cash: 'Cash', ach: 'Bank transfer', zelle: 'Zelle', venmo: 'Venmo', paypal: 'PayPal', other: 'Other' }[payout.payment_method];
+  if (payout.payment_method === 'check' && payout.check_number) return `Check #${payout.check_number}`;
+  return payout.reference ? `${label} (${payout.reference})` : label;
+}
+
+function summarizePayout(payout) {
+  return {
+    id: payout.id,
+    payee_id: payout.payee_id,
+    payee_name: payout.payee_name,
+    amount: Number(payout.amount),
+    payment_method: payout.payment_method,
+    check_number: payout.check_number,
+    status: payout.status
+  };
+}
@@ -0,0 +1,154 @@
+/**
+ * PDF and XLSX rendering for downloadable reports
+ * Routes build plain rows and let these helpers handle layout and headers.
+ */
+
+import PDFDocument from 'pdfkit';
+import ExcelJS from 'exceljs';
+
+export const EXPORT_CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Other downloads sendExport can serve; not report formats
+const DOWNLOAD_CONTENT_TYPES = {
+  zip: 'application/zip',
+  csv: 'text/csv; charset=utf-8',
+  iif: 'text/plain; charset=utf-8'
+};
+
+/**
+ * Format a dollar amount for display
+ * @param {number|null} amount - Amount in dollars
+ * @returns {string}
+ */
+export const formatMoney = (amount) => {
+  if (amount === null || amount === undefined) return '—';
+  const sign = amount < 0 ? '-' : '';
+  return `${sign}$${Math.abs(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+/**
+ * Render a PDF into a buffer
+ * @param {Function} build - Receives the PDFKit document and draws the report
+ * @param {Object} [options] - PDFDocument options
+ * @returns {Promise<Buffer>}
+ */
+export const renderPdf = (build, options = {}) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ margin: 50, size: 'LETTER', ...options });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    build(doc);
+    doc.end();
+  } catch (err) {
+    reject(err);
+  }
+});
+
+/**
+ * Draw a report heading with an optional subtitle line
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {string} title - Heading
+ * @param {string} [subtitle] - Smaller line below the heading
+ */
+export const pdfHeading = (doc, title, subtitle) => {
+  doc.font('Helvetica-Bold').fontSize(18).text(title);
+  if (subtitle) {
+    doc.font('Helvetica').fontSize(10).fillColor('#555555').text(subtitle).fillColor('#000000');
+  }
+  doc.moveDown();
+};
+
+/**
+ * Draw a simple table, breaking onto new pages as needed
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object[]} columns - [{ header, key, width, align, format }]
+ * @param {Object[]} rows - Row objects keyed by column key
+ * @param {Object} [options] - { title }
+ */
+export const pdfTable = (doc, columns, rows, options = {}) => {
+  const left = doc.page.margins.left;
+  const rowHeight = 16;
+
+  if (options.title) {
+    doc.font('Helvetica-Bold').fontSize(12).text(options.title, left);
+    doc.moveDown(0.3);
+  }
+
+  const drawRow = (values, bold) => {
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+    const y = doc.y;
+    let x = left;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    columns.forEach((column, index) => {
+      doc.text(String(values[index] ?? ''), x + 2, y + 3, {
+        width: column.width - 4,
+        align: column.align || 'left',
+        lineBreak: false,
+        ellipsis: true
+      });
+      x += column.width;
+    });
+    doc.moveTo(left, y + rowHeight).lineTo(x, y + rowHeight).strokeColor('#dddddd').stroke();
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  drawRow(columns.map(column => column.header), true);
+  for (const row of rows) {
+    drawRow(columns.map(column => (column.format ? column.format(row[column.key], row) : row[column.key])), row.bold);
+  }
+  doc.moveDown();
+};
+
+/**
+ * Render worksheets into an XLSX buffer
+ * @param {Object[]} sheets - [{ name, columns: [{ header, key, width, money }], rows }]
+ * @returns {Promise<Buffer>}
+ */
+export const renderWorkbook = async (sheets) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'PTO Connect';
+  workbook.created = new Date();
+
+  for (const sheet of sheets) {
+    const worksheet = workbook.addWorksheet(sheet.name.slice(0, 31));
+    worksheet.columns = sheet.columns.map(column => ({
+      header: column.header,
+      key: column.key,
+      width: column.width || 16,
+      style: column.money ? { numFmt: '"$"#,##0.00;[Red]-"$"#,##0.00' } : undefined
+    }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+    for (const row of sheet.rows) {
+      const added = worksheet.addRow(row);
+      if (row.bold) added.font = { bold: true };
+    }
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * Send a rendered report as a download
+ * @param {Object} res - Express response
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - pdf, xlsx or zip
+ * @param {string} filename - Name without extension
+ */
+export const sendExport = (res, buffer, format, filename) => {
+  const safeName = String(filename).replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '') || 'report';
+  res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format] || DOWNLOAD_CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${safeName}.${format}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  res.send(buffer);
+};
@@ -0,0 +1,309 @@
+/**
+ * Location/equipment booking helpers shared by the resource routes and event create/update
+ * Event times are wall-clock times without a zone, so intervals are compared as
+ * minutes on a UTC timeline and reported back as 'YYYY-MM-DDTHH:MM' strings.
+ */
+
+import { supabase } from './verifySupabaseToken.js';
+import { ValidationError, ConflictError } from '../middleware/errorHandler.js';
+import { parseDate, addDays, expandRRule } from './recurrence.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+// How far ahead a recurring series is checked for conflicts
+const SERIES_HORIZON_DAYS = 366;
+
+/**
+ * Normalize a requested resource list: IDs or { resource_id, setup_minutes, teardown_minutes, notes }
+ * @param {string} orgId - Organization ID
+ * @param {Array} input - Requested resources
+ * @returns {Promise<Object[]>} [{ resource_id, name, setup_minutes, teardown_minutes, notes }]
+ */
+export const normalizeResourceSelection = async (orgId, input) => {
+  if (!Array.isArray(input)) {
+    throw new ValidationError('resources must be an array', 'resources');
+  }
+
+  const requested = input.map(entry => (typeof entry === 'string' ? { resource_id: entry } : entry || {}));
+  const ids = [...new Set(requested.map(entry => entry.resource_id))];
+  if (ids.length !== requested.length || ids.some(id => !id)) {
+    throw new ValidationError('Each resource must be listed once with a resource_id', 'resources');
+  }
+  if (ids.length === 0) return [];
+
+  const { data: resources, error } = await supabase
+    .from('org_resources')
+    .select('id, name, is_active, default_setup_minutes, default_teardown_minutes')
+    .eq('org_id', orgId)
+    .in('id', ids);
+
+  if (error) {
+    throw new Error(`Failed to fetch resources: ${error.message}`);
+  }
+
+  const byId = new Map(resources.map(resource => [resource.id, resource]));
+
+  return requested.map(entry => {
+    const resource = byId.get(entry.resource_id);
+    if (!resource) {
+      throw new ValidationError(`Resource ${entry.resource_id} not found in your organization`, 'resources');
+    }
+    if (!resource.is_active) {
+      throw new ValidationError(`${resource.name} is no longer available for booking`, 'resources');
+    }
+
+    return {
+      resource_id: resource.id,
+      name: resource.name,
+      setup_minutes: bufferMinutes(entry.setup_minutes, resource.default_setup_minutes, 'setup_minutes'),
+      teardown_minutes: bufferMinutes(entry.teardown_minutes, resource.default_teardown_minutes, 'teardown_minutes'),
+      notes: entry.notes || null
+    };
+  });
+};
+
+/**
+ * Resources currently booked by an event (or, for an edited occurrence, by its series)
+ * @param {Object} event - events row
+ * @returns {Promise<Object[]>} Same shape as normalizeResourceSelection
+ */
+export const loadEventResources = async (event) => {
+  const { data, error } = await supabase
+    .from('event_resource_bookings')
+    .select('resource_id, setup_minutes, teardown_minutes, notes, org_resources(name)')
+    .eq('event_id', event.recurrence_parent_id || event.id);
+
+  if (error) {
+    throw new Error(`Failed to fetch resource bookings: ${error.message}`);
+  }
+
+  return data.map(({ org_resources: resource, ...booking }) => ({ ...booking, name: resource?.name || null }));
+};
+
+/**
+ * Replace an event's bookings with the given resources
+ * @param {string} orgId - Organization ID
+ * @param {string} eventId - Event (or series) ID
+ * @param {Object[]} resources - From normalizeResourceSelection
+ * @param {string} userId - Acting user
+ */
+export const replaceEventBookings = async (orgId, eventId, resources, userId) => {
+  const { error: deleteError } = await supabase
+    .from('event_resource_bookings')
+    .delete()
+    .eq('event_id', eventId);
+
+  if (deleteError) {
+    throw new Error(`Failed to update resource bookings: ${deleteError.message}`);
+  }
+
+  if (resources.length === 0) return;
+
+  const { error } = await supabase
+    .from('event_resource_bookings')
+    .insert(resources.map(resource => ({
+      org_id: orgId,
+      event_id: eventId,
+      resource_id: resource.resource_id,
+      setup_minutes: resource.setup_minutes,
+      teardown_minutes: resource.teardown_minutes,
+      notes: resource.notes,
+      created_by: userId
+    })));
+
+  if (error) {
+    throw new Error(`Failed to update resource bookings: ${error.message}`);
+  }
+};
+
+/**
+ * Every booked interval for the given resources that touches a date range
+ * @param {string} orgId - Organization ID
+ * @param {Object} options - Query
+ * @param {string[]} [options.resourceIds] - Limit to these resources (default: all)
+ * @param {string} options.from - First day (YYYY-MM-DD)
+ * @param {string} options.to - Last day (YYYY-MM-DD)
+ * @param {string[]} [options.excludeEventIds] - Bookings owned by these events are ignored
+ * @returns {Promise<Object[]>} Intervals sorted by start
+ */
+export const loadBookedIntervals = async (orgId, { resourceIds, from, to, excludeEventIds = [] }) => {
+  let query = supabase
+    .from('event_resource_bookings')
+    .select('event_id, resource_id, setup_minutes, teardown_minutes, org_resources(name), events(id, title, event_date, start_time, end_time, rrule, exdates)')
+    .eq('org_id', orgId);
+
+  if (resourceIds) {
+    if (resourceIds.length === 0) return [];
+    query = query.in('resource_id', resourceIds);
+  }
+
+  const { data: bookings, error } = await query;
+  if (error) {
+    throw new Error(`Failed to fetch resource bookings: ${error.message}`);
+  }
+
+  const relevant = bookings.filter(booking => booking.events && !excludeEventIds.includes(booking.event_id));
+
+  // Buffers can spill into neighbouring days
+  const windowFrom = addDays(from, -1);
+  const windowTo = addDays(to, 1);
+
+  const seriesIds = [...new Set(relevant.filter(booking => booking.events.rrule).map(booking => booking.event_id))];
+  let exceptions = [];
+  if (seriesIds.length > 0) {
+    const { data, error: exceptionsError } = await supabase
+      .from('events')
+      .select('id, title, event_date, start_time, end_time, recurrence_parent_id, recurrence_id')
+      .in('recurrence_parent_id', seriesIds);
+
+    if (exceptionsError) {
+      throw new Error(`Failed to fetch event exceptions: ${exceptionsError.message}`);
+    }
+    exceptions = data;
+  }
+
+  const intervals = [];
+  for (const booking of relevant) {
+    const event = booking.events;
+    const overrides = exceptions.filter(exception => exception.recurrence_parent_id === event.id);
+
+    const occurrences = occurrencesOf(event, windowFrom, windowTo, overrides.map(exception => exception.recurrence_id))
+      .map(date => ({ ...event, event_date: date }));
+    occurrences.push(...overrides.filter(exception => exception.event_date >= windowFrom && exception.event_date <= windowTo));
+
+    for (const occurrence of occurrences) {
+      const { start, end } = bookingInterval(occurrence, booking);
+      intervals.push({
+        resource_id: booking.resource_id,
+        resource_name: booking.org_resources?.name || null,
+        event_id: booking.event_id,
+        occurrence_event_id: occurrence.id,
+        title: occurrence.title,
+        date: occurrence.event_date,
+        setup_minutes: booking.setup_minutes,
+        teardown_minutes: booking.teardown_minutes,
+        start,
+        end,
+        starts_at: formatMinutes(start),
+        ends_at: formatMinutes(end)
+      });
+    }
+  }
+
+  const rangeStart = toMinutes(from, '00:00');
+  const rangeEnd = toMinutes(to, '00:00') + DAY_MINUTES;
+  return intervals
+    .filter(interval => interval.start < rangeEnd && interval.end > rangeStart)
+    .sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Find existing bookings that overlap what an event would hold
+ * @param {string} orgId - Organization ID
+ * @param {Object} candidate - Event fields after the change (event_date, start_time, end_time, rrule, exdates)
+ * @param {Object[]} resources - From normalizeResourceSelection / loadEventResources
+ * @param {Object} [options] - { excludeEventIds }
+ * @returns {Promise<Object[]>} Conflicts
+ */
+export const findResourceConflicts = async (orgId, candidate, resources, { excludeEventIds = [] } = {}) => {
+  if (resources.length === 0 || !candidate.event_date) return [];
+
+  const horizon = addDays(candidate.event_date, SERIES_HORIZON_DAYS);
+  const dates = occurrencesOf(candidate, candidate.event_date, horizon, []);
+  if (dates.length === 0) return [];
+
+  const booked = await loadBookedIntervals(orgId, {
+    resourceIds: resources.map(resource => resource.resource_id),
+    from: dates[0],
+    to: dates[dates.length - 1],
+    excludeEventIds
+  });
+
+  const conflicts = [];
+  for (const resource of resources) {
+    const existing = booked.filter(interval => interval.resource_id === resource.resource_id);
+    if (existing.length === 0) continue;
+
+    for (const date of dates) {
+      const wanted = bookingInterval({ ...candidate, event_date: date }, resource);
+      for (const interval of existing) {
+        if (interval.start < wanted.end && wanted.start < interval.end) {
+          conflicts.push({
+            resource_id: resource.resource_id,
+            resource_name: resource.name || interval.resource_name,
+            date,
+            requested: { starts_at: formatMinutes(wanted.start), ends_at: formatMinutes(wanted.end) },
+            booked_by: {
+              event_id: interval.occurrence_event_id,
+              title: interval.title,
+              starts_at: interval.starts_at,
+              ends_at: interval.ends_at
+            }
+          });
+        }
+      }
+    }
+  }
+
+  return conflicts;
+};
+
+/**
+ * Throw a ConflictError listing the conflicts unless the caller accepted them
+ * @param {Object[]} conflicts - From findResourceConflicts
+ * @param {boolean} allowConflicts - Caller asked to be warned instead of blocked
+ * @returns {Object[]} The conflicts, to be returned as warnings
+ */
+export const enforceResourceConflicts = (conflicts, allowConflicts) => {
+  if (conflicts.length > 0 && !allowConflicts) {
+    const error = new ConflictError('Some resources are already booked at that time');
+    error.conflicts = conflicts;
+    throw error;
+  }
+  return conflicts;
+};
+
+// Occurrence dates of an event inside [from, to]
+function occurrencesOf(event, from, to, extraExdates) {
+  if (!event.rrule) {
+    return event.event_date >= from && event.event_date <= to ? [event.event_date] : [];
+  }
+  return expandRRule(event.rrule, event.event_date, {
+    from,
+    to,
+    exdates: [...(event.exdates || []), ...extraExdates]
+  });
+}
+
+// Minutes on a UTC timeline covered by one occurrence plus its buffers
+// (no start time = from midnight, no end time = until midnight)
+function bookingInterval(occurrence, buffers) {
+  const start = toMinutes(occurrence.event_date, occurrence.start_time || '00:00');
+  const end = occurrence.end_time
+    ? toMinutes(occurrence.event_date, occurrence.end_time)
+    : toMinutes(occurrence.event_date, '00:00') + DAY_MINUTES;
+
+  return {
+    start: start - (buffers.setup_minutes || 0),
+    end: Math.max(end, start) + (buffers.teardown_minutes || 0)
+  };
+}
+
+function toMinutes(date, time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return parseDate(date).getTime() / MINUTE_MS + hours * 60 + (minutes || 0);
+}
+
+function formatMinutes(minutes) {
+  return new Date(minutes * MINUTE_MS).toISOString().slice(0, 16);
+}
+
+function bufferMinutes(value, fallback, field) {
+  if (value === undefined || value === null || value === '') return fallback || 0;
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > DAY_MINUTES) {
+    throw new ValidationError(`${field} must be between 0 and ${DAY_MINUTES}`, field);
+  }
+  return minutes;
+}
@@ -0,0 +1,110 @@
+/**
+ * Minimal ZIP archive writer using zlib's raw deflate. Builds the whole
+ * archive in memory; no ZIP64, so archives stay under 4 GB and 65,535 files.
+ */
+
+import zlib from 'zlib';
+
+const MAX_ZIP_SIZE = 0xffffffff;
+const MAX_ZIP_ENTRIES = 0xffff;
+
+// Already-compressed formats gain nothing from deflate
+const STORED_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'heic', 'zip', 'xlsx', 'docx'];
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 of a buffer, as stored in ZIP headers
+ * @param {Buffer} buffer - Data
+ * @returns {number}
+ */
+export const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Build a ZIP archive
+ * @param {Object[]} files - [{ name (path inside the archive, '/' separated), data (Buffer|string), date }]
+ * @returns {Buffer}
+ */
+export const createZip = (files) => {
+  if (files.length > MAX_ZIP_ENTRIES) {
+    throw new Error(`An archive can hold at most ${MAX_ZIP_ENTRIES} files`);
+  }
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(String(file.data), 'utf8');
+    const stored = STORED_EXTENSIONS.includes(file.name.split('.').pop().toLowerCase());
+    const content = stored ? data : zlib.deflateRawSync(data);
+    const crc = crc32(data);
+    const { time, date } = dosDateTime(file.date || new Date());
+
+    // Version 2.0, UTF-8 file names (bit 11)
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(stored ? 0 : 8, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(content.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(stored ? 0 : 8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(content.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, content);
+    centralParts.push(central, name);
+    offset += local.length + name.length + content.length;
+    if (offset > MAX_ZIP_SIZE) {
+      throw new Error('The archive is too large; export a shorter date range');
+    }
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, ...centralParts, end]);
+};
+
+// =====================================================
+// HELPER FUNCTIONS
+// =====================================================
+
+function dosDateTime(value) {
+  const date = new Date(value);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}